@@ -0,0 +1,788 @@
+-- migrations/000_original_schema.sql
+-- Upgrade for projects set up from the original schema, before order
+-- tracking. New projects don't need this — supabase_schema.sql already
+-- includes it — and neither do projects whose orders table already has
+-- a tracking_token column: start at 001. Safe to run more than once.
+--
+-- Brings the original tables up to where 001 starts: tracking links,
+-- place_order(), modifiers, opening hours and closures, pickup slots,
+-- cancellations, stock, analytics and menu import.
+
+alter table businesses add column if not exists timezone        text not null default 'UTC';
+alter table businesses add column if not exists ordering_paused boolean not null default false;
+alter table businesses add column if not exists slot_minutes    int not null default 15 check (slot_minutes between 5 and 120);
+alter table businesses add column if not exists slot_max_orders int check (slot_max_orders > 0);
+alter table businesses add column if not exists slot_max_items  int check (slot_max_items > 0);
+alter table businesses add column if not exists restocked_on    date;
+
+-- The daily restock counts from today, so the first run doesn't reset
+-- stock in the middle of the day
+update businesses set restocked_on = (now() at time zone timezone)::date where restocked_on is null;
+
+alter table products add column if not exists stock      int check (stock >= 0);
+alter table products add column if not exists restock_to int check (restock_to >= 0);
+
+-- Existing orders get their own tracking token from the default
+alter table orders add column if not exists pickup_at      timestamptz;
+alter table orders add column if not exists tracking_token uuid unique not null default uuid_generate_v4();
+alter table orders add column if not exists cancelled_at   timestamptz;
+alter table orders add column if not exists cancel_reason  text;
+
+alter table order_items add column if not exists options jsonb not null default '[]';
+
+create table if not exists business_hours (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid references businesses(id) on delete cascade,
+  weekday      int not null check (weekday between 0 and 6),  -- 0 = Sunday
+  opens_at     time not null,
+  closes_at    time not null,
+  check (closes_at > opens_at)
+);
+
+create table if not exists business_closures (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid references businesses(id) on delete cascade,
+  closed_on    date not null,
+  note         text,            -- e.g. "Christmas Day"
+  unique (business_id, closed_on)
+);
+
+create table if not exists modifier_groups (
+  id          uuid primary key default uuid_generate_v4(),
+  product_id  uuid references products(id) on delete cascade,
+  name        text not null,
+  min_select  int not null default 0,   -- 1 or more makes the group required
+  max_select  int,                      -- null = no limit
+  sort_order  int default 0,
+  check (min_select >= 0 and (max_select is null or max_select >= greatest(min_select, 1)))
+);
+
+create table if not exists modifier_options (
+  id           uuid primary key default uuid_generate_v4(),
+  group_id     uuid references modifier_groups(id) on delete cascade,
+  name         text not null,
+  price_delta  numeric(10,2) not null default 0,  -- e.g. 0.60 for oat milk
+  sort_order   int default 0
+);
+
+alter table business_hours    enable row level security;
+alter table business_closures enable row level security;
+alter table modifier_groups   enable row level security;
+alter table modifier_options  enable row level security;
+
+drop policy if exists "owner manages hours" on business_hours;
+create policy "owner manages hours" on business_hours
+  for all using (
+    auth.uid() = (select owner_id from businesses where id = business_id)
+  );
+
+drop policy if exists "public reads hours" on business_hours;
+create policy "public reads hours" on business_hours
+  for select using (true);
+
+drop policy if exists "owner manages closures" on business_closures;
+create policy "owner manages closures" on business_closures
+  for all using (
+    auth.uid() = (select owner_id from businesses where id = business_id)
+  );
+
+drop policy if exists "public reads closures" on business_closures;
+create policy "public reads closures" on business_closures
+  for select using (true);
+
+drop policy if exists "owner manages modifier groups" on modifier_groups;
+create policy "owner manages modifier groups" on modifier_groups
+  for all using (
+    auth.uid() = (
+      select b.owner_id from products p
+      join businesses b on b.id = p.business_id
+      where p.id = product_id
+    )
+  );
+
+drop policy if exists "public reads modifier groups" on modifier_groups;
+create policy "public reads modifier groups" on modifier_groups
+  for select using (true);
+
+drop policy if exists "owner manages modifier options" on modifier_options;
+create policy "owner manages modifier options" on modifier_options
+  for all using (
+    auth.uid() = (
+      select b.owner_id from modifier_groups g
+      join products p on p.id = g.product_id
+      join businesses b on b.id = p.business_id
+      where g.id = group_id
+    )
+  );
+
+drop policy if exists "public reads modifier options" on modifier_options;
+create policy "public reads modifier options" on modifier_options
+  for select using (true);
+
+-- Is the business open at the given moment? Paused counts as closed.
+create or replace function is_open_for_orders(p_business_id uuid, p_at timestamptz default now())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select not b.ordering_paused
+     and not exists (
+       select 1 from business_closures c
+       where c.business_id = b.id
+         and c.closed_on = (p_at at time zone b.timezone)::date
+     )
+     and (
+       not exists (select 1 from business_hours h where h.business_id = b.id)
+       or exists (
+         select 1 from business_hours h
+         where h.business_id = b.id
+           and h.weekday = extract(dow from p_at at time zone b.timezone)
+           and (p_at at time zone b.timezone)::time >= h.opens_at
+           and (p_at at time zone b.timezone)::time <  h.closes_at
+       )
+     )
+  from businesses b
+  where b.id = p_business_id;
+$$;
+
+grant execute on function is_open_for_orders(uuid, timestamptz) to anon, authenticated;
+
+-- Replace a business's weekly hours and closures in one go (used by
+-- the admin settings). Runs with the caller's rights, so RLS applies.
+create or replace function set_business_hours(
+  p_business_id uuid,
+  p_timezone    text,
+  p_hours       jsonb,   -- [{ "weekday": 1, "opens_at": "07:00", "closes_at": "15:00" }]
+  p_closures    jsonb    -- [{ "closed_on": "2025-12-25", "note": "Christmas Day" }]
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from pg_timezone_names where name = p_timezone) then
+    raise exception 'Unknown time zone: %', p_timezone;
+  end if;
+
+  update businesses set timezone = p_timezone where id = p_business_id;
+
+  delete from business_hours where business_id = p_business_id;
+  insert into business_hours (business_id, weekday, opens_at, closes_at)
+  select p_business_id, x.weekday, x.opens_at, x.closes_at
+  from jsonb_to_recordset(coalesce(p_hours, '[]')) as x(weekday int, opens_at time, closes_at time);
+
+  delete from business_closures where business_id = p_business_id;
+  insert into business_closures (business_id, closed_on, note)
+  select p_business_id, x.closed_on, nullif(trim(x.note), '')
+  from jsonb_to_recordset(coalesce(p_closures, '[]')) as x(closed_on date, note text);
+end;
+$$;
+
+grant execute on function set_business_hours(uuid, text, jsonb, jsonb) to authenticated;
+
+-- Today's pickup slots, cut from the opening hours into slot_minutes
+-- chunks.
+create or replace function get_pickup_slots(p_business_id uuid)
+returns table (slot_start timestamptz, order_count int, item_count int, is_full boolean)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with b as (
+    select *, (now() at time zone timezone)::date as today
+    from businesses
+    where id = p_business_id
+  ),
+  ranges as (
+    select (b.today + h.opens_at) at time zone b.timezone as opens,
+           (b.today + h.closes_at) at time zone b.timezone as closes
+    from b
+    join business_hours h on h.business_id = b.id
+    where h.weekday = extract(dow from b.today)
+    union all
+    select b.today::timestamp at time zone b.timezone,
+           (b.today + 1)::timestamp at time zone b.timezone
+    from b
+    where not exists (select 1 from business_hours h where h.business_id = b.id)
+  ),
+  slots as (
+    select distinct gs as slot_start
+    from b
+    cross join ranges r
+    cross join generate_series(
+      r.opens,
+      r.closes - make_interval(mins => b.slot_minutes),
+      make_interval(mins => b.slot_minutes)
+    ) as gs
+    where gs >= now() + make_interval(mins => b.slot_minutes)
+      and not exists (
+        select 1 from business_closures c
+        where c.business_id = b.id and c.closed_on = b.today
+      )
+  ),
+  usage as (
+    select s.slot_start,
+           count(distinct o.id)::int             as order_count,
+           coalesce(sum(i.quantity), 0)::int     as item_count
+    from slots s
+    left join orders o
+      on o.business_id = p_business_id
+     and o.pickup_at = s.slot_start
+     and o.status <> 'cancelled'
+    left join order_items i on i.order_id = o.id
+    group by s.slot_start
+  )
+  select u.slot_start, u.order_count, u.item_count,
+         (b.slot_max_orders is not null and u.order_count >= b.slot_max_orders)
+      or (b.slot_max_items  is not null and u.item_count  >= b.slot_max_items)
+  from usage u
+  cross join b
+  order by u.slot_start;
+$$;
+
+grant execute on function get_pickup_slots(uuid) to anon, authenticated;
+
+-- The only way customers create orders: prices come from products,
+-- and the order and its items are written in one transaction.
+create or replace function place_order(
+  p_business_id   uuid,
+  p_customer_name text,
+  p_customer_note text,
+  p_items         jsonb,  -- [{ "product_id": "…", "quantity": 2, "option_ids": ["…"] }, …]
+  p_pickup_at     timestamptz default null   -- a slot from get_pickup_slots(); null = ASAP
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line    record;
+  v_product products%rowtype;
+  v_group   record;
+  v_options jsonb;
+  v_price   numeric(10,2);
+  v_lines   jsonb := '[]';
+  v_total   numeric(10,2) := 0;
+  v_order   orders%rowtype;
+  v_biz     businesses%rowtype;
+  v_slot    record;
+  v_items   int := 0;
+  v_need    record;
+  v_left    int;
+begin
+  select * into v_biz from businesses where id = p_business_id;
+  if not found then
+    raise exception 'This shop no longer exists.';
+  end if;
+  if v_biz.ordering_paused then
+    raise exception '% isn''t taking new orders right now — please try again in a few minutes.', v_biz.name;
+  end if;
+  if not is_open_for_orders(p_business_id) then
+    raise exception '% is closed right now.', v_biz.name;
+  end if;
+  if coalesce(trim(p_customer_name), '') = '' then
+    raise exception 'Please enter your name so we know whose order it is!';
+  end if;
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty — add something first!';
+  end if;
+
+  -- Validate every line and add up the real prices
+  for v_line in
+    select x.product_id, x.quantity, coalesce(x.option_ids, '{}') as option_ids
+    from jsonb_to_recordset(p_items) as x(product_id uuid, quantity int, option_ids uuid[])
+  loop
+    if v_line.quantity is null or v_line.quantity < 1 then
+      raise exception 'Invalid quantity in your cart.';
+    end if;
+
+    select * into v_product
+    from products
+    where id = v_line.product_id and business_id = p_business_id;
+
+    if not found then
+      raise exception 'Something in your cart is no longer on the menu.';
+    end if;
+    if not v_product.available then
+      raise exception '% is no longer available.', v_product.name;
+    end if;
+    if v_product.stock = 0 then
+      raise exception '% just sold out.', v_product.name;
+    end if;
+
+    -- Every chosen option must belong to this product
+    if exists (
+      select 1 from unnest(v_line.option_ids) as chosen(id)
+      where not exists (
+        select 1 from modifier_options o
+        join modifier_groups g on g.id = o.group_id
+        where o.id = chosen.id and g.product_id = v_product.id
+      )
+    ) then
+      raise exception 'Some options for % are no longer available.', v_product.name;
+    end if;
+
+    -- …and each group's min/max rules must hold
+    for v_group in
+      select g.name, g.min_select, g.max_select,
+             (select count(*) from modifier_options o
+              where o.group_id = g.id and o.id = any(v_line.option_ids)) as picked
+      from modifier_groups g
+      where g.product_id = v_product.id
+    loop
+      if v_group.picked < v_group.min_select then
+        raise exception 'Please choose % for %.', lower(v_group.name), v_product.name;
+      end if;
+      if v_group.max_select is not null and v_group.picked > v_group.max_select then
+        raise exception 'Too many % choices for %.', lower(v_group.name), v_product.name;
+      end if;
+    end loop;
+
+    select coalesce(jsonb_agg(jsonb_build_object('group', g.name, 'name', o.name, 'price_delta', o.price_delta)
+                              order by g.sort_order, o.sort_order), '[]'),
+           coalesce(sum(o.price_delta), 0)
+    into v_options, v_price
+    from modifier_options o
+    join modifier_groups g on g.id = o.group_id
+    where o.id = any(v_line.option_ids);
+
+    v_price := v_product.price + v_price;
+    if v_price < 0 then v_price := 0; end if;
+
+    v_lines := v_lines || jsonb_build_object(
+      'product_id', v_product.id,
+      'name',       v_product.name,
+      'price',      v_price,
+      'quantity',   v_line.quantity,
+      'options',    v_options
+    );
+    v_total := v_total + v_price * v_line.quantity;
+    v_items := v_items + v_line.quantity;
+  end loop;
+
+  -- Scheduled pickup: the slot must still be offered and have room.
+  -- The lock stops two customers squeezing into the last place at once.
+  if p_pickup_at is not null then
+    perform pg_advisory_xact_lock(hashtext('pickup:' || p_business_id::text));
+
+    select * into v_slot from get_pickup_slots(p_business_id) where slot_start = p_pickup_at;
+    if not found then
+      raise exception 'That pickup time is no longer available — please pick another.';
+    end if;
+    if v_slot.is_full
+       or (v_biz.slot_max_items is not null and v_slot.item_count + v_items > v_biz.slot_max_items) then
+      raise exception 'That pickup time just filled up — please pick another.';
+    end if;
+  end if;
+
+  -- Take tracked stock. The conditional update locks each row, so two
+  -- customers can't both buy the last one.
+  for v_need in
+    select x.product_id, sum(x.quantity)::int as quantity
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, quantity int)
+    group by x.product_id
+  loop
+    update products
+    set stock = stock - v_need.quantity
+    where id = v_need.product_id and stock is not null and stock >= v_need.quantity;
+
+    if not found then
+      select stock, name into v_left, v_product.name from products where id = v_need.product_id;
+      if v_left is not null then
+        if v_left = 0 then
+          raise exception '% just sold out.', v_product.name;
+        end if;
+        raise exception 'Sorry, there are only % % left.', v_left, v_product.name;
+      end if;
+    end if;
+  end loop;
+
+  insert into orders (business_id, customer_name, customer_note, status, total, pickup_at)
+  values (p_business_id, trim(p_customer_name), nullif(trim(p_customer_note), ''), 'pending', v_total, p_pickup_at)
+  returning * into v_order;
+
+  insert into order_items (order_id, product_id, name, price, quantity, options)
+  select v_order.id, x.product_id, x.name, x.price, x.quantity, x.options
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, name text, price numeric, quantity int, options jsonb);
+
+  return json_build_object('id', v_order.id, 'tracking_token', v_order.tracking_token);
+end;
+$$;
+
+grant execute on function place_order(uuid, text, text, jsonb, timestamptz) to anon, authenticated;
+
+-- Replace a product's modifier groups and options in one go (used by
+-- the admin product editor). Runs with the caller's rights, so RLS
+-- still decides who may edit.
+create or replace function set_product_modifiers(
+  p_product_id uuid,
+  p_groups     jsonb    -- [{ "name", "min_select", "max_select", "options": [{ "name", "price_delta" }] }]
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_group    jsonb;
+  v_group_id uuid;
+  v_gi       int := 0;
+begin
+  delete from modifier_groups where product_id = p_product_id;
+
+  for v_group in select * from jsonb_array_elements(coalesce(p_groups, '[]')) loop
+    insert into modifier_groups (product_id, name, min_select, max_select, sort_order)
+    values (
+      p_product_id,
+      trim(v_group->>'name'),
+      coalesce((v_group->>'min_select')::int, 0),
+      (v_group->>'max_select')::int,
+      v_gi
+    )
+    returning id into v_group_id;
+
+    insert into modifier_options (group_id, name, price_delta, sort_order)
+    select v_group_id, trim(o.value->>'name'), coalesce((o.value->>'price_delta')::numeric, 0), o.ordinality - 1
+    from jsonb_array_elements(coalesce(v_group->'options', '[]')) with ordinality as o(value, ordinality);
+
+    v_gi := v_gi + 1;
+  end loop;
+end;
+$$;
+
+grant execute on function set_product_modifiers(uuid, jsonb) to authenticated;
+
+-- Save the admin's drag-and-drop menu order in one statement: products
+-- are numbered 0..n in the order given. Runs with the caller's rights.
+create or replace function reorder_products(p_business_id uuid, p_product_ids uuid[])
+returns void
+language sql
+set search_path = public
+as $$
+  update products p
+  set sort_order = x.position - 1
+  from unnest(p_product_ids) with ordinality as x(id, position)
+  where p.id = x.id and p.business_id = p_business_id;
+$$;
+
+grant execute on function reorder_products(uuid, uuid[]) to authenticated;
+
+-- Bulk menu import from the admin's CSV/JSON file.
+create or replace function import_menu(
+  p_business_id uuid,
+  p_products    jsonb,   -- [{ "name", "description", "price", "category", "available", "sort_order", "image_url" }]
+  p_replace     boolean default false
+)
+returns json
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_item    jsonb;
+  v_next    int;
+  v_added   int := 0;
+  v_updated int := 0;
+  v_removed int := 0;
+begin
+  if exists (
+    select 1 from jsonb_array_elements(coalesce(p_products, '[]')) x
+    where coalesce(trim(x->>'name'), '') = '' or coalesce((x->>'price')::numeric, -1) < 0
+  ) then
+    raise exception 'Every product needs a name and a price of 0 or more';
+  end if;
+
+  if (select count(*) <> count(distinct lower(trim(x->>'name')))
+      from jsonb_array_elements(coalesce(p_products, '[]')) x) then
+    raise exception 'Each product name can only appear once in the file';
+  end if;
+
+  if p_replace then
+    delete from products
+    where business_id = p_business_id
+      and lower(trim(name)) not in (
+        select lower(trim(x->>'name')) from jsonb_array_elements(coalesce(p_products, '[]')) x
+      );
+    get diagnostics v_removed = row_count;
+  end if;
+
+  select coalesce(max(sort_order) + 1, 0) into v_next
+  from products where business_id = p_business_id;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_products, '[]')) loop
+    update products set
+      name        = trim(v_item->>'name'),
+      description = nullif(trim(v_item->>'description'), ''),
+      price       = (v_item->>'price')::numeric,
+      category    = coalesce(nullif(trim(v_item->>'category'), ''), 'General'),
+      available   = coalesce((v_item->>'available')::boolean, true),
+      sort_order  = coalesce((v_item->>'sort_order')::int, sort_order),
+      image_url   = nullif(trim(v_item->>'image_url'), '')
+    where business_id = p_business_id
+      and lower(trim(name)) = lower(trim(v_item->>'name'));
+
+    if found then
+      v_updated := v_updated + 1;
+    else
+      insert into products (business_id, name, description, price, category, available, sort_order, image_url)
+      values (
+        p_business_id,
+        trim(v_item->>'name'),
+        nullif(trim(v_item->>'description'), ''),
+        (v_item->>'price')::numeric,
+        coalesce(nullif(trim(v_item->>'category'), ''), 'General'),
+        coalesce((v_item->>'available')::boolean, true),
+        coalesce((v_item->>'sort_order')::int, v_next),
+        nullif(trim(v_item->>'image_url'), '')
+      );
+      v_next := v_next + 1;
+      v_added := v_added + 1;
+    end if;
+  end loop;
+
+  return json_build_object('added', v_added, 'updated', v_updated, 'removed', v_removed);
+end;
+$$;
+
+grant execute on function import_menu(uuid, jsonb, boolean) to authenticated;
+
+-- Cancelled orders put their stock back.
+create or replace function restore_cancelled_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update products p
+  set stock = p.stock + x.quantity
+  from (
+    select product_id, sum(quantity)::int as quantity
+    from order_items
+    where order_id = new.id
+    group by product_id
+  ) x
+  where p.id = x.product_id and p.stock is not null;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_restore_stock on orders;
+create trigger orders_restore_stock
+  after update of status on orders
+  for each row
+  when (new.status = 'cancelled' and old.status is distinct from 'cancelled')
+  execute function restore_cancelled_stock();
+
+-- "Restock now" button in the admin. Runs with the caller's rights.
+create or replace function restock_products(p_business_id uuid)
+returns void
+language sql
+set search_path = public
+as $$
+  update products
+  set stock = restock_to
+  where business_id = p_business_id and restock_to is not null;
+$$;
+
+grant execute on function restock_products(uuid) to authenticated;
+
+-- Daily reset: restock every business whose local date has rolled
+-- over since its last reset. Scheduled below with pg_cron.
+create or replace function restock_due_products()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_biz record;
+begin
+  for v_biz in
+    select id, (now() at time zone timezone)::date as today
+    from businesses
+    where restocked_on is distinct from (now() at time zone timezone)::date
+  loop
+    perform restock_products(v_biz.id);
+    update businesses set restocked_on = v_biz.today where id = v_biz.id;
+  end loop;
+end;
+$$;
+
+-- Run by pg_cron only, not over the API
+revoke execute on function restock_due_products() from public, anon, authenticated;
+
+create extension if not exists pg_cron;
+select cron.schedule('restock-products', '*/10 * * * *', 'select restock_due_products()');
+
+-- The /track page looks its order up by the secret tracking token.
+create or replace function get_order_tracking(p_token uuid)
+returns json
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select json_build_object(
+    'id',            o.id,
+    'status',        o.status,
+    'customer_name', o.customer_name,
+    'customer_note', o.customer_note,
+    'total',         o.total,
+    'pickup_at',     o.pickup_at,
+    'created_at',    o.created_at,
+    'fulfilled_at',  o.fulfilled_at,
+    'cancel_reason', o.cancel_reason,
+    'business', json_build_object(
+      'name',         b.name,
+      'slug',         b.slug,
+      'logo_url',     b.logo_url,
+      'accent_color', b.accent_color,
+      'timezone',     b.timezone
+    ),
+    'items', coalesce((
+      select json_agg(json_build_object('name', i.name, 'price', i.price, 'quantity', i.quantity, 'options', i.options))
+      from order_items i where i.order_id = o.id
+    ), '[]'::json)
+  )
+  from orders o
+  join businesses b on b.id = o.business_id
+  where o.tracking_token = p_token;
+$$;
+
+grant execute on function get_order_tracking(uuid) to anon, authenticated;
+
+-- Push status changes to the tracking page over Realtime Broadcast.
+-- The topic is named after the token, so only someone holding the
+-- link can listen in.
+create or replace function broadcast_order_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform realtime.send(
+    json_build_object('status', new.status, 'fulfilled_at', new.fulfilled_at, 'cancel_reason', new.cancel_reason)::jsonb,
+    'status',
+    'order:' || new.tracking_token::text,
+    false
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_broadcast_status on orders;
+create trigger orders_broadcast_status
+  after update of status on orders
+  for each row
+  when (old.status is distinct from new.status)
+  execute function broadcast_order_status();
+
+-- Customers may cancel their own order, but only before the shop
+-- has started preparing it.
+create or replace function cancel_order_by_token(p_token uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update orders
+  set status = 'cancelled', cancelled_at = now(), cancel_reason = 'Cancelled by customer'
+  where tracking_token = p_token and status = 'pending';
+
+  if not found then
+    raise exception 'This order can no longer be cancelled — it''s already being prepared. Please contact the shop.';
+  end if;
+end;
+$$;
+
+grant execute on function cancel_order_by_token(uuid) to anon, authenticated;
+
+-- Sales figures for the owner's analytics page.
+create or replace function get_sales_analytics(
+  p_business_id uuid,
+  p_from        date,
+  p_to          date,
+  p_bucket      text default 'day'   -- 'day' | 'week' | 'month'
+)
+returns json
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_tz     text;
+  v_result json;
+begin
+  if p_bucket not in ('day', 'week', 'month') then
+    raise exception 'Unknown bucket: %', p_bucket;
+  end if;
+
+  select timezone into v_tz from businesses where id = p_business_id;
+  if v_tz is null then
+    raise exception 'Business not found.';
+  end if;
+
+  with counted as (
+    select o.*, o.created_at at time zone v_tz as local_at
+    from orders o
+    where o.business_id = p_business_id
+      and o.status <> 'cancelled'
+      and o.created_at >= p_from::timestamp at time zone v_tz
+      and o.created_at <  (p_to + 1)::timestamp at time zone v_tz
+  )
+  select json_build_object(
+    'summary', (
+      select json_build_object(
+        'revenue',            coalesce(sum(total), 0),
+        'order_count',        count(*),
+        'avg_order_value',    coalesce(round(avg(total), 2), 0),
+        'avg_fulfil_minutes', round((extract(epoch from avg(fulfilled_at - created_at)) / 60)::numeric, 1)
+      )
+      from counted
+    ),
+    'series', coalesce((
+      -- One row per period, including empty ones, so charts have no gaps
+      select json_agg(json_build_object(
+               'period', p.period, 'revenue', coalesce(x.revenue, 0), 'order_count', coalesce(x.order_count, 0)
+             ) order by p.period)
+      from (
+        select gs::date as period
+        from generate_series(date_trunc(p_bucket, p_from::timestamp), p_to::timestamp, ('1 ' || p_bucket)::interval) as gs
+      ) p
+      left join (
+        select date_trunc(p_bucket, local_at)::date as period, sum(total) as revenue, count(*) as order_count
+        from counted
+        group by 1
+      ) x on x.period = p.period
+    ), '[]'),
+    'top_products', coalesce((
+      select json_agg(json_build_object('name', name, 'quantity', quantity, 'revenue', revenue) order by quantity desc, revenue desc)
+      from (
+        select i.name, sum(i.quantity) as quantity, sum(i.price * i.quantity) as revenue
+        from counted c
+        join order_items i on i.order_id = c.id
+        group by i.name
+        order by quantity desc, revenue desc
+        limit 10
+      ) x
+    ), '[]'),
+    'hours', coalesce((
+      select json_agg(json_build_object('hour', hour, 'order_count', order_count, 'revenue', revenue) order by hour)
+      from (
+        select extract(hour from local_at)::int as hour, count(*) as order_count, sum(total) as revenue
+        from counted
+        group by 1
+      ) x
+    ), '[]')
+  ) into v_result;
+
+  return v_result;
+end;
+$$;
+
+grant execute on function get_sales_analytics(uuid, date, date, text) to authenticated;
@@ -0,0 +1,368 @@
+-- migrations/001_menu_categories.sql
+-- Upgrade for projects set up before menu categories had their own
+-- table. New projects don't need this — supabase_schema.sql already
+-- includes it. Safe to run more than once.
+--
+-- Each business's free-text products.category values become rows in
+-- categories ("Drinks" and "drinks " merge into one), products are
+-- linked to them and the old text column is dropped.
+--
+-- Also swaps reorder_products() for reorder_menu(), and updates
+-- import_menu() and place_order() to use category_id.
+
+create table if not exists categories (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid references businesses(id) on delete cascade,
+  name         text not null,
+  description  text,
+  sort_order   int default 0,
+  visible      boolean not null default true,
+  created_at   timestamptz default now()
+);
+
+create unique index if not exists categories_business_name on categories (business_id, lower(trim(name)));
+
+alter table categories enable row level security;
+
+drop policy if exists "owner manages categories" on categories;
+create policy "owner manages categories" on categories
+  for all using (
+    auth.uid() = (select owner_id from businesses where id = business_id)
+  );
+
+drop policy if exists "public reads visible categories" on categories;
+create policy "public reads visible categories" on categories
+  for select using (visible = true);
+
+alter table products add column if not exists category_id uuid references categories(id) on delete set null;
+
+do $$
+begin
+  if exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'products' and column_name = 'category'
+  ) then
+    -- One category per name, spelled the way most products spell it,
+    -- in the order the categories first appear on the menu
+    insert into categories (business_id, name, sort_order)
+    select business_id, name, (row_number() over (partition by business_id order by first_seen, name))::int - 1
+    from (
+      select business_id,
+             mode() within group (order by trim(category)) as name,
+             min(sort_order) as first_seen
+      from products
+      where coalesce(trim(category), '') <> ''
+      group by business_id, lower(trim(category))
+    ) x
+    on conflict (business_id, lower(trim(name))) do nothing;
+
+    update products p
+    set category_id = c.id
+    from categories c
+    where c.business_id = p.business_id
+      and lower(trim(c.name)) = lower(trim(p.category));
+
+    alter table products drop column category;
+  end if;
+end $$;
+
+drop policy if exists "public reads available products" on products;
+create policy "public reads available products" on products
+  for select using (
+    available = true
+    and (category_id is null or exists (select 1 from categories c where c.id = category_id and c.visible))
+  );
+
+-- Products in a hidden category can't be ordered either
+create or replace function place_order(
+  p_business_id   uuid,
+  p_customer_name text,
+  p_customer_note text,
+  p_items         jsonb,  -- [{ "product_id": "…", "quantity": 2, "option_ids": ["…"] }, …]
+  p_pickup_at     timestamptz default null   -- a slot from get_pickup_slots(); null = ASAP
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line    record;
+  v_product products%rowtype;
+  v_group   record;
+  v_options jsonb;
+  v_price   numeric(10,2);
+  v_lines   jsonb := '[]';
+  v_total   numeric(10,2) := 0;
+  v_order   orders%rowtype;
+  v_biz     businesses%rowtype;
+  v_slot    record;
+  v_items   int := 0;
+  v_need    record;
+  v_left    int;
+begin
+  select * into v_biz from businesses where id = p_business_id;
+  if not found then
+    raise exception 'This shop no longer exists.';
+  end if;
+  if v_biz.ordering_paused then
+    raise exception '% isn''t taking new orders right now — please try again in a few minutes.', v_biz.name;
+  end if;
+  if not is_open_for_orders(p_business_id) then
+    raise exception '% is closed right now.', v_biz.name;
+  end if;
+  if coalesce(trim(p_customer_name), '') = '' then
+    raise exception 'Please enter your name so we know whose order it is!';
+  end if;
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty — add something first!';
+  end if;
+
+  -- Validate every line and add up the real prices
+  for v_line in
+    select x.product_id, x.quantity, coalesce(x.option_ids, '{}') as option_ids
+    from jsonb_to_recordset(p_items) as x(product_id uuid, quantity int, option_ids uuid[])
+  loop
+    if v_line.quantity is null or v_line.quantity < 1 then
+      raise exception 'Invalid quantity in your cart.';
+    end if;
+
+    select * into v_product
+    from products
+    where id = v_line.product_id and business_id = p_business_id;
+
+    if not found then
+      raise exception 'Something in your cart is no longer on the menu.';
+    end if;
+    if not v_product.available
+       or exists (select 1 from categories c where c.id = v_product.category_id and not c.visible) then
+      raise exception '% is no longer available.', v_product.name;
+    end if;
+    if v_product.stock = 0 then
+      raise exception '% just sold out.', v_product.name;
+    end if;
+
+    -- Every chosen option must belong to this product
+    if exists (
+      select 1 from unnest(v_line.option_ids) as chosen(id)
+      where not exists (
+        select 1 from modifier_options o
+        join modifier_groups g on g.id = o.group_id
+        where o.id = chosen.id and g.product_id = v_product.id
+      )
+    ) then
+      raise exception 'Some options for % are no longer available.', v_product.name;
+    end if;
+
+    -- …and each group's min/max rules must hold
+    for v_group in
+      select g.name, g.min_select, g.max_select,
+             (select count(*) from modifier_options o
+              where o.group_id = g.id and o.id = any(v_line.option_ids)) as picked
+      from modifier_groups g
+      where g.product_id = v_product.id
+    loop
+      if v_group.picked < v_group.min_select then
+        raise exception 'Please choose % for %.', lower(v_group.name), v_product.name;
+      end if;
+      if v_group.max_select is not null and v_group.picked > v_group.max_select then
+        raise exception 'Too many % choices for %.', lower(v_group.name), v_product.name;
+      end if;
+    end loop;
+
+    select coalesce(jsonb_agg(jsonb_build_object('group', g.name, 'name', o.name, 'price_delta', o.price_delta)
+                              order by g.sort_order, o.sort_order), '[]'),
+           coalesce(sum(o.price_delta), 0)
+    into v_options, v_price
+    from modifier_options o
+    join modifier_groups g on g.id = o.group_id
+    where o.id = any(v_line.option_ids);
+
+    v_price := v_product.price + v_price;
+    if v_price < 0 then v_price := 0; end if;
+
+    v_lines := v_lines || jsonb_build_object(
+      'product_id', v_product.id,
+      'name',       v_product.name,
+      'price',      v_price,
+      'quantity',   v_line.quantity,
+      'options',    v_options
+    );
+    v_total := v_total + v_price * v_line.quantity;
+    v_items := v_items + v_line.quantity;
+  end loop;
+
+  -- Scheduled pickup: the slot must still be offered and have room.
+  -- The lock stops two customers squeezing into the last place at once.
+  if p_pickup_at is not null then
+    perform pg_advisory_xact_lock(hashtext('pickup:' || p_business_id::text));
+
+    select * into v_slot from get_pickup_slots(p_business_id) where slot_start = p_pickup_at;
+    if not found then
+      raise exception 'That pickup time is no longer available — please pick another.';
+    end if;
+    if v_slot.is_full
+       or (v_biz.slot_max_items is not null and v_slot.item_count + v_items > v_biz.slot_max_items) then
+      raise exception 'That pickup time just filled up — please pick another.';
+    end if;
+  end if;
+
+  -- Take tracked stock. The conditional update locks each row, so two
+  -- customers can't both buy the last one.
+  for v_need in
+    select x.product_id, sum(x.quantity)::int as quantity
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, quantity int)
+    group by x.product_id
+  loop
+    update products
+    set stock = stock - v_need.quantity
+    where id = v_need.product_id and stock is not null and stock >= v_need.quantity;
+
+    if not found then
+      select stock, name into v_left, v_product.name from products where id = v_need.product_id;
+      if v_left is not null then
+        if v_left = 0 then
+          raise exception '% just sold out.', v_product.name;
+        end if;
+        raise exception 'Sorry, there are only % % left.', v_left, v_product.name;
+      end if;
+    end if;
+  end loop;
+
+  insert into orders (business_id, customer_name, customer_note, status, total, pickup_at)
+  values (p_business_id, trim(p_customer_name), nullif(trim(p_customer_note), ''), 'pending', v_total, p_pickup_at)
+  returning * into v_order;
+
+  insert into order_items (order_id, product_id, name, price, quantity, options)
+  select v_order.id, x.product_id, x.name, x.price, x.quantity, x.options
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, name text, price numeric, quantity int, options jsonb);
+
+  return json_build_object('id', v_order.id, 'tracking_token', v_order.tracking_token);
+end;
+$$;
+
+grant execute on function place_order(uuid, text, text, jsonb, timestamptz) to anon, authenticated;
+
+-- The admin's drag-and-drop now orders categories as well as products
+drop function if exists reorder_products(uuid, uuid[]);
+
+create or replace function reorder_menu(p_business_id uuid, p_category_ids uuid[], p_product_ids uuid[])
+returns void
+language sql
+set search_path = public
+as $$
+  update categories c
+  set sort_order = x.position - 1
+  from unnest(p_category_ids) with ordinality as x(id, position)
+  where c.id = x.id and c.business_id = p_business_id;
+
+  update products p
+  set sort_order = x.position - 1
+  from unnest(p_product_ids) with ordinality as x(id, position)
+  where p.id = x.id and p.business_id = p_business_id;
+$$;
+
+grant execute on function reorder_menu(uuid, uuid[], uuid[]) to authenticated;
+
+-- Menu import matches categories by name, creating missing ones
+create or replace function import_menu(
+  p_business_id uuid,
+  p_products    jsonb,   -- [{ "name", "description", "price", "category", "available", "sort_order", "image_url" }]
+  p_replace     boolean default false
+)
+returns json
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_item     jsonb;
+  v_category uuid;
+  v_next     int;
+  v_next_cat int;
+  v_added    int := 0;
+  v_updated  int := 0;
+  v_removed  int := 0;
+begin
+  if exists (
+    select 1 from jsonb_array_elements(coalesce(p_products, '[]')) x
+    where coalesce(trim(x->>'name'), '') = '' or coalesce((x->>'price')::numeric, -1) < 0
+  ) then
+    raise exception 'Every product needs a name and a price of 0 or more';
+  end if;
+
+  if (select count(*) <> count(distinct lower(trim(x->>'name')))
+      from jsonb_array_elements(coalesce(p_products, '[]')) x) then
+    raise exception 'Each product name can only appear once in the file';
+  end if;
+
+  if p_replace then
+    delete from products
+    where business_id = p_business_id
+      and lower(trim(name)) not in (
+        select lower(trim(x->>'name')) from jsonb_array_elements(coalesce(p_products, '[]')) x
+      );
+    get diagnostics v_removed = row_count;
+  end if;
+
+  select coalesce(max(sort_order) + 1, 0) into v_next
+  from products where business_id = p_business_id;
+  select coalesce(max(sort_order) + 1, 0) into v_next_cat
+  from categories where business_id = p_business_id;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_products, '[]')) loop
+    -- Blank category = uncategorised
+    v_category := null;
+    if coalesce(trim(v_item->>'category'), '') <> '' then
+      select id into v_category
+      from categories
+      where business_id = p_business_id and lower(trim(name)) = lower(trim(v_item->>'category'));
+
+      if v_category is null then
+        insert into categories (business_id, name, sort_order)
+        values (p_business_id, trim(v_item->>'category'), v_next_cat)
+        returning id into v_category;
+        v_next_cat := v_next_cat + 1;
+      end if;
+    end if;
+
+    update products set
+      name        = trim(v_item->>'name'),
+      description = nullif(trim(v_item->>'description'), ''),
+      price       = (v_item->>'price')::numeric,
+      category_id = v_category,
+      available   = coalesce((v_item->>'available')::boolean, true),
+      sort_order  = coalesce((v_item->>'sort_order')::int, sort_order),
+      image_url   = nullif(trim(v_item->>'image_url'), '')
+    where business_id = p_business_id
+      and lower(trim(name)) = lower(trim(v_item->>'name'));
+
+    if found then
+      v_updated := v_updated + 1;
+    else
+      insert into products (business_id, name, description, price, category_id, available, sort_order, image_url)
+      values (
+        p_business_id,
+        trim(v_item->>'name'),
+        nullif(trim(v_item->>'description'), ''),
+        (v_item->>'price')::numeric,
+        v_category,
+        coalesce((v_item->>'available')::boolean, true),
+        coalesce((v_item->>'sort_order')::int, v_next),
+        nullif(trim(v_item->>'image_url'), '')
+      );
+      v_next := v_next + 1;
+      v_added := v_added + 1;
+    end if;
+  end loop;
+
+  if p_replace then
+    delete from categories c
+    where c.business_id = p_business_id
+      and not exists (select 1 from products p where p.category_id = c.id);
+  end if;
+
+  return json_build_object('added', v_added, 'updated', v_updated, 'removed', v_removed);
+end;
+$$;
+
+grant execute on function import_menu(uuid, jsonb, boolean) to authenticated;
@@ -0,0 +1,344 @@
+-- migrations/002_team_members.sql
+-- Upgrade for projects set up before staff accounts. New projects
+-- don't need this — supabase_schema.sql already includes it. Safe to
+-- run more than once.
+--
+-- Adds business_members, makes every existing business owner an
+-- "owner" member, and swaps the owner_id-based policies for
+-- membership checks.
+--
+-- Also limits the analytics to owners and managers.
+
+create table if not exists business_members (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid not null references businesses(id) on delete cascade,
+  user_id      uuid references auth.users(id) on delete cascade,  -- null until the invite is accepted
+  email        text not null,
+  role         text not null default 'staff' check (role in ('owner', 'manager', 'staff')),
+  invited_by   uuid references auth.users(id) on delete set null,
+  created_at   timestamptz default now(),
+  joined_at    timestamptz
+);
+
+create unique index if not exists business_members_email on business_members (business_id, lower(email));
+
+-- Does the signed-in user hold one of these roles in the business?
+-- Security definer so policies can call it without tripping over the
+-- business_members policies themselves.
+create or replace function has_business_role(
+  p_business_id uuid,
+  p_roles       text[] default array['owner', 'manager', 'staff']
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from business_members
+    where business_id = p_business_id and user_id = auth.uid() and role = any(p_roles)
+  );
+$$;
+
+grant execute on function has_business_role(uuid, text[]) to authenticated;
+
+-- Existing owners become owner members
+insert into business_members (business_id, user_id, email, role, joined_at)
+select b.id, b.owner_id, u.email, 'owner', b.created_at
+from businesses b
+join auth.users u on u.id = b.owner_id
+on conflict (business_id, lower(email)) do nothing;
+
+alter table business_members enable row level security;
+
+-- Old owner-only policies
+drop policy if exists "owner full access" on businesses;
+drop policy if exists "owner manages hours" on business_hours;
+drop policy if exists "owner manages closures" on business_closures;
+drop policy if exists "owner manages categories" on categories;
+drop policy if exists "owner manages products" on products;
+drop policy if exists "owner manages modifier groups" on modifier_groups;
+drop policy if exists "owner manages modifier options" on modifier_options;
+drop policy if exists "owner reads own orders" on orders;
+drop policy if exists "owner updates own orders" on orders;
+drop policy if exists "owner reads items" on order_items;
+drop policy if exists "owner manages push" on push_subscriptions;
+drop policy if exists "owner image upload" on storage.objects;
+drop policy if exists "owner image delete" on storage.objects;
+
+-- Businesses: anyone signed in can start one; owners change or delete it
+drop policy if exists "owner creates business" on businesses;
+create policy "owner creates business" on businesses
+  for insert with check (auth.uid() = owner_id);
+
+drop policy if exists "owners update business" on businesses;
+create policy "owners update business" on businesses
+  for update using (has_business_role(id, array['owner']));
+
+drop policy if exists "owners delete business" on businesses;
+create policy "owners delete business" on businesses
+  for delete using (has_business_role(id, array['owner']));
+
+-- Hours & closures: owners manage
+drop policy if exists "owners manage hours" on business_hours;
+create policy "owners manage hours" on business_hours
+  for all using (has_business_role(business_id, array['owner']));
+
+drop policy if exists "owners manage closures" on business_closures;
+create policy "owners manage closures" on business_closures
+  for all using (has_business_role(business_id, array['owner']));
+
+-- Categories: owners and managers manage
+drop policy if exists "menu editors manage categories" on categories;
+create policy "menu editors manage categories" on categories
+  for all using (has_business_role(business_id, array['owner', 'manager']));
+
+-- Products: owners and managers manage
+drop policy if exists "menu editors manage products" on products;
+create policy "menu editors manage products" on products
+  for all using (has_business_role(business_id, array['owner', 'manager']));
+
+-- Modifiers: owners and managers manage
+drop policy if exists "menu editors manage modifier groups" on modifier_groups;
+create policy "menu editors manage modifier groups" on modifier_groups
+  for all using (
+    has_business_role((select business_id from products where id = product_id), array['owner', 'manager'])
+  );
+
+drop policy if exists "menu editors manage modifier options" on modifier_options;
+create policy "menu editors manage modifier options" on modifier_options
+  for all using (
+    has_business_role((
+      select p.business_id from modifier_groups g
+      join products p on p.id = g.product_id
+      where g.id = group_id
+    ), array['owner', 'manager'])
+  );
+
+-- Orders: every team member reads and works them
+drop policy if exists "team reads orders" on orders;
+create policy "team reads orders" on orders
+  for select using (has_business_role(business_id));
+
+drop policy if exists "team updates orders" on orders;
+create policy "team updates orders" on orders
+  for update using (has_business_role(business_id))
+  with check (has_business_role(business_id));
+
+-- Working an order only moves its status along or cancels it. Totals,
+-- tips, promo codes and payment state are set by place_order() and the
+-- payment edge functions, never by the team's browsers.
+revoke update on orders from anon, authenticated;
+grant update (status, fulfilled_at, cancelled_at, cancel_reason) on orders to authenticated;
+
+-- Order items: team reads
+drop policy if exists "team reads items" on order_items;
+create policy "team reads items" on order_items
+  for select using (
+    has_business_role((select business_id from orders where id = order_id))
+  );
+
+-- Push subscriptions: any team member's device can get order alerts
+drop policy if exists "team manages push" on push_subscriptions;
+create policy "team manages push" on push_subscriptions
+  for all using (has_business_role(business_id));
+
+-- Team: owners manage the whole team; everyone can see their own rows
+drop policy if exists "owners manage team" on business_members;
+create policy "owners manage team" on business_members
+  for all using (has_business_role(business_id, array['owner']));
+
+drop policy if exists "members read own membership" on business_members;
+create policy "members read own membership" on business_members
+  for select using (user_id = auth.uid());
+
+-- Only owners and managers can upload, into their business's folder
+drop policy if exists "menu editors upload images" on storage.objects;
+create policy "menu editors upload images" on storage.objects
+  for insert with check (
+    bucket_id = 'product-images'
+    and has_business_role(((storage.foldername(name))[1])::uuid, array['owner', 'manager'])
+  );
+
+drop policy if exists "menu editors delete images" on storage.objects;
+create policy "menu editors delete images" on storage.objects
+  for delete using (
+    bucket_id = 'product-images'
+    and has_business_role(((storage.foldername(name))[1])::uuid, array['owner', 'manager'])
+  );
+
+-- Whoever creates a business becomes its first owner.
+create or replace function add_business_owner()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into business_members (business_id, user_id, email, role, joined_at)
+  select new.id, new.owner_id, u.email, 'owner', now()
+  from auth.users u
+  where u.id = new.owner_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists businesses_add_owner on businesses;
+create trigger businesses_add_owner
+  after insert on businesses
+  for each row execute function add_business_owner();
+
+-- Never let a business lose its last owner (unless the business itself
+-- is being deleted).
+create or replace function keep_business_owner()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if old.role = 'owner' and old.user_id is not null
+     and (tg_op = 'DELETE' or new.role <> 'owner')
+     and exists (select 1 from businesses where id = old.business_id)
+     and not exists (
+       select 1 from business_members
+       where business_id = old.business_id and role = 'owner' and user_id is not null and id <> old.id
+     ) then
+    raise exception 'A business needs at least one owner.';
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+drop trigger if exists business_members_keep_owner on business_members;
+create trigger business_members_keep_owner
+  before update or delete on business_members
+  for each row execute function keep_business_owner();
+
+-- Called after sign-in: link any invites sent to this user's email.
+create or replace function claim_invitations()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_claimed int;
+begin
+  update business_members
+  set user_id = auth.uid(), joined_at = now()
+  where user_id is null
+    and lower(email) = (select lower(email) from auth.users where id = auth.uid());
+  get diagnostics v_claimed = row_count;
+  return v_claimed;
+end;
+$$;
+
+grant execute on function claim_invitations() to authenticated;
+
+-- The dashboard's pause switch. Any team member may flip it, even
+-- though only owners can edit the rest of the business row.
+create or replace function set_ordering_paused(p_business_id uuid, p_paused boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_business_role(p_business_id) then
+    raise exception 'You don''t have access to this business.';
+  end if;
+  update businesses set ordering_paused = p_paused where id = p_business_id;
+end;
+$$;
+
+grant execute on function set_ordering_paused(uuid, boolean) to authenticated;
+
+-- Analytics are for owners and managers only
+create or replace function get_sales_analytics(
+  p_business_id uuid,
+  p_from        date,
+  p_to          date,
+  p_bucket      text default 'day'   -- 'day' | 'week' | 'month'
+)
+returns json
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_tz     text;
+  v_result json;
+begin
+  if p_bucket not in ('day', 'week', 'month') then
+    raise exception 'Unknown bucket: %', p_bucket;
+  end if;
+
+  if not has_business_role(p_business_id, array['owner', 'manager']) then
+    raise exception 'Only owners and managers can see analytics.';
+  end if;
+
+  select timezone into v_tz from businesses where id = p_business_id;
+  if v_tz is null then
+    raise exception 'Business not found.';
+  end if;
+
+  with counted as (
+    select o.*, o.created_at at time zone v_tz as local_at
+    from orders o
+    where o.business_id = p_business_id
+      and o.status <> 'cancelled'
+      and o.created_at >= p_from::timestamp at time zone v_tz
+      and o.created_at <  (p_to + 1)::timestamp at time zone v_tz
+  )
+  select json_build_object(
+    'summary', (
+      select json_build_object(
+        'revenue',            coalesce(sum(total), 0),
+        'order_count',        count(*),
+        'avg_order_value',    coalesce(round(avg(total), 2), 0),
+        'avg_fulfil_minutes', round((extract(epoch from avg(fulfilled_at - created_at)) / 60)::numeric, 1)
+      )
+      from counted
+    ),
+    'series', coalesce((
+      -- One row per period, including empty ones, so charts have no gaps
+      select json_agg(json_build_object(
+               'period', p.period, 'revenue', coalesce(x.revenue, 0), 'order_count', coalesce(x.order_count, 0)
+             ) order by p.period)
+      from (
+        select gs::date as period
+        from generate_series(date_trunc(p_bucket, p_from::timestamp), p_to::timestamp, ('1 ' || p_bucket)::interval) as gs
+      ) p
+      left join (
+        select date_trunc(p_bucket, local_at)::date as period, sum(total) as revenue, count(*) as order_count
+        from counted
+        group by 1
+      ) x on x.period = p.period
+    ), '[]'),
+    'top_products', coalesce((
+      select json_agg(json_build_object('name', name, 'quantity', quantity, 'revenue', revenue) order by quantity desc, revenue desc)
+      from (
+        select i.name, sum(i.quantity) as quantity, sum(i.price * i.quantity) as revenue
+        from counted c
+        join order_items i on i.order_id = c.id
+        group by i.name
+        order by quantity desc, revenue desc
+        limit 10
+      ) x
+    ), '[]'),
+    'hours', coalesce((
+      select json_agg(json_build_object('hour', hour, 'order_count', order_count, 'revenue', revenue) order by hour)
+      from (
+        select extract(hour from local_at)::int as hour, count(*) as order_count, sum(total) as revenue
+        from counted
+        group by 1
+      ) x
+    ), '[]')
+  ) into v_result;
+
+  return v_result;
+end;
+$$;
+
+grant execute on function get_sales_analytics(uuid, date, date, text) to authenticated;
@@ -0,0 +1,108 @@
+-- migrations/003_multiple_locations.sql
+-- Upgrade for projects set up before multi-location support. New
+-- projects don't need this — supabase_schema.sql already includes it.
+-- Safe to run more than once.
+--
+-- Lets one device get push alerts for several locations (a row per
+-- location instead of one per device) and adds copy_menu() for the
+-- admin's "Copy menu from another location".
+
+alter table push_subscriptions drop constraint if exists push_subscriptions_endpoint_key;
+
+do $$
+begin
+  if not exists (
+    select 1 from pg_constraint where conname = 'push_subscriptions_business_id_endpoint_key'
+  ) then
+    alter table push_subscriptions
+      add constraint push_subscriptions_business_id_endpoint_key unique (business_id, endpoint);
+  end if;
+end;
+$$;
+
+-- Copy a location's categories, products and modifiers into another.
+create or replace function copy_menu(p_from_business_id uuid, p_to_business_id uuid)
+returns json
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_cat      record;
+  v_product  record;
+  v_group    record;
+  v_cat_ids  jsonb := '{}';
+  v_target   uuid;
+  v_group_id uuid;
+  v_next     int;
+  v_next_cat int;
+  v_copied   int := 0;
+  v_skipped  int := 0;
+begin
+  if p_from_business_id = p_to_business_id then
+    raise exception 'Pick a different location to copy from.';
+  end if;
+  if not has_business_role(p_from_business_id, array['owner','manager'])
+     or not has_business_role(p_to_business_id, array['owner','manager']) then
+    raise exception 'You can only copy between locations whose menu you manage.';
+  end if;
+
+  select coalesce(max(sort_order) + 1, 0) into v_next
+  from products where business_id = p_to_business_id;
+  select coalesce(max(sort_order) + 1, 0) into v_next_cat
+  from categories where business_id = p_to_business_id;
+
+  for v_cat in
+    select * from categories where business_id = p_from_business_id order by sort_order, created_at
+  loop
+    select id into v_target
+    from categories
+    where business_id = p_to_business_id and lower(trim(name)) = lower(trim(v_cat.name));
+
+    if v_target is null then
+      insert into categories (business_id, name, description, visible, sort_order)
+      values (p_to_business_id, v_cat.name, v_cat.description, v_cat.visible, v_next_cat)
+      returning id into v_target;
+      v_next_cat := v_next_cat + 1;
+    end if;
+    v_cat_ids := v_cat_ids || jsonb_build_object(v_cat.id::text, v_target);
+  end loop;
+
+  for v_product in
+    select * from products where business_id = p_from_business_id order by sort_order, created_at
+  loop
+    if exists (
+      select 1 from products
+      where business_id = p_to_business_id and lower(trim(name)) = lower(trim(v_product.name))
+    ) then
+      v_skipped := v_skipped + 1;
+      continue;
+    end if;
+
+    insert into products (business_id, name, description, price, image_url, category_id, available, sort_order, stock, restock_to)
+    values (
+      p_to_business_id, v_product.name, v_product.description, v_product.price, v_product.image_url,
+      (v_cat_ids->>(v_product.category_id::text))::uuid, v_product.available, v_next,
+      v_product.restock_to, v_product.restock_to
+    )
+    returning id into v_target;
+    v_next := v_next + 1;
+    v_copied := v_copied + 1;
+
+    for v_group in
+      select * from modifier_groups where product_id = v_product.id order by sort_order
+    loop
+      insert into modifier_groups (product_id, name, min_select, max_select, sort_order)
+      values (v_target, v_group.name, v_group.min_select, v_group.max_select, v_group.sort_order)
+      returning id into v_group_id;
+
+      insert into modifier_options (group_id, name, price_delta, sort_order)
+      select v_group_id, name, price_delta, sort_order
+      from modifier_options where group_id = v_group.id;
+    end loop;
+  end loop;
+
+  return json_build_object('copied', v_copied, 'skipped', v_skipped);
+end;
+$$;
+
+grant execute on function copy_menu(uuid, uuid) to authenticated;
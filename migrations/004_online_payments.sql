@@ -0,0 +1,420 @@
+-- migrations/004_online_payments.sql
+-- Upgrade for projects set up before online payments. New projects
+-- don't need this — supabase_schema.sql already includes it.
+-- Safe to run more than once.
+--
+-- Adds the business's payment mode and the orders' payment columns,
+-- lets place_order() create orders that wait at the provider's
+-- checkout, and expires checkouts that are never finished.
+
+alter table businesses add column if not exists payment_mode text not null default 'off';
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'businesses_payment_mode_check') then
+    alter table businesses
+      add constraint businesses_payment_mode_check check (payment_mode in ('off', 'optional', 'required'));
+  end if;
+end;
+$$;
+
+alter table orders add column if not exists payment_status     text not null default 'unpaid';
+alter table orders add column if not exists payment_provider   text;
+alter table orders add column if not exists payment_session_id text;
+alter table orders add column if not exists payment_ref        text;
+alter table orders add column if not exists paid_at            timestamptz;
+alter table orders add column if not exists refunded_at        timestamptz;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'orders_payment_status_check') then
+    alter table orders
+      add constraint orders_payment_status_check check (payment_status in ('unpaid', 'awaiting', 'paid', 'refunded'));
+  end if;
+end;
+$$;
+
+create index if not exists orders_payment_session on orders (payment_session_id) where payment_session_id is not null;
+
+-- place_order() gains p_pay_online; drop the old signature so the two
+-- don't clash.
+drop function if exists place_order(uuid, text, text, jsonb, timestamptz);
+
+create or replace function place_order(
+  p_business_id   uuid,
+  p_customer_name text,
+  p_customer_note text,
+  p_items         jsonb,  -- [{ "product_id": "…", "quantity": 2, "option_ids": ["…"] }, …]
+  p_pickup_at     timestamptz default null,  -- a slot from get_pickup_slots(); null = ASAP
+  p_pay_online    boolean default false      -- pay at the provider's checkout before the shop sees it
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line    record;
+  v_product products%rowtype;
+  v_group   record;
+  v_options jsonb;
+  v_price   numeric(10,2);
+  v_lines   jsonb := '[]';
+  v_total   numeric(10,2) := 0;
+  v_order   orders%rowtype;
+  v_biz     businesses%rowtype;
+  v_slot    record;
+  v_items   int := 0;
+  v_need    record;
+  v_left    int;
+begin
+  select * into v_biz from businesses where id = p_business_id;
+  if not found then
+    raise exception 'This shop no longer exists.';
+  end if;
+  if v_biz.ordering_paused then
+    raise exception '% isn''t taking new orders right now — please try again in a few minutes.', v_biz.name;
+  end if;
+  if not is_open_for_orders(p_business_id) then
+    raise exception '% is closed right now.', v_biz.name;
+  end if;
+  if coalesce(trim(p_customer_name), '') = '' then
+    raise exception 'Please enter your name so we know whose order it is!';
+  end if;
+  if p_pay_online and v_biz.payment_mode = 'off' then
+    raise exception '% doesn''t take online payments.', v_biz.name;
+  end if;
+  if not p_pay_online and v_biz.payment_mode = 'required' then
+    raise exception '% asks you to pay online when you order.', v_biz.name;
+  end if;
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty — add something first!';
+  end if;
+
+  -- Validate every line and add up the real prices
+  for v_line in
+    select x.product_id, x.quantity, coalesce(x.option_ids, '{}') as option_ids
+    from jsonb_to_recordset(p_items) as x(product_id uuid, quantity int, option_ids uuid[])
+  loop
+    if v_line.quantity is null or v_line.quantity < 1 then
+      raise exception 'Invalid quantity in your cart.';
+    end if;
+
+    select * into v_product
+    from products
+    where id = v_line.product_id and business_id = p_business_id;
+
+    if not found then
+      raise exception 'Something in your cart is no longer on the menu.';
+    end if;
+    if not v_product.available
+       or exists (select 1 from categories c where c.id = v_product.category_id and not c.visible) then
+      raise exception '% is no longer available.', v_product.name;
+    end if;
+    if v_product.stock = 0 then
+      raise exception '% just sold out.', v_product.name;
+    end if;
+
+    -- Every chosen option must belong to this product
+    if exists (
+      select 1 from unnest(v_line.option_ids) as chosen(id)
+      where not exists (
+        select 1 from modifier_options o
+        join modifier_groups g on g.id = o.group_id
+        where o.id = chosen.id and g.product_id = v_product.id
+      )
+    ) then
+      raise exception 'Some options for % are no longer available.', v_product.name;
+    end if;
+
+    -- …and each group's min/max rules must hold
+    for v_group in
+      select g.name, g.min_select, g.max_select,
+             (select count(*) from modifier_options o
+              where o.group_id = g.id and o.id = any(v_line.option_ids)) as picked
+      from modifier_groups g
+      where g.product_id = v_product.id
+    loop
+      if v_group.picked < v_group.min_select then
+        raise exception 'Please choose % for %.', lower(v_group.name), v_product.name;
+      end if;
+      if v_group.max_select is not null and v_group.picked > v_group.max_select then
+        raise exception 'Too many % choices for %.', lower(v_group.name), v_product.name;
+      end if;
+    end loop;
+
+    select coalesce(jsonb_agg(jsonb_build_object('group', g.name, 'name', o.name, 'price_delta', o.price_delta)
+                              order by g.sort_order, o.sort_order), '[]'),
+           coalesce(sum(o.price_delta), 0)
+    into v_options, v_price
+    from modifier_options o
+    join modifier_groups g on g.id = o.group_id
+    where o.id = any(v_line.option_ids);
+
+    v_price := v_product.price + v_price;
+    if v_price < 0 then v_price := 0; end if;
+
+    v_lines := v_lines || jsonb_build_object(
+      'product_id', v_product.id,
+      'name',       v_product.name,
+      'price',      v_price,
+      'quantity',   v_line.quantity,
+      'options',    v_options
+    );
+    v_total := v_total + v_price * v_line.quantity;
+    v_items := v_items + v_line.quantity;
+  end loop;
+
+  -- Scheduled pickup: the slot must still be offered and have room.
+  -- The lock stops two customers squeezing into the last place at once.
+  if p_pickup_at is not null then
+    perform pg_advisory_xact_lock(hashtext('pickup:' || p_business_id::text));
+
+    select * into v_slot from get_pickup_slots(p_business_id) where slot_start = p_pickup_at;
+    if not found then
+      raise exception 'That pickup time is no longer available — please pick another.';
+    end if;
+    if v_slot.is_full
+       or (v_biz.slot_max_items is not null and v_slot.item_count + v_items > v_biz.slot_max_items) then
+      raise exception 'That pickup time just filled up — please pick another.';
+    end if;
+  end if;
+
+  -- Take tracked stock. The conditional update locks each row, so two
+  -- customers can't both buy the last one.
+  for v_need in
+    select x.product_id, sum(x.quantity)::int as quantity
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, quantity int)
+    group by x.product_id
+  loop
+    update products
+    set stock = stock - v_need.quantity
+    where id = v_need.product_id and stock is not null and stock >= v_need.quantity;
+
+    if not found then
+      select stock, name into v_left, v_product.name from products where id = v_need.product_id;
+      if v_left is not null then
+        if v_left = 0 then
+          raise exception '% just sold out.', v_product.name;
+        end if;
+        raise exception 'Sorry, there are only % % left.', v_left, v_product.name;
+      end if;
+    end if;
+  end loop;
+
+  insert into orders (business_id, customer_name, customer_note, status, total, pickup_at, payment_status)
+  values (
+    p_business_id, trim(p_customer_name), nullif(trim(p_customer_note), ''), 'pending', v_total, p_pickup_at,
+    case when p_pay_online then 'awaiting' else 'unpaid' end
+  )
+  returning * into v_order;
+
+  insert into order_items (order_id, product_id, name, price, quantity, options)
+  select v_order.id, x.product_id, x.name, x.price, x.quantity, x.options
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, name text, price numeric, quantity int, options jsonb);
+
+  return json_build_object('id', v_order.id, 'tracking_token', v_order.tracking_token);
+end;
+$$;
+
+grant execute on function place_order(uuid, text, text, jsonb, timestamptz, boolean) to anon, authenticated;
+
+create or replace function get_order_tracking(p_token uuid)
+returns json
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select json_build_object(
+    'id',            o.id,
+    'status',        o.status,
+    'customer_name', o.customer_name,
+    'customer_note', o.customer_note,
+    'total',         o.total,
+    'pickup_at',     o.pickup_at,
+    'created_at',    o.created_at,
+    'fulfilled_at',  o.fulfilled_at,
+    'cancel_reason', o.cancel_reason,
+    'payment_status', o.payment_status,
+    'business', json_build_object(
+      'name',         b.name,
+      'slug',         b.slug,
+      'logo_url',     b.logo_url,
+      'accent_color', b.accent_color,
+      'timezone',     b.timezone
+    ),
+    'items', coalesce((
+      select json_agg(json_build_object('name', i.name, 'price', i.price, 'quantity', i.quantity, 'options', i.options))
+      from order_items i where i.order_id = o.id
+    ), '[]'::json)
+  )
+  from orders o
+  join businesses b on b.id = o.business_id
+  where o.tracking_token = p_token;
+$$;
+
+grant execute on function get_order_tracking(uuid) to anon, authenticated;
+
+create or replace function broadcast_order_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform realtime.send(
+    json_build_object(
+      'status', new.status, 'fulfilled_at', new.fulfilled_at, 'cancel_reason', new.cancel_reason,
+      'payment_status', new.payment_status
+    )::jsonb,
+    'status',
+    'order:' || new.tracking_token::text,
+    false
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_broadcast_status on orders;
+create trigger orders_broadcast_status
+  after update of status, payment_status on orders
+  for each row
+  when (old.status is distinct from new.status or old.payment_status is distinct from new.payment_status)
+  execute function broadcast_order_status();
+
+create or replace function cancel_order_by_token(p_token uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from orders where tracking_token = p_token and payment_status = 'paid') then
+    raise exception 'You''ve already paid for this order — please contact the shop to cancel it and get a refund.';
+  end if;
+
+  update orders
+  set status = 'cancelled', cancelled_at = now(), cancel_reason = 'Cancelled by customer'
+  where tracking_token = p_token and status = 'pending';
+
+  if not found then
+    raise exception 'This order can no longer be cancelled — it''s already being prepared. Please contact the shop.';
+  end if;
+end;
+$$;
+
+grant execute on function cancel_order_by_token(uuid) to anon, authenticated;
+
+-- Cancel orders whose checkout was abandoned; runs every 5 minutes.
+create or replace function expire_unpaid_orders()
+returns int
+language sql
+security definer
+set search_path = public
+as $$
+  with expired as (
+    update orders
+    set status = 'cancelled', cancelled_at = now(), cancel_reason = 'Payment not completed'
+    where payment_status = 'awaiting'
+      and status = 'pending'
+      and created_at < now() - interval '35 minutes'   -- provider checkouts last 30
+    returning 1
+  )
+  select count(*)::int from expired;
+$$;
+
+-- Run by pg_cron only, not over the API
+revoke execute on function expire_unpaid_orders() from public, anon, authenticated;
+
+select cron.schedule('expire-unpaid-orders', '*/5 * * * *', 'select expire_unpaid_orders()');
+
+-- Analytics leave out orders still waiting at the checkout.
+create or replace function get_sales_analytics(
+  p_business_id uuid,
+  p_from        date,
+  p_to          date,
+  p_bucket      text default 'day'   -- 'day' | 'week' | 'month'
+)
+returns json
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_tz     text;
+  v_result json;
+begin
+  if p_bucket not in ('day', 'week', 'month') then
+    raise exception 'Unknown bucket: %', p_bucket;
+  end if;
+
+  if not has_business_role(p_business_id, array['owner', 'manager']) then
+    raise exception 'Only owners and managers can see analytics.';
+  end if;
+
+  select timezone into v_tz from businesses where id = p_business_id;
+  if v_tz is null then
+    raise exception 'Business not found.';
+  end if;
+
+  with counted as (
+    select o.*, o.created_at at time zone v_tz as local_at
+    from orders o
+    where o.business_id = p_business_id
+      and o.status <> 'cancelled'
+      and o.payment_status <> 'awaiting'
+      and o.created_at >= p_from::timestamp at time zone v_tz
+      and o.created_at <  (p_to + 1)::timestamp at time zone v_tz
+  )
+  select json_build_object(
+    'summary', (
+      select json_build_object(
+        'revenue',            coalesce(sum(total), 0),
+        'order_count',        count(*),
+        'avg_order_value',    coalesce(round(avg(total), 2), 0),
+        'avg_fulfil_minutes', round((extract(epoch from avg(fulfilled_at - created_at)) / 60)::numeric, 1)
+      )
+      from counted
+    ),
+    'series', coalesce((
+      -- One row per period, including empty ones, so charts have no gaps
+      select json_agg(json_build_object(
+               'period', p.period, 'revenue', coalesce(x.revenue, 0), 'order_count', coalesce(x.order_count, 0)
+             ) order by p.period)
+      from (
+        select gs::date as period
+        from generate_series(date_trunc(p_bucket, p_from::timestamp), p_to::timestamp, ('1 ' || p_bucket)::interval) as gs
+      ) p
+      left join (
+        select date_trunc(p_bucket, local_at)::date as period, sum(total) as revenue, count(*) as order_count
+        from counted
+        group by 1
+      ) x on x.period = p.period
+    ), '[]'),
+    'top_products', coalesce((
+      select json_agg(json_build_object('name', name, 'quantity', quantity, 'revenue', revenue) order by quantity desc, revenue desc)
+      from (
+        select i.name, sum(i.quantity) as quantity, sum(i.price * i.quantity) as revenue
+        from counted c
+        join order_items i on i.order_id = c.id
+        group by i.name
+        order by quantity desc, revenue desc
+        limit 10
+      ) x
+    ), '[]'),
+    'hours', coalesce((
+      select json_agg(json_build_object('hour', hour, 'order_count', order_count, 'revenue', revenue) order by hour)
+      from (
+        select extract(hour from local_at)::int as hour, count(*) as order_count, sum(total) as revenue
+        from counted
+        group by 1
+      ) x
+    ), '[]')
+  ) into v_result;
+
+  return v_result;
+end;
+$$;
+
+grant execute on function get_sales_analytics(uuid, date, date, text) to authenticated;
@@ -0,0 +1,377 @@
+-- migrations/005_tax_and_fees.sql
+-- Upgrade for projects set up before tax and fees. New projects don't
+-- need this — supabase_schema.sql already includes it.
+-- Safe to run more than once.
+--
+-- Adds the business's tax rate and fees (and per-category rates), and
+-- stores each order's subtotal, tax and fees next to its total.
+
+alter table businesses add column if not exists tax_rate            numeric(6,3) not null default 0;
+alter table businesses add column if not exists prices_include_tax  boolean not null default false;
+alter table businesses add column if not exists service_fee_percent numeric(5,2) not null default 0;
+alter table businesses add column if not exists packaging_fee       numeric(10,2) not null default 0;
+alter table categories add column if not exists tax_rate            numeric(6,3);
+alter table order_items add column if not exists tax_rate           numeric(6,3) not null default 0;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'businesses_tax_rate_check') then
+    alter table businesses add constraint businesses_tax_rate_check check (tax_rate between 0 and 100);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'businesses_service_fee_percent_check') then
+    alter table businesses add constraint businesses_service_fee_percent_check check (service_fee_percent between 0 and 100);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'businesses_packaging_fee_check') then
+    alter table businesses add constraint businesses_packaging_fee_check check (packaging_fee >= 0);
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'categories_tax_rate_check') then
+    alter table categories add constraint categories_tax_rate_check check (tax_rate between 0 and 100);
+  end if;
+end;
+$$;
+
+-- Existing orders had no tax or fees: their subtotal is their total
+alter table orders add column if not exists subtotal      numeric(10,2);
+alter table orders add column if not exists tax           numeric(10,2) not null default 0;
+alter table orders add column if not exists tax_included  boolean not null default false;
+alter table orders add column if not exists service_fee   numeric(10,2) not null default 0;
+alter table orders add column if not exists packaging_fee numeric(10,2) not null default 0;
+update orders set subtotal = total where subtotal is null;
+alter table orders alter column subtotal set default 0;
+alter table orders alter column subtotal set not null;
+
+create or replace function place_order(
+  p_business_id   uuid,
+  p_customer_name text,
+  p_customer_note text,
+  p_items         jsonb,  -- [{ "product_id": "…", "quantity": 2, "option_ids": ["…"] }, …]
+  p_pickup_at     timestamptz default null,  -- a slot from get_pickup_slots(); null = ASAP
+  p_pay_online    boolean default false      -- pay at the provider's checkout before the shop sees it
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line    record;
+  v_product products%rowtype;
+  v_group   record;
+  v_options jsonb;
+  v_price   numeric(10,2);
+  v_lines   jsonb := '[]';
+  v_rate    numeric;
+  v_subtotal numeric(10,2) := 0;
+  v_tax     numeric := 0;             -- unrounded until the end
+  v_service numeric(10,2);
+  v_total   numeric(10,2);
+  v_order   orders%rowtype;
+  v_biz     businesses%rowtype;
+  v_slot    record;
+  v_items   int := 0;
+  v_need    record;
+  v_left    int;
+begin
+  select * into v_biz from businesses where id = p_business_id;
+  if not found then
+    raise exception 'This shop no longer exists.';
+  end if;
+  if v_biz.ordering_paused then
+    raise exception '% isn''t taking new orders right now — please try again in a few minutes.', v_biz.name;
+  end if;
+  if not is_open_for_orders(p_business_id) then
+    raise exception '% is closed right now.', v_biz.name;
+  end if;
+  if coalesce(trim(p_customer_name), '') = '' then
+    raise exception 'Please enter your name so we know whose order it is!';
+  end if;
+  if p_pay_online and v_biz.payment_mode = 'off' then
+    raise exception '% doesn''t take online payments.', v_biz.name;
+  end if;
+  if not p_pay_online and v_biz.payment_mode = 'required' then
+    raise exception '% asks you to pay online when you order.', v_biz.name;
+  end if;
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty — add something first!';
+  end if;
+
+  -- Validate every line and add up the real prices
+  for v_line in
+    select x.product_id, x.quantity, coalesce(x.option_ids, '{}') as option_ids
+    from jsonb_to_recordset(p_items) as x(product_id uuid, quantity int, option_ids uuid[])
+  loop
+    if v_line.quantity is null or v_line.quantity < 1 then
+      raise exception 'Invalid quantity in your cart.';
+    end if;
+
+    select * into v_product
+    from products
+    where id = v_line.product_id and business_id = p_business_id;
+
+    if not found then
+      raise exception 'Something in your cart is no longer on the menu.';
+    end if;
+    if not v_product.available
+       or exists (select 1 from categories c where c.id = v_product.category_id and not c.visible) then
+      raise exception '% is no longer available.', v_product.name;
+    end if;
+    if v_product.stock = 0 then
+      raise exception '% just sold out.', v_product.name;
+    end if;
+
+    -- Every chosen option must belong to this product
+    if exists (
+      select 1 from unnest(v_line.option_ids) as chosen(id)
+      where not exists (
+        select 1 from modifier_options o
+        join modifier_groups g on g.id = o.group_id
+        where o.id = chosen.id and g.product_id = v_product.id
+      )
+    ) then
+      raise exception 'Some options for % are no longer available.', v_product.name;
+    end if;
+
+    -- …and each group's min/max rules must hold
+    for v_group in
+      select g.name, g.min_select, g.max_select,
+             (select count(*) from modifier_options o
+              where o.group_id = g.id and o.id = any(v_line.option_ids)) as picked
+      from modifier_groups g
+      where g.product_id = v_product.id
+    loop
+      if v_group.picked < v_group.min_select then
+        raise exception 'Please choose % for %.', lower(v_group.name), v_product.name;
+      end if;
+      if v_group.max_select is not null and v_group.picked > v_group.max_select then
+        raise exception 'Too many % choices for %.', lower(v_group.name), v_product.name;
+      end if;
+    end loop;
+
+    select coalesce(jsonb_agg(jsonb_build_object('group', g.name, 'name', o.name, 'price_delta', o.price_delta)
+                              order by g.sort_order, o.sort_order), '[]'),
+           coalesce(sum(o.price_delta), 0)
+    into v_options, v_price
+    from modifier_options o
+    join modifier_groups g on g.id = o.group_id
+    where o.id = any(v_line.option_ids);
+
+    v_price := v_product.price + v_price;
+    if v_price < 0 then v_price := 0; end if;
+
+    select coalesce((select c.tax_rate from categories c where c.id = v_product.category_id), v_biz.tax_rate)
+    into v_rate;
+
+    v_lines := v_lines || jsonb_build_object(
+      'product_id', v_product.id,
+      'name',       v_product.name,
+      'price',      v_price,
+      'quantity',   v_line.quantity,
+      'options',    v_options,
+      'tax_rate',   v_rate
+    );
+    v_subtotal := v_subtotal + v_price * v_line.quantity;
+    v_tax := v_tax + v_price * v_line.quantity * v_rate
+             / (case when v_biz.prices_include_tax then 100 + v_rate else 100 end);
+    v_items := v_items + v_line.quantity;
+  end loop;
+
+  -- Scheduled pickup: the slot must still be offered and have room.
+  -- The lock stops two customers squeezing into the last place at once.
+  if p_pickup_at is not null then
+    perform pg_advisory_xact_lock(hashtext('pickup:' || p_business_id::text));
+
+    select * into v_slot from get_pickup_slots(p_business_id) where slot_start = p_pickup_at;
+    if not found then
+      raise exception 'That pickup time is no longer available — please pick another.';
+    end if;
+    if v_slot.is_full
+       or (v_biz.slot_max_items is not null and v_slot.item_count + v_items > v_biz.slot_max_items) then
+      raise exception 'That pickup time just filled up — please pick another.';
+    end if;
+  end if;
+
+  -- Take tracked stock. The conditional update locks each row, so two
+  -- customers can't both buy the last one.
+  for v_need in
+    select x.product_id, sum(x.quantity)::int as quantity
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, quantity int)
+    group by x.product_id
+  loop
+    update products
+    set stock = stock - v_need.quantity
+    where id = v_need.product_id and stock is not null and stock >= v_need.quantity;
+
+    if not found then
+      select stock, name into v_left, v_product.name from products where id = v_need.product_id;
+      if v_left is not null then
+        if v_left = 0 then
+          raise exception '% just sold out.', v_product.name;
+        end if;
+        raise exception 'Sorry, there are only % % left.', v_left, v_product.name;
+      end if;
+    end if;
+  end loop;
+
+  v_tax     := round(v_tax, 2);
+  v_service := round(v_subtotal * v_biz.service_fee_percent / 100, 2);
+  v_total   := v_subtotal + v_service + v_biz.packaging_fee
+               + case when v_biz.prices_include_tax then 0 else v_tax end;
+
+  insert into orders (
+    business_id, customer_name, customer_note, status, pickup_at, payment_status,
+    subtotal, tax, tax_included, service_fee, packaging_fee, total
+  )
+  values (
+    p_business_id, trim(p_customer_name), nullif(trim(p_customer_note), ''), 'pending', p_pickup_at,
+    case when p_pay_online then 'awaiting' else 'unpaid' end,
+    v_subtotal, v_tax, v_biz.prices_include_tax, v_service, v_biz.packaging_fee, v_total
+  )
+  returning * into v_order;
+
+  insert into order_items (order_id, product_id, name, price, quantity, options, tax_rate)
+  select v_order.id, x.product_id, x.name, x.price, x.quantity, x.options, x.tax_rate
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, name text, price numeric, quantity int, options jsonb, tax_rate numeric);
+
+  return json_build_object(
+    'id',             v_order.id,
+    'tracking_token', v_order.tracking_token,
+    'subtotal',       v_order.subtotal,
+    'tax',            v_order.tax,
+    'tax_included',   v_order.tax_included,
+    'service_fee',    v_order.service_fee,
+    'packaging_fee',  v_order.packaging_fee,
+    'total',          v_order.total
+  );
+end;
+$$;
+
+grant execute on function place_order(uuid, text, text, jsonb, timestamptz, boolean) to anon, authenticated;
+
+create or replace function get_order_tracking(p_token uuid)
+returns json
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select json_build_object(
+    'id',            o.id,
+    'status',        o.status,
+    'customer_name', o.customer_name,
+    'customer_note', o.customer_note,
+    'subtotal',      o.subtotal,
+    'tax',           o.tax,
+    'tax_included',  o.tax_included,
+    'service_fee',   o.service_fee,
+    'packaging_fee', o.packaging_fee,
+    'total',         o.total,
+    'pickup_at',     o.pickup_at,
+    'created_at',    o.created_at,
+    'fulfilled_at',  o.fulfilled_at,
+    'cancel_reason', o.cancel_reason,
+    'payment_status', o.payment_status,
+    'business', json_build_object(
+      'name',         b.name,
+      'slug',         b.slug,
+      'logo_url',     b.logo_url,
+      'accent_color', b.accent_color,
+      'timezone',     b.timezone
+    ),
+    'items', coalesce((
+      select json_agg(json_build_object('name', i.name, 'price', i.price, 'quantity', i.quantity, 'options', i.options))
+      from order_items i where i.order_id = o.id
+    ), '[]'::json)
+  )
+  from orders o
+  join businesses b on b.id = o.business_id
+  where o.tracking_token = p_token;
+$$;
+
+grant execute on function get_order_tracking(uuid) to anon, authenticated;
+
+-- copy_menu() now carries each category's tax rate across.
+create or replace function copy_menu(p_from_business_id uuid, p_to_business_id uuid)
+returns json
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_cat      record;
+  v_product  record;
+  v_group    record;
+  v_cat_ids  jsonb := '{}';
+  v_target   uuid;
+  v_group_id uuid;
+  v_next     int;
+  v_next_cat int;
+  v_copied   int := 0;
+  v_skipped  int := 0;
+begin
+  if p_from_business_id = p_to_business_id then
+    raise exception 'Pick a different location to copy from.';
+  end if;
+  if not has_business_role(p_from_business_id, array['owner','manager'])
+     or not has_business_role(p_to_business_id, array['owner','manager']) then
+    raise exception 'You can only copy between locations whose menu you manage.';
+  end if;
+
+  select coalesce(max(sort_order) + 1, 0) into v_next
+  from products where business_id = p_to_business_id;
+  select coalesce(max(sort_order) + 1, 0) into v_next_cat
+  from categories where business_id = p_to_business_id;
+
+  for v_cat in
+    select * from categories where business_id = p_from_business_id order by sort_order, created_at
+  loop
+    select id into v_target
+    from categories
+    where business_id = p_to_business_id and lower(trim(name)) = lower(trim(v_cat.name));
+
+    if v_target is null then
+      insert into categories (business_id, name, description, visible, sort_order, tax_rate)
+      values (p_to_business_id, v_cat.name, v_cat.description, v_cat.visible, v_next_cat, v_cat.tax_rate)
+      returning id into v_target;
+      v_next_cat := v_next_cat + 1;
+    end if;
+    v_cat_ids := v_cat_ids || jsonb_build_object(v_cat.id::text, v_target);
+  end loop;
+
+  for v_product in
+    select * from products where business_id = p_from_business_id order by sort_order, created_at
+  loop
+    if exists (
+      select 1 from products
+      where business_id = p_to_business_id and lower(trim(name)) = lower(trim(v_product.name))
+    ) then
+      v_skipped := v_skipped + 1;
+      continue;
+    end if;
+
+    insert into products (business_id, name, description, price, image_url, category_id, available, sort_order, stock, restock_to)
+    values (
+      p_to_business_id, v_product.name, v_product.description, v_product.price, v_product.image_url,
+      (v_cat_ids->>(v_product.category_id::text))::uuid, v_product.available, v_next,
+      v_product.restock_to, v_product.restock_to
+    )
+    returning id into v_target;
+    v_next := v_next + 1;
+    v_copied := v_copied + 1;
+
+    for v_group in
+      select * from modifier_groups where product_id = v_product.id order by sort_order
+    loop
+      insert into modifier_groups (product_id, name, min_select, max_select, sort_order)
+      values (v_target, v_group.name, v_group.min_select, v_group.max_select, v_group.sort_order)
+      returning id into v_group_id;
+
+      insert into modifier_options (group_id, name, price_delta, sort_order)
+      select v_group_id, name, price_delta, sort_order
+      from modifier_options where group_id = v_group.id;
+    end loop;
+  end loop;
+
+  return json_build_object('copied', v_copied, 'skipped', v_skipped);
+end;
+$$;
+
+grant execute on function copy_menu(uuid, uuid) to authenticated;
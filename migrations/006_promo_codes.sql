@@ -0,0 +1,507 @@
+-- migrations/006_promo_codes.sql
+-- Upgrade for projects set up before promo codes. New projects don't
+-- need this — supabase_schema.sql already includes it.
+-- Safe to run more than once.
+--
+-- Adds promo codes, the checks place_order() runs on them, and the
+-- code and discount on each order.
+
+create table if not exists promo_codes (
+  id            uuid primary key default uuid_generate_v4(),
+  business_id   uuid references businesses(id) on delete cascade,
+  code          text not null,          -- what customers type, e.g. "EARLYBIRD"
+  description   text,                   -- owner's note, e.g. "10% off before 9am"
+  kind          text not null check (kind in ('percent', 'fixed')),
+  amount        numeric(10,2) not null check (amount > 0), -- % off, or $ off
+  -- Only these products/categories count towards the discount; both
+  -- empty = the whole order
+  product_ids   uuid[] not null default '{}',
+  category_ids  uuid[] not null default '{}',
+  min_spend     numeric(10,2) check (min_spend > 0),  -- order subtotal needed; null = none
+  starts_on     date,                   -- business-local dates, inclusive; null = open-ended
+  ends_on       date,
+  daily_from    time,                   -- business-local time of day, e.g. only before 09:00
+  daily_until   time,
+  max_uses      int check (max_uses > 0), -- null = unlimited
+  used_count    int not null default 0,   -- orders using it; cancelled orders give theirs back
+  active        boolean not null default true,
+  created_at    timestamptz default now(),
+  check (kind = 'fixed' or amount <= 100)
+);
+
+create unique index if not exists promo_codes_business_code on promo_codes (business_id, lower(code));
+
+alter table promo_codes enable row level security;
+
+drop policy if exists "owners manage promo codes" on promo_codes;
+create policy "owners manage promo codes" on promo_codes
+  for all using (has_business_role(business_id, array['owner']));
+
+alter table orders add column if not exists promo_code_id uuid references promo_codes(id) on delete set null;
+alter table orders add column if not exists promo_code    text;
+alter table orders add column if not exists discount      numeric(10,2) not null default 0;
+
+-- Look up a code and make sure it can be used right now (dates, time
+-- of day, usage limit). Raises a message for the customer otherwise.
+-- Locks the code, so two orders can't both take its last use.
+create or replace function valid_promo_code(p_business_id uuid, p_code text)
+returns promo_codes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_promo promo_codes%rowtype;
+  v_now   timestamp;
+  v_code  text := upper(trim(p_code));
+  v_in_hours boolean;
+begin
+  select now() at time zone timezone into v_now from businesses where id = p_business_id;
+
+  select * into v_promo
+  from promo_codes
+  where business_id = p_business_id and lower(code) = lower(trim(p_code))
+  for update;
+
+  if not found or not v_promo.active then
+    raise exception 'Sorry, % isn''t a valid code.', v_code;
+  end if;
+  if v_promo.starts_on is not null and v_now::date < v_promo.starts_on then
+    raise exception '% starts on %.', v_code, to_char(v_promo.starts_on, 'FMDD Mon');
+  end if;
+  if v_promo.ends_on is not null and v_now::date > v_promo.ends_on then
+    raise exception 'Sorry, % has expired.', v_code;
+  end if;
+  -- A window like 22:00–02:00 runs past midnight
+  v_in_hours := case
+    when v_promo.daily_from is null and v_promo.daily_until is null then true
+    when v_promo.daily_from is null then v_now::time < v_promo.daily_until
+    when v_promo.daily_until is null then v_now::time >= v_promo.daily_from
+    when v_promo.daily_from <= v_promo.daily_until then v_now::time >= v_promo.daily_from and v_now::time < v_promo.daily_until
+    else v_now::time >= v_promo.daily_from or v_now::time < v_promo.daily_until
+  end;
+  if not v_in_hours then
+    raise exception 'Sorry, % is only valid %.', v_code,
+      case
+        when v_promo.daily_from is null then 'before ' || to_char(v_promo.daily_until, 'HH24:MI')
+        when v_promo.daily_until is null then 'from ' || to_char(v_promo.daily_from, 'HH24:MI')
+        else 'from ' || to_char(v_promo.daily_from, 'HH24:MI') || ' to ' || to_char(v_promo.daily_until, 'HH24:MI')
+      end;
+  end if;
+  if v_promo.max_uses is not null and v_promo.used_count >= v_promo.max_uses then
+    raise exception 'Sorry, % has been used up.', v_code;
+  end if;
+
+  return v_promo;
+end;
+$$;
+
+-- Internal to place_order() and check_promo_code()
+revoke execute on function valid_promo_code(uuid, text) from public, anon, authenticated;
+
+-- Does the code count this product? No restrictions = everything.
+create or replace function promo_covers(p_promo promo_codes, p_product_id uuid, p_category_id uuid)
+returns boolean
+language sql
+immutable
+as $$
+  select (cardinality(p_promo.product_ids) = 0 and cardinality(p_promo.category_ids) = 0)
+      or p_product_id = any(p_promo.product_ids)
+      or coalesce(p_category_id = any(p_promo.category_ids), false);
+$$;
+
+-- The checkout's "Apply" button: the code's terms if it can be used
+-- now, so the cart can show the discount. place_order() checks again.
+create or replace function check_promo_code(p_business_id uuid, p_code text)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_promo promo_codes%rowtype;
+begin
+  v_promo := valid_promo_code(p_business_id, p_code);
+  return json_build_object(
+    'code',         upper(v_promo.code),
+    'kind',         v_promo.kind,
+    'amount',       v_promo.amount,
+    'product_ids',  v_promo.product_ids,
+    'category_ids', v_promo.category_ids,
+    'min_spend',    v_promo.min_spend
+  );
+end;
+$$;
+
+grant execute on function check_promo_code(uuid, text) to anon, authenticated;
+
+-- A cancelled order gives its use of the code back
+create or replace function release_promo_code()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update promo_codes set used_count = greatest(used_count - 1, 0) where id = new.promo_code_id;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_release_promo on orders;
+create trigger orders_release_promo
+  after update of status on orders
+  for each row
+  when (new.status = 'cancelled' and old.status is distinct from 'cancelled' and new.promo_code_id is not null)
+  execute function release_promo_code();
+
+-- place_order() gains p_promo_code
+drop function if exists place_order(uuid, text, text, jsonb, timestamptz, boolean);
+
+create or replace function place_order(
+  p_business_id   uuid,
+  p_customer_name text,
+  p_customer_note text,
+  p_items         jsonb,  -- [{ "product_id": "…", "quantity": 2, "option_ids": ["…"] }, …]
+  p_pickup_at     timestamptz default null,  -- a slot from get_pickup_slots(); null = ASAP
+  p_pay_online    boolean default false,     -- pay at the provider's checkout before the shop sees it
+  p_promo_code    text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line    record;
+  v_product products%rowtype;
+  v_group   record;
+  v_options jsonb;
+  v_price   numeric(10,2);
+  v_lines   jsonb := '[]';
+  v_rate    numeric;
+  v_subtotal numeric(10,2) := 0;
+  v_tax     numeric(10,2);
+  v_promo   promo_codes%rowtype;
+  v_eligible numeric(10,2) := 0;      -- what the promo code covers
+  v_discount numeric(10,2) := 0;
+  v_service numeric(10,2);
+  v_total   numeric(10,2);
+  v_order   orders%rowtype;
+  v_biz     businesses%rowtype;
+  v_slot    record;
+  v_items   int := 0;
+  v_need    record;
+  v_left    int;
+begin
+  select * into v_biz from businesses where id = p_business_id;
+  if not found then
+    raise exception 'This shop no longer exists.';
+  end if;
+  if v_biz.ordering_paused then
+    raise exception '% isn''t taking new orders right now — please try again in a few minutes.', v_biz.name;
+  end if;
+  if not is_open_for_orders(p_business_id) then
+    raise exception '% is closed right now.', v_biz.name;
+  end if;
+  if coalesce(trim(p_customer_name), '') = '' then
+    raise exception 'Please enter your name so we know whose order it is!';
+  end if;
+  if p_pay_online and v_biz.payment_mode = 'off' then
+    raise exception '% doesn''t take online payments.', v_biz.name;
+  end if;
+  if not p_pay_online and v_biz.payment_mode = 'required' then
+    raise exception '% asks you to pay online when you order.', v_biz.name;
+  end if;
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty — add something first!';
+  end if;
+
+  -- Validate every line and add up the real prices
+  for v_line in
+    select x.product_id, x.quantity, coalesce(x.option_ids, '{}') as option_ids
+    from jsonb_to_recordset(p_items) as x(product_id uuid, quantity int, option_ids uuid[])
+  loop
+    if v_line.quantity is null or v_line.quantity < 1 then
+      raise exception 'Invalid quantity in your cart.';
+    end if;
+
+    select * into v_product
+    from products
+    where id = v_line.product_id and business_id = p_business_id;
+
+    if not found then
+      raise exception 'Something in your cart is no longer on the menu.';
+    end if;
+    if not v_product.available
+       or exists (select 1 from categories c where c.id = v_product.category_id and not c.visible) then
+      raise exception '% is no longer available.', v_product.name;
+    end if;
+    if v_product.stock = 0 then
+      raise exception '% just sold out.', v_product.name;
+    end if;
+
+    -- Every chosen option must belong to this product
+    if exists (
+      select 1 from unnest(v_line.option_ids) as chosen(id)
+      where not exists (
+        select 1 from modifier_options o
+        join modifier_groups g on g.id = o.group_id
+        where o.id = chosen.id and g.product_id = v_product.id
+      )
+    ) then
+      raise exception 'Some options for % are no longer available.', v_product.name;
+    end if;
+
+    -- …and each group's min/max rules must hold
+    for v_group in
+      select g.name, g.min_select, g.max_select,
+             (select count(*) from modifier_options o
+              where o.group_id = g.id and o.id = any(v_line.option_ids)) as picked
+      from modifier_groups g
+      where g.product_id = v_product.id
+    loop
+      if v_group.picked < v_group.min_select then
+        raise exception 'Please choose % for %.', lower(v_group.name), v_product.name;
+      end if;
+      if v_group.max_select is not null and v_group.picked > v_group.max_select then
+        raise exception 'Too many % choices for %.', lower(v_group.name), v_product.name;
+      end if;
+    end loop;
+
+    select coalesce(jsonb_agg(jsonb_build_object('group', g.name, 'name', o.name, 'price_delta', o.price_delta)
+                              order by g.sort_order, o.sort_order), '[]'),
+           coalesce(sum(o.price_delta), 0)
+    into v_options, v_price
+    from modifier_options o
+    join modifier_groups g on g.id = o.group_id
+    where o.id = any(v_line.option_ids);
+
+    v_price := v_product.price + v_price;
+    if v_price < 0 then v_price := 0; end if;
+
+    select coalesce((select c.tax_rate from categories c where c.id = v_product.category_id), v_biz.tax_rate)
+    into v_rate;
+
+    v_lines := v_lines || jsonb_build_object(
+      'product_id', v_product.id,
+      'name',       v_product.name,
+      'price',      v_price,
+      'quantity',   v_line.quantity,
+      'options',    v_options,
+      'tax_rate',   v_rate,
+      'category_id', v_product.category_id
+    );
+    v_subtotal := v_subtotal + v_price * v_line.quantity;
+    v_items := v_items + v_line.quantity;
+  end loop;
+
+  -- Scheduled pickup: the slot must still be offered and have room.
+  -- The lock stops two customers squeezing into the last place at once.
+  if p_pickup_at is not null then
+    perform pg_advisory_xact_lock(hashtext('pickup:' || p_business_id::text));
+
+    select * into v_slot from get_pickup_slots(p_business_id) where slot_start = p_pickup_at;
+    if not found then
+      raise exception 'That pickup time is no longer available — please pick another.';
+    end if;
+    if v_slot.is_full
+       or (v_biz.slot_max_items is not null and v_slot.item_count + v_items > v_biz.slot_max_items) then
+      raise exception 'That pickup time just filled up — please pick another.';
+    end if;
+  end if;
+
+  -- Take tracked stock. The conditional update locks each row, so two
+  -- customers can't both buy the last one.
+  for v_need in
+    select x.product_id, sum(x.quantity)::int as quantity
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, quantity int)
+    group by x.product_id
+  loop
+    update products
+    set stock = stock - v_need.quantity
+    where id = v_need.product_id and stock is not null and stock >= v_need.quantity;
+
+    if not found then
+      select stock, name into v_left, v_product.name from products where id = v_need.product_id;
+      if v_left is not null then
+        if v_left = 0 then
+          raise exception '% just sold out.', v_product.name;
+        end if;
+        raise exception 'Sorry, there are only % % left.', v_left, v_product.name;
+      end if;
+    end if;
+  end loop;
+
+  if nullif(trim(p_promo_code), '') is not null then
+    v_promo := valid_promo_code(p_business_id, p_promo_code);
+    if v_promo.min_spend is not null and v_subtotal < v_promo.min_spend then
+      raise exception 'Spend $% to use %.', v_promo.min_spend, upper(v_promo.code);
+    end if;
+
+    select coalesce(sum(x.price * x.quantity), 0) into v_eligible
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, category_id uuid, price numeric, quantity int)
+    where promo_covers(v_promo, x.product_id, x.category_id);
+    if v_eligible = 0 then
+      raise exception '% doesn''t apply to anything in your cart.', upper(v_promo.code);
+    end if;
+
+    v_discount := case
+      when v_promo.kind = 'percent' then round(v_eligible * v_promo.amount / 100, 2)
+      else least(v_promo.amount, v_eligible)
+    end;
+    update promo_codes set used_count = used_count + 1 where id = v_promo.id;
+  end if;
+
+  -- Tax on what's actually paid: each covered line carries its share
+  -- of the discount
+  select round(coalesce(sum(
+           (x.price * x.quantity
+            - case when v_discount > 0 and promo_covers(v_promo, x.product_id, x.category_id)
+                   then v_discount * x.price * x.quantity / v_eligible else 0 end)
+           * x.tax_rate / (case when v_biz.prices_include_tax then 100 + x.tax_rate else 100 end)
+         ), 0), 2)
+  into v_tax
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, category_id uuid, price numeric, quantity int, tax_rate numeric);
+
+  v_service := round((v_subtotal - v_discount) * v_biz.service_fee_percent / 100, 2);
+  v_total   := v_subtotal - v_discount + v_service + v_biz.packaging_fee
+               + case when v_biz.prices_include_tax then 0 else v_tax end;
+
+  insert into orders (
+    business_id, customer_name, customer_note, status, pickup_at, payment_status,
+    subtotal, tax, tax_included, service_fee, packaging_fee, promo_code_id, promo_code, discount, total
+  )
+  values (
+    p_business_id, trim(p_customer_name), nullif(trim(p_customer_note), ''), 'pending', p_pickup_at,
+    case when p_pay_online then 'awaiting' else 'unpaid' end,
+    v_subtotal, v_tax, v_biz.prices_include_tax, v_service, v_biz.packaging_fee,
+    v_promo.id, upper(v_promo.code), v_discount, v_total
+  )
+  returning * into v_order;
+
+  insert into order_items (order_id, product_id, name, price, quantity, options, tax_rate)
+  select v_order.id, x.product_id, x.name, x.price, x.quantity, x.options, x.tax_rate
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, name text, price numeric, quantity int, options jsonb, tax_rate numeric);
+
+  return json_build_object(
+    'id',             v_order.id,
+    'tracking_token', v_order.tracking_token,
+    'subtotal',       v_order.subtotal,
+    'tax',            v_order.tax,
+    'tax_included',   v_order.tax_included,
+    'service_fee',    v_order.service_fee,
+    'packaging_fee',  v_order.packaging_fee,
+    'promo_code',     v_order.promo_code,
+    'discount',       v_order.discount,
+    'total',          v_order.total
+  );
+end;
+$$;
+
+grant execute on function place_order(uuid, text, text, jsonb, timestamptz, boolean, text) to anon, authenticated;
+
+-- Replace a product's modifier groups and options in one go (used by
+-- the admin product editor). Runs with the caller's rights, so RLS
+-- still decides who may edit.
+create or replace function set_product_modifiers(
+  p_product_id uuid,
+  p_groups     jsonb    -- [{ "name", "min_select", "max_select", "options": [{ "name", "price_delta" }] }]
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_group    jsonb;
+  v_group_id uuid;
+  v_gi       int := 0;
+begin
+  delete from modifier_groups where product_id = p_product_id;
+
+  for v_group in select * from jsonb_array_elements(coalesce(p_groups, '[]')) loop
+    insert into modifier_groups (product_id, name, min_select, max_select, sort_order)
+    values (
+      p_product_id,
+      trim(v_group->>'name'),
+      coalesce((v_group->>'min_select')::int, 0),
+      (v_group->>'max_select')::int,
+      v_gi
+    )
+    returning id into v_group_id;
+
+    insert into modifier_options (group_id, name, price_delta, sort_order)
+    select v_group_id, trim(o.value->>'name'), coalesce((o.value->>'price_delta')::numeric, 0), o.ordinality - 1
+    from jsonb_array_elements(coalesce(v_group->'options', '[]')) with ordinality as o(value, ordinality);
+
+    v_gi := v_gi + 1;
+  end loop;
+end;
+$$;
+
+grant execute on function set_product_modifiers(uuid, jsonb) to authenticated;
+
+-- Save the admin's drag-and-drop menu order in one call: categories
+-- and products are each numbered 0..n in the order given. Runs with
+-- the caller's rights.
+create or replace function reorder_menu(p_business_id uuid, p_category_ids uuid[], p_product_ids uuid[])
+returns void
+language sql
+set search_path = public
+as $$
+  update categories c
+  set sort_order = x.position - 1
+  from unnest(p_category_ids) with ordinality as x(id, position)
+  where c.id = x.id and c.business_id = p_business_id;
+
+  update products p
+  set sort_order = x.position - 1
+  from unnest(p_product_ids) with ordinality as x(id, position)
+  where p.id = x.id and p.business_id = p_business_id;
+$$;
+
+grant execute on function reorder_menu(uuid, uuid[], uuid[]) to authenticated;
+
+create or replace function get_order_tracking(p_token uuid)
+returns json
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select json_build_object(
+    'id',            o.id,
+    'status',        o.status,
+    'customer_name', o.customer_name,
+    'customer_note', o.customer_note,
+    'subtotal',      o.subtotal,
+    'tax',           o.tax,
+    'tax_included',  o.tax_included,
+    'service_fee',   o.service_fee,
+    'packaging_fee', o.packaging_fee,
+    'promo_code',    o.promo_code,
+    'discount',      o.discount,
+    'total',         o.total,
+    'pickup_at',     o.pickup_at,
+    'created_at',    o.created_at,
+    'fulfilled_at',  o.fulfilled_at,
+    'cancel_reason', o.cancel_reason,
+    'payment_status', o.payment_status,
+    'business', json_build_object(
+      'name',         b.name,
+      'slug',         b.slug,
+      'logo_url',     b.logo_url,
+      'accent_color', b.accent_color,
+      'timezone',     b.timezone
+    ),
+    'items', coalesce((
+      select json_agg(json_build_object('name', i.name, 'price', i.price, 'quantity', i.quantity, 'options', i.options))
+      from order_items i where i.order_id = o.id
+    ), '[]'::json)
+  )
+  from orders o
+  join businesses b on b.id = o.business_id
+  where o.tracking_token = p_token;
+$$;
+
+grant execute on function get_order_tracking(uuid) to anon, authenticated;
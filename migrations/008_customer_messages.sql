@@ -0,0 +1,597 @@
+-- migrations/008_customer_messages.sql
+-- Upgrade for projects set up before customer texts and emails. New
+-- projects don't need this — supabase_schema.sql already includes it.
+-- Safe to run more than once.
+--
+-- Adds the customer's contact details (with their consent) to orders,
+-- message templates, the delivery log, and the triggers that queue and
+-- send messages when an order is ready or cancelled. See "Customer
+-- Texts & Emails" in SETUP.md for the Vault secrets the sender needs.
+
+alter table orders add column if not exists notify_phone      text;
+alter table orders add column if not exists notify_email      text;
+alter table orders add column if not exists notify_consent_at timestamptz;
+
+-- The owner's wording. A missing row means the built-in default
+-- (default_message_template()). Placeholders: {{name}}, {{shop}},
+-- {{order}}, {{reason}} (cancellations) and {{link}} (tracking page).
+create table if not exists message_templates (
+  business_id  uuid references businesses(id) on delete cascade,
+  event        text not null check (event in ('ready', 'cancelled')),
+  channel      text not null check (channel in ('sms', 'email')),
+  subject      text,                    -- email only
+  body         text not null,
+  enabled      boolean not null default true,
+  updated_at   timestamptz default now(),
+  primary key (business_id, event, channel)
+);
+
+create table if not exists customer_messages (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid references businesses(id) on delete cascade,
+  order_id     uuid references orders(id) on delete cascade,
+  event        text not null,           -- 'ready' | 'cancelled'
+  channel      text not null,           -- 'sms' | 'email'
+  recipient    text not null,
+  subject      text,
+  body         text not null,           -- final text once sent
+  status       text not null default 'queued' check (status in ('queued', 'sending', 'sent', 'failed')),
+  attempts     int not null default 0,
+  attempted_at timestamptz,             -- start of the latest attempt
+  provider     text,                    -- e.g. 'twilio', 'local'
+  provider_ref text,                    -- the provider's message id
+  error        text,                    -- why the last attempt failed
+  created_at   timestamptz default now(),
+  sent_at      timestamptz
+);
+
+create index if not exists customer_messages_business on customer_messages (business_id, created_at desc);
+create index if not exists customer_messages_queued on customer_messages (created_at) where status = 'queued';
+
+-- What the "local" provider sends: a pretend inbox for trying messages
+-- without an SMS or email account. Browse it in the Table Editor.
+create table if not exists local_inbox (
+  id          uuid primary key default uuid_generate_v4(),
+  channel     text not null,
+  recipient   text not null,
+  subject     text,
+  body        text not null,
+  created_at  timestamptz default now()
+);
+
+alter table message_templates enable row level security;
+alter table customer_messages enable row level security;
+alter table local_inbox       enable row level security;
+
+drop policy if exists "owners manage message templates" on message_templates;
+create policy "owners manage message templates" on message_templates
+  for all using (has_business_role(business_id, array['owner']));
+
+drop policy if exists "managers read message log" on customer_messages;
+create policy "managers read message log" on customer_messages
+  for select using (has_business_role(business_id, array['owner', 'manager']));
+
+-- place_order() gains the notification contact details
+drop function if exists place_order(uuid, text, text, jsonb, timestamptz, boolean, text, numeric);
+
+create or replace function place_order(
+  p_business_id   uuid,
+  p_customer_name text,
+  p_customer_note text,
+  p_items         jsonb,  -- [{ "product_id": "…", "quantity": 2, "option_ids": ["…"] }, …]
+  p_pickup_at     timestamptz default null,  -- a slot from get_pickup_slots(); null = ASAP
+  p_pay_online    boolean default false,     -- pay at the provider's checkout before the shop sees it
+  p_promo_code    text default null,
+  p_tip           numeric default 0,
+  -- Only sent when the customer ticked "tell me when it's ready"
+  p_notify_consent boolean default false,
+  p_notify_phone  text default null,
+  p_notify_email  text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line    record;
+  v_product products%rowtype;
+  v_group   record;
+  v_options jsonb;
+  v_price   numeric(10,2);
+  v_lines   jsonb := '[]';
+  v_rate    numeric;
+  v_subtotal numeric(10,2) := 0;
+  v_tax     numeric(10,2);
+  v_promo   promo_codes%rowtype;
+  v_eligible numeric(10,2) := 0;      -- what the promo code covers
+  v_discount numeric(10,2) := 0;
+  v_service numeric(10,2);
+  v_total   numeric(10,2);
+  v_order   orders%rowtype;
+  v_biz     businesses%rowtype;
+  v_slot    record;
+  v_items   int := 0;
+  v_need    record;
+  v_left    int;
+  v_phone   text;
+  v_email   text;
+begin
+  select * into v_biz from businesses where id = p_business_id;
+  if not found then
+    raise exception 'This shop no longer exists.';
+  end if;
+  if v_biz.ordering_paused then
+    raise exception '% isn''t taking new orders right now — please try again in a few minutes.', v_biz.name;
+  end if;
+  if not is_open_for_orders(p_business_id) then
+    raise exception '% is closed right now.', v_biz.name;
+  end if;
+  if coalesce(trim(p_customer_name), '') = '' then
+    raise exception 'Please enter your name so we know whose order it is!';
+  end if;
+  if p_pay_online and v_biz.payment_mode = 'off' then
+    raise exception '% doesn''t take online payments.', v_biz.name;
+  end if;
+  if not p_pay_online and v_biz.payment_mode = 'required' then
+    raise exception '% asks you to pay online when you order.', v_biz.name;
+  end if;
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty — add something first!';
+  end if;
+
+  -- Validate every line and add up the real prices
+  for v_line in
+    select x.product_id, x.quantity, coalesce(x.option_ids, '{}') as option_ids
+    from jsonb_to_recordset(p_items) as x(product_id uuid, quantity int, option_ids uuid[])
+  loop
+    if v_line.quantity is null or v_line.quantity < 1 then
+      raise exception 'Invalid quantity in your cart.';
+    end if;
+
+    select * into v_product
+    from products
+    where id = v_line.product_id and business_id = p_business_id;
+
+    if not found then
+      raise exception 'Something in your cart is no longer on the menu.';
+    end if;
+    if not v_product.available
+       or exists (select 1 from categories c where c.id = v_product.category_id and not c.visible) then
+      raise exception '% is no longer available.', v_product.name;
+    end if;
+    if v_product.stock = 0 then
+      raise exception '% just sold out.', v_product.name;
+    end if;
+
+    -- Every chosen option must belong to this product
+    if exists (
+      select 1 from unnest(v_line.option_ids) as chosen(id)
+      where not exists (
+        select 1 from modifier_options o
+        join modifier_groups g on g.id = o.group_id
+        where o.id = chosen.id and g.product_id = v_product.id
+      )
+    ) then
+      raise exception 'Some options for % are no longer available.', v_product.name;
+    end if;
+
+    -- …and each group's min/max rules must hold
+    for v_group in
+      select g.name, g.min_select, g.max_select,
+             (select count(*) from modifier_options o
+              where o.group_id = g.id and o.id = any(v_line.option_ids)) as picked
+      from modifier_groups g
+      where g.product_id = v_product.id
+    loop
+      if v_group.picked < v_group.min_select then
+        raise exception 'Please choose % for %.', lower(v_group.name), v_product.name;
+      end if;
+      if v_group.max_select is not null and v_group.picked > v_group.max_select then
+        raise exception 'Too many % choices for %.', lower(v_group.name), v_product.name;
+      end if;
+    end loop;
+
+    select coalesce(jsonb_agg(jsonb_build_object('group', g.name, 'name', o.name, 'price_delta', o.price_delta)
+                              order by g.sort_order, o.sort_order), '[]'),
+           coalesce(sum(o.price_delta), 0)
+    into v_options, v_price
+    from modifier_options o
+    join modifier_groups g on g.id = o.group_id
+    where o.id = any(v_line.option_ids);
+
+    v_price := v_product.price + v_price;
+    if v_price < 0 then v_price := 0; end if;
+
+    select coalesce((select c.tax_rate from categories c where c.id = v_product.category_id), v_biz.tax_rate)
+    into v_rate;
+
+    v_lines := v_lines || jsonb_build_object(
+      'product_id', v_product.id,
+      'name',       v_product.name,
+      'price',      v_price,
+      'quantity',   v_line.quantity,
+      'options',    v_options,
+      'tax_rate',   v_rate,
+      'category_id', v_product.category_id
+    );
+    v_subtotal := v_subtotal + v_price * v_line.quantity;
+    v_items := v_items + v_line.quantity;
+  end loop;
+
+  -- Scheduled pickup: the slot must still be offered and have room.
+  -- The lock stops two customers squeezing into the last place at once.
+  if p_pickup_at is not null then
+    perform pg_advisory_xact_lock(hashtext('pickup:' || p_business_id::text));
+
+    select * into v_slot from get_pickup_slots(p_business_id) where slot_start = p_pickup_at;
+    if not found then
+      raise exception 'That pickup time is no longer available — please pick another.';
+    end if;
+    if v_slot.is_full
+       or (v_biz.slot_max_items is not null and v_slot.item_count + v_items > v_biz.slot_max_items) then
+      raise exception 'That pickup time just filled up — please pick another.';
+    end if;
+  end if;
+
+  -- Take tracked stock. The conditional update locks each row, so two
+  -- customers can't both buy the last one.
+  for v_need in
+    select x.product_id, sum(x.quantity)::int as quantity
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, quantity int)
+    group by x.product_id
+  loop
+    update products
+    set stock = stock - v_need.quantity
+    where id = v_need.product_id and stock is not null and stock >= v_need.quantity;
+
+    if not found then
+      select stock, name into v_left, v_product.name from products where id = v_need.product_id;
+      if v_left is not null then
+        if v_left = 0 then
+          raise exception '% just sold out.', v_product.name;
+        end if;
+        raise exception 'Sorry, there are only % % left.', v_left, v_product.name;
+      end if;
+    end if;
+  end loop;
+
+  if nullif(trim(p_promo_code), '') is not null then
+    v_promo := valid_promo_code(p_business_id, p_promo_code);
+    if v_promo.min_spend is not null and v_subtotal < v_promo.min_spend then
+      raise exception 'Spend $% to use %.', v_promo.min_spend, upper(v_promo.code);
+    end if;
+
+    select coalesce(sum(x.price * x.quantity), 0) into v_eligible
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, category_id uuid, price numeric, quantity int)
+    where promo_covers(v_promo, x.product_id, x.category_id);
+    if v_eligible = 0 then
+      raise exception '% doesn''t apply to anything in your cart.', upper(v_promo.code);
+    end if;
+
+    v_discount := case
+      when v_promo.kind = 'percent' then round(v_eligible * v_promo.amount / 100, 2)
+      else least(v_promo.amount, v_eligible)
+    end;
+    update promo_codes set used_count = used_count + 1 where id = v_promo.id;
+  end if;
+
+  -- Tax on what's actually paid: each covered line carries its share
+  -- of the discount
+  select round(coalesce(sum(
+           (x.price * x.quantity
+            - case when v_discount > 0 and promo_covers(v_promo, x.product_id, x.category_id)
+                   then v_discount * x.price * x.quantity / v_eligible else 0 end)
+           * x.tax_rate / (case when v_biz.prices_include_tax then 100 + x.tax_rate else 100 end)
+         ), 0), 2)
+  into v_tax
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, category_id uuid, price numeric, quantity int, tax_rate numeric);
+
+  v_service := round((v_subtotal - v_discount) * v_biz.service_fee_percent / 100, 2);
+  v_total   := v_subtotal - v_discount + v_service + v_biz.packaging_fee
+               + case when v_biz.prices_include_tax then 0 else v_tax end;
+
+  if coalesce(p_tip, 0) < 0 then
+    raise exception 'A tip can''t be negative.';
+  end if;
+  if coalesce(p_tip, 0) > 0 and not v_biz.tipping_enabled then
+    raise exception '% isn''t taking tips right now — please place your order without one.', v_biz.name;
+  end if;
+  if round(coalesce(p_tip, 0), 2) > v_total then
+    raise exception 'That tip is more than the order itself — please check the amount.';
+  end if;
+
+  if p_notify_consent then
+    v_phone := nullif(regexp_replace(coalesce(p_notify_phone, ''), '[\s().-]', '', 'g'), '');
+    v_email := nullif(lower(trim(coalesce(p_notify_email, ''))), '');
+    if v_phone is null and v_email is null then
+      raise exception 'Add a phone number or email so we can tell you when your order is ready.';
+    end if;
+    if v_phone !~ '^\+?[0-9]{7,15}$' then
+      raise exception 'That phone number doesn''t look right — please check it.';
+    end if;
+    if v_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$' then
+      raise exception 'That email address doesn''t look right — please check it.';
+    end if;
+  end if;
+
+  insert into orders (
+    business_id, customer_name, customer_note, status, pickup_at, payment_status,
+    subtotal, tax, tax_included, service_fee, packaging_fee, promo_code_id, promo_code, discount, total, tip,
+    notify_phone, notify_email, notify_consent_at
+  )
+  values (
+    p_business_id, trim(p_customer_name), nullif(trim(p_customer_note), ''), 'pending', p_pickup_at,
+    case when p_pay_online then 'awaiting' else 'unpaid' end,
+    v_subtotal, v_tax, v_biz.prices_include_tax, v_service, v_biz.packaging_fee,
+    v_promo.id, upper(v_promo.code), v_discount, v_total, round(coalesce(p_tip, 0), 2),
+    v_phone, v_email, case when v_phone is not null or v_email is not null then now() end
+  )
+  returning * into v_order;
+
+  insert into order_items (order_id, product_id, name, price, quantity, options, tax_rate)
+  select v_order.id, x.product_id, x.name, x.price, x.quantity, x.options, x.tax_rate
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, name text, price numeric, quantity int, options jsonb, tax_rate numeric);
+
+  return json_build_object(
+    'id',             v_order.id,
+    'tracking_token', v_order.tracking_token,
+    'subtotal',       v_order.subtotal,
+    'tax',            v_order.tax,
+    'tax_included',   v_order.tax_included,
+    'service_fee',    v_order.service_fee,
+    'packaging_fee',  v_order.packaging_fee,
+    'promo_code',     v_order.promo_code,
+    'discount',       v_order.discount,
+    'total',          v_order.total,
+    'tip',            v_order.tip
+  );
+end;
+$$;
+
+grant execute on function place_order(uuid, text, text, jsonb, timestamptz, boolean, text, numeric, boolean, text, text) to anon, authenticated;
+
+-- Replace a product's modifier groups and options in one go (used by
+-- the admin product editor). Runs with the caller's rights, so RLS
+-- still decides who may edit.
+create or replace function set_product_modifiers(
+  p_product_id uuid,
+  p_groups     jsonb    -- [{ "name", "min_select", "max_select", "options": [{ "name", "price_delta" }] }]
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_group    jsonb;
+  v_group_id uuid;
+  v_gi       int := 0;
+begin
+  delete from modifier_groups where product_id = p_product_id;
+
+  for v_group in select * from jsonb_array_elements(coalesce(p_groups, '[]')) loop
+    insert into modifier_groups (product_id, name, min_select, max_select, sort_order)
+    values (
+      p_product_id,
+      trim(v_group->>'name'),
+      coalesce((v_group->>'min_select')::int, 0),
+      (v_group->>'max_select')::int,
+      v_gi
+    )
+    returning id into v_group_id;
+
+    insert into modifier_options (group_id, name, price_delta, sort_order)
+    select v_group_id, trim(o.value->>'name'), coalesce((o.value->>'price_delta')::numeric, 0), o.ordinality - 1
+    from jsonb_array_elements(coalesce(v_group->'options', '[]')) with ordinality as o(value, ordinality);
+
+    v_gi := v_gi + 1;
+  end loop;
+end;
+$$;
+
+grant execute on function set_product_modifiers(uuid, jsonb) to authenticated;
+
+-- Save the admin's drag-and-drop menu order in one call: categories
+-- and products are each numbered 0..n in the order given. Runs with
+-- the caller's rights.
+create or replace function reorder_menu(p_business_id uuid, p_category_ids uuid[], p_product_ids uuid[])
+returns void
+language sql
+set search_path = public
+as $$
+  update categories c
+  set sort_order = x.position - 1
+  from unnest(p_category_ids) with ordinality as x(id, position)
+  where c.id = x.id and c.business_id = p_business_id;
+
+  update products p
+  set sort_order = x.position - 1
+  from unnest(p_product_ids) with ordinality as x(id, position)
+  where p.id = x.id and p.business_id = p_business_id;
+$$;
+
+grant execute on function reorder_menu(uuid, uuid[], uuid[]) to authenticated;
+
+create extension if not exists pg_net;
+
+-- Call one of our edge functions in the background, as the service role
+create or replace function invoke_edge_function(p_name text, p_body jsonb default '{}')
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_url text;
+  v_key text;
+begin
+  select decrypted_secret into v_url from vault.decrypted_secrets where name = 'project_url';
+  select decrypted_secret into v_key from vault.decrypted_secrets where name = 'service_role_key';
+  if v_url is null or v_key is null then
+    return;
+  end if;
+
+  perform net.http_post(
+    url     := rtrim(v_url, '/') || '/functions/v1/' || p_name,
+    body    := p_body,
+    headers := jsonb_build_object('Content-Type', 'application/json', 'Authorization', 'Bearer ' || v_key)
+  );
+end;
+$$;
+
+-- Only for the database itself: Supabase grants anon and authenticated
+-- their own EXECUTE on new functions, so revoking from public isn't enough
+revoke execute on function invoke_edge_function(text, jsonb) from public, anon, authenticated;
+
+-- The wording used when the owner hasn't written their own
+create or replace function default_message_template(p_event text, p_channel text, out subject text, out body text)
+language sql
+immutable
+as $$
+  select t.subject, t.body from (values
+    ('ready', 'sms', null,
+     'Hi {{name}}, your order {{order}} at {{shop}} is ready to pick up! {{link}}'),
+    ('ready', 'email', 'Your order at {{shop}} is ready',
+     E'Hi {{name}},\n\nGood news — your order {{order}} is ready to pick up.\n\nSee your order: {{link}}\n\n{{shop}}'),
+    ('cancelled', 'sms', null,
+     'Sorry {{name}}, {{shop}} had to cancel your order {{order}}: {{reason}}. {{link}}'),
+    ('cancelled', 'email', 'Your order at {{shop}} was cancelled',
+     E'Hi {{name}},\n\nSorry — we had to cancel your order {{order}}.\nReason: {{reason}}\n\nSee your order: {{link}}\n\n{{shop}}')
+  ) as t(event, channel, subject, body)
+  where t.event = p_event and t.channel = p_channel;
+$$;
+
+-- All four templates for the admin editor, defaults filled in.
+-- Runs with the caller's rights, so only owners see their own.
+create or replace function get_message_templates(p_business_id uuid)
+returns json
+language sql
+stable
+set search_path = public
+as $$
+  select json_agg(json_build_object(
+           'event',      e.event,
+           'channel',    c.channel,
+           'subject',    coalesce(m.subject, d.subject),
+           'body',       coalesce(m.body, d.body),
+           'enabled',    coalesce(m.enabled, true),
+           'customised', m.business_id is not null
+         ) order by e.n, c.n)
+  from (values ('ready', 1), ('cancelled', 2)) as e(event, n)
+  cross join (values ('sms', 1), ('email', 2)) as c(channel, n)
+  cross join lateral default_message_template(e.event, c.channel) d
+  left join message_templates m
+    on m.business_id = p_business_id and m.event = e.event and m.channel = c.channel
+  where has_business_role(p_business_id, array['owner']);
+$$;
+
+grant execute on function get_message_templates(uuid) to authenticated;
+
+-- Fill in a template for one order. {{link}} is left for the sender,
+-- which knows the site's address.
+create or replace function render_message(p_text text, p_order orders, p_shop text)
+returns text
+language sql
+immutable
+as $$
+  select replace(replace(replace(replace(p_text,
+    '{{name}}',   p_order.customer_name),
+    '{{shop}}',   p_shop),
+    '{{order}}',  '#' || upper(right(p_order.id::text, 8))),
+    '{{reason}}', coalesce(p_order.cancel_reason, 'no reason given'));
+$$;
+
+create or replace function queue_customer_messages()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shop    text;
+  v_channel record;
+  v_tpl     record;
+begin
+  -- Customers who cancelled themselves, or never finished paying,
+  -- don't need telling
+  if new.status = 'cancelled'
+     and (new.cancel_reason = 'Cancelled by customer' or new.payment_status = 'awaiting') then
+    return new;
+  end if;
+
+  select name into v_shop from businesses where id = new.business_id;
+
+  for v_channel in
+    select 'sms' as channel, new.notify_phone as recipient
+    union all
+    select 'email', new.notify_email
+  loop
+    continue when v_channel.recipient is null;
+
+    select coalesce(m.subject, d.subject) as subject, coalesce(m.body, d.body) as body, coalesce(m.enabled, true) as enabled
+    into v_tpl
+    from default_message_template(new.status, v_channel.channel) d
+    left join message_templates m
+      on m.business_id = new.business_id and m.event = new.status and m.channel = v_channel.channel;
+    continue when not v_tpl.enabled;
+
+    insert into customer_messages (business_id, order_id, event, channel, recipient, subject, body)
+    values (
+      new.business_id, new.id, new.status, v_channel.channel, v_channel.recipient,
+      render_message(v_tpl.subject, new, v_shop), render_message(v_tpl.body, new, v_shop)
+    );
+  end loop;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_queue_customer_messages on orders;
+create trigger orders_queue_customer_messages
+  after update of status on orders
+  for each row
+  when (new.status in ('ready', 'cancelled') and old.status is distinct from new.status
+        and new.notify_consent_at is not null)
+  execute function queue_customer_messages();
+
+-- Wake the sender whenever something is queued
+create or replace function send_queued_messages()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform invoke_edge_function('send-customer-messages');
+  return null;
+end;
+$$;
+
+drop trigger if exists customer_messages_send on customer_messages;
+create trigger customer_messages_send
+  after insert on customer_messages
+  for each statement
+  execute function send_queued_messages();
+
+revoke execute on function send_queued_messages() from public, anon, authenticated;
+
+-- Retries: failed attempts go back in the queue (the sender gives up
+-- after three), and a sender that died mid-way lets go after 10 minutes
+create or replace function retry_customer_messages()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update customer_messages set status = 'queued'
+  where status = 'sending' and attempted_at < now() - interval '10 minutes';
+
+  if exists (select 1 from customer_messages where status = 'queued') then
+    perform invoke_edge_function('send-customer-messages');
+  end if;
+end;
+$$;
+
+revoke execute on function retry_customer_messages() from public, anon, authenticated;
+
+select cron.schedule('retry-customer-messages', '*/5 * * * *', 'select retry_customer_messages()');
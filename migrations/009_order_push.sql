@@ -0,0 +1,98 @@
+-- migrations/009_order_push.sql
+-- Upgrade for projects set up before customers could get a push on
+-- their own device. New projects don't need this — supabase_schema.sql
+-- already includes it. Safe to run more than once.
+--
+-- Adds the customers' push subscriptions (one per device per order),
+-- subscribe_order_push() for the confirmation and tracking pages, and
+-- the trigger that asks notify-customer to send "your order is ready!"
+-- and clears the subscriptions once the order is done. Needs the Vault
+-- secrets from migration 008.
+
+create table if not exists order_push_subscriptions (
+  id           uuid primary key default uuid_generate_v4(),
+  order_id     uuid not null references orders(id) on delete cascade,
+  endpoint     text not null,
+  p256dh       text not null,
+  auth         text not null,
+  created_at   timestamptz default now(),
+  unique (order_id, endpoint)
+);
+
+alter table order_push_subscriptions enable row level security;
+
+create or replace function subscribe_order_push(
+  p_token    uuid,
+  p_endpoint text,
+  p_p256dh   text,
+  p_auth     text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order orders;
+begin
+  select * into v_order from orders where tracking_token = p_token;
+  if v_order.id is null then
+    raise exception 'Order not found.' using errcode = 'P0001';
+  end if;
+  if v_order.status in ('fulfilled', 'cancelled') then
+    raise exception 'This order is already %.', v_order.status using errcode = 'P0001';
+  end if;
+  if coalesce(p_endpoint, '') !~ '^https://' or coalesce(p_p256dh, '') = '' or coalesce(p_auth, '') = '' then
+    raise exception 'That isn''t a valid push subscription.' using errcode = 'P0001';
+  end if;
+
+  insert into order_push_subscriptions (order_id, endpoint, p256dh, auth)
+  values (v_order.id, p_endpoint, p_p256dh, p_auth)
+  on conflict (order_id, endpoint) do update set p256dh = excluded.p256dh, auth = excluded.auth;
+end;
+$$;
+
+grant execute on function subscribe_order_push(uuid, text, text, text) to anon, authenticated;
+
+-- Is this device already following the order?
+create or replace function order_push_subscribed(p_token uuid, p_endpoint text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from order_push_subscriptions s
+    join orders o on o.id = s.order_id
+    where o.tracking_token = p_token and s.endpoint = p_endpoint
+  );
+$$;
+
+grant execute on function order_push_subscribed(uuid, text) to anon, authenticated;
+
+create or replace function push_customer()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'ready' then
+    if exists (select 1 from order_push_subscriptions where order_id = new.id) then
+      perform invoke_edge_function('notify-customer', jsonb_build_object('orderId', new.id));
+    end if;
+  else
+    delete from order_push_subscriptions where order_id = new.id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_push_customer on orders;
+create trigger orders_push_customer
+  after update of status on orders
+  for each row
+  when (new.status in ('ready', 'fulfilled', 'cancelled') and old.status is distinct from new.status)
+  execute function push_customer();
@@ -0,0 +1,47 @@
+-- migrations/010_owner_push.sql
+-- Upgrade for projects set up before the database sent the new-order
+-- pushes. New projects don't need this — supabase_schema.sql already
+-- includes it. Safe to run more than once.
+--
+-- Adds the triggers that ask the notify-owner edge function to push
+-- each new order to the team's devices. Needs the Vault secrets from
+-- Step 6 of SETUP.md. If you copied notify-owner out of an older
+-- SETUP.md, redeploy it from supabase/functions/ and take the fetch()
+-- to it back out of MenuPage.jsx.
+
+alter table orders add column if not exists owner_notified_at timestamptz;
+
+-- Only for the database itself, so nobody can set off pushes over the
+-- API (Supabase grants anon and authenticated EXECUTE on new functions)
+revoke execute on function invoke_edge_function(text, jsonb) from public, anon, authenticated;
+
+create or replace function push_new_order()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from push_subscriptions where business_id = new.business_id) then
+    perform invoke_edge_function('notify-owner', jsonb_build_object('orderId', new.id));
+  end if;
+  return new;
+end;
+$$;
+
+-- Only for the triggers below
+revoke execute on function push_new_order() from public, anon, authenticated;
+
+drop trigger if exists orders_push_new on orders;
+create trigger orders_push_new
+  after insert on orders
+  for each row
+  when (new.payment_status <> 'awaiting')
+  execute function push_new_order();
+
+drop trigger if exists orders_push_paid on orders;
+create trigger orders_push_paid
+  after update of payment_status on orders
+  for each row
+  when (old.payment_status = 'awaiting' and new.payment_status = 'paid' and new.status <> 'cancelled')
+  execute function push_new_order();
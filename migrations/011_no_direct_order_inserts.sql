@@ -0,0 +1,12 @@
+-- migrations/011_no_direct_order_inserts.sql
+-- Upgrade for projects set up before orders went through
+-- place_order(). New projects don't need this — supabase_schema.sql
+-- never creates these policies. Safe to run more than once.
+--
+-- The original schema let anyone insert straight into orders and
+-- order_items, which skips place_order()'s price, stock and payment
+-- checks (an order could even arrive marked as paid). place_order()
+-- runs as security definer, so nothing else needs these.
+
+drop policy if exists "customers can place orders" on orders;
+drop policy if exists "customers insert items" on order_items;
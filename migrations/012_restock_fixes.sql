@@ -0,0 +1,60 @@
+-- migrations/012_restock_fixes.sql
+-- Fix for projects set up before daily restocks skipped a business's
+-- first day. New projects don't need this — supabase_schema.sql
+-- already includes it. Safe to run more than once.
+--
+-- restock_due_products() took a business that had never been
+-- restocked as due, so its first run reset stock in the middle of the
+-- day. Cancelled orders also put their stock back on top of a restock
+-- that had already happened, going past the daily level.
+
+create or replace function restore_cancelled_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Never above the daily level: an order from before this morning's
+  -- restock already had its stock put back by it. Stock the owner set
+  -- higher than that by hand isn't lowered.
+  update products p
+  set stock = case
+                when p.restock_to is null then p.stock + x.quantity
+                else greatest(p.stock, least(p.stock + x.quantity, p.restock_to))
+              end
+  from (
+    select product_id, sum(quantity)::int as quantity
+    from order_items
+    where order_id = new.id
+    group by product_id
+  ) x
+  where p.id = x.product_id and p.stock is not null;
+  return new;
+end;
+$$;
+
+-- A business seen for the first time only starts the count
+create or replace function restock_due_products()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_biz record;
+begin
+  for v_biz in
+    select id, restocked_on, (now() at time zone timezone)::date as today
+    from businesses
+    where restocked_on is distinct from (now() at time zone timezone)::date
+  loop
+    if v_biz.restocked_on is not null then
+      perform restock_products(v_biz.id);
+    end if;
+    update businesses set restocked_on = v_biz.today where id = v_biz.id;
+  end loop;
+end;
+$$;
+
+revoke execute on function restock_due_products() from public, anon, authenticated;
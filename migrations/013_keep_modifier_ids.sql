@@ -0,0 +1,87 @@
+-- migrations/013_keep_modifier_ids.sql
+-- Fix for projects set up before saving a product kept its options'
+-- ids. New projects don't need this — supabase_schema.sql already
+-- includes it. Safe to run more than once.
+--
+-- set_product_modifiers() used to delete and re-add every group and
+-- option, so each save gave them new ids and carts already holding
+-- the old ones failed with "Some options for … are no longer
+-- available". It now updates them in place.
+
+-- Replace a product's modifier groups and options in one go (used by
+-- the admin product editor). Groups and options sent with an id are
+-- updated in place, so carts holding their ids keep working; the rest
+-- are added, and anything left out is deleted. Runs with the caller's
+-- rights, so RLS still decides who may edit.
+create or replace function set_product_modifiers(
+  p_product_id uuid,
+  p_groups     jsonb    -- [{ "id"?, "name", "min_select", "max_select", "options": [{ "id"?, "name", "price_delta" }] }]
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_group     record;
+  v_option    record;
+  v_group_id  uuid;
+  v_option_id uuid;
+  v_groups    uuid[] := '{}';
+  v_options   uuid[] := '{}';
+begin
+  for v_group in
+    select g.value, g.ordinality - 1 as sort_order
+    from jsonb_array_elements(coalesce(p_groups, '[]')) with ordinality as g(value, ordinality)
+  loop
+    update modifier_groups set
+      name       = trim(v_group.value->>'name'),
+      min_select = coalesce((v_group.value->>'min_select')::int, 0),
+      max_select = (v_group.value->>'max_select')::int,
+      sort_order = v_group.sort_order
+    where id = (v_group.value->>'id')::uuid and product_id = p_product_id
+    returning id into v_group_id;
+
+    if v_group_id is null then
+      insert into modifier_groups (product_id, name, min_select, max_select, sort_order)
+      values (
+        p_product_id,
+        trim(v_group.value->>'name'),
+        coalesce((v_group.value->>'min_select')::int, 0),
+        (v_group.value->>'max_select')::int,
+        v_group.sort_order
+      )
+      returning id into v_group_id;
+    end if;
+    v_groups := v_groups || v_group_id;
+
+    for v_option in
+      select o.value, o.ordinality - 1 as sort_order
+      from jsonb_array_elements(coalesce(v_group.value->'options', '[]')) with ordinality as o(value, ordinality)
+    loop
+      update modifier_options set
+        name        = trim(v_option.value->>'name'),
+        price_delta = coalesce((v_option.value->>'price_delta')::numeric, 0),
+        sort_order  = v_option.sort_order
+      where id = (v_option.value->>'id')::uuid and group_id = v_group_id
+      returning id into v_option_id;
+
+      if v_option_id is null then
+        insert into modifier_options (group_id, name, price_delta, sort_order)
+        values (
+          v_group_id,
+          trim(v_option.value->>'name'),
+          coalesce((v_option.value->>'price_delta')::numeric, 0),
+          v_option.sort_order
+        )
+        returning id into v_option_id;
+      end if;
+      v_options := v_options || v_option_id;
+    end loop;
+  end loop;
+
+  delete from modifier_groups where product_id = p_product_id and id <> all(v_groups);
+  delete from modifier_options where group_id = any(v_groups) and id <> all(v_options);
+end;
+$$;
+
+grant execute on function set_product_modifiers(uuid, jsonb) to authenticated;
@@ -0,0 +1,33 @@
+-- migrations/014_confirmed_invitations.sql
+-- Fix for projects set up before invitations waited for a confirmed
+-- email. New projects don't need this — supabase_schema.sql already
+-- includes it. Safe to run more than once.
+--
+-- claim_invitations() matched on the email address alone, so someone
+-- who signed up with a staff member's address — without being able to
+-- open their inbox — could take over the invite.
+
+-- Called after sign-in: link any invites sent to this user's email.
+-- Only once the address is confirmed, or anyone could sign up with it.
+create or replace function claim_invitations()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_claimed int;
+begin
+  update business_members
+  set user_id = auth.uid(), joined_at = now()
+  where user_id is null
+    and lower(email) = (
+      select lower(email) from auth.users
+      where id = auth.uid() and email_confirmed_at is not null
+    );
+  get diagnostics v_claimed = row_count;
+  return v_claimed;
+end;
+$$;
+
+grant execute on function claim_invitations() to authenticated;
@@ -0,0 +1,47 @@
+-- migrations/016_push_endpoint_hosts.sql
+-- Fix for projects set up before customer push subscriptions were
+-- limited to the browsers' push services. New projects don't need
+-- this — supabase_schema.sql already includes it. Safe to run more
+-- than once.
+--
+-- subscribe_order_push() took any https:// address from anyone with a
+-- tracking link, and notify-customer would then POST to it. Redeploy
+-- notify-customer and notify-owner too: they now skip (and delete)
+-- subscriptions that don't point at a push service.
+
+create or replace function subscribe_order_push(
+  p_token    uuid,
+  p_endpoint text,
+  p_p256dh   text,
+  p_auth     text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order orders;
+begin
+  select * into v_order from orders where tracking_token = p_token;
+  if v_order.id is null then
+    raise exception 'Order not found.' using errcode = 'P0001';
+  end if;
+  if v_order.status in ('fulfilled', 'cancelled') then
+    raise exception 'This order is already %.', v_order.status using errcode = 'P0001';
+  end if;
+  -- Only the browsers' own push services (Chrome, Firefox, Safari,
+  -- Edge) — the edge function would otherwise POST wherever it's told.
+  -- Same list as PUSH_HOSTS in supabase/functions/_shared/webpush.ts.
+  if coalesce(p_endpoint, '') !~ '^https://(fcm\.googleapis\.com|updates\.push\.services\.mozilla\.com|[a-z0-9-]+(\.[a-z0-9-]+)*\.push\.apple\.com|[a-z0-9-]+(\.[a-z0-9-]+)*\.notify\.windows\.com)/'
+     or coalesce(p_p256dh, '') = '' or coalesce(p_auth, '') = '' then
+    raise exception 'That isn''t a valid push subscription.' using errcode = 'P0001';
+  end if;
+
+  insert into order_push_subscriptions (order_id, endpoint, p256dh, auth)
+  values (v_order.id, p_endpoint, p_p256dh, p_auth)
+  on conflict (order_id, endpoint) do update set p256dh = excluded.p256dh, auth = excluded.auth;
+end;
+$$;
+
+grant execute on function subscribe_order_push(uuid, text, text, text) to anon, authenticated;
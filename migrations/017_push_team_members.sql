@@ -0,0 +1,40 @@
+-- migrations/017_push_team_members.sql
+-- Upgrade for projects set up before order alerts belonged to a team
+-- member. New projects don't need this — supabase_schema.sql already
+-- includes it. Safe to run more than once.
+--
+-- Saves who turned alerts on for each device, stops a device's alerts
+-- (and the Start preparing / Mark ready buttons on them) when that
+-- person leaves the team, and has order-action check they're still on
+-- it. Existing devices can't be matched to anyone, so they're removed:
+-- the team turns alerts back on from the dashboard. Redeploy
+-- notify-owner and order-action from supabase/functions/ too.
+
+alter table push_subscriptions
+  add column if not exists user_id uuid default auth.uid() references auth.users(id) on delete cascade;
+delete from push_subscriptions where user_id is null;
+alter table push_subscriptions alter column user_id set not null;
+
+drop policy if exists "team manages push" on push_subscriptions;
+create policy "team manages push" on push_subscriptions
+  for all using (has_business_role(business_id))
+  with check (user_id = auth.uid() and has_business_role(business_id));
+
+-- Someone who leaves the team stops getting its order alerts (and
+-- their buttons stop working, see order-action).
+create or replace function remove_member_push()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from push_subscriptions where business_id = old.business_id and user_id = old.user_id;
+  return old;
+end;
+$$;
+
+drop trigger if exists business_members_remove_push on business_members;
+create trigger business_members_remove_push
+  after delete on business_members
+  for each row execute function remove_member_push();
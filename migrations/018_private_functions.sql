@@ -0,0 +1,17 @@
+-- migrations/018_private_functions.sql
+-- Fix for projects set up before the database's own helpers were shut
+-- off from the API. New projects don't need this — supabase_schema.sql
+-- already includes it. Safe to run more than once.
+--
+-- Supabase grants anon and authenticated EXECUTE on every new function
+-- in the public schema, so "revoke … from public" left these callable
+-- by anyone through the REST API. invoke_edge_function() in particular
+-- calls edge functions with the service role key, so any visitor could
+-- make the database send customer messages or pushes.
+
+revoke execute on function invoke_edge_function(text, jsonb) from public, anon, authenticated;
+revoke execute on function send_queued_messages() from public, anon, authenticated;
+revoke execute on function retry_customer_messages() from public, anon, authenticated;
+revoke execute on function restock_due_products() from public, anon, authenticated;
+revoke execute on function valid_promo_code(uuid, text) from public, anon, authenticated;
+revoke execute on function expire_unpaid_orders() from public, anon, authenticated;
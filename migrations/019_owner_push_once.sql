@@ -0,0 +1,12 @@
+-- migrations/019_owner_push_once.sql
+-- Upgrade for projects set up before each order was pushed to the team
+-- only once. New projects don't need this — supabase_schema.sql already
+-- includes it. Safe to run more than once.
+--
+-- notify-owner now records when it announced an order and turns down
+-- any further request for the same one. Redeploy notify-owner from
+-- supabase/functions/ after running this.
+
+alter table orders add column if not exists owner_notified_at timestamptz;
+
+revoke execute on function push_new_order() from public, anon, authenticated;
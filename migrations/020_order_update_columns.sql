@@ -0,0 +1,17 @@
+-- migrations/020_order_update_columns.sql
+-- Fix for projects set up before the team could only change an order's
+-- status. New projects don't need this — supabase_schema.sql already
+-- includes it. Safe to run more than once.
+--
+-- "team updates orders" let any team member change every column of an
+-- order through the API, including what was paid, the tip, the promo
+-- code and whether it was refunded. Now the team's browsers can only
+-- move the status along or cancel, and only within their own business.
+
+drop policy if exists "team updates orders" on orders;
+create policy "team updates orders" on orders
+  for update using (has_business_role(business_id))
+  with check (has_business_role(business_id));
+
+revoke update on orders from anon, authenticated;
+grant update (status, fulfilled_at, cancelled_at, cancel_reason) on orders to authenticated;
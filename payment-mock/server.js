@@ -0,0 +1,208 @@
+// payment-mock/server.js
+// A stand-in for the bits of the Stripe API that OrderAhead uses, so
+// online payments can be tried locally without a Stripe account. It
+// serves a fake checkout page with "Pay" and "Cancel" buttons and sends
+// signed webhooks just like Stripe would. Plain Node, no dependencies:
+//
+//   node payment-mock/server.js
+//
+// then give the edge functions (supabase/functions/.env):
+//   STRIPE_API_URL=http://host.docker.internal:12111
+//   STRIPE_SECRET_KEY=sk_test_mock
+//   STRIPE_WEBHOOK_SECRET=whsec_mock
+//
+// Environment:
+//   PORT            port to listen on (default 12111)
+//   PUBLIC_URL      how the browser reaches this server (default http://localhost:PORT)
+//   WEBHOOK_URL     where to send webhooks (default: local Supabase's payment-webhook)
+//   WEBHOOK_SECRET  signs the webhooks; must match STRIPE_WEBHOOK_SECRET (default whsec_mock)
+const http   = require("http");
+const crypto = require("crypto");
+
+const PORT           = Number(process.env.PORT) || 12111;
+const PUBLIC_URL     = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const WEBHOOK_URL    = process.env.WEBHOOK_URL || "http://127.0.0.1:54321/functions/v1/payment-webhook";
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || "whsec_mock";
+
+const sessions = new Map();   // id → checkout session
+const refunded = new Set();   // payment intent ids
+
+const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString("hex")}`;
+
+// "line_items[0][price_data][unit_amount]=350" → { line_items: { 0: { price_data: { unit_amount: "350" } } } }
+function parseForm(body) {
+  const data = {};
+  for (const [key, value] of new URLSearchParams(body)) {
+    const path = key.replace(/\]/g, "").split("[");
+    let node = data;
+    path.slice(0, -1).forEach(part => { node = node[part] = node[part] || {}; });
+    node[path[path.length - 1]] = value;
+  }
+  return data;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+const apiError = (res, status, message) => sendJson(res, status, { error: { message } });
+
+function redirect(res, url) {
+  res.writeHead(303, { Location: url });
+  res.end();
+}
+
+// Sign and send an event the way Stripe does (Stripe-Signature: t=…,v1=…)
+async function sendWebhook(type, session) {
+  const body = JSON.stringify({ id: newId("evt"), type, data: { object: session } });
+  const t = Math.floor(Date.now() / 1000);
+  const v1 = crypto.createHmac("sha256", WEBHOOK_SECRET).update(`${t}.${body}`).digest("hex");
+  try {
+    const res = await fetch(WEBHOOK_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "Stripe-Signature": `t=${t},v1=${v1}` },
+      body,
+    });
+    console.log(`${type} → ${res.status} ${await res.text()}`);
+  } catch (err) {
+    console.error(`${type} → couldn't reach ${WEBHOOK_URL}: ${err.message}`);
+  }
+}
+
+function expire(session) {
+  session.status = "expired";
+  session.url = null;
+  return sendWebhook("checkout.session.expired", session);
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function checkoutPage(session) {
+  const item = session.line_items[0];
+  const amount = (item.amount / 100).toFixed(2);
+  const open = session.status === "open";
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Mock checkout</title>
+<style>
+  body { font: 16px/1.5 system-ui, sans-serif; background: #f4f4f5; display: grid; place-items: center; min-height: 100vh; margin: 0; }
+  .card { background: #fff; border-radius: 14px; padding: 28px; width: min(360px, 92vw); box-shadow: 0 6px 24px rgba(0,0,0,.08); }
+  .tag { display: inline-block; font-size: 12px; font-weight: 700; background: #fef3c7; color: #92400e; padding: 2px 8px; border-radius: 6px; }
+  .amount { font-size: 34px; font-weight: 800; margin: 10px 0 2px; }
+  button { width: 100%; padding: 12px; border: 0; border-radius: 10px; font-size: 16px; font-weight: 700; margin-top: 10px; cursor: pointer; }
+  .pay { background: #635bff; color: #fff; } .cancel { background: #e4e4e7; } .expire { background: none; color: #71717a; font-size: 13px; }
+</style></head>
+<body><div class="card">
+  <span class="tag">TEST MODE — no real money</span>
+  <div class="amount">${amount} ${escapeHtml(item.currency.toUpperCase())}</div>
+  <div>${escapeHtml(item.name)}</div>
+  ${open ? `
+  <form method="post" action="/pay/${session.id}/complete"><button class="pay">Pay</button></form>
+  <form method="post" action="/pay/${session.id}/cancel"><button class="cancel">Cancel and go back</button></form>
+  <form method="post" action="/pay/${session.id}/expire"><button class="expire">Let this checkout expire</button></form>`
+  : `<p style="margin-top:16px">This checkout is ${session.status}.</p>`}
+</div></body></html>`;
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, PUBLIC_URL);
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  try {
+    // ── The Stripe API ───────────────────────────────────────
+    if (req.method === "POST" && url.pathname === "/v1/checkout/sessions") {
+      const form = parseForm(await readBody(req));
+      const line = form.line_items?.[0] || {};
+      const id = newId("cs");
+      const session = {
+        id,
+        object: "checkout.session",
+        status: "open",
+        payment_status: "unpaid",
+        url: `${PUBLIC_URL}/pay/${id}`,
+        client_reference_id: form.client_reference_id || null,
+        metadata: form.metadata || {},
+        success_url: form.success_url,
+        cancel_url: form.cancel_url,
+        expires_at: Number(form.expires_at) || Math.floor(Date.now() / 1000) + 24 * 3600,
+        payment_intent: null,
+        line_items: [{
+          name: line.price_data?.product_data?.name || "Order",
+          amount: Number(line.price_data?.unit_amount) * Number(line.quantity || 1),
+          currency: line.price_data?.currency || "usd",
+        }],
+      };
+      session.amount_total = session.line_items[0].amount;
+      sessions.set(id, session);
+      console.log(`checkout ${id} for ${session.amount_total} ${session.line_items[0].currency}`);
+      return sendJson(res, 200, session);
+    }
+
+    if (req.method === "GET" && parts[0] === "v1" && parts[1] === "checkout" && parts[2] === "sessions" && parts[3]) {
+      const session = sessions.get(parts[3]);
+      return session ? sendJson(res, 200, session) : apiError(res, 404, `No such checkout.session: '${parts[3]}'`);
+    }
+
+    if (req.method === "POST" && url.pathname === "/v1/refunds") {
+      const { payment_intent } = parseForm(await readBody(req));
+      const paid = [...sessions.values()].find(s => s.payment_intent === payment_intent);
+      if (!paid) return apiError(res, 404, `No such payment_intent: '${payment_intent}'`);
+      if (refunded.has(payment_intent)) return apiError(res, 400, `Charge for ${payment_intent} has already been refunded.`);
+      refunded.add(payment_intent);
+      console.log(`refunded ${payment_intent}`);
+      return sendJson(res, 200, { id: newId("re"), object: "refund", payment_intent, amount: paid.amount_total, status: "succeeded" });
+    }
+
+    // ── The hosted checkout page ─────────────────────────────
+    if (parts[0] === "pay" && sessions.has(parts[1])) {
+      const session = sessions.get(parts[1]);
+
+      if (req.method === "GET" && parts.length === 2) {
+        res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+        return res.end(checkoutPage(session));
+      }
+
+      if (req.method === "POST" && session.status === "open") {
+        if (parts[2] === "complete") {
+          Object.assign(session, { status: "complete", payment_status: "paid", payment_intent: newId("pi"), url: null });
+          await sendWebhook("checkout.session.completed", session);
+          return redirect(res, session.success_url);
+        }
+        // Stripe leaves the session open when the customer backs out
+        if (parts[2] === "cancel") return redirect(res, session.cancel_url);
+        if (parts[2] === "expire") {
+          await expire(session);
+          return redirect(res, `/pay/${session.id}`);
+        }
+      }
+      if (req.method === "POST") return redirect(res, `/pay/${session.id}`);
+    }
+
+    sendJson(res, 404, { error: { message: "Not found" } });
+  } catch (err) {
+    console.error(err);
+    apiError(res, 500, err.message);
+  }
+});
+
+// Expire checkouts that run past their expires_at, like Stripe does
+setInterval(() => {
+  const now = Date.now() / 1000;
+  for (const session of sessions.values()) {
+    if (session.status === "open" && session.expires_at < now) expire(session);
+  }
+}, 30 * 1000).unref();
+
+server.listen(PORT, () => {
+  console.log(`Mock payments listening on ${PUBLIC_URL} — webhooks go to ${WEBHOOK_URL}`);
+});
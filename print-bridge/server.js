@@ -0,0 +1,100 @@
+// print-bridge/server.js
+// Local bridge between the dashboard and network thermal printers.
+// Browsers can't open raw sockets, so the dashboard POSTs ready-made
+// ESC/POS bytes here and this passes them on to the printer (usually
+// port 9100). Plain Node, no dependencies — run it on any computer on
+// the same network as the printer:
+//
+//   PRINTERS=192.168.1.50:9100 node print-bridge/server.js
+//
+// Environment:
+//   PRINTERS      comma-separated "host:port" list the bridge may print to;
+//                 the first is used when a request doesn't name one
+//   PORT          port to listen on (default 9110)
+//   HOST          address to listen on (default 127.0.0.1 — this device only)
+//   ALLOW_ORIGIN  site allowed to call the bridge, e.g. https://orders.example.com
+//                 (default * — any site, but still only to the printers above)
+const http = require("http");
+const net  = require("net");
+
+const PRINTERS     = (process.env.PRINTERS || "").split(",").map(p => p.trim()).filter(Boolean);
+const PORT         = Number(process.env.PORT) || 9110;
+const HOST         = process.env.HOST || "127.0.0.1";
+const ALLOW_ORIGIN = process.env.ALLOW_ORIGIN || "*";
+const MAX_BODY     = 1024 * 1024;
+const TIMEOUT_MS   = 5000;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "text/plain; charset=utf-8",
+    "Access-Control-Allow-Origin": ALLOW_ORIGIN,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    // Lets an https:// dashboard reach the bridge on localhost in Chrome
+    "Access-Control-Allow-Private-Network": "true",
+  });
+  res.end(body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) { reject(new Error("Ticket too large")); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// Open a socket to the printer, write the ticket, and close it
+function printRaw(printer, bytes) {
+  const [host, port = "9100"] = printer.split(":");
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port: Number(port) });
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error(`Printer ${printer} didn't answer`)));
+    socket.on("connect", () => socket.end(bytes));
+    socket.on("close", hadError => { if (!hadError) resolve(); });
+    socket.on("error", reject);
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === "OPTIONS") return send(res, 204, "");
+
+  if (req.method === "GET" && req.url === "/") {
+    return send(res, 200, `OrderAhead print bridge — printers: ${PRINTERS.join(", ") || "none configured"}`);
+  }
+
+  if (req.method !== "POST" || req.url !== "/print") return send(res, 404, "Not found");
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (err) {
+    return send(res, 400, `Bad request: ${err.message}`);
+  }
+
+  try {
+    const { printer, data } = body;
+    const target = printer || PRINTERS[0];
+    if (!target) return send(res, 400, "No printer configured — start the bridge with PRINTERS=host:port");
+    if (!PRINTERS.includes(target)) return send(res, 403, `Printer ${target} isn't in the bridge's PRINTERS list`);
+    if (typeof data !== "string" || !data) return send(res, 400, "Nothing to print");
+
+    await printRaw(target, Buffer.from(data, "base64"));
+    console.log(`${new Date().toISOString()} printed to ${target}`);
+    send(res, 200, "Printed");
+  } catch (err) {
+    console.error(`${new Date().toISOString()} print failed: ${err.message}`);
+    send(res, 502, `Print failed: ${err.message}`);
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Print bridge listening on http://${HOST}:${PORT}`);
+  if (!PRINTERS.length) console.warn("No PRINTERS set — every print will be refused.");
+});
@@ -3,6 +3,10 @@
 const CACHE_NAME = "orderahead-v1";
 const STATIC_ASSETS = ["/", "/index.html", "/manifest.json"];
 
+// The Supabase project, passed in by registerServiceWorker() (?api=…),
+// for the buttons on new-order notifications
+const API_URL = new URL(self.location).searchParams.get("api") || "";
+
 // ── Install: cache static shell ─────────────────────────────
 self.addEventListener("install", (event) => {
   event.waitUntil(
@@ -40,23 +44,62 @@ self.addEventListener("push", (event) => {
     data = { ...data, ...event.data.json() };
   } catch (_) {}
 
-  event.waitUntil(
-    self.registration.showNotification(data.title, {
-      body: data.body,
-      icon: data.icon || "/icons/icon-192.png",
-      badge: "/icons/icon-192.png",
-      vibrate: [200, 100, 200],
-      tag: "new-order",
-      renotify: true,
-      data: { url: data.url || "/dashboard" },
-    })
-  );
+  event.waitUntil(showOrderNotification({ ...data, summary: data.body }));
 });
 
-// ── Notification click: open / focus the dashboard ──────────
+// One notification per order (its own tag), with buttons when the
+// push carries them. Browsers without action buttons just show it.
+function showOrderNotification(data, { silent = false } = {}) {
+  return self.registration.showNotification(data.title, {
+    body: data.body,
+    icon: data.icon || "/icons/icon-192.png",
+    badge: "/icons/icon-192.png",
+    vibrate: silent ? undefined : [200, 100, 200],
+    tag: data.tag || "new-order",
+    renotify: !silent,
+    silent,
+    actions: data.actions || [],
+    data: { ...data, url: data.url || "/dashboard" },
+  });
+}
+
+// ── Notification buttons: move the order on, no app needed ──
+// The push came with a signed token for each button; order-action
+// checks it and answers with the buttons for the next step.
+async function runOrderAction(data, action) {
+  let result;
+  try {
+    const res = await fetch(`${API_URL}/functions/v1/order-action`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token: data.tokens[action] }),
+    });
+    result = await res.json();
+  } catch (_) {
+    result = { error: "Couldn't reach the server — open the dashboard instead." };
+  }
+
+  // Marked ready: nothing left to press
+  if (!result.error && !result.actions.length) return;
+
+  const body = result.error ? `${result.error}\n${data.summary}` : `🔥 Preparing · ${data.summary}`;
+  return showOrderNotification(
+    { ...data, body, actions: result.actions || [], tokens: result.tokens || {} },
+    { silent: true }
+  );
+}
+
+// ── Notification click: a button, or open / focus the page ─
 self.addEventListener("notificationclick", (event) => {
   event.notification.close();
-  const target = event.notification.data?.url || "/dashboard";
+  const data = event.notification.data || {};
+
+  if (event.action && data.tokens?.[event.action]) {
+    event.waitUntil(runOrderAction(data, event.action));
+    return;
+  }
+
+  const target = data.url || "/dashboard";
   event.waitUntil(
     clients.matchAll({ type: "window", includeUncontrolled: true }).then((clientList) => {
       for (const client of clientList) {
@@ -66,3 +109,88 @@ self.addEventListener("notificationclick", (event) => {
     })
   );
 });
+
+// ── Background Sync: status changes made while offline ──────
+// src/lib/offline.js queues them in IndexedDB (with the session to send
+// them with). Each only applies if the order is still where it was, so
+// a change from another device meanwhile isn't overwritten — it's
+// flagged instead, for the dashboard to report.
+const DB_NAME = "orderahead";
+
+function openQueueDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore("status-queue", { keyPath: "id", autoIncrement: true });
+      req.result.createObjectStore("sync-auth", { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function idb(db, name, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function replayStatusQueue() {
+  const db = await openQueueDb();
+  try {
+    const auth = await idb(db, "sync-auth", "readonly", (store) => store.get("session"));
+    const queue = await idb(db, "status-queue", "readonly", (store) => store.getAll());
+    if (!auth || !API_URL) return;
+
+    const headers = {
+      apikey: auth.anonKey,
+      Authorization: `Bearer ${auth.accessToken}`,
+      "Content-Type": "application/json",
+      Prefer: "return=representation",
+    };
+    const ordersUrl = (query) => `${API_URL}/rest/v1/orders?${query}`;
+
+    for (const change of queue) {
+      if (change.conflict) continue;
+
+      const res = await fetch(ordersUrl(`id=eq.${change.orderId}&status=eq.${change.from}&select=id`), {
+        method: "PATCH",
+        headers,
+        body: JSON.stringify({
+          status: change.to,
+          ...(change.to === "fulfilled" ? { fulfilled_at: change.at } : {}),
+          ...(change.to === "cancelled" ? { cancelled_at: change.at, cancel_reason: change.reason ?? null } : {}),
+        }),
+      });
+      // Signed out or session expired: leave it for the dashboard
+      if (!res.ok) throw new Error(`Status sync failed (${res.status})`);
+
+      if (!(await res.json()).length) {
+        const current = await fetch(ordersUrl(`id=eq.${change.orderId}&select=status`), { headers }).then((r) => r.json());
+        const status = current[0]?.status || "cancelled";
+        if (status !== change.to) {
+          // Unless the dashboard dealt with it meanwhile
+          await idb(db, "status-queue", "readwrite", (store) => {
+            const req = store.get(change.id);
+            req.onsuccess = () => { if (req.result) store.put({ ...change, conflict: status }); };
+            return req;
+          });
+          continue;
+        }
+      }
+      await idb(db, "status-queue", "readwrite", (store) => store.delete(change.id));
+    }
+  } finally {
+    db.close();
+    // Let an open dashboard catch up (and report any conflicts)
+    const clientList = await clients.matchAll({ type: "window" });
+    clientList.forEach((client) => client.postMessage({ type: "status-queue-synced" }));
+  }
+}
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === "order-status") event.waitUntil(replayStatusQueue());
+});
@@ -5,7 +5,10 @@ import { registerServiceWorker } from "./lib/push";
 
 import WelcomePage     from "./pages/WelcomePage";
 import MenuPage        from "./pages/MenuPage";
+import TrackPage       from "./pages/TrackPage";
 import DashboardPage   from "./pages/DashboardPage";
+import KitchenPage     from "./pages/KitchenPage";
+import AnalyticsPage   from "./pages/AnalyticsPage";
 import AdminPage       from "./pages/AdminPage";
 import LoginPage       from "./pages/LoginPage";
 
@@ -35,10 +38,13 @@ export default function App() {
           {/* Public customer-facing */}
           <Route path="/"              element={<WelcomePage />} />
           <Route path="/order/:slug"   element={<MenuPage />} />
+          <Route path="/track/:token"  element={<TrackPage />} />
 
           {/* Owner-facing */}
           <Route path="/login"         element={<LoginPage />} />
           <Route path="/dashboard"     element={<DashboardPage />} />
+          <Route path="/kitchen"       element={<KitchenPage />} />
+          <Route path="/analytics"     element={<AnalyticsPage />} />
           <Route path="/admin"         element={<AdminPage />} />
 
           {/* Fallback */}
@@ -0,0 +1,51 @@
+// src/lib/business.js
+// Which business the signed-in user works on, and what their role
+// lets them do there. The database enforces the same rules through
+// RLS — these only decide what to show.
+import { supabase } from "./supabase";
+
+export const ROLES = {
+  owner:   { label: "Owner",   hint: "Everything, including settings and the team" },
+  manager: { label: "Manager", hint: "Orders and refunds, plus the menu and stock" },
+  staff:   { label: "Staff",   hint: "Orders only" },
+};
+
+export const canEditMenu       = (role) => role === "owner" || role === "manager";
+export const canManageBusiness = (role) => role === "owner";
+export const canRefund         = (role) => role === "owner" || role === "manager";
+
+// The location picked in the sidebar switcher, remembered per device
+const CURRENT_KEY = "orderahead:business";
+
+export function rememberBusiness(businessId) {
+  localStorage.setItem(CURRENT_KEY, businessId);
+}
+
+// Switch location from a sidebar. Reloading drops the old location's
+// orders and Realtime channel in one go.
+export function switchBusiness(businessId) {
+  rememberBusiness(businessId);
+  window.location.reload();
+}
+
+/**
+ * Load every business the signed-in user works on, plus the one they
+ * last picked (or the first). Any pending invites for their email are
+ * accepted first. Returns { business, role, memberships } or null if
+ * they aren't part of a business yet.
+ */
+export async function loadMembership(userId) {
+  await supabase.rpc("claim_invitations");
+
+  const { data } = await supabase
+    .from("business_members")
+    .select("role, business:businesses(*)")
+    .eq("user_id", userId)
+    .order("created_at");
+
+  const memberships = (data || []).filter(m => m.business);
+  if (!memberships.length) return null;
+
+  const current = memberships.find(m => m.business.id === localStorage.getItem(CURRENT_KEY)) || memberships[0];
+  return { business: current.business, role: current.role, memberships };
+}
@@ -0,0 +1,80 @@
+// src/lib/csv.js
+// Small CSV helpers for owner exports (orders for the bookkeeper,
+// menu backups) and the menu import. Output is RFC 4180 with a BOM so
+// Excel opens UTF-8 names correctly.
+
+/**
+ * Quote a single value for CSV. Text that a spreadsheet would treat
+ * as a formula (=, +, -, @) is prefixed with a quote so a customer
+ * name can't run code in the bookkeeper's Excel.
+ */
+function escapeCell(value) {
+  if (value == null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from an array of objects.
+ * columns: [{ key, label }] — key may also be a function of the row.
+ */
+export function toCSV(rows, columns) {
+  const header = columns.map(c => escapeCell(c.label)).join(",");
+  const lines = rows.map(row =>
+    columns.map(c => escapeCell(typeof c.key === "function" ? c.key(row) : row[c.key])).join(",")
+  );
+  return [header, ...lines].join("\r\n") + "\r\n";
+}
+
+/**
+ * Hand a generated file to the browser as a download.
+ */
+export function downloadFile(filename, content, type = "text/csv;charset=utf-8") {
+  const body = type.startsWith("text/csv") ? ["\uFEFF", content] : [content];
+  const url = URL.createObjectURL(new Blob(body, { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse CSV text into an array of objects keyed by the header row.
+ * Handles quoted fields, escaped quotes, embedded newlines and the
+ * formula guard added by toCSV(). Blank lines are skipped.
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell); cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+
+  const [header = [], ...body] = rows.filter(r => r.some(c => c.trim() !== ""));
+  const keys = header.map(h => h.trim());
+  return body.map(r => Object.fromEntries(
+    keys.map((k, i) => [k, (r[i] ?? "").replace(/^'(?=[=+\-@\t\r])/, "")])
+  ));
+}
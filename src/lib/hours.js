@@ -0,0 +1,124 @@
+// src/lib/hours.js
+// Opening-hours helpers shared by the menu and admin pages.
+// ─────────────────────────────────────────────────────────────
+// Hours are stored per weekday (0 = Sunday) as "HH:MM:SS" strings in
+// the business's own time zone. The database (is_open_for_orders) is
+// the real gatekeeper — this only decides what to show customers.
+// ─────────────────────────────────────────────────────────────
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * "07:00:00" → "7:00", "19:30:00" → "19:30"
+ */
+export function formatTime(time) {
+  const [h, m] = time.split(":");
+  return `${parseInt(h, 10)}:${m}`;
+}
+
+/**
+ * Format a timestamp as a local clock time in the business's zone,
+ * e.g. a pickup slot → "12:30".
+ */
+export function formatClock(timestamp, timezone) {
+  return new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone || "UTC", hour: "numeric", minute: "2-digit", hourCycle: "h23",
+  }).format(new Date(timestamp)).replace(/^0(?=\d:)/, "");
+}
+
+/**
+ * What day and time is it right now in the given time zone?
+ * Returns { weekday, minutes, date } where date is "YYYY-MM-DD".
+ */
+export function zonedNow(timezone, now = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone || "UTC",
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", hourCycle: "h23", weekday: "short",
+    }).formatToParts(now).map(p => [p.type, p.value])
+  );
+  return {
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(parts.weekday),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    date:    `${parts.year}-${parts.month}-${parts.day}`,
+  };
+}
+
+/**
+ * The instant a calendar day starts in the given time zone, e.g.
+ * ("2024-03-01", "Europe/Berlin") → 2024-02-29T23:00:00Z.
+ */
+export function zonedDayStart(date, timezone) {
+  const guess = new Date(`${date}T00:00:00Z`);
+  const offsetAt = (d) => {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone || "UTC",
+        year: "numeric", month: "2-digit", day: "2-digit",
+        hour: "2-digit", minute: "2-digit", second: "2-digit", hourCycle: "h23",
+      }).formatToParts(d).map(p => [p.type, p.value])
+    );
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - d.getTime();
+  };
+  // Second pass corrects for a DST change between the guess and the answer
+  const first = new Date(guess.getTime() - offsetAt(guess));
+  return new Date(guess.getTime() - offsetAt(first));
+}
+
+// "YYYY-MM-DD" plus n days, without time-zone surprises
+export function addDays(date, n) {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Work out whether a business is taking orders right now.
+ * Returns { open, paused, opensLabel } — opensLabel is e.g.
+ * "opens at 7:00", "opens tomorrow at 7:00" or null if unknown.
+ */
+export function getOpenStatus(business, hours = [], closures = [], now = new Date()) {
+  if (business.ordering_paused) return { open: false, paused: true, opensLabel: null };
+
+  const closedDates = new Set(closures.map(c => c.closed_on));
+  const today = zonedNow(business.timezone, now);
+
+  // No hours configured → always open (unless today is a closure)
+  if (hours.length === 0) {
+    if (!closedDates.has(today.date)) return { open: true, paused: false, opensLabel: null };
+    return { open: false, paused: false, opensLabel: "opens tomorrow" };
+  }
+
+  const rangesOn = (weekday) => hours
+    .filter(h => h.weekday === weekday)
+    .map(h => ({ opens: toMinutes(h.opens_at), closes: toMinutes(h.closes_at), label: formatTime(h.opens_at) }))
+    .sort((a, b) => a.opens - b.opens);
+
+  if (!closedDates.has(today.date)) {
+    const todays = rangesOn(today.weekday);
+    if (todays.some(r => today.minutes >= r.opens && today.minutes < r.closes)) {
+      return { open: true, paused: false, opensLabel: null };
+    }
+    const later = todays.find(r => r.opens > today.minutes);
+    if (later) return { open: false, paused: false, opensLabel: `opens at ${later.label}` };
+  }
+
+  // Look ahead up to a week for the next opening
+  for (let i = 1; i <= 7; i++) {
+    const weekday = (today.weekday + i) % 7;
+    if (closedDates.has(addDays(today.date, i))) continue;
+    const first = rangesOn(weekday)[0];
+    if (first) {
+      const day = i === 1 ? "tomorrow" : WEEKDAYS[weekday];
+      return { open: false, paused: false, opensLabel: `opens ${day} at ${first.label}` };
+    }
+  }
+  return { open: false, paused: false, opensLabel: null };
+}
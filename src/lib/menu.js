@@ -0,0 +1,25 @@
+// src/lib/menu.js
+// Menu ordering helpers shared by the customer menu and the admin, so
+// both show products in exactly the same sequence.
+
+export const bySortOrder = (a, b) => (a.sort_order || 0) - (b.sort_order || 0);
+
+/**
+ * Group products under their categories in menu order. Categories
+ * keep their own sort_order, products are sorted within each one, and
+ * products without a (known) category end up in a trailing group with
+ * id null. Empty categories are included.
+ * Returns [{ id, name, description, visible, products }].
+ */
+export function groupByCategory(products, categories = []) {
+  const sorted = [...products].sort(bySortOrder);
+  const groups = [...categories].sort(bySortOrder).map(c => ({
+    ...c,
+    products: sorted.filter(p => p.category_id === c.id),
+  }));
+
+  const known = new Set(categories.map(c => c.id));
+  const loose = sorted.filter(p => !known.has(p.category_id));
+  if (loose.length > 0) groups.push({ id: null, name: "Other", description: null, visible: true, products: loose });
+  return groups;
+}
@@ -0,0 +1,46 @@
+// src/lib/messages.js
+// Texts and emails telling customers their order is ready (or was
+// cancelled). The database queues them when the status changes and the
+// send-customer-messages edge function delivers them — this is just
+// what the admin needs to edit the wording and read the delivery log.
+
+// customer_messages.event: when it's sent, and how the log names it
+export const MESSAGE_EVENTS = {
+  ready:     { label: "When an order is ready",   short: "Order ready" },
+  cancelled: { label: "When you cancel an order", short: "Order cancelled" },
+};
+
+export const MESSAGE_CHANNELS = {
+  sms:   "📱 Text",
+  email: "✉️ Email",
+};
+
+// Filled in when the message is sent
+export const MESSAGE_PLACEHOLDERS = [
+  { key: "{{name}}",   hint: "customer's name" },
+  { key: "{{shop}}",   hint: "your business name" },
+  { key: "{{order}}",  hint: "order reference, e.g. #4C111A16" },
+  { key: "{{reason}}", hint: "why it was cancelled" },
+  { key: "{{link}}",   hint: "their order tracking page" },
+];
+
+// Delivery log badges for customer_messages.status
+export const MESSAGE_STATUSES = {
+  queued:  { label: "Queued",  color: "#92400e", bg: "#fef3c7" },
+  sending: { label: "Sending", color: "#1d4ed8", bg: "#dbeafe" },
+  sent:    { label: "Sent",    color: "#166534", bg: "#dcfce7" },
+  failed:  { label: "Failed",  color: "#b91c1c", bg: "#fee2e2" },
+};
+
+const SAMPLE = {
+  "{{name}}":   "Jamie",
+  "{{order}}":  "#4C111A16",
+  "{{reason}}": "Out of oat milk",
+  "{{link}}":   `${window.location.origin}/track/…`,
+};
+
+// A template as a customer would see it, with example details
+export function previewMessage(text, shopName) {
+  return Object.entries({ ...SAMPLE, "{{shop}}": shopName })
+    .reduce((out, [key, value]) => out.split(key).join(value), text || "");
+}
@@ -0,0 +1,120 @@
+// src/lib/offline.js
+// Order status changes made while the shop's connection is down. They
+// wait in IndexedDB and are replayed when it's back — by the service
+// worker's Background Sync where the browser has it, and by the
+// dashboard as soon as it sees the connection return. Each change only
+// applies if the order is still where it was when the change was made,
+// so anything done meanwhile on another device wins and is reported.
+//
+// public/service-worker.js reads the same database; keep the names in step.
+import { supabase } from "./supabase";
+import { changeOrderStatus, shortId } from "./orders";
+
+const DB_NAME    = "orderahead";
+const QUEUE      = "status-queue"; // { id, orderId, ref, from, to, at, reason?, conflict? }
+const AUTH       = "sync-auth";    // { key: "session", anonKey, accessToken } for the service worker
+const SYNC_TAG   = "order-status";
+const ANON_KEY   = process.env.REACT_APP_SUPABASE_ANON_KEY || "";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(QUEUE, { keyPath: "id", autoIncrement: true });
+      req.result.createObjectStore(AUTH, { keyPath: "key" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run one request against a store and resolve with its result
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    const req = fn(tx.objectStore(name));
+    tx.oncomplete = () => { db.close(); resolve(req?.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+
+// Did this fail because we couldn't reach Supabase at all?
+export function isNetworkError(err) {
+  return !navigator.onLine || /failed to fetch|networkerror|load failed|network request failed/i.test(err?.message || "");
+}
+
+// Changes still waiting to be saved, oldest first (none where the
+// browser won't give us IndexedDB, e.g. some private windows)
+export function pendingStatusChanges() {
+  return withStore(QUEUE, "readonly", store => store.getAll()).catch(() => []);
+}
+
+/**
+ * Save a status change to replay later, with the customer's `reason`
+ * if it's a cancellation. The service worker gets the current session
+ * so it can replay it even with the dashboard closed.
+ */
+export async function queueStatusChange(order, to, reason) {
+  await withStore(QUEUE, "readwrite", store => store.add({
+    orderId: order.id,
+    ref:     shortId(order),
+    from:    order.status,
+    to,
+    at:      new Date().toISOString(),
+    ...(reason ? { reason } : {}),
+  }));
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (session) {
+    await withStore(AUTH, "readwrite", store => store.put({ key: "session", anonKey: ANON_KEY, accessToken: session.access_token }));
+  }
+
+  const registration = await navigator.serviceWorker?.ready;
+  await registration?.sync?.register(SYNC_TAG).catch(() => {});
+}
+
+/**
+ * Replay the queue in order. Stops at the first change that can't get
+ * through (still offline) and leaves the rest for next time.
+ * Returns { applied, conflicts, failed } — conflicts are the changes
+ * dropped because the order had moved on, each with the order's
+ * `current` status; failed are the ones Supabase turned down (signed
+ * out, no longer on the team…), each with its `error`.
+ */
+export async function replayStatusChanges() {
+  let applied = 0;
+  const conflicts = [];
+  const failed = [];
+
+  for (const change of await pendingStatusChanges()) {
+    // The service worker already found this one out of date
+    if (change.conflict) {
+      conflicts.push({ ...change, current: change.conflict });
+    } else {
+      try {
+        if (await changeOrderStatus(change.orderId, change.from, change.to, new Date(change.at), change.reason)) {
+          applied++;
+        } else if (await withStore(QUEUE, "readonly", store => store.get(change.id))) {
+          // Still queued, so the service worker didn't save it meanwhile:
+          // the order moved on elsewhere — fine if it's where we wanted it
+          const { data, error } = await supabase.from("orders").select("status").eq("id", change.orderId).maybeSingle();
+          if (error) throw error;
+          if (data?.status === change.to) applied++;
+          else conflicts.push({ ...change, current: data?.status || "cancelled" });
+        }
+      } catch (err) {
+        if (isNetworkError(err)) break;
+        // Retrying won't change the answer, and it would hold up the rest
+        failed.push({ ...change, error: err.message });
+      }
+    }
+    await withStore(QUEUE, "readwrite", store => store.delete(change.id));
+  }
+
+  // Nothing left for the service worker to do, so it needn't keep a session
+  if (!(await pendingStatusChanges()).length) {
+    await withStore(AUTH, "readwrite", store => store.delete("session")).catch(() => {});
+  }
+  return { applied, conflicts, failed };
+}
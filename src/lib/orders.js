@@ -0,0 +1,114 @@
+// src/lib/orders.js
+// The order queue shared by the dashboard and the kitchen display:
+// the status flow, the live Realtime feed, and moving an order on.
+import { supabase } from "./supabase";
+
+export const STATUS_FLOW = ["pending", "preparing", "ready", "fulfilled"];
+
+// Orders still being worked on
+export const ACTIVE_STATUSES = ["pending", "preparing", "ready"];
+
+export const shortId = (order) => order.id.slice(-6).toUpperCase();
+
+// The status an order moves to next, or null once it's done (or cancelled)
+export function nextStatus(order) {
+  const currentIdx = STATUS_FLOW.indexOf(order.status);
+  return currentIdx >= 0 ? STATUS_FLOW[currentIdx + 1] || null : null;
+}
+
+/**
+ * Listen for a business's orders over Supabase Realtime. New orders
+ * arrive with their line items; updates carry just the order row.
+ * Orders paid online only arrive once the payment has gone through.
+ * Returns a function that closes the channel.
+ */
+export function subscribeToOrders(businessId, { onInsert, onUpdate }) {
+  const arrived = new Set();
+
+  // Fetch the full order with items
+  async function deliver(id) {
+    if (arrived.has(id)) return;
+    arrived.add(id);
+
+    const { data } = await supabase
+      .from("orders")
+      .select("*, order_items(*)")
+      .eq("id", id)
+      .single();
+
+    if (data) onInsert(data);
+  }
+
+  const channel = supabase
+    .channel(`orders:${businessId}`)
+    .on("postgres_changes", {
+      event: "INSERT",
+      schema: "public",
+      table: "orders",
+      filter: `business_id=eq.${businessId}`,
+    }, (payload) => {
+      if (payload.new.payment_status !== "awaiting") deliver(payload.new.id);
+    })
+    .on("postgres_changes", {
+      event: "UPDATE",
+      schema: "public",
+      table: "orders",
+      filter: `business_id=eq.${businessId}`,
+    }, (payload) => {
+      const row = payload.new;
+      // Still at the checkout (or abandoned there) — not the shop's business yet
+      if (row.payment_status === "awaiting") return;
+      // Only the payment webhook leaves an order paid but still pending:
+      // to the shop, that's the new order arriving
+      if (row.payment_status === "paid" && row.status === "pending") deliver(row.id);
+      else onUpdate(row);
+    })
+    .subscribe();
+
+  return () => supabase.removeChannel(channel);
+}
+
+/**
+ * Move an order from one status to another, but only if it's still in
+ * `from` — so a change made meanwhile on another device isn't
+ * overwritten. `reason` goes with a cancellation, for the customer.
+ * Resolves true, or false if the order had moved on.
+ */
+export async function changeOrderStatus(orderId, from, to, at = new Date(), reason = null) {
+  const { data, error } = await supabase
+    .from("orders")
+    .update({
+      status: to,
+      ...(to === "fulfilled" ? { fulfilled_at: at.toISOString() } : {}),
+      ...(to === "cancelled" ? { cancelled_at: at.toISOString(), cancel_reason: reason } : {}),
+    })
+    .eq("id", orderId)
+    .eq("status", from)
+    .select("id");
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * Move an order one step along STATUS_FLOW. Returns the new status, or
+ * null if there's nowhere left to go.
+ */
+export async function advanceOrder(order) {
+  const status = nextStatus(order);
+  if (!status) return null;
+
+  if (!(await changeOrderStatus(order.id, order.status, status))) {
+    throw new Error("it was changed on another device in the meantime.");
+  }
+  return status;
+}
+
+/**
+ * Cancel an order from the dashboard, telling the customer `reason` —
+ * unless it was changed on another device since it was loaded.
+ */
+export async function rejectOrder(order, reason) {
+  if (!(await changeOrderStatus(order.id, order.status, "cancelled", new Date(), reason))) {
+    throw new Error("it was changed on another device in the meantime.");
+  }
+}
@@ -0,0 +1,43 @@
+// src/lib/payments.js
+// Online payment at checkout. The real work happens in edge functions
+// (supabase/functions/) so the provider's secret key never reaches the
+// browser — this just calls them and sends the customer on their way.
+import { supabase } from "./supabase";
+
+// businesses.payment_mode
+export const PAYMENT_MODES = [
+  { value: "off",      label: "Off — customers pay at pickup" },
+  { value: "optional", label: "Optional — customers choose to pay now or at pickup" },
+  { value: "required", label: "Required — every order is paid when it's placed" },
+];
+
+// Dashboard badges for orders.payment_status ('awaiting' orders never show)
+export const PAYMENT_BADGES = {
+  unpaid:   { label: "Pay at pickup", color: "#92400e", bg: "#fef3c7" },
+  paid:     { label: "Paid",          color: "#166534", bg: "#dcfce7" },
+  refunded: { label: "Refunded",      color: "#57534e", bg: "#f5f5f4" },
+};
+
+// Call an edge function; they answer failures with { error: "friendly message" }
+async function invoke(name, body) {
+  const { data, error } = await supabase.functions.invoke(name, { body });
+  if (error) {
+    const message = await error.context?.json?.().then(b => b.error).catch(() => null);
+    throw new Error(message || "Couldn't reach the payment service — please try again.");
+  }
+  return data;
+}
+
+/**
+ * Send the customer to the payment provider's checkout for an order
+ * placed with "Pay now". They come back to /track/:token afterwards.
+ */
+export async function startCheckout(trackingToken) {
+  const { url } = await invoke("create-checkout", { token: trackingToken });
+  window.location.assign(url);
+}
+
+// Give the customer their money back (owners and managers only)
+export async function refundOrder(orderId) {
+  await invoke("refund-order", { orderId });
+}
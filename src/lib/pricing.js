@@ -0,0 +1,118 @@
+// src/lib/pricing.js
+// Tax, fees, promo codes and tips. place_order() works out the real figures;
+// this mirrors it so the cart shows what the customer will actually
+// pay, and turns a stored order into the rows of its itemised total.
+
+const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+
+// The tax rate (%) for a product: its category's, else the business's
+export function taxRateFor(product, business, categories = []) {
+  const category = categories.find(c => c.id === product.category_id);
+  return Number(category?.tax_rate ?? business.tax_rate ?? 0);
+}
+
+// Does a promo code (from check_promo_code()) count this product?
+function promoCovers(promo, product) {
+  if (!promo.product_ids.length && !promo.category_ids.length) return true;
+  return promo.product_ids.includes(product.id) || promo.category_ids.includes(product.category_id);
+}
+
+/**
+ * Itemise a cart the same way place_order() does: a promo code comes
+ * off the lines it covers, then tax per line on what's left at its
+ * rate, rounded once for the whole order. With tax-inclusive prices
+ * the tax is already in the subtotal and isn't added again.
+ * `lines` are [{ unitPrice, quantity, product }]; `promo` is the
+ * result of check_promo_code(), or null.
+ * Returns an order-shaped { subtotal, discount, promo_code, tax, tax_included,
+ * service_fee, packaging_fee, total }, plus `promo_error` when the code
+ * doesn't apply to this cart (and so isn't counted).
+ */
+export function priceOrder(lines, business, categories = [], promo = null) {
+  const included = !!business.prices_include_tax;
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0));
+
+  let discount = 0;
+  let eligible = 0;
+  let promo_error = null;
+  if (promo) {
+    eligible = round2(lines
+      .filter(l => promoCovers(promo, l.product))
+      .reduce((sum, l) => sum + l.unitPrice * l.quantity, 0));
+    if (promo.min_spend && subtotal < Number(promo.min_spend)) {
+      promo_error = `Spend $${Number(promo.min_spend).toFixed(2)} to use ${promo.code}.`;
+    } else if (!eligible) {
+      promo_error = `${promo.code} doesn't apply to anything in your cart.`;
+    } else {
+      discount = promo.kind === "percent"
+        ? round2(eligible * Number(promo.amount) / 100)
+        : Math.min(Number(promo.amount), eligible);
+    }
+  }
+
+  let tax = 0;
+  for (const line of lines) {
+    let amount = line.unitPrice * line.quantity;
+    if (discount && promoCovers(promo, line.product)) amount -= discount * amount / eligible;
+    const rate = taxRateFor(line.product, business, categories);
+    tax += amount * rate / (included ? 100 + rate : 100);
+  }
+  tax = round2(tax);
+  const service_fee = round2((subtotal - discount) * Number(business.service_fee_percent || 0) / 100);
+  const packaging_fee = Number(business.packaging_fee || 0);
+
+  return {
+    subtotal,
+    discount,
+    promo_code: discount ? promo.code : null,
+    promo_error,
+    tax,
+    tax_included: included,
+    service_fee,
+    packaging_fee,
+    total: round2(subtotal - discount + service_fee + packaging_fee + (included ? 0 : tax)),
+  };
+}
+
+// A preset tip: a percentage of the items after any discount, before
+// tax and fees
+export function tipFor(order, percent) {
+  return round2((order.subtotal - (order.discount || 0)) * percent / 100);
+}
+
+// What the customer pays: the order total plus their tip, which is
+// stored apart from it
+export function amountDue(order) {
+  return round2(Number(order.total) + Number(order.tip || 0));
+}
+
+// "$4.50", or "−$1.40" for a discount
+export function formatMoney(amount) {
+  return `${amount < 0 ? "−" : ""}$${Math.abs(amount).toFixed(2)}`;
+}
+
+/**
+ * The lines above what the customer pays (amountDue()):
+ * [{ label, amount, muted }]. Empty when there's no discount, tax, fee
+ * or tip, so plain orders just show their total. A discount's amount
+ * is negative.
+ */
+export function breakdownRows(order) {
+  const discount = Number(order.discount || 0);
+  const tax = Number(order.tax || 0);
+  const serviceFee = Number(order.service_fee || 0);
+  const packagingFee = Number(order.packaging_fee || 0);
+  const tip = Number(order.tip || 0);
+  if (!discount && !tax && !serviceFee && !packagingFee && !tip) return [];
+
+  return [
+    { label: "Subtotal", amount: Number(order.subtotal) },
+    ...(discount     ? [{ label: `Discount (${order.promo_code})`, amount: -discount }] : []),
+    ...(serviceFee   ? [{ label: "Service fee", amount: serviceFee }] : []),
+    ...(packagingFee ? [{ label: "Packaging",   amount: packagingFee }] : []),
+    ...(tax ? [order.tax_included
+      ? { label: "Includes tax", amount: tax, muted: true }
+      : { label: "Tax", amount: tax }] : []),
+    ...(tip ? [{ label: "Tip", amount: tip }] : []),
+  ];
+}
@@ -0,0 +1,188 @@
+// src/lib/print.js
+// Kitchen tickets. Two ways to print:
+//   "browser" — the browser's print dialog, laid out for a 58mm or 80mm roll
+//   "escpos"  — raw ESC/POS for a network thermal printer, sent through
+//               the local print bridge (print-bridge/server.js), since
+//               browsers can't open a socket to the printer themselves
+// Settings are per device (the kitchen tablet prints, the owner's phone
+// doesn't), so they live in localStorage rather than the database.
+import { formatClock } from "./hours";
+import { shortId } from "./orders";
+
+const SETTINGS_KEY = "orderahead:print";
+
+// Characters per line in the printer's standard font
+export const PAPER_WIDTHS = { 58: 32, 80: 48 };
+
+export const DEFAULT_PRINT_SETTINGS = {
+  autoPrint:  false,                    // print every new order as it arrives
+  method:     "browser",                // "browser" | "escpos"
+  paperWidth: 80,                       // mm
+  bridgeUrl:  "http://localhost:9110",
+  printer:    "",                       // "host:port", blank = the bridge's default
+};
+
+export function loadPrintSettings() {
+  return { ...DEFAULT_PRINT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}") };
+}
+
+export function savePrintSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Print an order's kitchen ticket with this device's settings.
+ * Throws if the print bridge can't be reached or the printer fails.
+ */
+export async function printTicket(order, business, settings = loadPrintSettings()) {
+  const ticket = ticketContent(order, business);
+  if (settings.method === "escpos") await sendToBridge(escposTicket(ticket, settings.paperWidth), settings);
+  else printInBrowser(ticket, settings.paperWidth);
+}
+
+// What goes on a ticket, for either layout
+function ticketContent(order, business) {
+  const placed = new Date(order.created_at);
+  const day = new Intl.DateTimeFormat("en-GB", { timeZone: business.timezone || "UTC", day: "numeric", month: "short" }).format(placed);
+  return {
+    business: business.name,
+    ref:      shortId(order),
+    customer: order.customer_name,
+    placed:   `${day} ${formatClock(placed, business.timezone)}`,
+    pickup:   order.pickup_at ? formatClock(order.pickup_at, business.timezone) : "ASAP",
+    items:    (order.order_items || []).map(i => ({ quantity: i.quantity, name: i.name, options: (i.options || []).map(o => o.name) })),
+    note:     order.customer_note,
+  };
+}
+
+// ── Browser printing ─────────────────────────────────────────
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+function ticketHtml(t, paperWidth) {
+  const small = paperWidth < 80;
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Order ${t.ref}</title>
+<style>
+  @page { size: ${paperWidth}mm auto; margin: 0; }
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { width: ${paperWidth}mm; padding: 3mm; font: ${small ? 11 : 13}px/1.35 ui-monospace, Menlo, Consolas, monospace; color: #000; }
+  h1 { font-size: 1.15em; text-align: center; }
+  .ref { font-size: 2em; font-weight: bold; text-align: center; margin: 1mm 0; }
+  .row { display: flex; justify-content: space-between; gap: 2mm; }
+  hr { border: 0; border-top: 1px dashed #000; margin: 2mm 0; }
+  .item { display: flex; gap: 2mm; font-size: 1.2em; font-weight: bold; margin-top: 1mm; }
+  .qty { min-width: 2.5em; }
+  .opts { padding-left: 3.2em; }
+  .note { border: 1px solid #000; padding: 1.5mm; margin-top: 2mm; font-weight: bold; }
+</style></head>
+<body>
+  <h1>${escapeHtml(t.business)}</h1>
+  <div class="ref">#${t.ref}</div>
+  <div class="row"><strong>${escapeHtml(t.customer)}</strong><span>Pickup ${t.pickup}</span></div>
+  <div class="row"><span>Placed</span><span>${t.placed}</span></div>
+  <hr>
+  ${t.items.map(i => `
+  <div class="item"><span class="qty">${i.quantity}×</span><span>${escapeHtml(i.name)}</span></div>
+  ${i.options.length ? `<div class="opts">${escapeHtml(i.options.join(", "))}</div>` : ""}`).join("")}
+  ${t.note ? `<div class="note">Note: ${escapeHtml(t.note)}</div>` : ""}
+</body></html>`;
+}
+
+// Print from a hidden iframe so the dashboard itself isn't printed
+function printInBrowser(ticket, paperWidth) {
+  const frame = document.createElement("iframe");
+  frame.style.cssText = "position:fixed;right:0;bottom:0;width:0;height:0;border:0";
+  document.body.appendChild(frame);
+
+  const doc = frame.contentDocument;
+  doc.open();
+  doc.write(ticketHtml(ticket, paperWidth));
+  doc.close();
+
+  frame.contentWindow.onafterprint = () => frame.remove();
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+}
+
+// ── ESC/POS ──────────────────────────────────────────────────
+const ESC = 0x1b;
+const GS  = 0x1d;
+
+const CMD = {
+  init:   [ESC, 0x40],
+  align:  (n) => [ESC, 0x61, n],                           // 0 left, 1 centre
+  bold:   (on) => [ESC, 0x45, on ? 1 : 0],
+  size:   (w, h) => [GS, 0x21, ((w - 1) << 4) | (h - 1)],  // 1–8× width and height
+  feed:   (n) => [ESC, 0x64, n],
+  cut:    [GS, 0x56, 0x01],                                // partial cut
+};
+
+// Thermal printers default to a single-byte code page; fold accents
+// away and drop anything else outside plain ASCII.
+function asciiBytes(text) {
+  const folded = String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  return Array.from(folded, c => (c >= " " && c <= "~" ? c.charCodeAt(0) : 0x3f));
+}
+
+// Word-wrap to the paper width; `rest` indents the continuation lines
+function wrap(text, width, first = "", rest = first) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (!line) line = (lines.length ? rest : first) + word;
+    else if ((line + " " + word).length > width) { lines.push(line); line = rest + word; }
+    else line += " " + word;
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+function escposTicket(t, paperWidth) {
+  const cols = PAPER_WIDTHS[paperWidth] || PAPER_WIDTHS[80];
+  const out = [...CMD.init];
+  const text = (s) => out.push(...asciiBytes(s), 0x0a);
+  const row = (left, right) => text(left + " ".repeat(Math.max(1, cols - left.length - right.length)) + right);
+
+  out.push(...CMD.align(1), ...CMD.bold(true));
+  wrap(t.business, cols).forEach(text);
+  out.push(...CMD.size(2, 2));
+  text(`#${t.ref}`);
+  out.push(...CMD.size(1, 1), ...CMD.bold(false), ...CMD.align(0));
+
+  out.push(...CMD.bold(true));
+  row(t.customer.slice(0, cols - 14), `Pickup ${t.pickup}`);
+  out.push(...CMD.bold(false));
+  row("Placed", t.placed);
+  text("-".repeat(cols));
+
+  for (const item of t.items) {
+    out.push(...CMD.bold(true), ...CMD.size(1, 2));
+    wrap(`${item.quantity}x ${item.name}`, cols, "", "   ").forEach(text);
+    out.push(...CMD.size(1, 1), ...CMD.bold(false));
+    wrap(item.options.join(", "), cols, "   ").forEach(text);
+  }
+
+  if (t.note) {
+    text("-".repeat(cols));
+    out.push(...CMD.bold(true));
+    wrap(`Note: ${t.note}`, cols).forEach(text);
+    out.push(...CMD.bold(false));
+  }
+
+  out.push(...CMD.feed(4), ...CMD.cut);
+  return out;
+}
+
+async function sendToBridge(bytes, settings) {
+  let res;
+  try {
+    res = await fetch(`${settings.bridgeUrl.replace(/\/+$/, "")}/print`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ printer: settings.printer || undefined, data: btoa(String.fromCharCode(...bytes)) }),
+    });
+  } catch {
+    throw new Error(`Can't reach the print bridge at ${settings.bridgeUrl} — is it running?`);
+  }
+  if (!res.ok) throw new Error((await res.text()) || `Print bridge error (${res.status})`);
+}
@@ -1,5 +1,7 @@
 // src/lib/push.js
-// Web Push subscription helpers
+// Web Push subscription helpers — owners follow a business's new
+// orders (push_subscriptions); customers follow their own order
+// (order_push_subscriptions), until it's picked up.
 // ─────────────────────────────────────────────────────────────
 // Generate your VAPID keys once at:  https://vapidkeys.com
 // Then put the PUBLIC key in your .env:
@@ -9,6 +11,7 @@
 import { supabase } from "./supabase";
 
 const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY || "";
+const SUPABASE_URL = process.env.REACT_APP_SUPABASE_URL || "";
 
 function urlBase64ToUint8Array(base64String) {
   const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
@@ -17,34 +20,78 @@ function urlBase64ToUint8Array(base64String) {
   return new Uint8Array([...rawData].map((c) => c.charCodeAt(0)));
 }
 
+// Can this browser get pushes at all? (iPhones only once the site is
+// added to the home screen)
+export function pushSupported() {
+  return "serviceWorker" in navigator && "PushManager" in window && !!VAPID_PUBLIC_KEY;
+}
+
+// Ask permission and get this device's subscription as { endpoint, keys },
+// or null if it was refused
+async function deviceSubscription(deniedMessage) {
+  const registration = await navigator.serviceWorker.ready;
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") {
+    alert(deniedMessage);
+    return null;
+  }
+
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+  });
+  return subscription.toJSON();
+}
+
 /**
  * Register the service worker and subscribe this device to push notifications.
- * Saves the subscription to Supabase so the backend can send pushes.
+ * Saves the subscription to Supabase, under the signed-in team member, so
+ * the backend can send pushes.
  */
 export async function subscribeToPush(businessId) {
-  if (!("serviceWorker" in navigator) || !("PushManager" in window)) {
+  if (!pushSupported()) {
     console.warn("Push not supported in this browser.");
     return false;
   }
 
   try {
-    const registration = await navigator.serviceWorker.ready;
-    const permission = await Notification.requestPermission();
-    if (permission !== "granted") {
-      alert("Please allow notifications so you get alerted when orders come in!");
-      return false;
-    }
+    const sub = await deviceSubscription("Please allow notifications so you get alerted when orders come in!");
+    if (!sub) return false;
 
-    const subscription = await registration.pushManager.subscribe({
-      userVisibleOnly: true,
-      applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
-    });
-
-    const { endpoint, keys } = subscription.toJSON();
-    await supabase.from("push_subscriptions").upsert(
-      { business_id: businessId, endpoint, p256dh: keys.p256dh, auth: keys.auth },
-      { onConflict: "endpoint" }
+    // A device someone else turned on (a shared tablet, say) moves over
+    // to whoever turns it on last
+    const { data: { session } } = await supabase.auth.getSession();
+    const { error } = await supabase.from("push_subscriptions").upsert(
+      { business_id: businessId, user_id: session?.user.id, endpoint: sub.endpoint, p256dh: sub.keys.p256dh, auth: sub.keys.auth },
+      { onConflict: "business_id,endpoint" }
     );
+    if (error) throw error;
+    return true;
+  } catch (err) {
+    console.error("Push subscription failed:", err);
+    return false;
+  }
+}
+
+/**
+ * Follow one order on this device: the customer gets a push when it's
+ * ready. Their tracking token proves it's theirs; the subscription is
+ * deleted once the order is picked up or cancelled.
+ */
+export async function subscribeToOrderPush(trackingToken) {
+  if (!pushSupported()) return false;
+
+  try {
+    const sub = await deviceSubscription("Allow notifications to hear when your order is ready.");
+    if (!sub) return false;
+
+    const { error } = await supabase.rpc("subscribe_order_push", {
+      p_token:    trackingToken,
+      p_endpoint: sub.endpoint,
+      p_p256dh:   sub.keys.p256dh,
+      p_auth:     sub.keys.auth,
+    });
+    if (error) throw error;
     return true;
   } catch (err) {
     console.error("Push subscription failed:", err);
@@ -52,23 +99,44 @@ export async function subscribeToPush(businessId) {
   }
 }
 
+// Is this device already following the order?
+export async function isSubscribedToOrder(trackingToken) {
+  if (!pushSupported()) return false;
+  const reg = await navigator.serviceWorker.ready;
+  const sub = await reg.pushManager.getSubscription();
+  if (!sub) return false;
+
+  const { data } = await supabase.rpc("order_push_subscribed", { p_token: trackingToken, p_endpoint: sub.endpoint });
+  return !!data;
+}
+
 /**
- * Check if this device is already subscribed.
+ * Check if this device is already subscribed to this business's orders.
+ * One device can follow several locations, each with its own row.
  */
-export async function isSubscribed() {
+export async function isSubscribed(businessId) {
   if (!("serviceWorker" in navigator)) return false;
   const reg = await navigator.serviceWorker.ready;
   const sub = await reg.pushManager.getSubscription();
-  return !!sub;
+  if (!sub) return false;
+
+  const { data } = await supabase
+    .from("push_subscriptions")
+    .select("id")
+    .eq("business_id", businessId)
+    .eq("endpoint", sub.endpoint)
+    .maybeSingle();
+  return !!data;
 }
 
 /**
- * Register the service worker (call once on app load).
+ * Register the service worker (call once on app load). It's told where
+ * Supabase is, for the buttons on new-order notifications.
  */
 export async function registerServiceWorker() {
   if ("serviceWorker" in navigator) {
     try {
-      await navigator.serviceWorker.register("/service-worker.js");
+      await navigator.serviceWorker.register(`/service-worker.js?api=${encodeURIComponent(SUPABASE_URL.replace(/\/+$/, ""))}`);
     } catch (err) {
       console.error("SW registration failed:", err);
     }
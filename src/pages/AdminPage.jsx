@@ -1,55 +1,238 @@
 // src/pages/AdminPage.jsx
 // Owner product & business management — upload menu items with photos,
-// set prices, manage availability, update business details.
+// set prices, manage availability, bulk import/export the menu, update
+// business details, set up promo codes and customer texts/emails.
 import { useState, useEffect, useRef } from "react";
 import { useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabase";
+import { WEEKDAYS } from "../lib/hours";
+import { toCSV, parseCSV, downloadFile } from "../lib/csv";
+import { bySortOrder, groupByCategory } from "../lib/menu";
+import { ROLES, loadMembership, rememberBusiness, switchBusiness, canEditMenu, canManageBusiness } from "../lib/business";
+import { PAYMENT_MODES } from "../lib/payments";
+import { MESSAGE_EVENTS, MESSAGE_CHANNELS, MESSAGE_PLACEHOLDERS, MESSAGE_STATUSES, previewMessage } from "../lib/messages";
 
-const EMPTY_PRODUCT = { name: "", description: "", price: "", category: "General", available: true, image_url: "" };
+const EMPTY_PRODUCT = { name: "", description: "", price: "", category_id: "", available: true, image_url: "", modifier_groups: [], track_stock: false, stock: "", restock_to: "" };
+const EMPTY_CATEGORY = { name: "", description: "", visible: true, tax_rate: "" };
+const EMPTY_TAXES    = { tax_rate: "0", prices_include_tax: false, service_fee_percent: "0", packaging_fee: "0" };
+const EMPTY_TIPS     = { tipping_enabled: false, tip_presets: ["10", "15", "20", ""] }; // up to 4 presets, "" = unused
+const EMPTY_GROUP   = { name: "", min_select: 0, max_select: "", options: [{ name: "", price_delta: "" }] };
+const EMPTY_PROMO   = {
+  code: "", description: "", kind: "percent", amount: "", product_ids: [], category_ids: [],
+  min_spend: "", max_uses: "", starts_on: "", ends_on: "", daily_from: "", daily_until: "", active: true,
+};
+
+const WEEK_ORDER  = [1, 2, 3, 4, 5, 6, 0]; // Monday first
+const BROWSER_TZ  = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+const TIMEZONES   = Intl.supportedValuesOf ? Intl.supportedValuesOf("timeZone") : [BROWSER_TZ];
+const PRODUCT_SELECT = "*, modifier_groups(*, modifier_options(*))";
+
+// Columns of a menu export / import file, in order
+const MENU_FIELDS = ["name", "description", "price", "category", "available", "sort_order", "image_url"];
+const TRUE_WORDS  = ["true", "yes", "y", "1"];
+const FALSE_WORDS = ["false", "no", "n", "0"];
+const nameKey = (name) => name.trim().toLowerCase();
+
+// Check one row of an imported menu file and normalise it into the
+// shape import_menu() expects. Returns { label, data, errors }.
+function validateMenuRow(raw, label) {
+  const text = (v) => (v == null ? "" : String(v).trim());
+  const errors = [];
+
+  const name = text(raw.name);
+  if (!name) errors.push("name is missing");
+
+  const priceText = text(raw.price).replace(/^\$/, "");
+  const price = Number(priceText);
+  if (priceText === "" || !Number.isFinite(price) || price < 0) errors.push(`price "${text(raw.price)}" isn't a valid amount`);
+
+  const availText = text(raw.available).toLowerCase();
+  if (availText && !TRUE_WORDS.includes(availText) && !FALSE_WORDS.includes(availText)) {
+    errors.push(`available should be true or false, not "${text(raw.available)}"`);
+  }
+
+  const sortText = text(raw.sort_order);
+  if (sortText && !/^-?\d+$/.test(sortText)) errors.push(`sort_order "${sortText}" isn't a whole number`);
+
+  const image = text(raw.image_url);
+  if (image && !/^https?:\/\//i.test(image)) errors.push("image_url must start with http:// or https://");
+
+  return {
+    label,
+    errors,
+    data: {
+      name,
+      description: text(raw.description),
+      price:       Math.round(price * 100) / 100,
+      category:    text(raw.category),
+      available:   !FALSE_WORDS.includes(availText),
+      sort_order:  sortText ? parseInt(sortText, 10) : null,
+      image_url:   image,
+    },
+  };
+}
+
+// Move one item to another's position in a list (drag and drop).
+// Returns the list unchanged if either isn't in it.
+function moveItem(list, fromKey, toKey, keyOf) {
+  const from = list.findIndex(x => keyOf(x) === fromKey);
+  const to   = list.findIndex(x => keyOf(x) === toKey);
+  if (from < 0 || to < 0 || from === to) return list;
+  const next = [...list];
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+}
+
+// Flatten category groups back into items numbered 0..n in menu order
+const withSortOrder = (items) => items.map((x, i) => ({ ...x, sort_order: i }));
+const menuOrder     = (products, categories) => groupByCategory(products, categories).flatMap(g => g.products);
+const menuOrderKey  = (products, categories) =>
+  [...categories].sort(bySortOrder).map(c => c.id).join() + "|" + menuOrder(products, categories).map(p => p.id).join();
+
+// One line summing up a promo code's terms, e.g. "10% off Drinks · before 09:00"
+function describePromo(promo, products, categories) {
+  const names = [
+    ...categories.filter(c => promo.category_ids.includes(c.id)).map(c => c.name),
+    ...products.filter(p => promo.product_ids.includes(p.id)).map(p => p.name),
+  ];
+  const parts = [
+    `${promo.kind === "percent" ? `${Number(promo.amount)}%` : `$${Number(promo.amount).toFixed(2)}`} off ${names.length ? names.join(", ") : "the order"}`,
+  ];
+  if (promo.min_spend) parts.push(`min. $${Number(promo.min_spend).toFixed(2)}`);
+  const from = promo.daily_from?.slice(0, 5);
+  const until = promo.daily_until?.slice(0, 5);
+  if (from || until) parts.push(from && until ? `${from}–${until}` : from ? `from ${from}` : `before ${until}`);
+  if (promo.starts_on || promo.ends_on) parts.push(`${promo.starts_on || "now"} to ${promo.ends_on || "no end date"}`);
+  return parts.join(" · ");
+}
+
+// Turn a loaded product into the shape the edit modal works with
+function toEditable(product) {
+  return {
+    ...product,
+    category_id: product.category_id || "",
+    track_stock: product.stock != null,
+    stock:       product.stock ?? "",
+    restock_to:  product.restock_to ?? "",
+    modifier_groups: [...(product.modifier_groups || [])].sort(bySortOrder).map(g => ({
+      id:         g.id,
+      name:       g.name,
+      min_select: g.min_select,
+      max_select: g.max_select ?? "",
+      options:    [...(g.modifier_options || [])].sort(bySortOrder).map(o => ({ id: o.id, name: o.name, price_delta: o.price_delta })),
+    })),
+  };
+}
 
 export default function AdminPage() {
   const navigate = useNavigate();
   const [user, setUser]           = useState(null);
   const [business, setBusiness]   = useState(null);
+  const [role, setRole]           = useState(null); // null until the user has a business
+  const [memberships, setMemberships] = useState([]); // every location this user works on
   const [products, setProducts]   = useState([]);
+  const [categories, setCategories] = useState([]);
   const [loading, setLoading]     = useState(true);
   const [savingBiz, setSavingBiz] = useState(false);
-  const [tab, setTab]             = useState("products"); // "products" | "business"
+  const [tab, setTab]             = useState("products"); // "products" | "business" | "promos" | "team"
   const [editingProduct, setEditingProduct] = useState(null); // null | product obj | "new"
+  const [editingCategory, setEditingCategory] = useState(null); // null | category obj
+  const [editingPromo, setEditingPromo] = useState(null); // null | promo form
   const [uploadingImg, setUploadingImg]     = useState(false);
   const [toast, setToast]         = useState(null);
+  const [menuFileOpen, setMenuFileOpen] = useState(false);
+  const [drag, setDrag]           = useState(null); // { type: "product" | "category", key } while dragging
+  const [copySource, setCopySource] = useState(null); // null | business id to copy the menu from
+  const [copying, setCopying]     = useState(false);
   const fileRef = useRef();
+  const dragStartOrder = useRef("");
 
   // Business form state
   const [bizForm, setBizForm] = useState({ name: "", description: "", slug: "", accent_color: "#f97316" });
+  // Opening hours form state
+  const [hoursForm, setHoursForm]     = useState({ timezone: BROWSER_TZ, hours: [], closures: [] });
+  const [savingHours, setSavingHours] = useState(false);
+  // Pickup slot form state ("" = no limit)
+  const [slotForm, setSlotForm]       = useState({ slot_minutes: 15, slot_max_orders: "", slot_max_items: "" });
+  const [paymentMode, setPaymentMode] = useState("off");
+  const [taxForm, setTaxForm]         = useState(EMPTY_TAXES);
+  const [tipForm, setTipForm]         = useState(EMPTY_TIPS);
+  // Team
+  const [members, setMembers]         = useState([]);
+  const [inviteForm, setInviteForm]   = useState({ email: "", role: "staff" });
+  const [inviting, setInviting]       = useState(false);
+  // Promo codes
+  const [promos, setPromos]           = useState([]);
+  // Customer messages
+  const [templates, setTemplates]     = useState([]);
+  const [messageLog, setMessageLog]   = useState([]);
+  const [savingTemplate, setSavingTemplate] = useState(null); // "event:channel"
 
   function showToast(msg) { setToast(msg); setTimeout(() => setToast(null), 4000); }
 
   // ── Auth + Load ─────────────────────────────────────────────
   useEffect(() => {
-    supabase.auth.getSession().then(({ data: { session } }) => {
+    supabase.auth.getSession().then(async ({ data: { session } }) => {
       if (!session) { navigate("/login"); return; }
       setUser(session.user);
-      loadData(session.user.id);
+      const membership = await loadMembership(session.user.id);
+      // Staff only work the order queue
+      if (membership && !canEditMenu(membership.role)) { navigate("/dashboard"); return; }
+      loadData(membership);
     });
   }, [navigate]);
 
-  async function loadData(userId) {
-    const { data: biz } = await supabase
-      .from("businesses")
-      .select("*")
-      .eq("owner_id", userId)
-      .single();
-
-    if (biz) {
+  async function loadData(membership) {
+    if (membership) {
+      const biz = membership.business;
       setBusiness(biz);
+      setRole(membership.role);
+      setMemberships(membership.memberships);
       setBizForm({ name: biz.name, description: biz.description || "", slug: biz.slug, accent_color: biz.accent_color || "#f97316" });
-      const { data: prods } = await supabase
-        .from("products")
-        .select("*")
-        .eq("business_id", biz.id)
-        .order("sort_order");
+      const [{ data: prods }, { data: cats }] = await Promise.all([
+        supabase.from("products").select(PRODUCT_SELECT).eq("business_id", biz.id).order("sort_order").order("created_at"),
+        supabase.from("categories").select("*").eq("business_id", biz.id).order("sort_order"),
+      ]);
       setProducts(prods || []);
+      setCategories(cats || []);
+
+      const [{ data: hours }, { data: closures }] = await Promise.all([
+        supabase.from("business_hours").select("*").eq("business_id", biz.id).order("opens_at"),
+        supabase.from("business_closures").select("*").eq("business_id", biz.id).order("closed_on"),
+      ]);
+      setSlotForm({
+        slot_minutes:    biz.slot_minutes || 15,
+        slot_max_orders: biz.slot_max_orders ?? "",
+        slot_max_items:  biz.slot_max_items ?? "",
+      });
+      setPaymentMode(biz.payment_mode || "off");
+      setTaxForm({
+        tax_rate:            String(Number(biz.tax_rate || 0)),
+        prices_include_tax:  !!biz.prices_include_tax,
+        service_fee_percent: String(Number(biz.service_fee_percent || 0)),
+        packaging_fee:       String(Number(biz.packaging_fee || 0)),
+      });
+      setTipForm({
+        tipping_enabled: !!biz.tipping_enabled,
+        tip_presets:     [0, 1, 2, 3].map(i => (biz.tip_presets?.[i] != null ? String(biz.tip_presets[i]) : "")),
+      });
+      setHoursForm({
+        timezone: biz.timezone && biz.timezone !== "UTC" ? biz.timezone : BROWSER_TZ,
+        hours:    (hours || []).map(h => ({ weekday: h.weekday, opens_at: h.opens_at.slice(0, 5), closes_at: h.closes_at.slice(0, 5) })),
+        closures: (closures || []).map(c => ({ closed_on: c.closed_on, note: c.note || "" })),
+      });
+      if (canManageBusiness(membership.role)) {
+        const [{ data: team }, { data: codes }, { data: tmpl }, { data: log }] = await Promise.all([
+          supabase.from("business_members").select("*").eq("business_id", biz.id).order("created_at"),
+          supabase.from("promo_codes").select("*").eq("business_id", biz.id).order("created_at", { ascending: false }),
+          supabase.rpc("get_message_templates", { p_business_id: biz.id }),
+          supabase.from("customer_messages").select("*").eq("business_id", biz.id).order("created_at", { ascending: false }).limit(50),
+        ]);
+        setMembers(team || []);
+        setPromos(codes || []);
+        setTemplates(tmpl || []);
+        setMessageLog(log || []);
+      }
     }
     setLoading(false);
   }
@@ -69,15 +252,21 @@ export default function AdminPage() {
           .eq("id", business.id);
         if (error) throw error;
         setBusiness(b => ({ ...b, name: bizForm.name, description: bizForm.description, slug: cleanSlug, accent_color: bizForm.accent_color }));
+        setMemberships(ms => ms.map(m => m.business.id === business.id ? { ...m, business: { ...m.business, name: bizForm.name } } : m));
       } else {
         // Create new
         const { data, error } = await supabase
           .from("businesses")
-          .insert({ owner_id: user.id, name: bizForm.name, description: bizForm.description, slug: cleanSlug, accent_color: bizForm.accent_color })
+          .insert({ owner_id: user.id, name: bizForm.name, description: bizForm.description, slug: cleanSlug, accent_color: bizForm.accent_color, timezone: BROWSER_TZ })
           .select()
           .single();
         if (error) throw error;
         setBusiness(data);
+        // The database adds the creator as owner
+        setRole("owner");
+        setMemberships(ms => [...ms, { business: data, role: "owner" }]);
+        rememberBusiness(data.id);
+        await loadMembers(data.id);
       }
       showToast("Business info saved! ✅");
     } catch (err) {
@@ -87,6 +276,285 @@ export default function AdminPage() {
     }
   }
 
+  // ── Locations ────────────────────────────────────────────────
+  // Picking "+ Add a location" clears the page back to the empty
+  // create form; the new business is saved by saveBusiness() above.
+  function pickLocation(value) {
+    if (value !== "new") { switchBusiness(value); return; }
+    setBusiness(null);
+    setRole(null);
+    setProducts([]);
+    setCategories([]);
+    setMembers([]);
+    setPromos([]);
+    setTemplates([]);
+    setMessageLog([]);
+    setBizForm({ name: "", description: "", slug: "", accent_color: business?.accent_color || "#f97316" });
+    setHoursForm({ timezone: hoursForm.timezone, hours: [], closures: [] });
+    setSlotForm({ slot_minutes: 15, slot_max_orders: "", slot_max_items: "" });
+    setPaymentMode("off");
+    setTaxForm(EMPTY_TAXES);
+    setTipForm(EMPTY_TIPS);
+    setTab("business");
+  }
+
+  async function copyMenu() {
+    setCopying(true);
+    const { data, error } = await supabase.rpc("copy_menu", { p_from_business_id: copySource, p_to_business_id: business.id });
+    setCopying(false);
+    if (error) { alert(error.code === "P0001" ? error.message : "Couldn't copy the menu: " + error.message); return; }
+    setCopySource(null);
+    await reloadMenu();
+    showToast(`Menu copied — ${data.copied} added${data.skipped ? `, ${data.skipped} already here` : ""} ✅`);
+  }
+
+  // ── Opening hours ────────────────────────────────────────────
+  async function saveHours() {
+    const bad = hoursForm.hours.find(h => !h.opens_at || !h.closes_at || h.closes_at <= h.opens_at);
+    if (bad) { alert(`Check your ${WEEKDAYS[bad.weekday]} hours — closing time must be after opening time.`); return; }
+    if (hoursForm.closures.some(c => !c.closed_on)) { alert("Pick a date for each closure."); return; }
+
+    setSavingHours(true);
+    const { error } = await supabase.rpc("set_business_hours", {
+      p_business_id: business.id,
+      p_timezone:    hoursForm.timezone,
+      p_hours:       hoursForm.hours,
+      p_closures:    hoursForm.closures,
+    });
+    setSavingHours(false);
+    if (error) { alert("Failed to save hours: " + error.message); return; }
+    setBusiness(b => ({ ...b, timezone: hoursForm.timezone }));
+    showToast("Opening hours saved! 🕖");
+  }
+
+  async function saveSlots() {
+    const update = {
+      slot_minutes:    parseInt(slotForm.slot_minutes, 10),
+      slot_max_orders: slotForm.slot_max_orders === "" ? null : parseInt(slotForm.slot_max_orders, 10),
+      slot_max_items:  slotForm.slot_max_items === "" ? null : parseInt(slotForm.slot_max_items, 10),
+    };
+    if ([update.slot_max_orders, update.slot_max_items].some(n => n !== null && !(n > 0))) {
+      alert("Limits must be a whole number above zero, or left empty for no limit."); return;
+    }
+    const { error } = await supabase.from("businesses").update(update).eq("id", business.id);
+    if (error) { alert("Failed to save: " + error.message); return; }
+    setBusiness(b => ({ ...b, ...update }));
+    showToast("Pickup times saved! 🕒");
+  }
+
+  async function saveTaxes() {
+    const update = {
+      tax_rate:            parseFloat(taxForm.tax_rate || 0),
+      prices_include_tax:  taxForm.prices_include_tax,
+      service_fee_percent: parseFloat(taxForm.service_fee_percent || 0),
+      packaging_fee:       parseFloat(taxForm.packaging_fee || 0),
+    };
+    if ([update.tax_rate, update.service_fee_percent].some(n => !(n >= 0 && n <= 100))) {
+      alert("Percentages must be between 0 and 100."); return;
+    }
+    if (!(update.packaging_fee >= 0)) { alert("The packaging fee can't be negative."); return; }
+    const { error } = await supabase.from("businesses").update(update).eq("id", business.id);
+    if (error) { alert("Failed to save: " + error.message); return; }
+    setBusiness(b => ({ ...b, ...update }));
+    showToast("Tax & fees saved! 🧾");
+  }
+
+  async function saveTips() {
+    const presets = tipForm.tip_presets.filter(p => p !== "").map(Number);
+    if (presets.some(p => !(Number.isInteger(p) && p > 0 && p <= 100))) {
+      alert("Tip presets must be whole percentages between 1 and 100."); return;
+    }
+    if (tipForm.tipping_enabled && presets.length === 0) {
+      alert("Add at least one tip preset — customers can still enter their own amount."); return;
+    }
+    const update = {
+      tipping_enabled: tipForm.tipping_enabled,
+      tip_presets:     [...new Set(presets)].sort((a, b) => a - b),
+    };
+    const { error } = await supabase.from("businesses").update(update).eq("id", business.id);
+    if (error) { alert("Failed to save: " + error.message); return; }
+    setBusiness(b => ({ ...b, ...update }));
+    showToast(update.tipping_enabled ? "Tipping saved! 🙏" : "Tipping turned off");
+  }
+
+  async function savePaymentMode() {
+    const { error } = await supabase.from("businesses").update({ payment_mode: paymentMode }).eq("id", business.id);
+    if (error) { alert("Failed to save: " + error.message); return; }
+    setBusiness(b => ({ ...b, payment_mode: paymentMode }));
+    showToast(paymentMode === "off" ? "Online payments turned off" : "Online payments saved! 💳");
+  }
+
+  // ── Promo codes ──────────────────────────────────────────────
+  // Stored in capitals; customers can type them in any case
+  async function savePromo() {
+    const f = editingPromo;
+    const optional = (v) => (v === "" || v == null ? null : v);
+    const fields = {
+      code:         f.code.trim().toUpperCase(),
+      description:  f.description.trim() || null,
+      kind:         f.kind,
+      amount:       parseFloat(f.amount),
+      product_ids:  f.product_ids,
+      category_ids: f.category_ids,
+      min_spend:    optional(f.min_spend) && parseFloat(f.min_spend),
+      max_uses:     optional(f.max_uses) && Number(f.max_uses),
+      starts_on:    optional(f.starts_on),
+      ends_on:      optional(f.ends_on),
+      daily_from:   optional(f.daily_from),
+      daily_until:  optional(f.daily_until),
+      active:       f.active,
+    };
+    if (!/^[A-Z0-9_-]{3,30}$/.test(fields.code)) {
+      alert("Codes are 3–30 letters or numbers (dashes and underscores are fine too)."); return;
+    }
+    if (!(fields.amount > 0) || (fields.kind === "percent" && fields.amount > 100)) {
+      alert(fields.kind === "percent" ? "The discount must be between 0 and 100%." : "Enter how much the code takes off."); return;
+    }
+    if (fields.min_spend !== null && !(fields.min_spend > 0)) { alert("The minimum spend must be more than $0, or empty."); return; }
+    if (fields.max_uses !== null && !(Number.isInteger(fields.max_uses) && fields.max_uses > 0)) {
+      alert("The usage limit must be a whole number, or empty for no limit."); return;
+    }
+    if (fields.starts_on && fields.ends_on && fields.ends_on < fields.starts_on) {
+      alert("The end date is before the start date."); return;
+    }
+
+    const { data, error } = f.id
+      ? await supabase.from("promo_codes").update(fields).eq("id", f.id).select().single()
+      : await supabase.from("promo_codes").insert({ business_id: business.id, ...fields }).select().single();
+    if (error) {
+      alert(error.code === "23505" ? `You already have a code called ${fields.code}.` : "Failed to save: " + error.message);
+      return;
+    }
+    setPromos(prev => f.id ? prev.map(p => p.id === f.id ? data : p) : [data, ...prev]);
+    setEditingPromo(null);
+    showToast(f.id ? "Promo code updated! ✅" : `${fields.code} is ready to use! 🎉`);
+  }
+
+  async function togglePromo(promo) {
+    const { error } = await supabase.from("promo_codes").update({ active: !promo.active }).eq("id", promo.id);
+    if (error) { alert("Failed to save: " + error.message); return; }
+    setPromos(prev => prev.map(p => p.id === promo.id ? { ...p, active: !p.active } : p));
+    showToast(`${promo.code} ${promo.active ? "paused" : "turned back on"}`);
+  }
+
+  async function deletePromo(promo) {
+    if (!window.confirm(`Delete ${promo.code}? Past orders keep their discount.`)) return;
+    await supabase.from("promo_codes").delete().eq("id", promo.id);
+    setPromos(prev => prev.filter(p => p.id !== promo.id));
+    showToast("Promo code deleted.");
+  }
+
+  // Tick a product or category on/off in the promo editor
+  function togglePromoTarget(field, id) {
+    setEditingPromo(f => ({
+      ...f,
+      [field]: f[field].includes(id) ? f[field].filter(x => x !== id) : [...f[field], id],
+    }));
+  }
+
+  // ── Customer messages ────────────────────────────────────────
+  function editTemplate(template, changes) {
+    setTemplates(prev => prev.map(t => t === template ? { ...t, ...changes } : t));
+  }
+
+  async function saveTemplate(template) {
+    if (!template.body.trim()) { alert("The message can't be empty."); return; }
+    if (template.channel === "email" && !template.subject.trim()) { alert("Give the email a subject."); return; }
+
+    const key = `${template.event}:${template.channel}`;
+    setSavingTemplate(key);
+    const { error } = await supabase.from("message_templates").upsert({
+      business_id: business.id,
+      event:       template.event,
+      channel:     template.channel,
+      subject:     template.channel === "email" ? template.subject.trim() : null,
+      body:        template.body.trim(),
+      enabled:     template.enabled,
+      updated_at:  new Date().toISOString(),
+    });
+    setSavingTemplate(null);
+    if (error) { alert("Failed to save: " + error.message); return; }
+    editTemplate(template, { customised: true });
+    showToast("Message saved! ✅");
+  }
+
+  async function resetTemplate(template) {
+    if (!window.confirm("Go back to the standard wording for this message?")) return;
+    await supabase.from("message_templates").delete()
+      .eq("business_id", business.id).eq("event", template.event).eq("channel", template.channel);
+    const { data } = await supabase.rpc("get_message_templates", { p_business_id: business.id });
+    setTemplates(data || []);
+    showToast("Back to the standard message.");
+  }
+
+  async function reloadMessageLog() {
+    const { data } = await supabase
+      .from("customer_messages")
+      .select("*")
+      .eq("business_id", business.id)
+      .order("created_at", { ascending: false })
+      .limit(50);
+    setMessageLog(data || []);
+  }
+
+  // ── Team ─────────────────────────────────────────────────────
+  async function loadMembers(businessId) {
+    const { data } = await supabase
+      .from("business_members")
+      .select("*")
+      .eq("business_id", businessId)
+      .order("created_at");
+    setMembers(data || []);
+  }
+
+  async function inviteMember() {
+    const email = inviteForm.email.trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) { alert("Enter a valid email address."); return; }
+
+    setInviting(true);
+    const { error } = await supabase
+      .from("business_members")
+      .insert({ business_id: business.id, email, role: inviteForm.role, invited_by: user.id });
+    if (error) {
+      setInviting(false);
+      alert(error.code === "23505" ? `${email} is already on your team.` : "Couldn't send the invite: " + error.message);
+      return;
+    }
+
+    // Email them a sign-in link; the invite is picked up the first time they sign in
+    const { error: mailError } = await supabase.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: `${window.location.origin}/dashboard` },
+    });
+    setInviting(false);
+    setInviteForm(f => ({ ...f, email: "" }));
+    await loadMembers(business.id);
+    showToast(mailError
+      ? `Invite saved — ask ${email} to sign up at /login with this email.`
+      : `Invite sent to ${email} ✉️`);
+  }
+
+  async function changeMemberRole(member, newRole) {
+    const { error } = await supabase.from("business_members").update({ role: newRole }).eq("id", member.id);
+    if (error) { alert(error.code === "P0001" ? error.message : "Couldn't change the role: " + error.message); return; }
+    setMembers(ms => ms.map(m => m.id === member.id ? { ...m, role: newRole } : m));
+  }
+
+  async function removeMember(member) {
+    const what = member.user_id ? `Remove ${member.email} from your team? They'll lose access straight away.` : `Cancel the invite for ${member.email}?`;
+    if (!window.confirm(what)) return;
+    const { error } = await supabase.from("business_members").delete().eq("id", member.id);
+    if (error) { alert(error.code === "P0001" ? error.message : "Couldn't remove them: " + error.message); return; }
+    setMembers(ms => ms.filter(m => m.id !== member.id));
+  }
+
+  function updateHours(index, patch) {
+    setHoursForm(f => ({ ...f, hours: f.hours.map((h, i) => i === index ? { ...h, ...patch } : h) }));
+  }
+  function updateClosure(index, patch) {
+    setHoursForm(f => ({ ...f, closures: f.closures.map((c, i) => i === index ? { ...c, ...patch } : c) }));
+  }
+
   // ── Image upload ─────────────────────────────────────────────
   async function handleImageUpload(e) {
     const file = e.target.files?.[0];
@@ -112,36 +580,105 @@ export default function AdminPage() {
     if (!editingProduct.price || isNaN(editingProduct.price)) { alert("Enter a valid price."); return; }
     if (!business) { alert("Please set up your business info first."); return; }
 
+    // Existing groups and options keep their ids, so carts that already
+    // hold them still check out after the edit
+    const groups = editingProduct.modifier_groups.map(g => ({
+      id:         g.id,
+      name:       g.name.trim(),
+      min_select: parseInt(g.min_select, 10) || 0,
+      max_select: g.max_select === "" ? null : parseInt(g.max_select, 10),
+      options:    g.options
+        .filter(o => o.name.trim())
+        .map(o => ({ id: o.id, name: o.name.trim(), price_delta: parseFloat(parseFloat(o.price_delta || 0).toFixed(2)) })),
+    }));
+    for (const g of groups) {
+      if (!g.name) { alert("Every option group needs a name (e.g. Size, Milk)."); return; }
+      if (g.options.length === 0) { alert(`Add at least one option to "${g.name}".`); return; }
+      if (g.options.some(o => isNaN(o.price_delta))) { alert(`Check the prices in "${g.name}".`); return; }
+      if (g.max_select !== null && (isNaN(g.max_select) || g.max_select < Math.max(g.min_select, 1))) {
+        alert(`"${g.name}": the maximum must be at least the minimum.`); return;
+      }
+      if (g.min_select > g.options.length) { alert(`"${g.name}" requires more choices than it has options.`); return; }
+    }
+
+    const stock     = editingProduct.track_stock ? parseInt(editingProduct.stock, 10) : null;
+    const restockTo = editingProduct.track_stock && editingProduct.restock_to !== "" ? parseInt(editingProduct.restock_to, 10) : null;
+    if (editingProduct.track_stock && (isNaN(stock) || stock < 0)) { alert("Enter how many you have in stock."); return; }
+    if (restockTo !== null && (isNaN(restockTo) || restockTo < 0)) { alert("The daily restock amount must be 0 or more."); return; }
+
     const payload = {
       business_id: business.id,
       name:        editingProduct.name.trim(),
       description: editingProduct.description.trim(),
       price:       parseFloat(parseFloat(editingProduct.price).toFixed(2)),
-      category:    editingProduct.category || "General",
+      category_id: editingProduct.category_id || null,
       available:   editingProduct.available,
       image_url:   editingProduct.image_url || null,
+      stock,
+      restock_to:  restockTo,
     };
 
-    if (editingProduct.id) {
+    let productId = editingProduct.id;
+    if (productId) {
       // Update
-      const { error } = await supabase.from("products").update(payload).eq("id", editingProduct.id);
+      const { error } = await supabase.from("products").update(payload).eq("id", productId);
       if (error) { alert("Failed to save: " + error.message); return; }
-      setProducts(prev => prev.map(p => p.id === editingProduct.id ? { ...p, ...payload } : p));
-      showToast("Product updated! ✅");
     } else {
       // Insert
       const { data, error } = await supabase
         .from("products")
-        .insert({ ...payload, sort_order: products.length })
+        .insert({ ...payload, sort_order: Math.max(-1, ...products.map(p => p.sort_order || 0)) + 1 })
         .select()
         .single();
       if (error) { alert("Failed to add: " + error.message); return; }
-      setProducts(prev => [...prev, data]);
-      showToast("Product added! 🎉");
+      productId = data.id;
+    }
+
+    const { error: modErr } = await supabase.rpc("set_product_modifiers", { p_product_id: productId, p_groups: groups });
+    if (modErr) { alert("Saved, but the options failed to save: " + modErr.message); }
+
+    const { data: saved } = await supabase.from("products").select(PRODUCT_SELECT).eq("id", productId).single();
+    if (saved) {
+      setProducts(prev => editingProduct.id
+        ? prev.map(p => p.id === productId ? saved : p)
+        : [...prev, saved]);
     }
+    showToast(editingProduct.id ? "Product updated! ✅" : "Product added! 🎉");
     setEditingProduct(null);
   }
 
+  // ── Modifier editor helpers ──────────────────────────────────
+  function updateGroup(gi, patch) {
+    setEditingProduct(p => ({
+      ...p,
+      modifier_groups: p.modifier_groups.map((g, i) => i === gi ? { ...g, ...patch } : g),
+    }));
+  }
+  function removeGroup(gi) {
+    setEditingProduct(p => ({ ...p, modifier_groups: p.modifier_groups.filter((_, i) => i !== gi) }));
+  }
+  function updateOption(gi, oi, patch) {
+    setEditingProduct(p => ({
+      ...p,
+      modifier_groups: p.modifier_groups.map((g, i) => i !== gi ? g : {
+        ...g,
+        options: g.options.map((o, j) => j === oi ? { ...o, ...patch } : o),
+      }),
+    }));
+  }
+  function addOption(gi) {
+    setEditingProduct(p => ({
+      ...p,
+      modifier_groups: p.modifier_groups.map((g, i) => i !== gi ? g : { ...g, options: [...g.options, { name: "", price_delta: "" }] }),
+    }));
+  }
+  function removeOption(gi, oi) {
+    setEditingProduct(p => ({
+      ...p,
+      modifier_groups: p.modifier_groups.map((g, i) => i !== gi ? g : { ...g, options: g.options.filter((_, j) => j !== oi) }),
+    }));
+  }
+
   async function toggleAvailability(product) {
     const { error } = await supabase
       .from("products")
@@ -153,6 +690,146 @@ export default function AdminPage() {
     }
   }
 
+  async function restockNow() {
+    if (!window.confirm("Reset stock to each product's daily restock level?")) return;
+    const { error } = await supabase.rpc("restock_products", { p_business_id: business.id });
+    if (error) { alert("Restock failed: " + error.message); return; }
+    setProducts(prev => prev.map(p => p.restock_to != null ? { ...p, stock: p.restock_to } : p));
+    showToast("Stock reset! 📦");
+  }
+
+  async function reloadMenu() {
+    const [{ data: prods }, { data: cats }] = await Promise.all([
+      supabase.from("products").select(PRODUCT_SELECT).eq("business_id", business.id).order("sort_order").order("created_at"),
+      supabase.from("categories").select("*").eq("business_id", business.id).order("sort_order"),
+    ]);
+    setProducts(prods || []);
+    setCategories(cats || []);
+  }
+
+  // ── Categories ───────────────────────────────────────────────
+  async function createCategory(fields) {
+    const { data, error } = await supabase
+      .from("categories")
+      .insert({ business_id: business.id, ...fields, sort_order: Math.max(-1, ...categories.map(c => c.sort_order || 0)) + 1 })
+      .select()
+      .single();
+    if (error) {
+      alert(error.code === "23505" ? `You already have a category called "${fields.name}".` : "Failed to add: " + error.message);
+      return null;
+    }
+    setCategories(prev => [...prev, data]);
+    return data;
+  }
+
+  async function saveCategory() {
+    const fields = {
+      name:        editingCategory.name.trim(),
+      description: editingCategory.description?.trim() || null,
+      visible:     editingCategory.visible,
+      tax_rate:    editingCategory.tax_rate === "" || editingCategory.tax_rate == null ? null : parseFloat(editingCategory.tax_rate),
+    };
+    if (!fields.name) { alert("Please give the category a name."); return; }
+    if (fields.tax_rate !== null && !(fields.tax_rate >= 0 && fields.tax_rate <= 100)) {
+      alert("The tax rate must be between 0 and 100, or empty to use the shop's rate."); return;
+    }
+
+    if (editingCategory.id) {
+      const { error } = await supabase.from("categories").update(fields).eq("id", editingCategory.id);
+      if (error) {
+        alert(error.code === "23505" ? `You already have a category called "${fields.name}".` : "Failed to save: " + error.message);
+        return;
+      }
+      setCategories(prev => prev.map(c => c.id === editingCategory.id ? { ...c, ...fields } : c));
+    } else if (!(await createCategory(fields))) {
+      return;
+    }
+    showToast(editingCategory.id ? "Category updated! ✅" : "Category added! 🎉");
+    setEditingCategory(null);
+  }
+
+  async function toggleCategoryVisibility(category) {
+    const { error } = await supabase
+      .from("categories")
+      .update({ visible: !category.visible })
+      .eq("id", category.id);
+    if (!error) {
+      setCategories(prev => prev.map(c => c.id === category.id ? { ...c, visible: !c.visible } : c));
+      showToast(`${category.name} ${!category.visible ? "shown on the menu" : "hidden from the menu"}`);
+    }
+  }
+
+  async function deleteCategory(category) {
+    const count = products.filter(p => p.category_id === category.id).length;
+    const warning = count > 0 ? ` Its ${count} product${count === 1 ? "" : "s"} will stay on the menu without a category.` : "";
+    if (!window.confirm(`Delete the "${category.name}" category?${warning}`)) return;
+    await supabase.from("categories").delete().eq("id", category.id);
+    setCategories(prev => prev.filter(c => c.id !== category.id));
+    setProducts(prev => prev.map(p => p.category_id === category.id ? { ...p, category_id: null } : p));
+    showToast("Category removed.");
+  }
+
+  // "+ New category…" straight from the product editor's dropdown
+  async function addCategoryFromProduct() {
+    const name = window.prompt("Name of the new category:")?.trim();
+    if (!name) return;
+    const created = await createCategory({ name });
+    if (created) setEditingProduct(p => ({ ...p, category_id: created.id }));
+  }
+
+  async function handleMenuImported(result) {
+    setMenuFileOpen(false);
+    await reloadMenu();
+    showToast(`Menu imported — ${result.added} added, ${result.updated} updated${result.removed ? `, ${result.removed} removed` : ""} ✅`);
+  }
+
+  // ── Drag-and-drop ordering ─────────────────────────────────────
+  // Products are reordered live while dragging (within their own
+  // category), and categories move as whole blocks. The final order is
+  // saved in one call when the drag ends.
+  function startDrag(e, item) {
+    e.stopPropagation();
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", item.key); // Firefox won't start a drag without data
+    dragStartOrder.current = menuOrderKey(products, categories);
+    setDrag(item);
+  }
+
+  function dragOverProduct(e, target) {
+    if (drag?.type !== "product") return;
+    e.preventDefault();
+    if (drag.key === target.id) return;
+    setProducts(prev => withSortOrder(groupByCategory(prev, categories).flatMap(g =>
+      moveItem(g.products, drag.key, target.id, p => p.id)
+    )));
+  }
+
+  function dragOverCategory(e, categoryId) {
+    if (drag?.type !== "category" || !categoryId) return;
+    e.preventDefault();
+    if (drag.key === categoryId) return;
+    const reordered = withSortOrder(moveItem([...categories].sort(bySortOrder), drag.key, categoryId, c => c.id));
+    setCategories(reordered);
+    setProducts(prev => withSortOrder(menuOrder(prev, reordered)));
+  }
+
+  async function finishDrag() {
+    setDrag(null);
+    if (menuOrderKey(products, categories) === dragStartOrder.current) return;
+
+    const { error } = await supabase.rpc("reorder_menu", {
+      p_business_id:  business.id,
+      p_category_ids: [...categories].sort(bySortOrder).map(c => c.id),
+      p_product_ids:  menuOrder(products, categories).map(p => p.id),
+    });
+    if (error) {
+      alert("Couldn't save the new order: " + error.message);
+      reloadMenu();
+      return;
+    }
+    showToast("Menu order saved ✅");
+  }
+
   async function deleteProduct(id) {
     if (!window.confirm("Remove this product from your menu?")) return;
     await supabase.from("products").delete().eq("id", id);
@@ -160,6 +837,9 @@ export default function AdminPage() {
     showToast("Product removed.");
   }
 
+  // Other locations whose menu this user can copy from
+  const copySources = memberships.filter(m => m.business.id !== business?.id && canEditMenu(m.role));
+
   if (loading) return (
     <div style={s.center}>
       <div style={s.spinner} />
@@ -180,16 +860,43 @@ export default function AdminPage() {
           </div>
         </div>
 
+        {memberships.length > 0 && (
+          <select value={business?.id || "new"} onChange={e => pickLocation(e.target.value)} style={s.bizSwitch} aria-label="Location">
+            {memberships.map(m => <option key={m.business.id} value={m.business.id}>{m.business.name}</option>)}
+            <option value="new">+ Add a location</option>
+          </select>
+        )}
+
         <nav style={s.nav}>
           <button onClick={() => setTab("products")} style={{ ...s.navBtn, ...(tab === "products" ? s.navActive : {}) }}>
             <span>🏷️</span><span>Products</span>
           </button>
-          <button onClick={() => setTab("business")} style={{ ...s.navBtn, ...(tab === "business" ? s.navActive : {}) }}>
-            <span>🏪</span><span>Business Settings</span>
-          </button>
+          {(!role || canManageBusiness(role)) && (
+            <button onClick={() => setTab("business")} style={{ ...s.navBtn, ...(tab === "business" ? s.navActive : {}) }}>
+              <span>🏪</span><span>Business Settings</span>
+            </button>
+          )}
+          {canManageBusiness(role) && (
+            <button onClick={() => setTab("promos")} style={{ ...s.navBtn, ...(tab === "promos" ? s.navActive : {}) }}>
+              <span>🎟️</span><span>Promo Codes</span>
+            </button>
+          )}
+          {canManageBusiness(role) && (
+            <button onClick={() => setTab("messages")} style={{ ...s.navBtn, ...(tab === "messages" ? s.navActive : {}) }}>
+              <span>📲</span><span>Customer Messages</span>
+            </button>
+          )}
+          {canManageBusiness(role) && (
+            <button onClick={() => setTab("team")} style={{ ...s.navBtn, ...(tab === "team" ? s.navActive : {}) }}>
+              <span>👥</span><span>Team</span>
+            </button>
+          )}
           <button onClick={() => navigate("/dashboard")} style={s.navBtn}>
             <span>📦</span><span>Back to Orders</span>
           </button>
+          <button onClick={() => navigate("/analytics")} style={s.navBtn}>
+            <span>📈</span><span>Analytics</span>
+          </button>
         </nav>
 
         {business?.slug && (
@@ -215,9 +922,23 @@ export default function AdminPage() {
                 <h1 style={s.pageTitle}>Your Menu</h1>
                 <p style={s.pageSub}>Add products, set prices, and upload photos.</p>
               </div>
-              <button onClick={() => setEditingProduct({ ...EMPTY_PRODUCT })} style={s.addBtn}>
-                + Add product
-              </button>
+              <div style={s.headBtns}>
+                {products.some(p => p.restock_to != null) && (
+                  <button onClick={restockNow} style={s.restockBtn}>📦 Restock now</button>
+                )}
+                {business && (
+                  <button onClick={() => setMenuFileOpen(true)} style={s.restockBtn}>⇅ Import / export</button>
+                )}
+                {business && copySources.length > 0 && (
+                  <button onClick={() => setCopySource(copySources[0].business.id)} style={s.restockBtn}>⧉ Copy from location</button>
+                )}
+                {business && (
+                  <button onClick={() => setEditingCategory({ ...EMPTY_CATEGORY })} style={s.restockBtn}>+ Category</button>
+                )}
+                <button onClick={() => setEditingProduct({ ...EMPTY_PRODUCT })} style={s.addBtn}>
+                  + Add product
+                </button>
+              </div>
             </div>
 
             {!business && (
@@ -226,29 +947,82 @@ export default function AdminPage() {
               </div>
             )}
 
-            <div style={s.productGrid}>
-              {products.map((p, i) => (
-                <div key={p.id} style={{ ...s.productCard, opacity: p.available ? 1 : 0.55 }}>
-                  {p.image_url
-                    ? <img src={p.image_url} alt={p.name} style={s.productImg} />
-                    : <div style={s.productImgPlaceholder}>{p.name.charAt(0)}</div>
-                  }
-                  <div style={s.productCardBody}>
-                    <div style={s.productName}>{p.name}</div>
-                    <div style={s.productCat}>{p.category}</div>
-                    <div style={s.productDesc}>{p.description}</div>
-                    <div style={s.productPrice}>${parseFloat(p.price).toFixed(2)}</div>
-                    <div style={s.productActions}>
-                      <button onClick={() => setEditingProduct({ ...p })} style={s.editBtn}>Edit</button>
-                      <button onClick={() => toggleAvailability(p)} style={s.toggleBtn}>
-                        {p.available ? "Hide" : "Show"}
-                      </button>
-                      <button onClick={() => deleteProduct(p.id)} style={s.deleteBtn}>✕</button>
-                    </div>
+            {products.length > 1 && (
+              <p style={s.dragHint}>Drag products to reorder them, or drag a category by its ⠿ handle. Customers see the same order.</p>
+            )}
+
+            {groupByCategory(products, categories).map(group => (
+              <section
+                key={group.id || "none"}
+                onDragOver={e => dragOverCategory(e, group.id)}
+                onDrop={e => e.preventDefault()}
+                style={{ ...s.categorySection, ...(drag?.type === "category" && drag.key === group.id ? s.dragging : {}) }}
+              >
+                <div style={s.categoryHeadRow}>
+                  <div
+                    draggable={!!group.id}
+                    onDragStart={e => startDrag(e, { type: "category", key: group.id })}
+                    onDragEnd={finishDrag}
+                    style={{ ...s.categoryHead, ...(group.id ? {} : { cursor: "default" }) }}
+                  >
+                    {group.id && <span style={s.dragHandle}>⠿</span>}
+                    <h2 style={{ ...s.categoryTitle, ...(group.visible ? {} : { color: "#a8a29e" }) }}>
+                      {group.id ? group.name : "No category"}
+                    </h2>
+                    <span style={s.categoryCount}>{group.products.length}</span>
+                    {!group.visible && <span style={s.hiddenBadge}>Hidden</span>}
                   </div>
+                  {group.id && (
+                    <div style={s.categoryActions}>
+                      <button onClick={() => setEditingCategory({ ...group, description: group.description || "", tax_rate: group.tax_rate == null ? "" : String(Number(group.tax_rate)) })} style={s.categoryAction}>Edit</button>
+                      <button onClick={() => toggleCategoryVisibility(group)} style={s.categoryAction}>{group.visible ? "Hide" : "Show"}</button>
+                      <button onClick={() => deleteCategory(group)} style={{ ...s.categoryAction, color: "#dc2626" }}>Delete</button>
+                    </div>
+                  )}
                 </div>
-              ))}
-            </div>
+                {group.description && <p style={s.categoryDesc}>{group.description}</p>}
+                {group.products.length === 0 && <p style={s.categoryEmpty}>No products in this category yet.</p>}
+
+                <div style={s.productGrid}>
+                  {group.products.map(p => (
+                    <div
+                      key={p.id}
+                      draggable
+                      onDragStart={e => startDrag(e, { type: "product", key: p.id })}
+                      onDragOver={e => dragOverProduct(e, p)}
+                      onDragEnd={finishDrag}
+                      style={{ ...s.productCard, opacity: p.available ? 1 : 0.55, ...(drag?.key === p.id ? s.dragging : {}) }}
+                    >
+                      {p.image_url
+                        ? <img src={p.image_url} alt={p.name} style={s.productImg} />
+                        : <div style={s.productImgPlaceholder}>{p.name.charAt(0)}</div>
+                      }
+                      <div style={s.productCardBody}>
+                        <div style={s.productName}>{p.name}</div>
+                        <div style={s.productDesc}>{p.description}</div>
+                        {p.modifier_groups?.length > 0 && (
+                          <div style={s.productMods}>{[...p.modifier_groups].sort(bySortOrder).map(g => g.name).join(" · ")}</div>
+                        )}
+                        <div style={s.productPrice}>${parseFloat(p.price).toFixed(2)}</div>
+                        {p.stock != null && (
+                          <div style={{ ...s.stockBadge, ...(p.stock === 0 ? s.stockOut : {}) }}>
+                            {p.stock === 0 ? "Sold out" : `${p.stock} in stock`}
+                            {p.restock_to != null && ` · resets to ${p.restock_to}`}
+                          </div>
+                        )}
+                        <div style={s.productActions}>
+                          <button onClick={() => setEditingProduct(toEditable(p))} style={s.editBtn}>Edit</button>
+                          <button onClick={() => toggleAvailability(p)} style={s.toggleBtn}>
+                            {p.available ? "Hide" : "Show"}
+                          </button>
+                          <button onClick={() => deleteProduct(p.id)} style={s.deleteBtn}>✕</button>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            ))}
 
             {products.length === 0 && (
               <div style={s.emptyState}>
@@ -300,6 +1074,361 @@ export default function AdminPage() {
                 {savingBiz ? "Saving…" : business ? "Save changes" : "Create my business →"}
               </button>
             </div>
+
+            {/* Opening hours */}
+            {business && (
+              <div style={{ ...s.settingsCard, marginTop: 20 }}>
+                <h2 style={s.cardTitle}>Opening hours</h2>
+                <p style={s.cardSub}>Customers can only place orders while you're open. Leave every day empty to take orders around the clock.</p>
+
+                <label style={s.label}>Time zone</label>
+                <select style={s.input} value={hoursForm.timezone} onChange={e => setHoursForm(f => ({ ...f, timezone: e.target.value }))}>
+                  {TIMEZONES.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+                </select>
+
+                {WEEK_ORDER.map(weekday => {
+                  const ranges = hoursForm.hours.map((h, i) => ({ ...h, index: i })).filter(h => h.weekday === weekday);
+                  return (
+                    <div key={weekday} style={s.dayRow}>
+                      <span style={s.dayName}>{WEEKDAYS[weekday].slice(0, 3)}</span>
+                      <div style={s.dayRanges}>
+                        {ranges.length === 0 && <span style={s.dayClosed}>Closed</span>}
+                        {ranges.map(r => (
+                          <div key={r.index} style={s.rangeRow}>
+                            <input type="time" style={s.timeInput} value={r.opens_at} onChange={e => updateHours(r.index, { opens_at: e.target.value })} />
+                            <span style={s.rangeDash}>–</span>
+                            <input type="time" style={s.timeInput} value={r.closes_at} onChange={e => updateHours(r.index, { closes_at: e.target.value })} />
+                            <button
+                              onClick={() => setHoursForm(f => ({ ...f, hours: f.hours.filter((_, i) => i !== r.index) }))}
+                              style={s.optionRemove}
+                            >✕</button>
+                          </div>
+                        ))}
+                      </div>
+                      <button
+                        onClick={() => setHoursForm(f => ({ ...f, hours: [...f.hours, { weekday, opens_at: "07:00", closes_at: "15:00" }] }))}
+                        style={s.addOptionBtn}
+                      >+ Hours</button>
+                    </div>
+                  );
+                })}
+
+                <label style={{ ...s.label, marginTop: 18 }}>Holidays & closures</label>
+                {hoursForm.closures.map((c, i) => (
+                  <div key={i} style={s.rangeRow}>
+                    <input type="date" style={s.timeInput} value={c.closed_on} onChange={e => updateClosure(i, { closed_on: e.target.value })} />
+                    <input style={{ ...s.input, ...s.closureNote }} value={c.note} onChange={e => updateClosure(i, { note: e.target.value })} placeholder="e.g. Christmas Day" />
+                    <button
+                      onClick={() => setHoursForm(f => ({ ...f, closures: f.closures.filter((_, j) => j !== i) }))}
+                      style={s.optionRemove}
+                    >✕</button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => setHoursForm(f => ({ ...f, closures: [...f.closures, { closed_on: "", note: "" }] }))}
+                  style={{ ...s.addOptionBtn, marginBottom: 18 }}
+                >+ Add a closure</button>
+
+                <button onClick={saveHours} disabled={savingHours} style={s.saveBtn}>
+                  {savingHours ? "Saving…" : "Save opening hours"}
+                </button>
+              </div>
+            )}
+
+            {/* Pickup slots */}
+            {business && (
+              <div style={{ ...s.settingsCard, marginTop: 20 }}>
+                <h2 style={s.cardTitle}>Pickup times</h2>
+                <p style={s.cardSub}>Customers can order for "as soon as possible" or pick a later slot today. Cap each slot so the rush doesn't all land at once.</p>
+
+                <label style={s.label}>Slot length</label>
+                <select style={s.input} value={slotForm.slot_minutes} onChange={e => setSlotForm(f => ({ ...f, slot_minutes: e.target.value }))}>
+                  {[5, 10, 15, 20, 30, 60].map(m => <option key={m} value={m}>{m} minutes</option>)}
+                </select>
+
+                <div style={s.twoCol}>
+                  <div style={{ flex: 1 }}>
+                    <label style={s.label}>Max orders per slot</label>
+                    <input style={s.input} type="number" min="1" value={slotForm.slot_max_orders} onChange={e => setSlotForm(f => ({ ...f, slot_max_orders: e.target.value }))} placeholder="No limit" />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <label style={s.label}>Max items per slot</label>
+                    <input style={s.input} type="number" min="1" value={slotForm.slot_max_items} onChange={e => setSlotForm(f => ({ ...f, slot_max_items: e.target.value }))} placeholder="No limit" />
+                  </div>
+                </div>
+
+                <button onClick={saveSlots} style={s.saveBtn}>Save pickup times</button>
+              </div>
+            )}
+
+            {/* Tax & fees */}
+            {business && (
+              <div style={{ ...s.settingsCard, marginTop: 20 }}>
+                <h2 style={s.cardTitle}>Tax & fees</h2>
+                <p style={s.cardSub}>Customers see the breakdown at checkout, and it's kept on every order. Categories can have their own tax rate — e.g. lower for food than for drinks.</p>
+
+                <div style={s.twoCol}>
+                  <div style={{ flex: 1 }}>
+                    <label style={s.label}>Tax rate (%)</label>
+                    <input style={s.input} type="number" min="0" max="100" step="0.001" value={taxForm.tax_rate} onChange={e => setTaxForm(f => ({ ...f, tax_rate: e.target.value }))} />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <label style={s.label}>Menu prices</label>
+                    <select style={s.input} value={taxForm.prices_include_tax ? "yes" : "no"} onChange={e => setTaxForm(f => ({ ...f, prices_include_tax: e.target.value === "yes" }))}>
+                      <option value="no">Tax is added at checkout</option>
+                      <option value="yes">Already include tax</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div style={s.twoCol}>
+                  <div style={{ flex: 1 }}>
+                    <label style={s.label}>Service fee (% of the order)</label>
+                    <input style={s.input} type="number" min="0" max="100" step="0.01" value={taxForm.service_fee_percent} onChange={e => setTaxForm(f => ({ ...f, service_fee_percent: e.target.value }))} />
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <label style={s.label}>Packaging fee ($ per order)</label>
+                    <input style={s.input} type="number" min="0" step="0.01" value={taxForm.packaging_fee} onChange={e => setTaxForm(f => ({ ...f, packaging_fee: e.target.value }))} />
+                  </div>
+                </div>
+
+                <button onClick={saveTaxes} style={s.saveBtn}>Save tax & fees</button>
+              </div>
+            )}
+
+            {/* Tipping */}
+            {business && (
+              <div style={{ ...s.settingsCard, marginTop: 20 }}>
+                <h2 style={s.cardTitle}>Tipping</h2>
+                <p style={s.cardSub}>Customers can add a tip when they order — a percentage of their items, their own amount, or none. Tips are kept apart from your sales and shown separately in Analytics.</p>
+
+                <label style={s.checkRow}>
+                  <input type="checkbox" checked={tipForm.tipping_enabled} onChange={e => setTipForm(f => ({ ...f, tipping_enabled: e.target.checked }))} />
+                  <span style={s.checkLabel}>Ask customers for a tip at checkout</span>
+                </label>
+
+                <label style={s.label}>Preset tips (%)</label>
+                <div style={s.twoCol}>
+                  {tipForm.tip_presets.map((preset, i) => (
+                    <input
+                      key={i}
+                      style={s.input}
+                      type="number" min="1" max="100" step="1"
+                      value={preset}
+                      placeholder="—"
+                      onChange={e => setTipForm(f => ({ ...f, tip_presets: f.tip_presets.map((p, j) => j === i ? e.target.value : p) }))}
+                    />
+                  ))}
+                </div>
+
+                <button onClick={saveTips} style={s.saveBtn}>Save tipping</button>
+              </div>
+            )}
+
+            {/* Online payments */}
+            {business && (
+              <div style={{ ...s.settingsCard, marginTop: 20 }}>
+                <h2 style={s.cardTitle}>Online payments</h2>
+                <p style={s.cardSub}>Let customers pay by card when they order. Paid orders only reach your dashboard once the payment has gone through. Needs the payment functions set up first — see SETUP.md.</p>
+
+                <label style={s.label}>Taking payment</label>
+                <select style={s.input} value={paymentMode} onChange={e => setPaymentMode(e.target.value)}>
+                  {PAYMENT_MODES.map(m => <option key={m.value} value={m.value}>{m.label}</option>)}
+                </select>
+
+                <button onClick={savePaymentMode} style={s.saveBtn}>Save payments</button>
+              </div>
+            )}
+          </div>
+        )}
+        {/* ── PROMO CODES ── */}
+        {tab === "promos" && business && (
+          <div>
+            <div style={s.pageHead}>
+              <div>
+                <h1 style={s.pageTitle}>Promo Codes</h1>
+                <p style={s.pageSub}>Discounts customers enter at checkout.</p>
+              </div>
+              <button onClick={() => setEditingPromo({ ...EMPTY_PROMO })} style={s.addBtn}>+ New code</button>
+            </div>
+
+            {promos.length === 0 ? (
+              <div style={s.emptyState}>
+                <div style={{ fontSize: 56, marginBottom: 16 }}>🎟️</div>
+                <h3 style={s.emptyTitle}>No promo codes yet</h3>
+                <p style={s.emptySub}>Try one like EARLYBIRD for 10% off before 9am.</p>
+              </div>
+            ) : (
+              <div style={{ ...s.settingsCard, maxWidth: 720 }}>
+                {promos.map(promo => (
+                  <div key={promo.id} style={{ ...s.memberRow, opacity: promo.active ? 1 : 0.55 }}>
+                    <div style={s.memberInfo}>
+                      <div style={s.memberEmail}>
+                        {promo.code}
+                        {promo.description && <span style={s.memberYou}> — {promo.description}</span>}
+                      </div>
+                      <div style={s.promoTerms}>{describePromo(promo, products, categories)}</div>
+                    </div>
+                    <div style={s.promoUses}>
+                      {promo.used_count}{promo.max_uses ? ` / ${promo.max_uses}` : ""} used
+                    </div>
+                    <button onClick={() => togglePromo(promo)} style={{ ...s.toggleBtn, flex: "none", padding: "6px 12px" }}>
+                      {promo.active ? "Pause" : "Turn on"}
+                    </button>
+                    <button
+                      onClick={() => setEditingPromo({
+                        ...promo,
+                        description: promo.description || "",
+                        amount:      String(Number(promo.amount)),
+                        min_spend:   promo.min_spend ?? "",
+                        max_uses:    promo.max_uses ?? "",
+                        starts_on:   promo.starts_on || "",
+                        ends_on:     promo.ends_on || "",
+                        daily_from:  promo.daily_from?.slice(0, 5) || "",
+                        daily_until: promo.daily_until?.slice(0, 5) || "",
+                      })}
+                      style={{ ...s.editBtn, flex: "none", padding: "6px 12px" }}
+                    >Edit</button>
+                    <button onClick={() => deletePromo(promo)} style={s.optionRemove} title="Delete code">✕</button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* ── CUSTOMER MESSAGES ── */}
+        {tab === "messages" && business && (
+          <div>
+            <div style={s.pageHead}>
+              <div>
+                <h1 style={s.pageTitle}>Customer Messages</h1>
+                <p style={s.pageSub}>Texts and emails to customers who ask to hear when their order is ready.</p>
+              </div>
+            </div>
+
+            <div style={{ ...s.settingsCard, maxWidth: 720 }}>
+              <h2 style={s.cardTitle}>Wording</h2>
+              <p style={s.cardSub}>
+                These fill in for each order:{" "}
+                {MESSAGE_PLACEHOLDERS.map(p => <span key={p.key} title={p.hint} style={s.placeholder}>{p.key}</span>)}
+              </p>
+
+              {templates.map(t => {
+                const key = `${t.event}:${t.channel}`;
+                return (
+                  <div key={key} style={{ ...s.templateBlock, opacity: t.enabled ? 1 : 0.6 }}>
+                    <div style={s.templateHead}>
+                      <div style={s.memberEmail}>
+                        {MESSAGE_CHANNELS[t.channel]} <span style={s.memberYou}>— {MESSAGE_EVENTS[t.event].label}</span>
+                      </div>
+                      <label style={s.ruleCheck}>
+                        <input type="checkbox" checked={t.enabled} onChange={e => editTemplate(t, { enabled: e.target.checked })} />
+                        <span style={s.checkLabel}>Send</span>
+                      </label>
+                    </div>
+                    {t.channel === "email" && (
+                      <input style={s.input} value={t.subject || ""} onChange={e => editTemplate(t, { subject: e.target.value })} placeholder="Subject" />
+                    )}
+                    <textarea
+                      style={{ ...s.input, height: t.channel === "email" ? 130 : 70, resize: "vertical", fontFamily: "inherit" }}
+                      value={t.body}
+                      onChange={e => editTemplate(t, { body: e.target.value })}
+                    />
+                    <div style={s.templatePreview}>{previewMessage(t.body, business.name)}</div>
+                    <div style={s.templateBtns}>
+                      {t.customised && (
+                        <button onClick={() => resetTemplate(t)} style={{ ...s.editBtn, flex: "none", padding: "6px 12px" }}>Reset to default</button>
+                      )}
+                      <button onClick={() => saveTemplate(t)} disabled={savingTemplate === key} style={{ ...s.toggleBtn, flex: "none", padding: "6px 12px" }}>
+                        {savingTemplate === key ? "Saving…" : "Save"}
+                      </button>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div style={{ ...s.settingsCard, maxWidth: 720, marginTop: 20 }}>
+              <div style={s.templateHead}>
+                <div>
+                  <h2 style={s.cardTitle}>Recently sent</h2>
+                  <p style={s.cardSub}>The last 50 messages. Failed ones are retried a few times before giving up.</p>
+                </div>
+                <button onClick={reloadMessageLog} style={{ ...s.editBtn, flex: "none", padding: "6px 12px" }}>Refresh</button>
+              </div>
+
+              {messageLog.length === 0 && <p style={s.cardSub}>Nothing sent yet.</p>}
+              {messageLog.map(m => {
+                const status = MESSAGE_STATUSES[m.status];
+                return (
+                  <div key={m.id} style={s.memberRow}>
+                    <div style={s.memberInfo}>
+                      <div style={s.memberEmail}>
+                        {m.recipient} <span style={s.memberYou}>— {MESSAGE_EVENTS[m.event]?.short || m.event}</span>
+                      </div>
+                      <div style={s.promoTerms}>
+                        {new Date(m.sent_at || m.created_at).toLocaleString([], { dateStyle: "medium", timeStyle: "short" })}
+                        {m.provider && ` · via ${m.provider}`}
+                      </div>
+                      {m.error && <div style={s.previewError}>{m.error}</div>}
+                    </div>
+                    <span style={{ ...s.statusPill, color: status.color, background: status.bg }}>{status.label}</span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+
+        {/* ── TEAM ── */}
+        {tab === "team" && business && (
+          <div>
+            <div style={s.pageHead}>
+              <div>
+                <h1 style={s.pageTitle}>Team</h1>
+                <p style={s.pageSub}>Give your staff their own sign-in instead of sharing yours.</p>
+              </div>
+            </div>
+
+            <div style={s.settingsCard}>
+              <h2 style={s.cardTitle}>Invite someone</h2>
+              <p style={s.cardSub}>They'll get an email with a sign-in link. Managers can also edit the menu; staff only see the orders.</p>
+
+              <label style={s.label}>Email</label>
+              <input style={s.input} type="email" value={inviteForm.email} onChange={e => setInviteForm(f => ({ ...f, email: e.target.value }))} placeholder="e.g. sam@cornercafe.com" />
+
+              <label style={s.label}>Role</label>
+              <select style={s.input} value={inviteForm.role} onChange={e => setInviteForm(f => ({ ...f, role: e.target.value }))}>
+                {Object.entries(ROLES).map(([key, r]) => <option key={key} value={key}>{r.label} — {r.hint}</option>)}
+              </select>
+
+              <button onClick={inviteMember} disabled={inviting || !inviteForm.email.trim()} style={s.saveBtn}>
+                {inviting ? "Sending…" : "Send invite ✉️"}
+              </button>
+            </div>
+
+            <div style={{ ...s.settingsCard, marginTop: 20 }}>
+              <h2 style={s.cardTitle}>People with access</h2>
+              <p style={s.cardSub}>Removing someone signs them out of this business straight away.</p>
+
+              {members.map(m => (
+                <div key={m.id} style={s.memberRow}>
+                  <div style={s.memberInfo}>
+                    <div style={s.memberEmail}>
+                      {m.email}{m.user_id === user?.id && <span style={s.memberYou}> (you)</span>}
+                    </div>
+                    <div style={m.user_id ? s.memberActive : s.memberPending}>
+                      {m.user_id ? "Active" : "Invited — waiting for them to sign in"}
+                    </div>
+                  </div>
+                  <select style={s.memberRole} value={m.role} onChange={e => changeMemberRole(m, e.target.value)}>
+                    {Object.entries(ROLES).map(([key, r]) => <option key={key} value={key}>{r.label}</option>)}
+                  </select>
+                  <button onClick={() => removeMember(m)} style={s.optionRemove} title={m.user_id ? "Remove access" : "Cancel invite"}>✕</button>
+                </div>
+              ))}
+            </div>
           </div>
         )}
       </main>
@@ -337,7 +1466,19 @@ export default function AdminPage() {
               </div>
               <div style={{ flex: 1 }}>
                 <label style={s.label}>Category</label>
-                <input style={s.input} value={editingProduct.category} onChange={e => setEditingProduct(p => ({ ...p, category: e.target.value }))} placeholder="e.g. Drinks" />
+                <select
+                  style={s.input}
+                  value={editingProduct.category_id}
+                  onChange={e => e.target.value === "new"
+                    ? addCategoryFromProduct()
+                    : setEditingProduct(p => ({ ...p, category_id: e.target.value }))}
+                >
+                  <option value="">No category</option>
+                  {[...categories].sort(bySortOrder).map(c => (
+                    <option key={c.id} value={c.id}>{c.name}{c.visible ? "" : " (hidden)"}</option>
+                  ))}
+                  <option value="new">+ New category…</option>
+                </select>
               </div>
             </div>
 
@@ -346,6 +1487,65 @@ export default function AdminPage() {
               <span style={s.checkLabel}>Available on menu (customers can order this)</span>
             </label>
 
+            <label style={s.checkRow}>
+              <input type="checkbox" checked={editingProduct.track_stock} onChange={e => setEditingProduct(p => ({ ...p, track_stock: e.target.checked }))} />
+              <span style={s.checkLabel}>Track stock (sells out automatically at zero)</span>
+            </label>
+            {editingProduct.track_stock && (
+              <div style={s.twoCol}>
+                <div style={{ flex: 1 }}>
+                  <label style={s.label}>In stock now</label>
+                  <input style={s.input} type="number" min="0" value={editingProduct.stock} onChange={e => setEditingProduct(p => ({ ...p, stock: e.target.value }))} placeholder="e.g. 12" />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <label style={s.label}>Reset each day to</label>
+                  <input style={s.input} type="number" min="0" value={editingProduct.restock_to} onChange={e => setEditingProduct(p => ({ ...p, restock_to: e.target.value }))} placeholder="Don't reset" />
+                </div>
+              </div>
+            )}
+
+            {/* Modifier groups */}
+            <div style={s.modsHead}>
+              <span style={s.modsTitle}>Options</span>
+              <span style={s.modsHint}>Sizes, milk, extras… each option can change the price.</span>
+            </div>
+            {editingProduct.modifier_groups.map((g, gi) => (
+              <div key={gi} style={s.groupCard}>
+                <div style={s.groupRow}>
+                  <input style={{ ...s.input, ...s.groupName }} value={g.name} onChange={e => updateGroup(gi, { name: e.target.value })} placeholder="Group name, e.g. Size" />
+                  <button onClick={() => removeGroup(gi)} style={s.deleteBtn}>✕</button>
+                </div>
+                <div style={s.groupRules}>
+                  <label style={s.ruleCheck}>
+                    <input type="checkbox" checked={g.min_select > 0} onChange={e => updateGroup(gi, { min_select: e.target.checked ? 1 : 0 })} />
+                    Required
+                  </label>
+                  <label style={s.ruleField}>
+                    Min
+                    <input style={s.ruleInput} type="number" min="0" value={g.min_select} onChange={e => updateGroup(gi, { min_select: e.target.value })} />
+                  </label>
+                  <label style={s.ruleField}>
+                    Max
+                    <input style={s.ruleInput} type="number" min="1" value={g.max_select} onChange={e => updateGroup(gi, { max_select: e.target.value })} placeholder="any" />
+                  </label>
+                </div>
+                {g.options.map((o, oi) => (
+                  <div key={oi} style={s.optionRow}>
+                    <input style={{ ...s.input, ...s.optionName }} value={o.name} onChange={e => updateOption(gi, oi, { name: e.target.value })} placeholder="e.g. Oat milk" />
+                    <input style={{ ...s.input, ...s.optionPrice }} type="number" step="0.01" value={o.price_delta} onChange={e => updateOption(gi, oi, { price_delta: e.target.value })} placeholder="+0.00" />
+                    <button onClick={() => removeOption(gi, oi)} style={s.optionRemove}>✕</button>
+                  </div>
+                ))}
+                <button onClick={() => addOption(gi)} style={s.addOptionBtn}>+ Add option</button>
+              </div>
+            ))}
+            <button
+              onClick={() => setEditingProduct(p => ({ ...p, modifier_groups: [...p.modifier_groups, { ...EMPTY_GROUP, options: [...EMPTY_GROUP.options] }] }))}
+              style={s.addGroupBtn}
+            >
+              + Add option group
+            </button>
+
             <div style={s.modalBtns}>
               <button onClick={() => setEditingProduct(null)} style={s.cancelBtn}>Cancel</button>
               <button onClick={saveProduct} style={s.saveProdBtn}>
@@ -356,6 +1556,174 @@ export default function AdminPage() {
         </div>
       )}
 
+      {/* ── CATEGORY MODAL ── */}
+      {editingCategory && (
+        <div style={s.overlay} onClick={() => setEditingCategory(null)}>
+          <div style={s.modal} onClick={e => e.stopPropagation()}>
+            <h2 style={s.modalTitle}>{editingCategory.id ? "Edit category" : "Add a category"}</h2>
+
+            <label style={s.label}>Name *</label>
+            <input style={s.input} value={editingCategory.name} onChange={e => setEditingCategory(c => ({ ...c, name: e.target.value }))} placeholder="e.g. Drinks" />
+
+            <label style={s.label}>Description (shown on the menu)</label>
+            <textarea style={{ ...s.input, height: 64, resize: "none" }} value={editingCategory.description} onChange={e => setEditingCategory(c => ({ ...c, description: e.target.value }))} placeholder="e.g. All our coffee uses locally roasted beans." />
+
+            <label style={s.checkRow}>
+              <input type="checkbox" checked={editingCategory.visible} onChange={e => setEditingCategory(c => ({ ...c, visible: e.target.checked }))} />
+              <span style={s.checkLabel}>Show on menu (hidden categories hide all their products)</span>
+            </label>
+
+            <label style={s.label}>Tax rate (%)</label>
+            <input
+              style={s.input}
+              type="number" min="0" max="100" step="0.001"
+              value={editingCategory.tax_rate ?? ""}
+              onChange={e => setEditingCategory(c => ({ ...c, tax_rate: e.target.value }))}
+              placeholder={`Shop rate (${Number(business?.tax_rate || 0)}%)`}
+            />
+
+            <div style={s.modalBtns}>
+              <button onClick={() => setEditingCategory(null)} style={s.cancelBtn}>Cancel</button>
+              <button onClick={saveCategory} style={s.saveProdBtn}>
+                {editingCategory.id ? "Save changes" : "Add category"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ── PROMO CODE MODAL ── */}
+      {editingPromo && (
+        <div style={s.overlay} onClick={() => setEditingPromo(null)}>
+          <div style={s.modal} onClick={e => e.stopPropagation()}>
+            <h2 style={s.modalTitle}>{editingPromo.id ? `Edit ${editingPromo.code}` : "New promo code"}</h2>
+
+            <label style={s.label}>Code *</label>
+            <input
+              style={{ ...s.input, textTransform: "uppercase" }}
+              value={editingPromo.code}
+              onChange={e => setEditingPromo(f => ({ ...f, code: e.target.value.replace(/\s/g, "") }))}
+              placeholder="e.g. EARLYBIRD"
+            />
+
+            <label style={s.label}>Note (just for you)</label>
+            <input style={s.input} value={editingPromo.description} onChange={e => setEditingPromo(f => ({ ...f, description: e.target.value }))} placeholder="e.g. Morning flyer campaign" />
+
+            <div style={s.twoCol}>
+              <div style={{ flex: 1 }}>
+                <label style={s.label}>Discount</label>
+                <select style={s.input} value={editingPromo.kind} onChange={e => setEditingPromo(f => ({ ...f, kind: e.target.value }))}>
+                  <option value="percent">Percentage off</option>
+                  <option value="fixed">Amount off ($)</option>
+                </select>
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={s.label}>{editingPromo.kind === "percent" ? "Percent *" : "Amount ($) *"}</label>
+                <input style={s.input} type="number" min="0" step={editingPromo.kind === "percent" ? "1" : "0.01"} value={editingPromo.amount} onChange={e => setEditingPromo(f => ({ ...f, amount: e.target.value }))} placeholder={editingPromo.kind === "percent" ? "10" : "5.00"} />
+              </div>
+            </div>
+
+            <label style={s.label}>Applies to</label>
+            <p style={s.cardSub}>Tick categories or products to limit the discount to them. Leave all unticked for the whole order.</p>
+            <div style={s.promoTargets}>
+              {[...categories].sort(bySortOrder).map(c => (
+                <label key={c.id} style={s.promoTarget}>
+                  <input type="checkbox" checked={editingPromo.category_ids.includes(c.id)} onChange={() => togglePromoTarget("category_ids", c.id)} />
+                  <strong>{c.name}</strong> <span style={s.memberYou}>(category)</span>
+                </label>
+              ))}
+              {menuOrder(products, categories).map(p => (
+                <label key={p.id} style={s.promoTarget}>
+                  <input type="checkbox" checked={editingPromo.product_ids.includes(p.id)} onChange={() => togglePromoTarget("product_ids", p.id)} />
+                  {p.name}
+                </label>
+              ))}
+            </div>
+
+            <div style={s.twoCol}>
+              <div style={{ flex: 1 }}>
+                <label style={s.label}>Minimum spend ($)</label>
+                <input style={s.input} type="number" min="0" step="0.01" value={editingPromo.min_spend} onChange={e => setEditingPromo(f => ({ ...f, min_spend: e.target.value }))} placeholder="None" />
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={s.label}>Usage limit</label>
+                <input style={s.input} type="number" min="1" step="1" value={editingPromo.max_uses} onChange={e => setEditingPromo(f => ({ ...f, max_uses: e.target.value }))} placeholder="Unlimited" />
+              </div>
+            </div>
+
+            <div style={s.twoCol}>
+              <div style={{ flex: 1 }}>
+                <label style={s.label}>First day</label>
+                <input style={s.input} type="date" value={editingPromo.starts_on} onChange={e => setEditingPromo(f => ({ ...f, starts_on: e.target.value }))} />
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={s.label}>Last day</label>
+                <input style={s.input} type="date" value={editingPromo.ends_on} onChange={e => setEditingPromo(f => ({ ...f, ends_on: e.target.value }))} />
+              </div>
+            </div>
+
+            <div style={s.twoCol}>
+              <div style={{ flex: 1 }}>
+                <label style={s.label}>Each day from</label>
+                <input style={s.input} type="time" value={editingPromo.daily_from} onChange={e => setEditingPromo(f => ({ ...f, daily_from: e.target.value }))} />
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={s.label}>Until</label>
+                <input style={s.input} type="time" value={editingPromo.daily_until} onChange={e => setEditingPromo(f => ({ ...f, daily_until: e.target.value }))} />
+              </div>
+            </div>
+            <p style={s.cardSub}>Dates and times are in your shop's timezone. Leave them empty to allow any day or time.</p>
+
+            <label style={s.checkRow}>
+              <input type="checkbox" checked={editingPromo.active} onChange={e => setEditingPromo(f => ({ ...f, active: e.target.checked }))} />
+              <span style={s.checkLabel}>Active — customers can use it</span>
+            </label>
+
+            <div style={s.modalBtns}>
+              <button onClick={() => setEditingPromo(null)} style={s.cancelBtn}>Cancel</button>
+              <button onClick={savePromo} style={s.saveProdBtn}>
+                {editingPromo.id ? "Save changes" : "Create code"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ── COPY MENU MODAL ── */}
+      {copySource && (
+        <div style={s.overlay} onClick={() => setCopySource(null)}>
+          <div style={s.modal} onClick={e => e.stopPropagation()}>
+            <h2 style={s.modalTitle}>Copy menu from another location</h2>
+            <p style={s.cardSub}>
+              Categories, products and their options are added to {business.name}'s menu.
+              Products with a name that's already here are skipped.
+            </p>
+
+            <label style={s.label}>Copy from</label>
+            <select style={s.input} value={copySource} onChange={e => setCopySource(e.target.value)}>
+              {copySources.map(m => <option key={m.business.id} value={m.business.id}>{m.business.name}</option>)}
+            </select>
+
+            <div style={s.modalBtns}>
+              <button onClick={() => setCopySource(null)} style={s.cancelBtn}>Cancel</button>
+              <button onClick={copyMenu} disabled={copying} style={s.saveProdBtn}>
+                {copying ? "Copying…" : "Copy menu"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {menuFileOpen && (
+        <MenuFileModal
+          business={business}
+          products={products}
+          categories={categories}
+          onClose={() => setMenuFileOpen(false)}
+          onImported={handleMenuImported}
+        />
+      )}
+
       <style>{`
         @keyframes fadeUp { from { opacity:0; transform:translateY(14px); } to { opacity:1; transform:translateY(0); } }
         @keyframes popIn  { from { opacity:0; transform:scale(0.93); } to { opacity:1; transform:scale(1); } }
@@ -365,6 +1733,175 @@ export default function AdminPage() {
   );
 }
 
+// ── Menu import / export modal ────────────────────────────────
+// Downloads the menu as CSV or JSON, or reads a file back in, shows
+// what would change row by row, and applies it in one transaction.
+function MenuFileModal({ business, products, categories, onClose, onImported }) {
+  const [rows, setRows]           = useState(null); // validated rows from the chosen file
+  const [fileName, setFileName]   = useState("");
+  const [mode, setMode]           = useState("upsert"); // "upsert" | "replace"
+  const [importing, setImporting] = useState(false);
+  const importRef = useRef();
+
+  function exportMenu(format) {
+    const categoryNames = new Map(categories.map(c => [c.id, c.name]));
+    const items = menuOrder(products, categories).map(p => ({
+      name:        p.name,
+      description: p.description || "",
+      price:       Number(p.price),
+      category:    categoryNames.get(p.category_id) || "",
+      available:   p.available,
+      sort_order:  p.sort_order ?? 0,
+      image_url:   p.image_url || "",
+    }));
+    if (format === "csv") {
+      downloadFile(`${business.slug}-menu.csv`, toCSV(items, MENU_FIELDS.map(key => ({ key, label: key }))));
+    } else {
+      downloadFile(`${business.slug}-menu.json`, JSON.stringify(items, null, 2), "application/json");
+    }
+  }
+
+  async function readFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    const isJson = file.name.toLowerCase().endsWith(".json");
+    let raw;
+    try {
+      const text = await file.text();
+      raw = isJson ? JSON.parse(text) : parseCSV(text);
+    } catch {
+      alert("Couldn't read that file — make sure it's a valid CSV or JSON menu export.");
+      return;
+    }
+    if (!Array.isArray(raw) || raw.length === 0) { alert("That file doesn't contain any products."); return; }
+
+    // CSV rows are numbered as a spreadsheet shows them (header is line 1)
+    const checked = raw.map((r, i) => validateMenuRow(r || {}, isJson ? `#${i + 1}` : `Line ${i + 2}`));
+    const seen = new Map();
+    checked.forEach(r => {
+      if (!r.data.name) return;
+      const key = nameKey(r.data.name);
+      if (seen.has(key)) r.errors.push(`same name as ${seen.get(key)}`);
+      else seen.set(key, r.label);
+    });
+    setFileName(file.name);
+    setRows(checked);
+  }
+
+  async function applyImport() {
+    if (removed.length > 0 && !window.confirm(`Replacing the menu deletes ${removed.length} product${removed.length === 1 ? "" : "s"} that aren't in the file. Continue?`)) return;
+    setImporting(true);
+    const { data, error } = await supabase.rpc("import_menu", {
+      p_business_id: business.id,
+      p_products:    rows.map(r => r.data),
+      p_replace:     mode === "replace",
+    });
+    setImporting(false);
+    if (error) { alert(error.code === "P0001" ? error.message : "Import failed: " + error.message); return; }
+    onImported(data);
+  }
+
+  const existing   = new Set(products.map(p => nameKey(p.name)));
+  const badRows    = (rows || []).filter(r => r.errors.length > 0);
+  const incoming   = new Set((rows || []).map(r => nameKey(r.data.name)));
+  const removed    = rows && mode === "replace" ? products.filter(p => !incoming.has(nameKey(p.name))) : [];
+  const addCount   = (rows || []).filter(r => !r.errors.length && !existing.has(nameKey(r.data.name))).length;
+  const updateCount = (rows || []).filter(r => !r.errors.length && existing.has(nameKey(r.data.name))).length;
+
+  return (
+    <div style={s.overlay} onClick={onClose}>
+      <div style={{ ...s.modal, maxWidth: 640 }} onClick={e => e.stopPropagation()}>
+        <h2 style={s.modalTitle}>Import / export menu</h2>
+
+        <div style={s.fileSection}>
+          <div style={s.modsTitle}>Export</div>
+          <p style={s.modsHint}>Download all {products.length} products — handy as a backup or to copy your menu to another shop.</p>
+          <div style={s.fileBtns}>
+            <button onClick={() => exportMenu("csv")} disabled={products.length === 0} style={s.restockBtn}>⬇️ CSV</button>
+            <button onClick={() => exportMenu("json")} disabled={products.length === 0} style={s.restockBtn}>⬇️ JSON</button>
+          </div>
+        </div>
+
+        <div style={s.fileSection}>
+          <div style={s.modsTitle}>Import</div>
+          <p style={s.modsHint}>
+            A CSV with the columns {MENU_FIELDS.join(", ")} — or a JSON list of the same fields. Only name and price are required.
+          </p>
+          <div style={s.fileBtns}>
+            <button onClick={() => importRef.current.click()} style={s.restockBtn}>⬆️ Choose file…</button>
+            {fileName && <span style={s.fileName}>{fileName}</span>}
+          </div>
+          <input ref={importRef} type="file" accept=".csv,.json,text/csv,application/json" style={{ display: "none" }} onChange={readFile} />
+        </div>
+
+        {rows && (
+          <>
+            <div style={s.modeRow}>
+              <label style={s.ruleCheck}>
+                <input type="radio" checked={mode === "upsert"} onChange={() => setMode("upsert")} />
+                Add & update by name
+              </label>
+              <label style={s.ruleCheck}>
+                <input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} />
+                Replace the whole menu
+              </label>
+            </div>
+
+            <div style={s.importSummary}>
+              <span style={s.summaryAdd}>{addCount} new</span>
+              <span style={s.summaryUpdate}>{updateCount} updated</span>
+              {removed.length > 0 && <span style={s.summaryRemove}>{removed.length} removed</span>}
+              {badRows.length > 0 && <span style={s.summaryRemove}>{badRows.length} with errors</span>}
+            </div>
+
+            <div style={s.previewTable}>
+              {rows.map(r => (
+                <div key={r.label} style={s.previewRow}>
+                  <span style={s.previewLine}>{r.label}</span>
+                  <div style={{ flex: 1 }}>
+                    <div style={s.previewProduct}>
+                      {r.data.name || <em>no name</em>}
+                      {!r.errors.length && <span style={s.previewMeta}> · {r.data.category || "no category"} · ${r.data.price.toFixed(2)}{!r.data.available && " · hidden"}</span>}
+                    </div>
+                    {r.errors.map(err => <div key={err} style={s.previewError}>⚠️ {err}</div>)}
+                  </div>
+                  {!r.errors.length && (
+                    <span style={existing.has(nameKey(r.data.name)) ? s.summaryUpdate : s.summaryAdd}>
+                      {existing.has(nameKey(r.data.name)) ? "Update" : "New"}
+                    </span>
+                  )}
+                </div>
+              ))}
+              {removed.map(p => (
+                <div key={p.id} style={s.previewRow}>
+                  <span style={s.previewLine}>—</span>
+                  <div style={{ flex: 1, ...s.previewProduct }}>{p.name}</div>
+                  <span style={s.summaryRemove}>Delete</span>
+                </div>
+              ))}
+            </div>
+
+            {badRows.length > 0 && (
+              <p style={s.previewError}>Fix the rows marked above and choose the file again — nothing is imported until every row is valid.</p>
+            )}
+          </>
+        )}
+
+        <div style={{ ...s.modalBtns, marginTop: 18 }}>
+          <button onClick={onClose} style={s.cancelBtn}>Close</button>
+          {rows && (
+            <button onClick={applyImport} disabled={importing || badRows.length > 0} style={{ ...s.saveProdBtn, opacity: badRows.length > 0 ? 0.5 : 1 }}>
+              {importing ? "Importing…" : `Import ${rows.length} product${rows.length === 1 ? "" : "s"}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 const s = {
   root: { display: "flex", minHeight: "100vh", background: "#fdf8f3", fontFamily: "'Nunito', sans-serif" },
   center: { minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center" },
@@ -376,6 +1913,7 @@ const s = {
   brandIcon: { fontSize: 26, background: "#fff7ed", borderRadius: 10, width: 44, height: 44, display: "flex", alignItems: "center", justifyContent: "center", border: "1.5px solid #fed7aa" },
   brandName: { fontFamily: "'Fraunces', serif", fontSize: 17, fontWeight: 700, color: "#1c1917" },
   brandSub: { fontSize: 12, color: "#f97316", fontWeight: 700 },
+  bizSwitch: { width: "100%", border: "1.5px solid #e7ddd0", borderRadius: 10, padding: "8px 10px", fontSize: 13, fontWeight: 700, color: "#1c1917", background: "#fafaf9", fontFamily: "'Nunito', sans-serif" },
 
   nav: { display: "flex", flexDirection: "column", gap: 3 },
   navBtn: { display: "flex", alignItems: "center", gap: 10, padding: "10px 12px", borderRadius: 10, border: "none", background: "transparent", color: "#78716c", fontSize: 13, fontWeight: 600, fontFamily: "'Nunito', sans-serif", textAlign: "left" },
@@ -390,19 +1928,36 @@ const s = {
   pageHead: { display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: 28 },
   pageTitle: { fontFamily: "'Fraunces', serif", fontSize: 32, fontWeight: 700, color: "#1c1917" },
   pageSub: { color: "#a8a29e", fontSize: 14, marginTop: 4, fontWeight: 500 },
+  headBtns: { display: "flex", gap: 8 },
+  restockBtn: { background: "#fff", color: "#57534e", border: "1.5px solid #e7e5e4", borderRadius: 12, padding: "10px 16px", fontSize: 14, fontWeight: 700, fontFamily: "'Nunito', sans-serif", whiteSpace: "nowrap" },
   addBtn: { background: "#f97316", color: "#fff", border: "none", borderRadius: 12, padding: "10px 20px", fontSize: 14, fontWeight: 800, fontFamily: "'Nunito', sans-serif", whiteSpace: "nowrap" },
 
   warningBox: { background: "#fffbeb", border: "1.5px solid #fde68a", color: "#92400e", borderRadius: 10, padding: "12px 16px", fontSize: 14, fontWeight: 600, marginBottom: 20 },
 
+  dragHint: { fontSize: 13, color: "#a8a29e", fontWeight: 500, marginBottom: 16 },
+  categorySection: { marginBottom: 28, borderRadius: 16, transition: "opacity 0.15s" },
+  categoryHeadRow: { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, marginBottom: 12 },
+  categoryHead: { display: "flex", alignItems: "center", gap: 8, cursor: "grab" },
+  categoryActions: { display: "flex", gap: 4 },
+  categoryAction: { background: "transparent", border: "none", color: "#78716c", fontSize: 13, fontWeight: 700, padding: "4px 8px", fontFamily: "'Nunito', sans-serif" },
+  categoryDesc: { fontSize: 13, color: "#78716c", fontWeight: 500, marginTop: -6, marginBottom: 12 },
+  categoryEmpty: { fontSize: 13, color: "#a8a29e", fontWeight: 500, border: "1.5px dashed #e7ddd0", borderRadius: 12, padding: "14px", textAlign: "center" },
+  hiddenBadge: { background: "#fafaf9", color: "#a8a29e", border: "1.5px solid #e7e5e4", borderRadius: 20, padding: "1px 9px", fontSize: 11, fontWeight: 800 },
+  dragHandle: { fontSize: 18, color: "#a8a29e", lineHeight: 1 },
+  categoryTitle: { fontFamily: "'Fraunces', serif", fontSize: 20, fontWeight: 700, color: "#1c1917" },
+  categoryCount: { background: "#f0e8dc", color: "#78716c", borderRadius: 20, padding: "1px 9px", fontSize: 12, fontWeight: 800 },
+  dragging: { opacity: 0.4 },
   productGrid: { display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))", gap: 16 },
-  productCard: { background: "#fff", borderRadius: 16, border: "1.5px solid #f0e8dc", overflow: "hidden", boxShadow: "0 2px 8px rgba(0,0,0,0.04)", display: "flex", flexDirection: "column" },
+  productCard: { background: "#fff", borderRadius: 16, border: "1.5px solid #f0e8dc", overflow: "hidden", boxShadow: "0 2px 8px rgba(0,0,0,0.04)", display: "flex", flexDirection: "column", cursor: "grab" },
   productImg: { width: "100%", height: 140, objectFit: "cover" },
   productImgPlaceholder: { width: "100%", height: 140, background: "#f0e8dc", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 36, fontWeight: 700, color: "#a8a29e" },
   productCardBody: { padding: "14px", flex: 1, display: "flex", flexDirection: "column", gap: 4 },
   productName: { fontFamily: "'Fraunces', serif", fontSize: 16, fontWeight: 600, color: "#1c1917" },
-  productCat: { fontSize: 11, fontWeight: 700, color: "#a8a29e", textTransform: "uppercase", letterSpacing: "0.05em" },
   productDesc: { fontSize: 12, color: "#78716c", fontWeight: 500, lineHeight: 1.4, flex: 1 },
+  productMods: { fontSize: 11, fontWeight: 600, color: "#c2410c" },
   productPrice: { fontFamily: "'Fraunces', serif", fontSize: 18, fontWeight: 700, color: "#1c1917", marginTop: 4 },
+  stockBadge: { fontSize: 11, fontWeight: 700, color: "#16a34a" },
+  stockOut: { color: "#dc2626" },
   productActions: { display: "flex", gap: 6, marginTop: 8 },
   editBtn: { flex: 1, background: "#fafaf9", border: "1.5px solid #e7e5e4", color: "#57534e", borderRadius: 8, padding: "6px", fontSize: 12, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
   toggleBtn: { flex: 1, background: "#fff7ed", border: "1.5px solid #fed7aa", color: "#c2410c", borderRadius: 8, padding: "6px", fontSize: 12, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
@@ -423,7 +1978,34 @@ const s = {
   preview: { border: "2px solid", borderRadius: 14, padding: "16px 20px", marginBottom: 20 },
   previewName: { fontFamily: "'Fraunces', serif", fontSize: 22, fontWeight: 700, marginBottom: 4 },
   previewDesc: { fontSize: 14, color: "#78716c", fontWeight: 500 },
+  cardTitle: { fontFamily: "'Fraunces', serif", fontSize: 20, fontWeight: 700, color: "#1c1917", marginBottom: 4 },
+  cardSub: { fontSize: 13, color: "#a8a29e", fontWeight: 500, marginBottom: 16, lineHeight: 1.5 },
+  dayRow: { display: "flex", alignItems: "flex-start", gap: 12, padding: "8px 0", borderBottom: "1px solid #f0e8dc" },
+  dayName: { width: 40, fontSize: 14, fontWeight: 800, color: "#57534e", paddingTop: 6 },
+  dayRanges: { flex: 1, display: "flex", flexDirection: "column", gap: 6 },
+  dayClosed: { fontSize: 13, fontWeight: 600, color: "#a8a29e", paddingTop: 6 },
+  rangeRow: { display: "flex", alignItems: "center", gap: 6 },
+  rangeDash: { color: "#a8a29e", fontWeight: 700 },
+  timeInput: { border: "1.5px solid #e7ddd0", borderRadius: 8, padding: "5px 8px", fontSize: 14, background: "#fafaf9", color: "#1c1917" },
+  closureNote: { flex: 1, marginBottom: 0, padding: "6px 10px", fontSize: 14 },
   saveBtn: { width: "100%", background: "#f97316", color: "#fff", border: "none", borderRadius: 12, padding: "13px", fontSize: 15, fontWeight: 800, fontFamily: "'Nunito', sans-serif" },
+  memberRow: { display: "flex", alignItems: "center", gap: 10, padding: "12px 0", borderBottom: "1px solid #f0e8dc" },
+  memberInfo: { flex: 1, minWidth: 0 },
+  memberEmail: { fontSize: 14, fontWeight: 700, color: "#1c1917", overflow: "hidden", textOverflow: "ellipsis" },
+  memberYou: { fontWeight: 500, color: "#a8a29e" },
+  memberActive: { fontSize: 12, fontWeight: 600, color: "#16a34a", marginTop: 2 },
+  memberPending: { fontSize: 12, fontWeight: 600, color: "#d97706", marginTop: 2 },
+  promoTerms: { fontSize: 12, fontWeight: 600, color: "#78716c", marginTop: 2 },
+  promoUses: { fontSize: 13, fontWeight: 700, color: "#57534e", whiteSpace: "nowrap" },
+  promoTargets: { border: "1.5px solid #f0e8dc", borderRadius: 12, maxHeight: 180, overflowY: "auto", padding: "6px 12px", marginBottom: 14 },
+  promoTarget: { display: "flex", alignItems: "center", gap: 8, padding: "5px 0", fontSize: 14, color: "#1c1917", cursor: "pointer" },
+  placeholder: { display: "inline-block", fontFamily: "monospace", fontSize: 12, background: "#fafaf9", border: "1px solid #e7e5e4", borderRadius: 6, padding: "0 5px", margin: "0 4px 4px 0", color: "#57534e", cursor: "help" },
+  templateBlock: { padding: "16px 0", borderTop: "1px solid #f0e8dc" },
+  templateHead: { display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12, marginBottom: 10 },
+  templatePreview: { fontSize: 13, color: "#78716c", background: "#fffbeb", border: "1.5px dashed #fde68a", borderRadius: 10, padding: "10px 12px", whiteSpace: "pre-wrap", marginBottom: 10 },
+  templateBtns: { display: "flex", justifyContent: "flex-end", gap: 8 },
+  statusPill: { borderRadius: 20, padding: "2px 10px", fontSize: 12, fontWeight: 800, whiteSpace: "nowrap" },
+  memberRole: { border: "1.5px solid #e7ddd0", borderRadius: 8, padding: "6px 8px", fontSize: 13, fontWeight: 600, background: "#fafaf9", color: "#1c1917" },
 
   overlay: { position: "fixed", inset: 0, background: "rgba(28,25,23,0.45)", backdropFilter: "blur(6px)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 1000, padding: 24 },
   modal: { background: "#fff", borderRadius: 22, padding: "28px 32px", maxWidth: 480, width: "100%", boxShadow: "0 24px 80px rgba(0,0,0,0.14)", animation: "popIn 0.25s ease", overflowY: "auto", maxHeight: "90vh" },
@@ -435,7 +2017,37 @@ const s = {
   twoCol: { display: "flex", gap: 12 },
   checkRow: { display: "flex", alignItems: "center", gap: 10, margin: "6px 0 18px", cursor: "pointer" },
   checkLabel: { fontSize: 14, fontWeight: 500, color: "#57534e" },
+  modsHead: { display: "flex", flexDirection: "column", gap: 2, marginBottom: 10, paddingTop: 14, borderTop: "1px solid #f0e8dc" },
+  modsTitle: { fontSize: 13, fontWeight: 800, color: "#57534e" },
+  modsHint: { fontSize: 12, fontWeight: 500, color: "#a8a29e" },
+  groupCard: { background: "#fafaf9", border: "1.5px solid #f0e8dc", borderRadius: 12, padding: "12px", marginBottom: 10 },
+  groupRow: { display: "flex", gap: 8, alignItems: "flex-start" },
+  groupName: { flex: 1, marginBottom: 8, background: "#fff" },
+  groupRules: { display: "flex", alignItems: "center", gap: 14, marginBottom: 10, fontSize: 13, fontWeight: 600, color: "#57534e" },
+  ruleCheck: { display: "flex", alignItems: "center", gap: 6, cursor: "pointer" },
+  ruleField: { display: "flex", alignItems: "center", gap: 6 },
+  ruleInput: { width: 56, border: "1.5px solid #e7ddd0", borderRadius: 8, padding: "4px 8px", fontSize: 13, background: "#fff" },
+  optionRow: { display: "flex", gap: 6, alignItems: "flex-start" },
+  optionName: { flex: 2, padding: "7px 10px", fontSize: 14, marginBottom: 6, background: "#fff" },
+  optionPrice: { flex: 1, padding: "7px 10px", fontSize: 14, marginBottom: 6, background: "#fff" },
+  optionRemove: { background: "transparent", border: "none", color: "#a8a29e", fontSize: 13, fontWeight: 700, padding: "8px 4px" },
+  addOptionBtn: { background: "transparent", border: "none", color: "#c2410c", fontSize: 13, fontWeight: 700, padding: "2px 0", fontFamily: "'Nunito', sans-serif" },
+  addGroupBtn: { width: "100%", background: "#fff7ed", border: "1.5px dashed #fed7aa", color: "#c2410c", borderRadius: 10, padding: "9px", fontSize: 13, fontWeight: 700, marginBottom: 18, fontFamily: "'Nunito', sans-serif" },
   modalBtns: { display: "flex", gap: 10, marginTop: 4 },
   cancelBtn: { flex: 1, padding: "11px", border: "1.5px solid #e7e5e4", borderRadius: 12, background: "#fafaf9", color: "#78716c", fontSize: 14, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
+  fileSection: { paddingBottom: 14, marginBottom: 14, borderBottom: "1px solid #f0e8dc", display: "flex", flexDirection: "column", gap: 6 },
+  fileBtns: { display: "flex", alignItems: "center", gap: 8, marginTop: 4 },
+  fileName: { fontSize: 13, fontWeight: 600, color: "#57534e", fontFamily: "monospace" },
+  modeRow: { display: "flex", gap: 18, marginBottom: 12, fontSize: 13, fontWeight: 600, color: "#57534e" },
+  importSummary: { display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 10 },
+  summaryAdd: { background: "#f0fdf4", color: "#16a34a", border: "1.5px solid #bbf7d0", borderRadius: 20, padding: "2px 10px", fontSize: 12, fontWeight: 800, whiteSpace: "nowrap" },
+  summaryUpdate: { background: "#fff7ed", color: "#c2410c", border: "1.5px solid #fed7aa", borderRadius: 20, padding: "2px 10px", fontSize: 12, fontWeight: 800, whiteSpace: "nowrap" },
+  summaryRemove: { background: "#fef2f2", color: "#dc2626", border: "1.5px solid #fecaca", borderRadius: 20, padding: "2px 10px", fontSize: 12, fontWeight: 800, whiteSpace: "nowrap" },
+  previewTable: { border: "1.5px solid #f0e8dc", borderRadius: 12, maxHeight: 300, overflowY: "auto", marginBottom: 10 },
+  previewRow: { display: "flex", alignItems: "flex-start", gap: 10, padding: "8px 12px", borderBottom: "1px solid #f0e8dc" },
+  previewLine: { width: 56, fontSize: 12, fontWeight: 700, color: "#a8a29e", paddingTop: 2 },
+  previewProduct: { fontSize: 14, fontWeight: 700, color: "#1c1917" },
+  previewMeta: { fontWeight: 500, color: "#a8a29e", fontSize: 13 },
+  previewError: { fontSize: 12, fontWeight: 600, color: "#dc2626", marginTop: 2 },
   saveProdBtn: { flex: 2, padding: "11px", border: "none", borderRadius: 12, background: "#f97316", color: "#fff", fontSize: 14, fontWeight: 800, fontFamily: "'Nunito', sans-serif" },
 };
@@ -0,0 +1,445 @@
+// src/pages/AnalyticsPage.jsx
+// Owner sales analytics — revenue over time, best sellers, busiest
+// hours and prep times. Everything is computed in the database by
+// get_sales_analytics() so it covers the full order history, not just
+// the orders the dashboard has loaded. Charts are plain HTML/CSS.
+// The same date range can be downloaded as CSV for the bookkeeper.
+import { useState, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { supabase } from "../lib/supabase";
+import { toCSV, downloadFile } from "../lib/csv";
+import { zonedDayStart, addDays } from "../lib/hours";
+import { loadMembership, switchBusiness, canEditMenu } from "../lib/business";
+
+const RANGES = [
+  { id: "7d",     label: "Last 7 days",    days: 7,   bucket: "day" },
+  { id: "30d",    label: "Last 30 days",   days: 30,  bucket: "day" },
+  { id: "90d",    label: "Last 90 days",   days: 90,  bucket: "week" },
+  { id: "12m",    label: "Last 12 months", days: 365, bucket: "month" },
+  { id: "custom", label: "Custom" },
+];
+
+const BUCKETS = [
+  { id: "day",   label: "Daily" },
+  { id: "week",  label: "Weekly" },
+  { id: "month", label: "Monthly" },
+];
+
+// "YYYY-MM-DD" for a Date, in the browser's local time
+function isoDate(d) {
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+function daysAgo(n) {
+  const d = new Date();
+  d.setDate(d.getDate() - n);
+  return isoDate(d);
+}
+
+const money = (n) => `$${Number(n).toFixed(2)}`;
+
+const EXPORT_PAGE_SIZE = 500;
+
+// "2024-03-01 14:05" in the shop's own time zone, for spreadsheets
+function sheetTime(timestamp, timezone) {
+  if (!timestamp) return "";
+  return new Intl.DateTimeFormat("sv-SE", {
+    timeZone: timezone || "UTC",
+    year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+  }).format(new Date(timestamp));
+}
+
+const ORDER_COLUMNS = (tz) => [
+  { label: "Order ID",      key: "id" },
+  { label: "Placed at",     key: o => sheetTime(o.created_at, tz) },
+  { label: "Pickup at",     key: o => sheetTime(o.pickup_at, tz) },
+  { label: "Fulfilled at",  key: o => sheetTime(o.fulfilled_at, tz) },
+  { label: "Cancelled at",  key: o => sheetTime(o.cancelled_at, tz) },
+  { label: "Status",        key: "status" },
+  { label: "Customer",      key: "customer_name" },
+  { label: "Note",          key: "customer_note" },
+  { label: "Items",         key: o => o.order_items.reduce((n, i) => n + i.quantity, 0) },
+  { label: "Subtotal",      key: o => Number(o.subtotal).toFixed(2) },
+  { label: "Promo code",    key: "promo_code" },
+  { label: "Discount",      key: o => Number(o.discount).toFixed(2) },
+  { label: "Tax",           key: o => Number(o.tax).toFixed(2) },
+  { label: "Tax included",  key: o => (o.tax_included ? "yes" : "no") },
+  { label: "Service fee",   key: o => Number(o.service_fee).toFixed(2) },
+  { label: "Packaging fee", key: o => Number(o.packaging_fee).toFixed(2) },
+  { label: "Total",         key: o => Number(o.total).toFixed(2) },
+  { label: "Tip",           key: o => Number(o.tip).toFixed(2) },
+  { label: "Payment",       key: "payment_status" },
+  { label: "Payment ref",   key: "payment_ref" },
+  { label: "Cancel reason", key: "cancel_reason" },
+];
+
+const LINE_COLUMNS = (tz) => [
+  { label: "Order ID",    key: l => l.order.id },
+  { label: "Placed at",   key: l => sheetTime(l.order.created_at, tz) },
+  { label: "Status",      key: l => l.order.status },
+  { label: "Customer",    key: l => l.order.customer_name },
+  { label: "Product",     key: "name" },
+  { label: "Options",     key: l => (l.options || []).map(o => o.name).join("; ") },
+  { label: "Quantity",    key: "quantity" },
+  { label: "Unit price",  key: l => Number(l.price).toFixed(2) },
+  { label: "Line total",  key: l => (l.price * l.quantity).toFixed(2) },
+  { label: "Tax rate %",  key: l => Number(l.tax_rate) },
+  { label: "Order total", key: l => Number(l.order.total).toFixed(2) },
+];
+
+function periodLabel(period, bucket) {
+  const d = new Date(`${period}T12:00:00`);
+  if (bucket === "month") return d.toLocaleDateString(undefined, { month: "short", year: "2-digit" });
+  return d.toLocaleDateString(undefined, { day: "numeric", month: "short" });
+}
+
+export default function AnalyticsPage() {
+  const navigate = useNavigate();
+  const [business, setBusiness] = useState(null);
+  const [role, setRole]         = useState(null);
+  const [memberships, setMemberships] = useState([]); // every location this user works on
+  const [loading, setLoading]   = useState(true);
+  const [fetching, setFetching] = useState(false);
+  const [range, setRange]       = useState("30d");
+  const [from, setFrom]         = useState(daysAgo(29));
+  const [to, setTo]             = useState(isoDate(new Date()));
+  const [bucket, setBucket]     = useState("day");
+  const [data, setData]         = useState(null);
+  const [error, setError]       = useState(null);
+  const [exporting, setExporting] = useState(null); // "orders" | "lines" while a download is being built
+
+  // ── Auth + Load ─────────────────────────────────────────────
+  useEffect(() => {
+    supabase.auth.getSession().then(async ({ data: { session } }) => {
+      if (!session) { navigate("/login"); return; }
+      const membership = await loadMembership(session.user.id);
+      if (!membership) { navigate("/admin"); return; }
+      // Staff only work the order queue
+      if (!canEditMenu(membership.role)) { navigate("/dashboard"); return; }
+      setBusiness(membership.business);
+      setRole(membership.role);
+      setMemberships(membership.memberships);
+      setLoading(false);
+    });
+  }, [navigate]);
+
+  // ── Fetch analytics whenever the range changes ───────────────
+  useEffect(() => {
+    if (!business || !from || !to || from > to) return;
+    setFetching(true);
+    supabase.rpc("get_sales_analytics", {
+      p_business_id: business.id,
+      p_from:        from,
+      p_to:          to,
+      p_bucket:      bucket,
+    }).then(({ data: result, error: rpcErr }) => {
+      setError(rpcErr ? rpcErr.message : null);
+      setData(rpcErr ? null : result);
+      setFetching(false);
+    });
+  }, [business, from, to, bucket]);
+
+  function pickRange(id) {
+    setRange(id);
+    const preset = RANGES.find(r => r.id === id);
+    if (!preset.days) return;
+    setFrom(daysAgo(preset.days - 1));
+    setTo(isoDate(new Date()));
+    setBucket(preset.bucket);
+  }
+
+  // ── CSV export ──────────────────────────────────────────────
+  // Pages through every order in the range (not just the dashboard's
+  // latest 100) and builds the file in the browser.
+  async function exportCSV(kind) {
+    setExporting(kind);
+    const tz = business.timezone;
+    const start = zonedDayStart(from, tz).toISOString();
+    const end   = zonedDayStart(addDays(to, 1), tz).toISOString();
+
+    const orders = [];
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+      const { data: page, error: pageErr } = await supabase
+        .from("orders")
+        .select("*, order_items(*)")
+        .eq("business_id", business.id)
+        .neq("payment_status", "awaiting")
+        .gte("created_at", start)
+        .lt("created_at", end)
+        .order("created_at")
+        .order("id")
+        .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+      if (pageErr) {
+        setExporting(null);
+        alert("Export failed: " + pageErr.message);
+        return;
+      }
+      orders.push(...page);
+      if (page.length < EXPORT_PAGE_SIZE) break;
+    }
+
+    const csv = kind === "orders"
+      ? toCSV(orders, ORDER_COLUMNS(tz))
+      : toCSV(orders.flatMap(o => o.order_items.map(item => ({ ...item, order: o }))), LINE_COLUMNS(tz));
+    downloadFile(`${business.slug}-${kind === "orders" ? "orders" : "line-items"}-${from}-to-${to}.csv`, csv);
+    setExporting(null);
+  }
+
+  if (loading) return (
+    <div style={s.center}>
+      <div style={s.spinner} />
+    </div>
+  );
+
+  const summary = data?.summary;
+  const hours = Array.from({ length: 24 }, (_, h) => (data?.hours || []).find(x => x.hour === h) || { hour: h, order_count: 0, revenue: 0 });
+  const maxProductQty = Math.max(1, ...(data?.top_products || []).map(p => Number(p.quantity)));
+
+  return (
+    <div style={s.root}>
+      {/* Sidebar */}
+      <aside style={s.sidebar}>
+        <div style={s.brand}>
+          <div style={s.brandIcon}>🛍️</div>
+          <div>
+            <div style={s.brandName}>OrderAhead</div>
+            <div style={s.brandSub}>{business.name}</div>
+          </div>
+        </div>
+
+        {memberships.length > 1 && (
+          <select value={business?.id} onChange={e => switchBusiness(e.target.value)} style={s.bizSwitch} aria-label="Location">
+            {memberships.map(m => <option key={m.business.id} value={m.business.id}>{m.business.name}</option>)}
+          </select>
+        )}
+
+        <nav style={s.nav}>
+          <button onClick={() => navigate("/dashboard")} style={s.navBtn}>
+            <span>📦</span><span style={{ flex: 1 }}>Orders</span>
+          </button>
+          <button style={{ ...s.navBtn, ...s.navActive }}>
+            <span>📈</span><span style={{ flex: 1 }}>Analytics</span>
+          </button>
+          <button onClick={() => navigate("/admin")} style={s.navBtn}>
+            <span>⚙️</span><span style={{ flex: 1 }}>{role === "owner" ? "Products & Settings" : "Products"}</span>
+          </button>
+        </nav>
+      </aside>
+
+      {/* Main */}
+      <main style={s.main}>
+        <div style={s.pageHead}>
+          <div>
+            <h1 style={s.pageTitle}>Analytics</h1>
+            <p style={s.pageSub}>How your shop is doing. Charts leave out cancelled orders; CSV exports include them with their status.</p>
+          </div>
+          <div style={s.exportBtns}>
+            <button onClick={() => exportCSV("orders")} disabled={!!exporting || from > to} style={s.exportBtn}>
+              {exporting === "orders" ? "Exporting…" : "⬇️ Orders CSV"}
+            </button>
+            <button onClick={() => exportCSV("lines")} disabled={!!exporting || from > to} style={s.exportBtn}>
+              {exporting === "lines" ? "Exporting…" : "⬇️ Line items CSV"}
+            </button>
+          </div>
+        </div>
+
+        {/* Range controls */}
+        <div style={s.controls}>
+          <div style={s.chips}>
+            {RANGES.map(r => (
+              <button key={r.id} onClick={() => pickRange(r.id)} style={{ ...s.chip, ...(range === r.id ? s.chipOn : {}) }}>
+                {r.label}
+              </button>
+            ))}
+          </div>
+          {range === "custom" && (
+            <div style={s.customRow}>
+              <input type="date" style={s.dateInput} value={from} max={to} onChange={e => setFrom(e.target.value)} />
+              <span style={{ color: "#a8a29e" }}>to</span>
+              <input type="date" style={s.dateInput} value={to} min={from} onChange={e => setTo(e.target.value)} />
+            </div>
+          )}
+          <div style={s.chips}>
+            {BUCKETS.map(b => (
+              <button key={b.id} onClick={() => setBucket(b.id)} style={{ ...s.chip, ...(bucket === b.id ? s.chipOn : {}) }}>
+                {b.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {error && <div style={s.errorBox}>Couldn't load analytics: {error}</div>}
+
+        {summary && (
+          <div style={{ opacity: fetching ? 0.5 : 1, transition: "opacity 0.15s" }}>
+            {/* Summary cards */}
+            <div style={s.statGrid}>
+              {[
+                { label: "💰 Revenue",         value: money(summary.revenue) },
+                { label: "🙏 Tips",            value: money(summary.tips) },
+                { label: "📦 Orders",          value: summary.order_count },
+                { label: "🧾 Avg order value", value: money(summary.avg_order_value) },
+                { label: "⏱️ Avg order → done", value: summary.avg_fulfil_minutes != null ? `${summary.avg_fulfil_minutes} min` : "—" },
+              ].map(stat => (
+                <div key={stat.label} style={s.statCard}>
+                  <div style={s.statLabel}>{stat.label}</div>
+                  <div style={s.statValue}>{stat.value}</div>
+                </div>
+              ))}
+            </div>
+
+            {/* Revenue over time */}
+            <section style={s.card}>
+              <h2 style={s.cardTitle}>Revenue & orders</h2>
+              <BarChart
+                bars={data.series.map(p => ({
+                  key:   p.period,
+                  value: Number(p.revenue),
+                  label: periodLabel(p.period, bucket),
+                  title: `${periodLabel(p.period, bucket)} — ${money(p.revenue)} from ${p.order_count} order${p.order_count === 1 ? "" : "s"}`
+                    + (Number(p.tips) ? `, plus ${money(p.tips)} in tips` : ""),
+                }))}
+              />
+              <details style={s.periodDetails}>
+                <summary style={s.periodSummary}>Show as a table</summary>
+                <table style={s.periodTable}>
+                  <thead>
+                    <tr>{["Period", "Orders", "Revenue", "Tips"].map(h => <th key={h} style={s.periodHead}>{h}</th>)}</tr>
+                  </thead>
+                  <tbody>
+                    {data.series.filter(p => p.order_count > 0).map(p => (
+                      <tr key={p.period}>
+                        <td style={s.periodCell}>{periodLabel(p.period, bucket)}</td>
+                        <td style={s.periodCell}>{p.order_count}</td>
+                        <td style={s.periodCell}>{money(p.revenue)}</td>
+                        <td style={s.periodCell}>{money(p.tips)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            </section>
+
+            <div style={s.twoCol}>
+              {/* Best sellers */}
+              <section style={{ ...s.card, flex: 1 }}>
+                <h2 style={s.cardTitle}>Best sellers</h2>
+                {data.top_products.length === 0 && <p style={s.emptyText}>No sales in this period.</p>}
+                {data.top_products.map(p => (
+                  <div key={p.name} style={s.productRow}>
+                    <div style={s.productTop}>
+                      <span style={s.productName}>{p.name}</span>
+                      <span style={s.productNums}>{p.quantity} sold · {money(p.revenue)}</span>
+                    </div>
+                    <div style={s.productTrack}>
+                      <div style={{ ...s.productBar, width: `${(Number(p.quantity) / maxProductQty) * 100}%` }} />
+                    </div>
+                  </div>
+                ))}
+              </section>
+
+              {/* Busiest hours */}
+              <section style={{ ...s.card, flex: 1 }}>
+                <h2 style={s.cardTitle}>Busiest hours</h2>
+                <BarChart
+                  color="#d97706"
+                  bars={hours.map(h => ({
+                    key:   h.hour,
+                    value: Number(h.order_count),
+                    label: h.hour % 3 === 0 ? `${h.hour}:00` : "",
+                    title: `${h.hour}:00–${h.hour + 1}:00 — ${h.order_count} order${h.order_count === 1 ? "" : "s"}`,
+                  }))}
+                />
+              </section>
+            </div>
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
+
+// ── Bar chart ──────────────────────────────────────────────────
+// Simple vertical bars; hover a bar for its exact figure. Labels are
+// thinned out automatically when there are lots of bars.
+function BarChart({ bars, color = "#f97316" }) {
+  const max = Math.max(1, ...bars.map(b => b.value));
+  const every = Math.ceil(bars.length / 12);
+
+  return (
+    <div>
+      <div style={s.chart}>
+        {bars.map(b => (
+          <div key={b.key} title={b.title} style={s.barSlot}>
+            <div style={{ ...s.bar, background: color, height: `${(b.value / max) * 100}%`, minHeight: b.value > 0 ? 2 : 0 }} />
+          </div>
+        ))}
+      </div>
+      <div style={s.chartLabels}>
+        {bars.map((b, i) => (
+          <div key={b.key} style={s.chartLabel}>{i % every === 0 ? b.label : ""}</div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const s = {
+  root: { display: "flex", minHeight: "100vh", background: "#fdf8f3", fontFamily: "'Nunito', sans-serif" },
+  center: { minHeight: "100vh", display: "flex", alignItems: "center", justifyContent: "center" },
+  spinner: { width: 36, height: 36, border: "4px solid #f0e8dc", borderTop: "4px solid #f97316", borderRadius: "50%", animation: "spin 0.8s linear infinite" },
+
+  sidebar: { width: 260, background: "#fff", borderRight: "1.5px solid #f0e8dc", padding: "28px 18px", display: "flex", flexDirection: "column", gap: 20, position: "sticky", top: 0, height: "100vh", overflowY: "auto" },
+  brand: { display: "flex", alignItems: "center", gap: 12 },
+  brandIcon: { fontSize: 28, background: "#fff7ed", borderRadius: 12, width: 48, height: 48, display: "flex", alignItems: "center", justifyContent: "center", border: "1.5px solid #fed7aa" },
+  brandName: { fontFamily: "'Fraunces', serif", fontSize: 18, fontWeight: 700, color: "#1c1917" },
+  brandSub: { fontSize: 12, color: "#a8a29e", fontWeight: 500 },
+  bizSwitch: { width: "100%", border: "1.5px solid #e7ddd0", borderRadius: 10, padding: "9px 12px", fontSize: 13, fontWeight: 700, color: "#1c1917", background: "#fafaf9", fontFamily: "'Nunito', sans-serif" },
+
+  nav: { display: "flex", flexDirection: "column", gap: 3 },
+  navBtn: { display: "flex", alignItems: "center", gap: 10, padding: "11px 14px", borderRadius: 12, border: "none", background: "transparent", color: "#78716c", fontSize: 14, fontWeight: 600, fontFamily: "'Nunito', sans-serif", textAlign: "left" },
+  navActive: { background: "#fff7ed", color: "#c2410c" },
+
+  main: { flex: 1, padding: "36px 40px", maxWidth: 1000 },
+  pageHead: { display: "flex", alignItems: "flex-start", justifyContent: "space-between", marginBottom: 20, gap: 20, flexWrap: "wrap" },
+  pageTitle: { fontFamily: "'Fraunces', serif", fontSize: 32, fontWeight: 700, color: "#1c1917", lineHeight: 1.1 },
+  pageSub: { color: "#a8a29e", fontSize: 14, marginTop: 4, fontWeight: 500 },
+  exportBtns: { display: "flex", gap: 8 },
+  exportBtn: { background: "#fff", border: "1.5px solid #e7ddd0", color: "#57534e", borderRadius: 10, padding: "9px 14px", fontSize: 13, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
+
+  controls: { display: "flex", flexWrap: "wrap", alignItems: "center", gap: 12, marginBottom: 20 },
+  chips: { display: "flex", flexWrap: "wrap", gap: 6 },
+  chip: { border: "1.5px solid #e7ddd0", background: "#fff", color: "#78716c", borderRadius: 20, padding: "6px 14px", fontSize: 13, fontWeight: 600, fontFamily: "'Nunito', sans-serif" },
+  chipOn: { background: "#f97316", borderColor: "#f97316", color: "#fff" },
+  customRow: { display: "flex", alignItems: "center", gap: 8, fontSize: 13, fontWeight: 600 },
+  dateInput: { border: "1.5px solid #e7ddd0", borderRadius: 8, padding: "5px 8px", fontSize: 14, background: "#fff", color: "#1c1917" },
+
+  errorBox: { background: "#fef2f2", border: "1.5px solid #fecaca", color: "#dc2626", borderRadius: 10, padding: "12px 14px", fontSize: 14, fontWeight: 600, marginBottom: 20 },
+
+  statGrid: { display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(180px, 1fr))", gap: 12, marginBottom: 16 },
+  statCard: { background: "#fff", border: "1.5px solid #f0e8dc", borderRadius: 16, padding: "16px 18px", boxShadow: "0 2px 8px rgba(0,0,0,0.04)" },
+  statLabel: { fontSize: 12, fontWeight: 700, color: "#a8a29e", marginBottom: 6 },
+  statValue: { fontFamily: "'Fraunces', serif", fontSize: 26, fontWeight: 700, color: "#1c1917" },
+
+  card: { background: "#fff", border: "1.5px solid #f0e8dc", borderRadius: 16, padding: "18px 20px", boxShadow: "0 2px 8px rgba(0,0,0,0.04)", marginBottom: 16 },
+  cardTitle: { fontFamily: "'Fraunces', serif", fontSize: 18, fontWeight: 700, color: "#1c1917", marginBottom: 14 },
+  twoCol: { display: "flex", gap: 16, flexWrap: "wrap" },
+  periodDetails: { marginTop: 12 },
+  periodSummary: { fontSize: 13, fontWeight: 700, color: "#78716c", cursor: "pointer" },
+  periodTable: { width: "100%", borderCollapse: "collapse", marginTop: 10, fontSize: 14 },
+  periodHead: { textAlign: "left", fontSize: 12, fontWeight: 700, color: "#a8a29e", padding: "6px 8px", borderBottom: "1.5px solid #f0e8dc" },
+  periodCell: { padding: "6px 8px", borderBottom: "1px solid #f5f0e8", color: "#1c1917", fontWeight: 600 },
+  emptyText: { color: "#a8a29e", fontSize: 14, fontWeight: 500 },
+
+  chart: { display: "flex", alignItems: "flex-end", gap: 3, height: 180, borderBottom: "1.5px solid #f0e8dc" },
+  barSlot: { flex: 1, height: "100%", display: "flex", alignItems: "flex-end" },
+  bar: { width: "100%", borderRadius: "4px 4px 0 0" },
+  chartLabels: { display: "flex", gap: 3, marginTop: 6 },
+  chartLabel: { flex: 1, fontSize: 10, fontWeight: 600, color: "#a8a29e", whiteSpace: "nowrap", overflow: "visible" },
+
+  productRow: { marginBottom: 10 },
+  productTop: { display: "flex", justifyContent: "space-between", gap: 10, fontSize: 13, marginBottom: 4 },
+  productName: { fontWeight: 700, color: "#1c1917" },
+  productNums: { fontWeight: 600, color: "#78716c", whiteSpace: "nowrap" },
+  productTrack: { height: 8, background: "#fafaf9", borderRadius: 4, overflow: "hidden" },
+  productBar: { height: "100%", background: "#16a34a", borderRadius: 4 },
+};
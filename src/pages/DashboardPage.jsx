@@ -1,20 +1,39 @@
 // src/pages/DashboardPage.jsx
 // Owner's live order dashboard — receives real-time order updates via
-// Supabase Realtime and push notifications via Web Push.
-import { useState, useEffect, useCallback } from "react";
+// Supabase Realtime and push notifications via Web Push. Status changes
+// made while the connection is down are queued and saved once it's back.
+import { useState, useEffect, useCallback, useRef, Fragment } from "react";
 import { useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabase";
 import { subscribeToPush, isSubscribed } from "../lib/push";
-
-const STATUS_FLOW = ["pending", "preparing", "ready", "fulfilled"];
+import { formatClock } from "../lib/hours";
+import { loadMembership, switchBusiness, canEditMenu, canRefund } from "../lib/business";
+import { subscribeToOrders, advanceOrder, rejectOrder, nextStatus as nextStatusOf, shortId } from "../lib/orders";
+import { printTicket, loadPrintSettings, savePrintSettings, PAPER_WIDTHS } from "../lib/print";
+import { refundOrder, PAYMENT_BADGES } from "../lib/payments";
+import { breakdownRows, formatMoney, amountDue } from "../lib/pricing";
+import { queueStatusChange, pendingStatusChanges, replayStatusChanges, isNetworkError } from "../lib/offline";
 
 const STATUS_META = {
   pending:   { label: "Pending",   emoji: "🔴", color: "#f97316", bg: "#fff7ed", border: "#fed7aa" },
   preparing: { label: "Preparing", emoji: "🟡", color: "#d97706", bg: "#fffbeb", border: "#fde68a" },
   ready:     { label: "Ready!",    emoji: "🟢", color: "#16a34a", bg: "#f0fdf4", border: "#bbf7d0" },
   fulfilled: { label: "Done",      emoji: "✅", color: "#a8a29e", bg: "#fafaf9", border: "#e7e5e4" },
+  cancelled: { label: "Cancelled", emoji: "✖️", color: "#dc2626", bg: "#fef2f2", border: "#fecaca" },
+};
+
+const TAB_COPY = {
+  active:    { title: "Active Orders",    sub: "Tap a card to expand and advance the order status.", emptyIcon: "🎉", emptyTitle: "All caught up!",              emptySub: "New orders will appear here automatically." },
+  fulfilled: { title: "Completed Orders", sub: "All orders your team has fulfilled today.",          emptyIcon: "📭", emptyTitle: "Nothing completed yet today", emptySub: "Fulfilled orders will show up here." },
+  cancelled: { title: "Cancelled Orders", sub: "Orders you rejected or customers cancelled.",        emptyIcon: "👍", emptyTitle: "No cancelled orders",         emptySub: "Rejected and cancelled orders will show up here." },
 };
 
+const CANCEL_REASONS = ["Out of stock", "Closing early", "Too busy right now", "Duplicate order"];
+
+// While changes wait to sync, try again this often — the Wi-Fi can be
+// up with no internet behind it, and then the browser never says so
+const RESYNC_EVERY_MS = 15 * 1000;
+
 function timeAgo(date) {
   const secs = Math.floor((new Date() - new Date(date)) / 1000);
   if (secs < 60) return "just now";
@@ -26,13 +45,21 @@ export default function DashboardPage() {
   const navigate = useNavigate();
   const [user, setUser]           = useState(null);
   const [business, setBusiness]   = useState(null);
+  const [role, setRole]           = useState(null); // "owner" | "manager" | "staff"
+  const [memberships, setMemberships] = useState([]); // every location this user works on
   const [orders, setOrders]       = useState([]);
   const [loading, setLoading]     = useState(true);
   const [pushOn, setPushOn]       = useState(false);
-  const [tab, setTab]             = useState("active"); // "active" | "fulfilled"
+  const [tab, setTab]             = useState("active"); // "active" | "fulfilled" | "cancelled"
   const [toast, setToast]         = useState(null);
   const [justFulfilled, setJustFulfilled] = useState(null);
   const [expandedOrder, setExpandedOrder] = useState(null);
+  const [cancelling, setCancelling] = useState(null); // order awaiting cancel confirmation
+  const [printSetup, setPrintSetup] = useState(false);
+  const [autoPrint, setAutoPrint]   = useState(() => loadPrintSettings().autoPrint);
+  const [online, setOnline]         = useState(navigator.onLine);
+  const [pendingCount, setPendingCount] = useState(0); // status changes waiting to sync
+  const [syncError, setSyncError]   = useState(null);   // why the last attempt to save them failed
 
   function showToast(msg) {
     setToast(msg);
@@ -49,94 +76,221 @@ export default function DashboardPage() {
   }, [navigate]);
 
   async function loadData(userId) {
-    // Get business
-    const { data: biz } = await supabase
-      .from("businesses")
-      .select("*")
-      .eq("owner_id", userId)
-      .single();
-
-    if (!biz) {
-      // Owner hasn't set up a business yet — send to admin
+    // Get the business this user works on
+    const membership = await loadMembership(userId);
+    if (!membership) {
+      // Not part of a business yet — send to admin to create one
       navigate("/admin");
       return;
     }
+    const biz = membership.business;
     setBusiness(biz);
+    setRole(membership.role);
+    setMemberships(membership.memberships);
 
-    // Load orders with items
-    const { data: ordersData } = await supabase
-      .from("orders")
-      .select("*, order_items(*)")
-      .eq("business_id", biz.id)
-      .order("created_at", { ascending: false })
-      .limit(100);
-
-    setOrders(ordersData || []);
+    await loadOrders(biz.id);
     setLoading(false);
 
     // Check push subscription
-    const subscribed = await isSubscribed();
+    const subscribed = await isSubscribed(biz.id);
     setPushOn(subscribed);
   }
 
+  // Load orders with items (skipping any still at the payment checkout),
+  // showing any status changes still waiting to sync
+  async function loadOrders(businessId) {
+    const [{ data: ordersData }, queued] = await Promise.all([
+      supabase
+        .from("orders")
+        .select("*, order_items(*)")
+        .eq("business_id", businessId)
+        .neq("payment_status", "awaiting")
+        .order("created_at", { ascending: false })
+        .limit(100),
+      pendingStatusChanges(),
+    ]);
+    setPendingCount(queued.length);
+    if (!ordersData) return; // offline — keep what's on screen
+
+    setOrders(ordersData.map(order => queued.reduce(
+      (o, change) => change.orderId === o.id && change.from === o.status && !change.conflict
+        ? { ...o, status: change.to, ...(change.reason ? { cancel_reason: change.reason } : {}) }
+        : o,
+      order
+    )));
+  }
+
+  // ── Offline changes ──────────────────────────────────────────
+  // Save what was queued while offline, then reload everything so
+  // orders that came in (or changed) meanwhile show up. Never throws:
+  // it runs from event listeners and a timer, so errors go in the banner.
+  async function resync() {
+    try {
+      const { applied, conflicts, failed } = await replayStatusChanges();
+      if (conflicts.length) {
+        alert("These changes weren't saved because the orders were changed on another device:\n\n" + conflicts
+          .map(c => `#${c.ref}: ${STATUS_META[c.to].label} — it's now ${STATUS_META[c.current]?.label || c.current}`)
+          .join("\n"));
+      }
+      if (failed.length) {
+        alert("These changes couldn't be saved:\n\n" + failed
+          .map(c => `#${c.ref}: ${STATUS_META[c.to].label} — ${c.error}`)
+          .join("\n"));
+      }
+      if (applied && !conflicts.length && !failed.length) {
+        showToast(`✅ ${applied} offline change${applied === 1 ? "" : "s"} saved`);
+      }
+      await loadOrders(business.id);
+      const stillQueued = (await pendingStatusChanges()).length;
+      setOnline(navigator.onLine && !stillQueued);
+      setSyncError(null);
+    } catch (err) {
+      console.error("Offline changes not saved:", err);
+      setOnline(navigator.onLine);
+      setSyncError(err.message);
+    }
+  }
+  // The listeners below outlive renders; they call the latest resync()
+  const resyncRef = useRef(resync);
+  resyncRef.current = resync;
+
+  useEffect(() => {
+    if (!business) return;
+
+    const goOnline  = () => resyncRef.current();
+    const goOffline = () => setOnline(false);
+    // The service worker replayed the queue in the background
+    const onMessage = (e) => { if (e.data?.type === "status-queue-synced") resyncRef.current(); };
+
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    // Changes left over from an earlier visit
+    pendingStatusChanges().then(queued => { if (queued.length && navigator.onLine) goOnline(); });
+
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+      navigator.serviceWorker?.removeEventListener("message", onMessage);
+    };
+  }, [business]);
+
+  useEffect(() => {
+    if (!pendingCount) return;
+    const timer = setInterval(() => { if (navigator.onLine) resyncRef.current(); }, RESYNC_EVERY_MS);
+    return () => clearInterval(timer);
+  }, [pendingCount]);
+
   // ── Realtime subscription ────────────────────────────────────
   useEffect(() => {
     if (!business) return;
 
-    const channel = supabase
-      .channel(`orders:${business.id}`)
-      .on("postgres_changes", {
-        event: "INSERT",
-        schema: "public",
-        table: "orders",
-        filter: `business_id=eq.${business.id}`,
-      }, async (payload) => {
-        // Fetch the full order with items
-        const { data } = await supabase
-          .from("orders")
-          .select("*, order_items(*)")
-          .eq("id", payload.new.id)
-          .single();
-
-        if (data) {
-          setOrders(prev => [data, ...prev]);
-          showToast(`🛒 New order from ${data.customer_name}!`);
+    return subscribeToOrders(business.id, {
+      onInsert: (order) => {
+        setOrders(prev => [order, ...prev]);
+        showToast(`🛒 New order from ${order.customer_name}!`);
+        // Auto-print is a per-device setting, read fresh for each order
+        if (loadPrintSettings().autoPrint) {
+          printTicket(order, business).catch(err => showToast(`🖨️ Couldn't print ${order.customer_name}'s ticket — ${err.message}`));
         }
-      })
-      .on("postgres_changes", {
-        event: "UPDATE",
-        schema: "public",
-        table: "orders",
-        filter: `business_id=eq.${business.id}`,
-      }, (payload) => {
-        setOrders(prev => prev.map(o => o.id === payload.new.id ? { ...o, ...payload.new } : o));
-      })
-      .subscribe();
-
-    return () => supabase.removeChannel(channel);
+      },
+      onUpdate: (row) => {
+        setOrders(prev => prev.map(o => o.id === row.id ? { ...o, ...row } : o));
+      },
+    });
   }, [business]);
 
   // ── Actions ─────────────────────────────────────────────────
   async function advanceStatus(order) {
-    const currentIdx = STATUS_FLOW.indexOf(order.status);
-    if (currentIdx >= STATUS_FLOW.length - 1) return;
-    const nextStatus = STATUS_FLOW[currentIdx + 1];
-
-    if (nextStatus === "fulfilled") {
+    if (nextStatusOf(order) === "fulfilled") {
       setJustFulfilled(order.id);
       setTimeout(() => setJustFulfilled(null), 400);
     }
 
-    await supabase
-      .from("orders")
-      .update({
-        status: nextStatus,
-        ...(nextStatus === "fulfilled" ? { fulfilled_at: new Date().toISOString() } : {}),
-      })
-      .eq("id", order.id);
+    let nextStatus;
+    try {
+      nextStatus = await advanceOrder(order);
+    } catch (err) {
+      // Offline: keep it for when the connection is back
+      nextStatus = nextStatusOf(order);
+      const queued = isNetworkError(err) && await queueStatusChange(order, nextStatus).then(() => true, () => false);
+      if (!queued) {
+        alert("Couldn't update the order: " + err.message);
+        return;
+      }
+      setOnline(false);
+      setPendingCount(n => n + 1);
+    }
+    if (!nextStatus) return;
 
     setOrders(prev => prev.map(o => o.id === order.id ? { ...o, status: nextStatus } : o));
-    showToast(`Order ${order.id.slice(-6).toUpperCase()} → ${STATUS_META[nextStatus].label}`);
+    showToast(`Order ${shortId(order)} → ${STATUS_META[nextStatus].label}`);
+  }
+
+  async function cancelOrder(order, reason, refund) {
+    // Cancel first: an order that's since moved on (or been cancelled
+    // elsewhere) is left alone, and is never refunded while still in
+    // the kitchen
+    try {
+      await rejectOrder(order, reason);
+    } catch (err) {
+      // Offline: keep it for when the connection is back. Refunds need
+      // the payment provider, so they can't be queued.
+      if (isNetworkError(err) && refund) {
+        alert("You're offline, so the order can't be refunded yet. Cancel it without the refund, or try again once you're back online.");
+        return;
+      }
+      const queued = isNetworkError(err) && await queueStatusChange(order, "cancelled", reason).then(() => true, () => false);
+      if (!queued) {
+        alert("Couldn't cancel the order: " + err.message);
+        return;
+      }
+      setOnline(false);
+      setPendingCount(n => n + 1);
+    }
+
+    setOrders(prev => prev.map(o => o.id === order.id ? { ...o, status: "cancelled", cancel_reason: reason } : o));
+    setCancelling(null);
+    setExpandedOrder(null);
+
+    if (refund) {
+      try {
+        await refundOrder(order.id);
+      } catch (err) {
+        alert("The order was cancelled, but the refund didn't go through: " + err.message + "\n\nRefund it from the Cancelled tab.");
+        return;
+      }
+      setOrders(prev => prev.map(o => o.id === order.id ? { ...o, payment_status: "refunded" } : o));
+    }
+    showToast(`Order ${shortId(order)} cancelled${refund ? " and refunded" : ""}`);
+  }
+
+  async function refund(order) {
+    if (!window.confirm(`Refund ${order.customer_name}'s $${amountDue(order).toFixed(2)} payment?`)) return;
+    try {
+      await refundOrder(order.id);
+    } catch (err) {
+      alert("Couldn't refund the order: " + err.message);
+      return;
+    }
+    setOrders(prev => prev.map(o => o.id === order.id ? { ...o, payment_status: "refunded" } : o));
+    showToast(`Order ${shortId(order)} refunded`);
+  }
+
+  async function reprint(order) {
+    try {
+      await printTicket(order, business);
+    } catch (err) {
+      alert("Couldn't print the ticket: " + err.message);
+    }
+  }
+
+  async function togglePause() {
+    const paused = !business.ordering_paused;
+    const { error } = await supabase.rpc("set_ordering_paused", { p_business_id: business.id, p_paused: paused });
+    if (error) { alert("Couldn't update ordering: " + error.message); return; }
+    setBusiness(b => ({ ...b, ordering_paused: paused }));
+    showToast(paused ? "⏸️ New orders paused" : "▶️ Taking orders again");
   }
 
   async function handleEnablePush() {
@@ -151,13 +305,33 @@ export default function DashboardPage() {
   }
 
   // ── Sorted orders ────────────────────────────────────────────
-  const activeOrders    = orders.filter(o => o.status !== "fulfilled");
+  const activeOrders    = orders.filter(o => o.status !== "fulfilled" && o.status !== "cancelled");
   const fulfilledOrders = orders.filter(o => o.status === "fulfilled");
-  const visibleOrders   = tab === "active" ? activeOrders : fulfilledOrders;
-
-  const todayRevenue = fulfilledOrders
-    .filter(o => new Date(o.fulfilled_at || o.created_at).toDateString() === new Date().toDateString())
-    .reduce((s, o) => s + parseFloat(o.total), 0);
+  const cancelledOrders = orders.filter(o => o.status === "cancelled");
+  const visibleOrders   = { active: activeOrders, fulfilled: fulfilledOrders, cancelled: cancelledOrders }[tab];
+
+  // Active orders are a queue grouped by when they're wanted: "ASAP"
+  // plus one group per pickup slot, soonest first.
+  const dueAt = o => new Date(o.pickup_at || o.created_at).getTime();
+  const visibleGroups = tab === "active"
+    ? Object.values(activeOrders.reduce((groups, o) => {
+        const key = o.pickup_at || "asap";
+        groups[key] = groups[key] || {
+          key,
+          label: o.pickup_at ? `🕒 Pickup at ${formatClock(o.pickup_at, business?.timezone)}` : "⚡ As soon as possible",
+          orders: [],
+        };
+        groups[key].orders.push(o);
+        return groups;
+      }, {}))
+        .map(g => ({ ...g, orders: g.orders.sort((a, b) => dueAt(a) - dueAt(b)) }))
+        .sort((a, b) => dueAt(a.orders[0]) - dueAt(b.orders[0]))
+    : [{ key: "all", label: null, orders: visibleOrders }];
+
+  const fulfilledToday = fulfilledOrders
+    .filter(o => new Date(o.fulfilled_at || o.created_at).toDateString() === new Date().toDateString());
+  const todayRevenue = fulfilledToday.reduce((s, o) => s + parseFloat(o.total), 0);
+  const todayTips = fulfilledToday.reduce((s, o) => s + parseFloat(o.tip || 0), 0);
 
   if (loading) return (
     <div style={s.center}>
@@ -180,6 +354,12 @@ export default function DashboardPage() {
           </div>
         </div>
 
+        {memberships.length > 1 && (
+          <select value={business?.id} onChange={e => switchBusiness(e.target.value)} style={s.bizSwitch} aria-label="Location">
+            {memberships.map(m => <option key={m.business.id} value={m.business.id}>{m.business.name}</option>)}
+          </select>
+        )}
+
         <div style={s.greeting}>
           <div style={s.greetHi}>Hey there! 👋</div>
           <div style={s.greetMsg}>Here's what's coming in.</div>
@@ -189,6 +369,7 @@ export default function DashboardPage() {
           {[
             { id: "active", label: "Active Orders", icon: "📦", badge: activeOrders.length },
             { id: "fulfilled", label: "Completed", icon: "✅" },
+            { id: "cancelled", label: "Cancelled", icon: "✖️" },
           ].map(item => (
             <button key={item.id} onClick={() => setTab(item.id)}
               style={{ ...s.navBtn, ...(tab === item.id ? s.navActive : {}) }}>
@@ -197,15 +378,26 @@ export default function DashboardPage() {
               {item.badge > 0 && <span style={s.badge}>{item.badge}</span>}
             </button>
           ))}
-          <button onClick={() => navigate("/admin")} style={s.navBtn}>
-            <span>⚙️</span><span style={{ flex: 1 }}>Products & Settings</span>
+          <button onClick={() => navigate("/kitchen")} style={s.navBtn}>
+            <span>🍳</span><span style={{ flex: 1 }}>Kitchen display</span>
           </button>
+          {canEditMenu(role) && (
+            <>
+              <button onClick={() => navigate("/analytics")} style={s.navBtn}>
+                <span>📈</span><span style={{ flex: 1 }}>Analytics</span>
+              </button>
+              <button onClick={() => navigate("/admin")} style={s.navBtn}>
+                <span>⚙️</span><span style={{ flex: 1 }}>{role === "owner" ? "Products & Settings" : "Products"}</span>
+              </button>
+            </>
+          )}
         </nav>
 
         <div style={s.statsBox}>
           <div style={s.statsTitle}>Today at a glance</div>
           {[
             { label: "💰 Revenue", value: `$${todayRevenue.toFixed(2)}`, color: "#16a34a" },
+            ...(todayTips > 0 ? [{ label: "🙏 Tips", value: `$${todayTips.toFixed(2)}`, color: "#16a34a" }] : []),
             { label: "📦 Active", value: activeOrders.length, color: activeOrders.length > 0 ? "#f97316" : "#a8a29e" },
             { label: "✅ Completed", value: fulfilledOrders.length, color: "#1c1917" },
           ].map(stat => (
@@ -216,6 +408,11 @@ export default function DashboardPage() {
           ))}
         </div>
 
+        {/* Pause ordering */}
+        <button onClick={togglePause} style={{ ...s.pauseBtn, ...(business?.ordering_paused ? s.pauseBtnOn : {}) }}>
+          {business?.ordering_paused ? "▶️ Resume taking orders" : "⏸️ Pause new orders"}
+        </button>
+
         {/* Push notification toggle */}
         {!pushOn && (
           <button onClick={handleEnablePush} style={s.pushBtn}>
@@ -226,19 +423,29 @@ export default function DashboardPage() {
           <div style={s.pushOn}>🔔 Notifications active on this device</div>
         )}
 
+        {/* Printing */}
+        <button onClick={() => setPrintSetup(true)} style={{ ...s.pauseBtn, ...(autoPrint ? s.printOn : {}) }}>
+          🖨️ {autoPrint ? "Auto-printing on this device" : "Ticket printing"}
+        </button>
+
         <button onClick={handleLogout} style={s.logoutBtn}>Log out</button>
       </aside>
 
       {/* Main */}
       <main style={s.main}>
+        {(!online || pendingCount > 0) && (
+          <div style={s.offlineBanner}>
+            {!online
+              ? `📡 Offline — ${pendingCount || "no"} change${pendingCount === 1 ? "" : "s"} pending`
+              : syncError
+                ? `⚠️ Couldn't save ${pendingCount} offline change${pendingCount === 1 ? "" : "s"} (${syncError}) — trying again shortly`
+                : `📡 Back online — saving ${pendingCount} change${pendingCount === 1 ? "" : "s"}…`}
+          </div>
+        )}
         <div style={s.pageHead}>
           <div>
-            <h1 style={s.pageTitle}>{tab === "active" ? "Active Orders" : "Completed Orders"}</h1>
-            <p style={s.pageSub}>
-              {tab === "active"
-                ? "Tap a card to expand and advance the order status."
-                : "All orders your team has fulfilled today."}
-            </p>
+            <h1 style={s.pageTitle}>{TAB_COPY[tab].title}</h1>
+            <p style={s.pageSub}>{TAB_COPY[tab].sub}</p>
           </div>
           {/* Share link */}
           {business?.slug && (
@@ -258,94 +465,171 @@ export default function DashboardPage() {
           )}
         </div>
 
+        {business?.ordering_paused && (
+          <div style={s.pausedBanner}>
+            ⏸️ New orders are paused — customers can browse your menu but can't check out.
+            <button onClick={togglePause} style={s.pausedResume}>Resume</button>
+          </div>
+        )}
+
         {visibleOrders.length === 0 ? (
           <div style={s.empty}>
-            <div style={{ fontSize: 56, marginBottom: 12 }}>
-              {tab === "active" ? "🎉" : "📭"}
-            </div>
-            <div style={s.emptyTitle}>
-              {tab === "active" ? "All caught up!" : "Nothing completed yet today"}
-            </div>
-            <div style={s.emptySub}>
-              {tab === "active"
-                ? "New orders will appear here automatically."
-                : "Fulfilled orders will show up here."}
-            </div>
+            <div style={{ fontSize: 56, marginBottom: 12 }}>{TAB_COPY[tab].emptyIcon}</div>
+            <div style={s.emptyTitle}>{TAB_COPY[tab].emptyTitle}</div>
+            <div style={s.emptySub}>{TAB_COPY[tab].emptySub}</div>
           </div>
         ) : (
           <div style={s.orderList}>
-            {visibleOrders.map((order, i) => {
-              const meta = STATUS_META[order.status] || STATUS_META.pending;
-              const nextStatus = STATUS_FLOW[STATUS_FLOW.indexOf(order.status) + 1];
-              const isExpanded = expandedOrder === order.id;
-              const isFulfilling = justFulfilled === order.id;
-
-              return (
-                <div
-                  key={order.id}
-                  style={{
-                    ...s.orderCard,
-                    borderColor: meta.border,
-                    animation: isFulfilling
-                      ? "sinkOut 0.4s ease forwards"
-                      : `fadeUp 0.3s ease ${Math.min(i, 5) * 0.04}s both`,
-                  }}
-                >
-                  {/* Card header — always visible */}
-                  <div style={s.orderHeader} onClick={() => setExpandedOrder(isExpanded ? null : order.id)}>
-                    <div style={s.orderHeaderLeft}>
-                      <div style={{ ...s.statusPill, background: meta.bg, color: meta.color, border: `1.5px solid ${meta.border}` }}>
-                        {meta.emoji} {meta.label}
-                      </div>
-                      <div style={s.orderMeta}>
-                        <span style={s.orderName}>{order.customer_name}</span>
-                        <span style={s.orderTime}>{timeAgo(order.created_at)}</span>
-                      </div>
-                    </div>
-                    <div style={s.orderHeaderRight}>
-                      <span style={s.orderTotal}>${parseFloat(order.total).toFixed(2)}</span>
-                      <span style={s.chevron}>{isExpanded ? "▲" : "▼"}</span>
-                    </div>
+            {visibleGroups.map(group => (
+              <Fragment key={group.key}>
+                {group.label && (
+                  <div style={s.groupHead}>
+                    <span>{group.label}</span>
+                    <span style={s.groupCount}>{group.orders.length}</span>
                   </div>
-
-                  {/* Expanded detail */}
-                  {isExpanded && (
-                    <div style={s.orderDetail}>
-                      {/* Items */}
-                      <div style={s.itemsList}>
-                        {(order.order_items || []).map(item => (
-                          <div key={item.id} style={s.itemRow}>
-                            <span style={s.itemQty}>{item.quantity}×</span>
-                            <span style={s.itemName}>{item.name}</span>
-                            <span style={s.itemPrice}>${(item.price * item.quantity).toFixed(2)}</span>
+                )}
+                {group.orders.map((order, i) => {
+                  const meta = STATUS_META[order.status] || STATUS_META.pending;
+                  const nextStatus = nextStatusOf(order);
+                  const canCancel = order.status !== "fulfilled" && order.status !== "cancelled";
+                  const isExpanded = expandedOrder === order.id;
+                  const isFulfilling = justFulfilled === order.id;
+                  // "Pay at pickup" only means something once online payment is on
+                  const payment = order.payment_status !== "unpaid" || business?.payment_mode !== "off"
+                    ? PAYMENT_BADGES[order.payment_status]
+                    : null;
+
+                  return (
+                    <div
+                      key={order.id}
+                      style={{
+                        ...s.orderCard,
+                        borderColor: meta.border,
+                        animation: isFulfilling
+                          ? "sinkOut 0.4s ease forwards"
+                          : `fadeUp 0.3s ease ${Math.min(i, 5) * 0.04}s both`,
+                      }}
+                    >
+                      {/* Card header — always visible */}
+                      <div style={s.orderHeader} onClick={() => setExpandedOrder(isExpanded ? null : order.id)}>
+                        <div style={s.orderHeaderLeft}>
+                          <div style={{ ...s.statusPill, background: meta.bg, color: meta.color, border: `1.5px solid ${meta.border}` }}>
+                            {meta.emoji} {meta.label}
+                          </div>
+                          <div style={s.orderMeta}>
+                            <span style={s.orderName}>{order.customer_name}</span>
+                            <span style={s.orderTime}>
+                              {timeAgo(order.created_at)}
+                              {order.pickup_at && <> · 🕒 {formatClock(order.pickup_at, business?.timezone)}</>}
+                            </span>
                           </div>
-                        ))}
+                        </div>
+                        <div style={s.orderHeaderRight}>
+                          {payment && (
+                            <span style={{ ...s.payPill, color: payment.color, background: payment.bg }}>{payment.label}</span>
+                          )}
+                          <span style={s.orderTotal}>${amountDue(order).toFixed(2)}</span>
+                          <span style={s.chevron}>{isExpanded ? "▲" : "▼"}</span>
+                        </div>
                       </div>
 
-                      {order.customer_note && (
-                        <div style={s.noteBox}>
-                          <span style={s.noteLabel}>📝 Note:</span> {order.customer_note}
-                        </div>
-                      )}
+                      {/* Expanded detail */}
+                      {isExpanded && (
+                        <div style={s.orderDetail}>
+                          {/* Items */}
+                          <div style={s.itemsList}>
+                            {(order.order_items || []).map(item => (
+                              <div key={item.id} style={s.itemRow}>
+                                <span style={s.itemQty}>{item.quantity}×</span>
+                                <span style={s.itemName}>
+                                  {item.name}
+                                  {item.options?.length > 0 && (
+                                    <span style={s.itemOptions}>{item.options.map(o => o.name).join(", ")}</span>
+                                  )}
+                                </span>
+                                <span style={s.itemPrice}>${(item.price * item.quantity).toFixed(2)}</span>
+                              </div>
+                            ))}
+                            {breakdownRows(order).map((row, i) => (
+                              <div key={row.label} style={{ ...s.chargeRow, ...(i === 0 ? s.chargeFirst : {}), ...(row.muted ? { color: "#a8a29e" } : {}) }}>
+                                <span>{row.label}</span>
+                                <span>{formatMoney(row.amount)}</span>
+                              </div>
+                            ))}
+                          </div>
 
-                      {/* Advance button */}
-                      {nextStatus && (
-                        <button
-                          onClick={() => advanceStatus(order)}
-                          style={{ ...s.advanceBtn, background: STATUS_META[nextStatus].color }}
-                        >
-                          Mark as {STATUS_META[nextStatus].label} {STATUS_META[nextStatus].emoji}
-                        </button>
+                          {order.customer_note && (
+                            <div style={s.noteBox}>
+                              <span style={s.noteLabel}>📝 Note:</span> {order.customer_note}
+                            </div>
+                          )}
+
+                          {order.notify_consent_at && ["pending", "preparing"].includes(order.status) && (
+                            <div style={s.noteBox}>
+                              <span style={s.noteLabel}>📲 Notify:</span> we'll {[order.notify_phone && "text", order.notify_email && "email"].filter(Boolean).join(" and ")} them when it's ready
+                            </div>
+                          )}
+
+                          {order.status === "cancelled" && order.cancel_reason && (
+                            <div style={s.cancelReasonBox}>
+                              <span style={s.noteLabel}>✖️ Reason:</span> {order.cancel_reason}
+                            </div>
+                          )}
+
+                          {/* Advance button */}
+                          {nextStatus && (
+                            <button
+                              onClick={() => advanceStatus(order)}
+                              style={{ ...s.advanceBtn, background: STATUS_META[nextStatus].color }}
+                            >
+                              Mark as {STATUS_META[nextStatus].label} {STATUS_META[nextStatus].emoji}
+                            </button>
+                          )}
+                          <button onClick={() => reprint(order)} style={s.printBtn}>
+                            🖨️ Print ticket
+                          </button>
+                          {order.payment_status === "paid" && canRefund(role) && (
+                            <button onClick={() => refund(order)} style={s.printBtn}>
+                              ↩ Refund ${amountDue(order).toFixed(2)}
+                            </button>
+                          )}
+                          {canCancel && (
+                            <button onClick={() => setCancelling(order)} style={s.cancelOrderBtn}>
+                              Cancel order…
+                            </button>
+                          )}
+                        </div>
                       )}
                     </div>
-                  )}
-                </div>
-              );
-            })}
+                  );
+                })}
+              </Fragment>
+            ))}
           </div>
         )}
       </main>
 
+      {cancelling && (
+        <CancelModal
+          order={cancelling}
+          canRefund={canRefund(role)}
+          onClose={() => setCancelling(null)}
+          onConfirm={(reason, refund) => cancelOrder(cancelling, reason, refund)}
+        />
+      )}
+
+      {printSetup && (
+        <PrintSettingsModal
+          business={business}
+          onClose={() => setPrintSetup(false)}
+          onSaved={(settings) => {
+            setAutoPrint(settings.autoPrint);
+            setPrintSetup(false);
+            showToast(settings.autoPrint ? "🖨️ New orders will print on this device" : "🖨️ Printer settings saved");
+          }}
+        />
+      )}
+
       <style>{`
         @keyframes sinkOut { 0% { opacity:1; transform:translateY(0) scale(1); } 100% { opacity:0.2; transform:translateY(8px) scale(0.98); } }
         @keyframes fadeUp  { from { opacity:0; transform:translateY(14px); } to { opacity:1; transform:translateY(0); } }
@@ -355,6 +639,149 @@ export default function DashboardPage() {
   );
 }
 
+// ── Cancel Modal ───────────────────────────────────────────────
+// Confirmation step before rejecting an order. The reason is shown
+// to the customer on their tracking page. Orders paid online can be
+// refunded in the same step.
+function CancelModal({ order, canRefund, onClose, onConfirm }) {
+  const paid = order.payment_status === "paid";
+  const [reason, setReason] = useState("");
+  const [refund, setRefund] = useState(paid && canRefund);
+  const [saving, setSaving] = useState(false);
+
+  async function confirm() {
+    setSaving(true);
+    await onConfirm(reason.trim(), refund);
+    setSaving(false);
+  }
+
+  return (
+    <div style={s.overlay} onClick={onClose}>
+      <div style={s.modal} onClick={e => e.stopPropagation()}>
+        <h2 style={s.modalTitle}>Cancel {order.customer_name}'s order?</h2>
+        <p style={s.modalSub}>Let them know why — they'll see this on their order page.</p>
+
+        <div style={s.reasonChips}>
+          {CANCEL_REASONS.map(r => (
+            <button key={r} onClick={() => setReason(r)} style={{ ...s.reasonChip, ...(reason === r ? s.reasonChipOn : {}) }}>
+              {r}
+            </button>
+          ))}
+        </div>
+        <input
+          style={s.reasonInput}
+          value={reason}
+          onChange={e => setReason(e.target.value)}
+          placeholder="e.g. Sorry, we're out of oat milk"
+          autoFocus
+        />
+
+        {paid && (canRefund ? (
+          <label style={s.checkRow}>
+            <input type="checkbox" checked={refund} onChange={e => setRefund(e.target.checked)} />
+            Refund the ${amountDue(order).toFixed(2)} they paid online
+          </label>
+        ) : (
+          <p style={s.modalHint}>This order was paid online — ask an owner or manager to refund it.</p>
+        ))}
+
+        <div style={s.modalBtns}>
+          <button onClick={onClose} style={s.modalKeepBtn}>Keep order</button>
+          <button onClick={confirm} disabled={!reason.trim() || saving} style={{ ...s.modalCancelBtn, opacity: !reason.trim() || saving ? 0.5 : 1 }}>
+            {saving ? "Cancelling…" : "Cancel order"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ── Printer setup (saved on this device only) ─────────────────
+const TEST_ORDER = {
+  id: "print-test-ticket",
+  customer_name: "Test ticket",
+  customer_note: "If you can read this, printing works.",
+  order_items: [
+    { id: "1", quantity: 2, name: "Flat white", options: [{ name: "Oat milk" }] },
+    { id: "2", quantity: 1, name: "Croissant", options: [] },
+  ],
+};
+
+function PrintSettingsModal({ business, onClose, onSaved }) {
+  const [form, setForm]         = useState(loadPrintSettings);
+  const [testing, setTesting]   = useState(false);
+  const update = (patch) => setForm(f => ({ ...f, ...patch }));
+
+  async function printTest() {
+    setTesting(true);
+    try {
+      await printTicket({ ...TEST_ORDER, created_at: new Date().toISOString() }, business, form);
+    } catch (err) {
+      alert(err.message);
+    } finally {
+      setTesting(false);
+    }
+  }
+
+  function save() {
+    savePrintSettings(form);
+    onSaved(form);
+  }
+
+  return (
+    <div style={s.overlay} onClick={onClose}>
+      <div style={s.modal} onClick={e => e.stopPropagation()}>
+        <h2 style={s.modalTitle}>Ticket printing</h2>
+        <p style={s.modalSub}>These settings only apply to this device — turn auto-print on at the kitchen screen, not on your phone.</p>
+
+        <label style={s.checkRow}>
+          <input type="checkbox" checked={form.autoPrint} onChange={e => update({ autoPrint: e.target.checked })} />
+          <span>Print every new order automatically</span>
+        </label>
+
+        <div style={s.fieldLabel}>Printer</div>
+        <div style={s.reasonChips}>
+          {[["browser", "This browser's printer"], ["escpos", "Network printer (ESC/POS)"]].map(([value, label]) => (
+            <button key={value} onClick={() => update({ method: value })} style={{ ...s.reasonChip, ...(form.method === value ? s.choiceOn : {}) }}>
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div style={s.fieldLabel}>Paper width</div>
+        <div style={s.reasonChips}>
+          {Object.keys(PAPER_WIDTHS).map(width => (
+            <button key={width} onClick={() => update({ paperWidth: Number(width) })} style={{ ...s.reasonChip, ...(form.paperWidth === Number(width) ? s.choiceOn : {}) }}>
+              {width} mm
+            </button>
+          ))}
+        </div>
+
+        {form.method === "escpos" && (
+          <>
+            <div style={s.fieldLabel}>Print bridge address</div>
+            <input style={s.reasonInput} value={form.bridgeUrl} onChange={e => update({ bridgeUrl: e.target.value })} placeholder="http://localhost:9110" />
+            <div style={s.fieldLabel}>Printer (leave empty for the bridge's default)</div>
+            <input style={s.reasonInput} value={form.printer} onChange={e => update({ printer: e.target.value.trim() })} placeholder="e.g. 192.168.1.50:9100" />
+          </>
+        )}
+        {form.method === "browser" && form.autoPrint && (
+          <p style={s.modalHint}>
+            Browsers ask before every print. For hands-free printing, open the dashboard in Chrome started with <code>--kiosk-printing</code>.
+          </p>
+        )}
+
+        <div style={s.modalBtns}>
+          <button onClick={printTest} disabled={testing} style={s.modalKeepBtn}>
+            {testing ? "Printing…" : "Print test ticket"}
+          </button>
+          <button onClick={save} style={s.modalSaveBtn}>Save</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 const s = {
   root: { display: "flex", minHeight: "100vh", background: "#fdf8f3", fontFamily: "'Nunito', sans-serif" },
   center: { minHeight: "100vh", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", gap: 16 },
@@ -372,6 +799,7 @@ const s = {
   brandIcon: { fontSize: 28, background: "#fff7ed", borderRadius: 12, width: 48, height: 48, display: "flex", alignItems: "center", justifyContent: "center", border: "1.5px solid #fed7aa" },
   brandName: { fontFamily: "'Fraunces', serif", fontSize: 18, fontWeight: 700, color: "#1c1917" },
   brandSub: { fontSize: 12, color: "#a8a29e", fontWeight: 500 },
+  bizSwitch: { width: "100%", border: "1.5px solid #e7ddd0", borderRadius: 10, padding: "9px 12px", fontSize: 13, fontWeight: 700, color: "#1c1917", background: "#fafaf9", fontFamily: "'Nunito', sans-serif" },
 
   greeting: { background: "linear-gradient(135deg,#fff7ed,#fef9ee)", borderRadius: 14, padding: "14px 16px", border: "1.5px solid #fed7aa" },
   greetHi: { fontFamily: "'Fraunces', serif", fontSize: 17, fontWeight: 600, color: "#c2410c", marginBottom: 3 },
@@ -387,11 +815,15 @@ const s = {
   statRow: { display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: 13, color: "#57534e", fontWeight: 500, padding: "5px 0", borderBottom: "1px solid #f0e8dc" },
   statLabel: { color: "#78716c" },
 
+  pauseBtn: { background: "#fafaf9", border: "1.5px solid #e7e5e4", color: "#57534e", borderRadius: 10, padding: "10px 14px", fontSize: 13, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
+  printOn: { background: "#f0fdf4", border: "1.5px solid #bbf7d0", color: "#16a34a" },
+  pauseBtnOn: { background: "#fef2f2", border: "1.5px solid #fecaca", color: "#dc2626" },
   pushBtn: { background: "#fff7ed", border: "1.5px solid #fed7aa", color: "#c2410c", borderRadius: 10, padding: "10px 14px", fontSize: 13, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
   pushOn: { background: "#f0fdf4", border: "1.5px solid #bbf7d0", color: "#16a34a", borderRadius: 10, padding: "10px 14px", fontSize: 12, fontWeight: 600, textAlign: "center" },
   logoutBtn: { marginTop: "auto", background: "transparent", border: "1.5px solid #e7e5e4", color: "#a8a29e", borderRadius: 10, padding: "9px", fontSize: 13, fontWeight: 600, fontFamily: "'Nunito', sans-serif" },
 
   main: { flex: 1, padding: "36px 40px", maxWidth: 800 },
+  offlineBanner: { background: "#fffbeb", border: "1.5px solid #fde68a", color: "#92400e", borderRadius: 12, padding: "11px 16px", fontSize: 14, fontWeight: 700, marginBottom: 20 },
   pageHead: { display: "flex", alignItems: "flex-start", justifyContent: "space-between", marginBottom: 28, gap: 20, flexWrap: "wrap" },
   pageTitle: { fontFamily: "'Fraunces', serif", fontSize: 32, fontWeight: 700, color: "#1c1917", lineHeight: 1.1 },
   pageSub: { color: "#a8a29e", fontSize: 14, marginTop: 4, fontWeight: 500 },
@@ -402,11 +834,15 @@ const s = {
   shareLinkText: { fontSize: 14, fontWeight: 600, color: "#78716c", fontFamily: "monospace" },
   copyBtn: { background: "#f97316", color: "#fff", border: "none", borderRadius: 8, padding: "5px 12px", fontSize: 12, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
 
+  pausedBanner: { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, background: "#fef2f2", border: "1.5px solid #fecaca", color: "#b91c1c", borderRadius: 12, padding: "12px 16px", fontSize: 14, fontWeight: 700, marginBottom: 20 },
+  pausedResume: { background: "#dc2626", color: "#fff", border: "none", borderRadius: 8, padding: "6px 14px", fontSize: 13, fontWeight: 800, fontFamily: "'Nunito', sans-serif", whiteSpace: "nowrap" },
   empty: { textAlign: "center", padding: "80px 0" },
   emptyTitle: { fontFamily: "'Fraunces', serif", fontSize: 24, fontWeight: 600, color: "#1c1917", marginBottom: 8 },
   emptySub: { color: "#a8a29e", fontSize: 15 },
 
   orderList: { display: "flex", flexDirection: "column", gap: 12 },
+  groupHead: { display: "flex", alignItems: "center", gap: 8, fontSize: 13, fontWeight: 800, color: "#57534e", marginTop: 8, textTransform: "uppercase", letterSpacing: "0.05em" },
+  groupCount: { background: "#f0e8dc", color: "#78716c", borderRadius: 10, fontSize: 11, fontWeight: 800, padding: "1px 8px" },
   orderCard: { background: "#fff", borderRadius: 16, border: "1.5px solid #f0e8dc", boxShadow: "0 2px 8px rgba(0,0,0,0.04)", overflow: "hidden" },
   orderHeader: { display: "flex", justifyContent: "space-between", alignItems: "center", padding: "16px 20px", cursor: "pointer" },
   orderHeaderLeft: { display: "flex", alignItems: "center", gap: 12 },
@@ -415,16 +851,41 @@ const s = {
   orderName: { fontWeight: 700, fontSize: 15, color: "#1c1917" },
   orderTime: { fontSize: 12, color: "#a8a29e", fontWeight: 500 },
   orderHeaderRight: { display: "flex", alignItems: "center", gap: 12 },
+  payPill: { fontSize: 11, fontWeight: 800, padding: "3px 9px", borderRadius: 20, whiteSpace: "nowrap" },
   orderTotal: { fontFamily: "'Fraunces', serif", fontSize: 20, fontWeight: 700, color: "#1c1917" },
   chevron: { color: "#a8a29e", fontSize: 11 },
 
   orderDetail: { borderTop: "1px solid #f0e8dc", padding: "16px 20px", display: "flex", flexDirection: "column", gap: 12 },
   itemsList: { display: "flex", flexDirection: "column", gap: 8 },
-  itemRow: { display: "flex", alignItems: "center", gap: 10 },
+  itemRow: { display: "flex", alignItems: "flex-start", gap: 10 },
   itemQty: { fontWeight: 800, fontSize: 14, color: "#f97316", minWidth: 24 },
   itemName: { flex: 1, fontSize: 14, fontWeight: 600, color: "#1c1917" },
+  itemOptions: { display: "block", fontSize: 12, fontWeight: 600, color: "#78716c" },
   itemPrice: { fontSize: 14, fontWeight: 700, color: "#78716c" },
+  chargeRow: { display: "flex", justifyContent: "space-between", fontSize: 13, fontWeight: 600, color: "#78716c", paddingLeft: 34 },
+  chargeFirst: { borderTop: "1px dashed #f0e8dc", paddingTop: 8 },
   noteBox: { background: "#fafaf9", border: "1.5px solid #f0e8dc", borderRadius: 10, padding: "10px 14px", fontSize: 14, color: "#57534e", fontWeight: 500 },
   noteLabel: { fontWeight: 700 },
+  cancelReasonBox: { background: "#fef2f2", border: "1.5px solid #fecaca", borderRadius: 10, padding: "10px 14px", fontSize: 14, color: "#b91c1c", fontWeight: 500 },
+  printBtn: { background: "#fafaf9", border: "1.5px solid #e7e5e4", color: "#57534e", borderRadius: 12, padding: "10px", fontSize: 14, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
+  cancelOrderBtn: { background: "transparent", border: "1.5px solid #fecaca", color: "#dc2626", borderRadius: 12, padding: "10px", fontSize: 14, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
+
+  overlay: { position: "fixed", inset: 0, background: "rgba(28,25,23,0.45)", backdropFilter: "blur(6px)", display: "flex", alignItems: "center", justifyContent: "center", zIndex: 1000, padding: 24 },
+  modal: { background: "#fff", borderRadius: 22, padding: "28px 32px", maxWidth: 440, width: "100%", boxShadow: "0 24px 80px rgba(0,0,0,0.14)", animation: "popIn 0.25s ease" },
+  modalTitle: { fontFamily: "'Fraunces', serif", fontSize: 22, fontWeight: 700, color: "#1c1917", marginBottom: 6 },
+  modalSub: { fontSize: 14, color: "#78716c", fontWeight: 500, marginBottom: 16 },
+  reasonChips: { display: "flex", flexWrap: "wrap", gap: 6, marginBottom: 12 },
+  reasonChip: { border: "1.5px solid #e7ddd0", background: "#fff", color: "#78716c", borderRadius: 20, padding: "5px 12px", fontSize: 13, fontWeight: 600, fontFamily: "'Nunito', sans-serif" },
+  reasonChipOn: { background: "#fef2f2", borderColor: "#fecaca", color: "#dc2626" },
+  choiceOn: { background: "#fff7ed", borderColor: "#fed7aa", color: "#c2410c" },
+  reasonInput: { width: "100%", border: "1.5px solid #e7ddd0", borderRadius: 10, padding: "10px 14px", fontSize: 15, color: "#1c1917", background: "#fafaf9", marginBottom: 18, outline: "none" },
+  modalBtns: { display: "flex", gap: 10 },
+  modalKeepBtn: { flex: 1, padding: "11px", border: "1.5px solid #e7e5e4", borderRadius: 12, background: "#fafaf9", color: "#78716c", fontSize: 14, fontWeight: 700, fontFamily: "'Nunito', sans-serif" },
+  modalSaveBtn: { flex: 1, padding: "11px", border: "none", borderRadius: 12, background: "#f97316", color: "#fff", fontSize: 14, fontWeight: 800, fontFamily: "'Nunito', sans-serif" },
+  modalHint: { fontSize: 12, color: "#a8a29e", fontWeight: 500, marginBottom: 16, lineHeight: 1.5 },
+  fieldLabel: { fontSize: 12, fontWeight: 800, color: "#57534e", marginBottom: 6 },
+  checkRow: { display: "flex", alignItems: "center", gap: 8, fontSize: 14, fontWeight: 700, color: "#1c1917", marginBottom: 16, cursor: "pointer" },
+  modalCancelBtn: { flex: 1, padding: "11px", border: "none", borderRadius: 12, background: "#dc2626", color: "#fff", fontSize: 14, fontWeight: 800, fontFamily: "'Nunito', sans-serif" },
+
   advanceBtn: { color: "#fff", border: "none", borderRadius: 12, padding: "12px", fontSize: 15, fontWeight: 800, fontFamily: "'Nunito', sans-serif" },
 };
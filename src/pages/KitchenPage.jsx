@@ -0,0 +1,294 @@
+// src/pages/KitchenPage.jsx
+// Full-screen kitchen display for a wall-mounted screen. Active orders
+// sit in Pending / Preparing / Ready columns and are "bumped" along
+// with a tap, the keyboard, or a USB bump bar (which types keys).
+import { useState, useEffect, useRef } from "react";
+import { useNavigate } from "react-router-dom";
+import { supabase } from "../lib/supabase";
+import { formatClock } from "../lib/hours";
+import { loadMembership } from "../lib/business";
+import { subscribeToOrders, advanceOrder, ACTIVE_STATUSES, shortId } from "../lib/orders";
+import { printTicket, loadPrintSettings } from "../lib/print";
+
+const COLUMNS = {
+  pending:   { label: "Pending",   color: "#f97316", bump: "Start ▶" },
+  preparing: { label: "Preparing", color: "#f59e0b", bump: "Ready ✓" },
+  ready:     { label: "Ready",     color: "#22c55e", bump: "Picked up ✓" },
+};
+
+// Ticket timers turn amber, then red, after this many minutes
+const AMBER_AFTER_MIN = 5;
+const RED_AFTER_MIN   = 10;
+// Scheduled pickups start their clock this long before the slot
+const PREP_LEAD_MIN   = 10;
+
+// Tickets 1–9 get a number; pressing it bumps that ticket
+const NUMBERED = 9;
+
+const dueAt = o => new Date(o.pickup_at || o.created_at).getTime();
+
+// When the kitchen should have started on an order
+function clockStart(order) {
+  const placed = new Date(order.created_at).getTime();
+  if (!order.pickup_at) return placed;
+  return Math.max(placed, new Date(order.pickup_at).getTime() - PREP_LEAD_MIN * 60000);
+}
+
+function formatTimer(ms) {
+  const secs = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+}
+
+export default function KitchenPage() {
+  const navigate = useNavigate();
+  const [business, setBusiness] = useState(null);
+  const [orders, setOrders]     = useState([]);
+  const [loading, setLoading]   = useState(true);
+  const [selected, setSelected] = useState(null); // order id highlighted for the keyboard
+  const [now, setNow]           = useState(Date.now());
+  const keyHandler = useRef(null);
+
+  // ── Auth + Load ─────────────────────────────────────────────
+  useEffect(() => {
+    supabase.auth.getSession().then(async ({ data: { session } }) => {
+      if (!session) { navigate("/login"); return; }
+      const membership = await loadMembership(session.user.id);
+      if (!membership) { navigate("/admin"); return; }
+      setBusiness(membership.business);
+
+      const { data } = await supabase
+        .from("orders")
+        .select("*, order_items(*)")
+        .eq("business_id", membership.business.id)
+        .in("status", ACTIVE_STATUSES)
+        .neq("payment_status", "awaiting")
+        .order("created_at");
+      setOrders(data || []);
+      setLoading(false);
+    });
+  }, [navigate]);
+
+  // ── Realtime — same channel as the dashboard ─────────────────
+  useEffect(() => {
+    if (!business) return;
+
+    return subscribeToOrders(business.id, {
+      onInsert: (order) => {
+        setOrders(prev => [...prev, order]);
+        // Same per-device auto-print setting as the dashboard
+        if (loadPrintSettings().autoPrint) printTicket(order, business).catch(err => console.error("Auto-print failed:", err));
+      },
+      // Fulfilled or cancelled elsewhere drops off the board
+      onUpdate: (row) => setOrders(prev => ACTIVE_STATUSES.includes(row.status)
+        ? prev.map(o => o.id === row.id ? { ...o, ...row } : o)
+        : prev.filter(o => o.id !== row.id)),
+    });
+  }, [business]);
+
+  // Tick the ticket timers
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // ── Board ───────────────────────────────────────────────────
+  const columns = ACTIVE_STATUSES.map(status => ({
+    status,
+    orders: orders.filter(o => o.status === status).sort((a, b) => dueAt(a) - dueAt(b)),
+  }));
+  // Reading order: down the Pending column, then Preparing, then Ready
+  const numbered = columns.flatMap(c => c.orders).slice(0, NUMBERED);
+
+  async function bump(order) {
+    if (!order) return;
+    let status;
+    try {
+      status = await advanceOrder(order);
+    } catch (err) {
+      alert("Couldn't update the order: " + err.message);
+      return;
+    }
+    setOrders(prev => status === "fulfilled"
+      ? prev.filter(o => o.id !== order.id)
+      : prev.map(o => o.id === order.id ? { ...o, status } : o));
+  }
+
+  function moveSelection(dCol, dRow) {
+    const filled = columns.filter(c => c.orders.length);
+    if (!filled.length) return;
+
+    let col = filled.findIndex(c => c.orders.some(o => o.id === selected));
+    if (col < 0) { setSelected(filled[0].orders[0].id); return; }
+    const row = filled[col].orders.findIndex(o => o.id === selected);
+
+    col = Math.min(Math.max(col + dCol, 0), filled.length - 1);
+    const list = filled[col].orders;
+    setSelected(list[Math.min(Math.max(row + dRow, 0), list.length - 1)].id);
+  }
+
+  function toggleFullscreen() {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else document.documentElement.requestFullscreen?.();
+  }
+
+  // ── Keyboard / bump bar ─────────────────────────────────────
+  // 1–9 bump that ticket, arrows move the highlight, Enter or Space
+  // bumps the highlighted ticket (or the oldest one), F is full screen.
+  keyHandler.current = (e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (/^[1-9]$/.test(e.key)) bump(numbered[Number(e.key) - 1]);
+    else if (e.key === "ArrowUp")    moveSelection(0, -1);
+    else if (e.key === "ArrowDown")  moveSelection(0, 1);
+    else if (e.key === "ArrowLeft")  moveSelection(-1, 0);
+    else if (e.key === "ArrowRight") moveSelection(1, 0);
+    else if (e.key === "Enter" || e.key === " ") bump(orders.find(o => o.id === selected) || numbered[0]);
+    else if (e.key === "f" || e.key === "F") toggleFullscreen();
+    else return;
+    e.preventDefault();
+  };
+
+  useEffect(() => {
+    const onKey = (e) => keyHandler.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  if (loading) return (
+    <div style={s.center}>
+      <div style={s.spinner} />
+    </div>
+  );
+
+  return (
+    <div style={s.root}>
+      {/* Top bar */}
+      <header style={s.topBar}>
+        <div style={s.title}>
+          <span style={s.titleName}>{business.name}</span>
+          <span style={s.titleSub}>Kitchen</span>
+        </div>
+        <div style={s.clock}>{formatClock(now, business.timezone)}</div>
+        <div style={s.topBtns}>
+          <button onClick={toggleFullscreen} style={s.topBtn}>⛶ Full screen</button>
+          <button onClick={() => navigate("/dashboard")} style={s.topBtn}>← Orders</button>
+        </div>
+      </header>
+
+      {/* Columns */}
+      <main style={s.board}>
+        {columns.map(col => (
+          <section key={col.status} style={s.column}>
+            <div style={{ ...s.columnHead, borderColor: COLUMNS[col.status].color }}>
+              <span style={{ color: COLUMNS[col.status].color }}>{COLUMNS[col.status].label}</span>
+              <span style={s.columnCount}>{col.orders.length}</span>
+            </div>
+
+            <div style={s.tickets}>
+              {col.orders.map(order => {
+                const number = numbered.indexOf(order) + 1;
+                const started = now >= clockStart(order);
+                const ageMin = (now - clockStart(order)) / 60000;
+                const timerColor = !started ? "#78716c"
+                  : ageMin >= RED_AFTER_MIN ? "#dc2626"
+                  : ageMin >= AMBER_AFTER_MIN ? "#f59e0b"
+                  : "#22c55e";
+
+                return (
+                  <div
+                    key={order.id}
+                    onClick={() => setSelected(order.id)}
+                    style={{ ...s.ticket, ...(selected === order.id ? s.ticketSelected : {}) }}
+                  >
+                    <div style={{ ...s.ticketHead, background: timerColor }}>
+                      {number > 0 && <span style={s.ticketNumber}>{number}</span>}
+                      <span style={s.ticketName}>{order.customer_name}</span>
+                      <span style={s.ticketTimer}>
+                        {started ? formatTimer(now - clockStart(order)) : `Due ${formatClock(order.pickup_at, business.timezone)}`}
+                      </span>
+                    </div>
+
+                    <div style={s.ticketMeta}>
+                      #{shortId(order)}
+                      {order.pickup_at && <> · 🕒 {formatClock(order.pickup_at, business.timezone)}</>}
+                    </div>
+
+                    <div style={s.ticketItems}>
+                      {(order.order_items || []).map(item => (
+                        <div key={item.id} style={s.ticketItem}>
+                          <span style={s.ticketQty}>{item.quantity}×</span>
+                          <span style={s.ticketItemName}>
+                            {item.name}
+                            {item.options?.length > 0 && (
+                              <span style={s.ticketOptions}>{item.options.map(o => o.name).join(", ")}</span>
+                            )}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+
+                    {order.customer_note && <div style={s.ticketNote}>📝 {order.customer_note}</div>}
+
+                    <button
+                      onClick={e => { e.stopPropagation(); bump(order); }}
+                      style={{ ...s.bumpBtn, background: COLUMNS[col.status].color }}
+                    >
+                      {COLUMNS[col.status].bump}
+                    </button>
+                  </div>
+                );
+              })}
+              {col.orders.length === 0 && <div style={s.columnEmpty}>Nothing here</div>}
+            </div>
+          </section>
+        ))}
+      </main>
+
+      <footer style={s.legend}>
+        <span><kbd style={s.kbd}>1</kbd>–<kbd style={s.kbd}>9</kbd> bump ticket</span>
+        <span><kbd style={s.kbd}>←</kbd><kbd style={s.kbd}>↑</kbd><kbd style={s.kbd}>↓</kbd><kbd style={s.kbd}>→</kbd> select</span>
+        <span><kbd style={s.kbd}>Enter</kbd> bump selected</span>
+        <span><kbd style={s.kbd}>F</kbd> full screen</span>
+      </footer>
+    </div>
+  );
+}
+
+const s = {
+  root: { height: "100vh", display: "flex", flexDirection: "column", background: "#1c1917", color: "#fafaf9", fontFamily: "'Nunito', sans-serif" },
+  center: { display: "flex", alignItems: "center", justifyContent: "center", height: "100vh", background: "#1c1917" },
+  spinner: { width: 36, height: 36, border: "3px solid #44403c", borderTopColor: "#f97316", borderRadius: "50%", animation: "spin 0.8s linear infinite" },
+
+  topBar: { display: "flex", alignItems: "center", gap: 20, padding: "14px 24px", borderBottom: "1.5px solid #292524" },
+  title: { display: "flex", alignItems: "baseline", gap: 12, flex: 1, minWidth: 0 },
+  titleName: { fontFamily: "'Fraunces', serif", fontSize: 26, fontWeight: 700, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" },
+  titleSub: { fontSize: 14, fontWeight: 800, letterSpacing: "0.08em", textTransform: "uppercase", color: "#a8a29e" },
+  clock: { fontSize: 28, fontWeight: 800, fontVariantNumeric: "tabular-nums" },
+  topBtns: { display: "flex", gap: 8 },
+  topBtn: { background: "#292524", border: "1.5px solid #44403c", color: "#e7e5e4", borderRadius: 10, padding: "9px 14px", fontSize: 14, fontWeight: 700 },
+
+  board: { flex: 1, display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 16, padding: 16, minHeight: 0 },
+  column: { display: "flex", flexDirection: "column", background: "#292524", borderRadius: 16, minHeight: 0 },
+  columnHead: { display: "flex", justifyContent: "space-between", alignItems: "center", padding: "14px 18px", borderBottom: "3px solid", fontSize: 22, fontWeight: 800 },
+  columnCount: { background: "#44403c", color: "#fafaf9", borderRadius: 12, fontSize: 16, padding: "2px 12px" },
+  columnEmpty: { textAlign: "center", color: "#57534e", fontSize: 18, fontWeight: 700, padding: "40px 0" },
+  tickets: { flex: 1, overflowY: "auto", padding: 12, display: "flex", flexDirection: "column", gap: 12 },
+
+  ticket: { background: "#fafaf9", color: "#1c1917", borderRadius: 14, overflow: "hidden", border: "3px solid transparent", animation: "popIn 0.25s ease both", cursor: "pointer", flexShrink: 0 },
+  ticketSelected: { borderColor: "#38bdf8", boxShadow: "0 0 0 3px rgba(56,189,248,0.35)" },
+  ticketHead: { display: "flex", alignItems: "center", gap: 10, padding: "10px 14px", color: "#fff" },
+  ticketNumber: { background: "rgba(0,0,0,0.25)", borderRadius: 8, fontSize: 18, fontWeight: 800, minWidth: 30, textAlign: "center", padding: "1px 6px" },
+  ticketName: { flex: 1, fontSize: 20, fontWeight: 800, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" },
+  ticketTimer: { fontSize: 22, fontWeight: 800, fontVariantNumeric: "tabular-nums" },
+  ticketMeta: { padding: "6px 14px 0", fontSize: 13, fontWeight: 700, color: "#78716c" },
+  ticketItems: { padding: "8px 14px", display: "flex", flexDirection: "column", gap: 6 },
+  ticketItem: { display: "flex", alignItems: "baseline", gap: 12 },
+  ticketQty: { fontSize: 30, fontWeight: 800, color: "#c2410c", minWidth: 48, lineHeight: 1.1 },
+  ticketItemName: { fontSize: 20, fontWeight: 700, lineHeight: 1.25 },
+  ticketOptions: { display: "block", fontSize: 15, fontWeight: 600, color: "#57534e" },
+  ticketNote: { margin: "0 14px 10px", background: "#fef9c3", borderRadius: 8, padding: "8px 10px", fontSize: 15, fontWeight: 700, color: "#713f12" },
+  bumpBtn: { width: "100%", border: "none", color: "#fff", padding: "12px", fontSize: 18, fontWeight: 800 },
+
+  legend: { display: "flex", justifyContent: "center", gap: 28, padding: "10px 24px 14px", fontSize: 13, fontWeight: 600, color: "#a8a29e" },
+  kbd: { display: "inline-block", background: "#292524", border: "1.5px solid #44403c", borderRadius: 6, padding: "0 6px", margin: "0 2px", fontFamily: "'Nunito', sans-serif", fontWeight: 800, color: "#e7e5e4" },
+};
@@ -5,6 +5,18 @@
 import { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabase";
+import { getOpenStatus, formatClock } from "../lib/hours";
+import { bySortOrder, groupByCategory } from "../lib/menu";
+import { startCheckout } from "../lib/payments";
+import { priceOrder, breakdownRows, formatMoney, tipFor, amountDue } from "../lib/pricing";
+import { pushSupported, subscribeToOrderPush } from "../lib/push";
+
+const LOW_STOCK   = 5; // show "Only N left" at or below this
+
+// One cart line per product + set of chosen options
+function lineKey(productId, optionIds = []) {
+  return [productId, ...[...optionIds].sort()].join(":");
+}
 
 export default function MenuPage() {
   const { slug } = useParams();
@@ -12,7 +24,9 @@ export default function MenuPage() {
 
   const [business, setBusiness]     = useState(null);
   const [products, setProducts]     = useState([]);
-  const [cart, setCart]             = useState({});        // { productId: quantity }
+  const [categories, setCategories] = useState([]);
+  const [cart, setCart]             = useState({});        // { lineKey: { productId, optionIds, quantity } }
+  const [choosing, setChoosing]     = useState(null);      // product whose options are being picked
   const [customerName, setCustomerName] = useState("");
   const [customerNote, setCustomerNote] = useState("");
   const [loading, setLoading]       = useState(true);
@@ -20,7 +34,24 @@ export default function MenuPage() {
   const [error, setError]           = useState(null);
   const [confirmed, setConfirmed]   = useState(false);
   const [orderId, setOrderId]       = useState(null);
+  const [trackingToken, setTrackingToken] = useState(null);
+  const [receipt, setReceipt]       = useState(null);      // the placed order's itemised total
   const [activeCategory, setActiveCategory] = useState("All");
+  const [hours, setHours]           = useState([]);
+  const [closures, setClosures]     = useState([]);
+  const [now, setNow]               = useState(new Date());
+  const [slots, setSlots]           = useState([]);
+  const [pickupAt, setPickupAt]     = useState("");        // "" = ASAP, else a slot_start
+  const [payNow, setPayNow]         = useState(true);      // when online payment is optional
+  const [promoInput, setPromoInput] = useState("");
+  const [promo, setPromo]           = useState(null);      // terms from check_promo_code()
+  const [promoError, setPromoError] = useState(null);
+  const [checkingPromo, setCheckingPromo] = useState(false);
+  const [tipChoice, setTipChoice]   = useState(0);         // a preset %, 0 = no tip, or "custom"
+  const [customTip, setCustomTip]   = useState("");
+  const [notify, setNotify]         = useState(false);     // consent to a text/email when it's ready
+  const [notifyPhone, setNotifyPhone] = useState("");
+  const [notifyEmail, setNotifyEmail] = useState("");
 
   // ── Load business + products ───────────────────────────────
   useEffect(() => {
@@ -39,34 +70,110 @@ export default function MenuPage() {
       }
       setBusiness(biz);
 
+      const [{ data: hoursData }, { data: closuresData }, { data: categoryData }] = await Promise.all([
+        supabase.from("business_hours").select("*").eq("business_id", biz.id),
+        supabase.from("business_closures").select("*").eq("business_id", biz.id),
+        supabase.from("categories").select("*").eq("business_id", biz.id).order("sort_order"),
+      ]);
+      setHours(hoursData || []);
+      setClosures(closuresData || []);
+      setCategories(categoryData || []);
+
       const { data: prods } = await supabase
         .from("products")
-        .select("*")
+        .select("*, modifier_groups(*, modifier_options(*))")
         .eq("business_id", biz.id)
         .eq("available", true)
-        .order("sort_order");
-
-      setProducts(prods || []);
+        .order("sort_order")
+        .order("created_at");
+
+      setProducts((prods || []).map(p => ({
+        ...p,
+        modifier_groups: (p.modifier_groups || []).sort(bySortOrder).map(g => ({
+          ...g,
+          modifier_options: (g.modifier_options || []).sort(bySortOrder),
+        })),
+      })));
       setLoading(false);
     }
     load();
   }, [slug]);
 
+  // Re-check opening hours every minute so the page opens/closes on time
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Pickup slots — refreshed with the clock so passed or filled slots drop off
+  useEffect(() => {
+    if (!business) return;
+    supabase.rpc("get_pickup_slots", { p_business_id: business.id }).then(({ data }) => {
+      const next = data || [];
+      setSlots(next);
+      setPickupAt(current => current && !next.some(slot => slot.slot_start === current) ? "" : current);
+    });
+  }, [business, now]);
+
   // ── Cart helpers ───────────────────────────────────────────
-  function addToCart(id) {
-    setCart(c => ({ ...c, [id]: (c[id] || 0) + 1 }));
+  function addToCart(productId, optionIds = []) {
+    const key = lineKey(productId, optionIds);
+    setCart(c => ({ ...c, [key]: { productId, optionIds, quantity: (c[key]?.quantity || 0) + 1 } }));
   }
-  function removeFromCart(id) {
+  function removeFromCart(key) {
     setCart(c => {
       const next = { ...c };
-      if (next[id] > 1) next[id]--;
-      else delete next[id];
+      if (next[key].quantity > 1) next[key] = { ...next[key], quantity: next[key].quantity - 1 };
+      else delete next[key];
       return next;
     });
   }
-  const cartItems = products.filter(p => cart[p.id]);
-  const cartTotal = cartItems.reduce((s, p) => s + p.price * cart[p.id], 0);
-  const cartCount = Object.values(cart).reduce((s, n) => s + n, 0);
+  // Products with options go through the picker; plain ones go straight in
+  function handleAdd(product) {
+    if (product.modifier_groups.length > 0) setChoosing(product);
+    else addToCart(product.id);
+  }
+  const cartItems = Object.entries(cart).map(([key, line]) => {
+    const product = products.find(p => p.id === line.productId);
+    if (!product) return null;
+    const options = product.modifier_groups
+      .flatMap(g => g.modifier_options)
+      .filter(o => line.optionIds.includes(o.id));
+    const unitPrice = Math.max(0, product.price + options.reduce((s, o) => s + Number(o.price_delta), 0));
+    return { key, product, options, unitPrice, quantity: line.quantity };
+  }).filter(Boolean);
+  // Discount, tax and fees as place_order() will charge them, plus the tip
+  const pricing = priceOrder(cartItems, business || {}, categories, promo);
+  const tip = !business?.tipping_enabled ? 0
+    : tipChoice === "custom" ? Math.max(0, Math.round((parseFloat(customTip) || 0) * 100) / 100)
+    : tipFor(pricing, tipChoice);
+  const checkout = { ...pricing, tip };
+  const cartTotal = amountDue(checkout);
+  const cartCount = cartItems.reduce((s, item) => s + item.quantity, 0);
+  const countInCart = (productId) => cartItems
+    .filter(item => item.product.id === productId)
+    .reduce((s, item) => s + item.quantity, 0);
+  // Tracked stock caps how many can go in the cart (the database has the final say)
+  const canAddMore = (product) => product.stock == null || countInCart(product.id) < product.stock;
+
+  // ── Promo code ─────────────────────────────────────────────
+  // Checked now so the cart can show the discount; place_order() checks again
+  async function applyPromo() {
+    if (!promoInput.trim()) return;
+    setCheckingPromo(true);
+    setPromoError(null);
+    const { data, error: promoErr } = await supabase.rpc("check_promo_code", {
+      p_business_id: business.id,
+      p_code:        promoInput.trim(),
+    });
+    setCheckingPromo(false);
+    if (promoErr) {
+      setPromoError(promoErr.code === "P0001" ? promoErr.message : "Couldn't check that code — please try again.");
+      return;
+    }
+    setPromo(data);
+    setPromoInput("");
+  }
 
   // ── Submit order ───────────────────────────────────────────
   async function submitOrder() {
@@ -75,36 +182,44 @@ export default function MenuPage() {
 
     setSubmitting(true);
     try {
-      // 1. Insert order
-      const { data: order, error: orderErr } = await supabase
-        .from("orders")
-        .insert({
-          business_id: business.id,
-          customer_name: customerName.trim(),
-          customer_note: customerNote.trim() || null,
-          status: "pending",
-          total: parseFloat(cartTotal.toFixed(2)),
-        })
-        .select()
-        .single();
-
+      // Prices and totals are worked out by the database, not trusted from here
+      const { data: order, error: orderErr } = await supabase.rpc("place_order", {
+        p_business_id:   business.id,
+        p_customer_name: customerName.trim(),
+        p_customer_note: customerNote.trim(),
+        p_pickup_at:     pickupAt || null,
+        p_pay_online:    payOnline,
+        p_promo_code:    pricing.discount ? promo.code : null,
+        p_tip:           tip,
+        p_notify_consent: notify,
+        p_notify_phone:  notify ? notifyPhone.trim() || null : null,
+        p_notify_email:  notify ? notifyEmail.trim() || null : null,
+        p_items:         cartItems.map(item => ({
+          product_id: item.product.id,
+          quantity:   item.quantity,
+          option_ids: item.options.map(o => o.id),
+        })),
+      });
       if (orderErr) throw orderErr;
 
-      // 2. Insert line items
-      const items = cartItems.map(p => ({
-        order_id: order.id,
-        product_id: p.id,
-        name: p.name,
-        price: p.price,
-        quantity: cart[p.id],
-      }));
-      const { error: itemsErr } = await supabase.from("order_items").insert(items);
-      if (itemsErr) throw itemsErr;
+      // Off to the provider's checkout; they come back to the tracking page
+      if (payOnline) {
+        try {
+          await startCheckout(order.tracking_token);
+        } catch (payErr) {
+          alert(`${payErr.message} You can pay from your order page.`);
+          navigate(`/track/${order.tracking_token}`);
+        }
+        return;
+      }
 
       setOrderId(order.id);
+      setTrackingToken(order.tracking_token);
+      setReceipt(order);
       setConfirmed(true);
     } catch (err) {
-      alert("Something went wrong placing your order. Please try again!");
+      // P0001 = a friendly message raised by place_order (sold out, etc.)
+      alert(err.code === "P0001" ? err.message : "Something went wrong placing your order. Please try again!");
       console.error(err);
     } finally {
       setSubmitting(false);
@@ -112,12 +227,17 @@ export default function MenuPage() {
   }
 
   // ── Categories ─────────────────────────────────────────────
-  const categories = ["All", ...Array.from(new Set(products.map(p => p.category).filter(Boolean)))];
-  const visibleProducts = activeCategory === "All"
-    ? products
-    : products.filter(p => p.category === activeCategory);
+  // Hidden categories (and their products) never reach the browser
+  const menu = groupByCategory(products, categories).filter(g => g.products.length > 0);
+  const categoryTabs = ["All", ...menu.map(g => g.name)];
+  const activeGroup = menu.find(g => g.name === activeCategory);
+  const visibleProducts = activeGroup ? activeGroup.products : menu.flatMap(g => g.products);
 
   const accent = business?.accent_color || "#f97316";
+  const openStatus = business ? getOpenStatus(business, hours, closures, now) : { open: true };
+  const payOnline = business?.payment_mode === "required" || (business?.payment_mode === "optional" && payNow);
+  const canSubmit = openStatus.open && !submitting && cartItems.length > 0 && customerName.trim()
+    && (!notify || notifyPhone.trim() || notifyEmail.trim());
 
   // ── Loading state ──────────────────────────────────────────
   if (loading) return (
@@ -146,6 +266,9 @@ export default function MenuPage() {
           businessName={business.name}
           customerName={customerName}
           orderId={orderId}
+          trackingToken={trackingToken}
+          receipt={receipt}
+          pickupLabel={pickupAt ? formatClock(pickupAt, business.timezone) : null}
           accent={accent}
           onOrderAgain={() => {
             setCart({});
@@ -153,6 +276,26 @@ export default function MenuPage() {
             setCustomerNote("");
             setConfirmed(false);
             setOrderId(null);
+            setTrackingToken(null);
+            setReceipt(null);
+            setPickupAt("");
+            setPromo(null);
+            setTipChoice(0);
+            setCustomTip("");
+            setNotify(false);
+          }}
+        />
+      )}
+
+      {/* ── Options picker ── */}
+      {choosing && (
+        <OptionsModal
+          product={choosing}
+          accent={accent}
+          onClose={() => setChoosing(null)}
+          onAdd={(optionIds) => {
+            addToCart(choosing.id, optionIds);
+            setChoosing(null);
           }}
         />
       )}
@@ -173,13 +316,22 @@ export default function MenuPage() {
         </div>
       </header>
 
+      {/* ── Closed / paused banner ── */}
+      {!openStatus.open && (
+        <div style={s.closedBanner}>
+          {openStatus.paused
+            ? "⏸️ Not taking new orders right now — check back in a few minutes."
+            : `🌙 Closed${openStatus.opensLabel ? ` — ${openStatus.opensLabel}` : ""}. You can browse the menu in the meantime.`}
+        </div>
+      )}
+
       <div style={s.body}>
         {/* ── Left: Menu ── */}
         <div style={s.menuCol}>
           {/* Category tabs */}
-          {categories.length > 1 && (
+          {categoryTabs.length > 1 && (
             <div style={s.catRow}>
-              {categories.map(cat => (
+              {categoryTabs.map(cat => (
                 <button
                   key={cat}
                   onClick={() => setActiveCategory(cat)}
@@ -194,10 +346,14 @@ export default function MenuPage() {
             </div>
           )}
 
+          {activeGroup?.description && (
+            <p style={s.catDescription}>{activeGroup.description}</p>
+          )}
+
           {/* Product grid */}
           <div style={s.productGrid}>
             {visibleProducts.map((p, i) => (
-              <div key={p.id} style={{ ...s.productCard, animation: `fadeUp 0.3s ease ${i * 0.04}s both` }}>
+              <div key={p.id} style={{ ...s.productCard, ...(p.stock === 0 ? s.soldOutCard : {}), animation: `fadeUp 0.3s ease ${i * 0.04}s both` }}>
                 {p.image_url
                   ? <img src={p.image_url} alt={p.name} style={s.productImg} />
                   : <div style={s.productImgPlaceholder}>{p.name.charAt(0)}</div>
@@ -205,18 +361,31 @@ export default function MenuPage() {
                 <div style={s.productInfo}>
                   <div style={s.productName}>{p.name}</div>
                   {p.description && <div style={s.productDesc}>{p.description}</div>}
+                  {p.stock > 0 && p.stock <= LOW_STOCK && (
+                    <div style={s.lowStock}>Only {p.stock} left!</div>
+                  )}
                   <div style={s.productBottom}>
                     <span style={s.productPrice}>${p.price.toFixed(2)}</span>
                     <div style={s.qtyControls}>
-                      {cart[p.id] > 0 && (
+                      {countInCart(p.id) > 0 && (
                         <>
-                          <button onClick={() => removeFromCart(p.id)} style={s.qtyBtn}>−</button>
-                          <span style={s.qtyNum}>{cart[p.id]}</span>
+                          {p.modifier_groups.length === 0 && (
+                            <button onClick={() => removeFromCart(lineKey(p.id))} style={s.qtyBtn}>−</button>
+                          )}
+                          <span style={s.qtyNum}>{countInCart(p.id)}</span>
                         </>
                       )}
-                      <button onClick={() => addToCart(p.id)} style={{ ...s.qtyBtn, ...s.addBtn, background: accent }}>
-                        {cart[p.id] ? "+" : "Add"}
-                      </button>
+                      {p.stock === 0 ? (
+                        <span style={s.soldOut}>Sold out</span>
+                      ) : (
+                        <button
+                          onClick={() => handleAdd(p)}
+                          disabled={!canAddMore(p)}
+                          style={{ ...s.qtyBtn, ...s.addBtn, background: accent, opacity: canAddMore(p) ? 1 : 0.4 }}
+                        >
+                          {countInCart(p.id) ? "+" : p.modifier_groups.length > 0 ? "Choose" : "Add"}
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -237,19 +406,34 @@ export default function MenuPage() {
               </div>
             ) : (
               <div style={s.cartItems}>
-                {cartItems.map(p => (
-                  <div key={p.id} style={s.cartItem}>
-                    <div style={s.cartItemName}>{p.name}</div>
+                {cartItems.map(item => (
+                  <div key={item.key} style={s.cartItem}>
+                    <div style={s.cartItemName}>
+                      {item.product.name}
+                      {item.options.length > 0 && (
+                        <div style={s.cartItemOptions}>{item.options.map(o => o.name).join(", ")}</div>
+                      )}
+                    </div>
                     <div style={s.cartItemRight}>
                       <div style={s.cartQtyRow}>
-                        <button onClick={() => removeFromCart(p.id)} style={s.smallQtyBtn}>−</button>
-                        <span style={s.cartQty}>{cart[p.id]}</span>
-                        <button onClick={() => addToCart(p.id)} style={s.smallQtyBtn}>+</button>
+                        <button onClick={() => removeFromCart(item.key)} style={s.smallQtyBtn}>−</button>
+                        <span style={s.cartQty}>{item.quantity}</span>
+                        <button
+                          onClick={() => addToCart(item.product.id, item.options.map(o => o.id))}
+                          disabled={!canAddMore(item.product)}
+                          style={{ ...s.smallQtyBtn, opacity: canAddMore(item.product) ? 1 : 0.4 }}
+                        >+</button>
                       </div>
-                      <span style={s.cartItemPrice}>${(p.price * cart[p.id]).toFixed(2)}</span>
+                      <span style={s.cartItemPrice}>${(item.unitPrice * item.quantity).toFixed(2)}</span>
                     </div>
                   </div>
                 ))}
+                {breakdownRows(checkout).map(row => (
+                  <div key={row.label} style={{ ...s.cartLine, ...(row.muted ? { color: "#a8a29e" } : {}) }}>
+                    <span>{row.label}</span>
+                    <span>{formatMoney(row.amount)}</span>
+                  </div>
+                ))}
                 <div style={s.cartTotal}>
                   <span>Total</span>
                   <strong>${cartTotal.toFixed(2)}</strong>
@@ -266,6 +450,126 @@ export default function MenuPage() {
                 value={customerName}
                 onChange={e => setCustomerName(e.target.value)}
               />
+              {slots.length > 0 && (
+                <>
+                  <label style={s.label}>Pickup time</label>
+                  <select style={s.input} value={pickupAt} onChange={e => setPickupAt(e.target.value)}>
+                    <option value="">As soon as possible</option>
+                    {slots.map(slot => {
+                      const full = slot.is_full
+                        || (business.slot_max_items && slot.item_count + cartCount > business.slot_max_items);
+                      return (
+                        <option key={slot.slot_start} value={slot.slot_start} disabled={full}>
+                          {formatClock(slot.slot_start, business.timezone)}{full ? " — full" : ""}
+                        </option>
+                      );
+                    })}
+                  </select>
+                </>
+              )}
+              <label style={s.label}>Promo code</label>
+              {promo ? (
+                <div style={s.promoApplied}>
+                  <span style={s.promoChip}>🏷️ {promo.code}</span>
+                  <span style={{ flex: 1, color: pricing.promo_error ? "#b91c1c" : "#166534" }}>
+                    {pricing.promo_error || `${formatMoney(-pricing.discount)} off`}
+                  </span>
+                  <button type="button" onClick={() => setPromo(null)} style={s.promoRemove} title="Remove code">✕</button>
+                </div>
+              ) : (
+                <>
+                  <div style={s.promoRow}>
+                    <input
+                      style={{ ...s.input, marginBottom: 0, textTransform: "uppercase" }}
+                      placeholder="e.g. EARLYBIRD"
+                      value={promoInput}
+                      onChange={e => { setPromoInput(e.target.value); setPromoError(null); }}
+                      onKeyDown={e => e.key === "Enter" && applyPromo()}
+                    />
+                    <button
+                      type="button"
+                      onClick={applyPromo}
+                      disabled={checkingPromo || !promoInput.trim()}
+                      style={{ ...s.promoBtn, color: accent, borderColor: accent }}
+                    >{checkingPromo ? "…" : "Apply"}</button>
+                  </div>
+                  {promoError && <p style={s.promoError}>{promoError}</p>}
+                </>
+              )}
+              {business.tipping_enabled && (
+                <>
+                  <label style={s.label}>Add a tip for the team?</label>
+                  <div style={s.payChoices}>
+                    {[0, ...business.tip_presets, "custom"].map(choice => (
+                      <button
+                        key={choice}
+                        type="button"
+                        onClick={() => setTipChoice(choice)}
+                        style={tipChoice === choice ? { ...s.payChoice, borderColor: accent, color: accent } : s.payChoice}
+                      >
+                        {choice === 0 ? "None" : choice === "custom" ? "Custom" : `${choice}%`}
+                        {typeof choice === "number" && choice > 0 && (
+                          <span style={s.tipAmount}>${tipFor(pricing, choice).toFixed(2)}</span>
+                        )}
+                      </button>
+                    ))}
+                  </div>
+                  {tipChoice === "custom" && (
+                    <input
+                      style={s.input}
+                      type="number" min="0" step="0.50"
+                      placeholder="Tip amount ($)"
+                      value={customTip}
+                      onChange={e => setCustomTip(e.target.value)}
+                    />
+                  )}
+                </>
+              )}
+              {business.payment_mode === "optional" && (
+                <>
+                  <label style={s.label}>Payment</label>
+                  <div style={s.payChoices}>
+                    {[[true, "💳 Pay now"], [false, "🏪 Pay at pickup"]].map(([value, label]) => (
+                      <button
+                        key={label}
+                        type="button"
+                        onClick={() => setPayNow(value)}
+                        style={payNow === value ? { ...s.payChoice, borderColor: accent, color: accent } : s.payChoice}
+                      >{label}</button>
+                    ))}
+                  </div>
+                </>
+              )}
+              {business.payment_mode === "required" && (
+                <p style={s.payNote}>💳 You'll pay online when you place your order.</p>
+              )}
+              <label style={s.notifyRow}>
+                <input type="checkbox" checked={notify} onChange={e => setNotify(e.target.checked)} style={{ accentColor: accent }} />
+                <span>Text or email me when my order is ready</span>
+              </label>
+              {notify && (
+                <>
+                  <input
+                    style={s.input}
+                    type="tel"
+                    autoComplete="tel"
+                    placeholder="Mobile number, e.g. +1 555 123 4567"
+                    value={notifyPhone}
+                    onChange={e => setNotifyPhone(e.target.value)}
+                  />
+                  <input
+                    style={s.input}
+                    type="email"
+                    autoComplete="email"
+                    placeholder="and/or email address"
+                    value={notifyEmail}
+                    onChange={e => setNotifyEmail(e.target.value)}
+                  />
+                  <p style={s.notifyConsent}>
+                    We'll only use these to tell you when this order is ready, or if we have to cancel it.
+                  </p>
+                </>
+              )}
               <label style={s.label}>Any special requests? (optional)</label>
               <textarea
                 style={{ ...s.input, height: 72, resize: "none" }}
@@ -277,14 +581,18 @@ export default function MenuPage() {
 
             <button
               onClick={submitOrder}
-              disabled={submitting || cartItems.length === 0 || !customerName.trim()}
+              disabled={!canSubmit}
               style={{
                 ...s.submitBtn,
                 background: accent,
-                opacity: (submitting || cartItems.length === 0 || !customerName.trim()) ? 0.5 : 1,
+                opacity: canSubmit ? 1 : 0.5,
               }}
             >
-              {submitting ? "Placing order…" : `Place order · $${cartTotal.toFixed(2)}`}
+              {submitting
+                ? "Placing order…"
+                : !openStatus.open
+                  ? (openStatus.paused ? "Ordering paused" : "Closed right now")
+                  : `Place order${payOnline ? " & pay" : ""} · $${cartTotal.toFixed(2)}`}
             </button>
           </div>
         </aside>
@@ -293,9 +601,95 @@ export default function MenuPage() {
   );
 }
 
+// ── Options Modal ──────────────────────────────────────────────
+// Lets the customer pick modifiers for one product, enforcing each
+// group's min/max. Groups with a max of 1 behave like radio buttons.
+function OptionsModal({ product, accent, onClose, onAdd }) {
+  const [picked, setPicked] = useState({}); // { groupId: [optionId] }
+
+  function toggle(group, optionId) {
+    setPicked(prev => {
+      const current = prev[group.id] || [];
+      if (current.includes(optionId)) {
+        return { ...prev, [group.id]: current.filter(id => id !== optionId) };
+      }
+      if (group.max_select === 1) return { ...prev, [group.id]: [optionId] };
+      if (group.max_select && current.length >= group.max_select) return prev;
+      return { ...prev, [group.id]: [...current, optionId] };
+    });
+  }
+
+  const optionIds = Object.values(picked).flat();
+  const missing = product.modifier_groups.filter(g => (picked[g.id] || []).length < g.min_select);
+  const unitPrice = Math.max(0, product.price + product.modifier_groups
+    .flatMap(g => g.modifier_options)
+    .filter(o => optionIds.includes(o.id))
+    .reduce((sum, o) => sum + Number(o.price_delta), 0));
+
+  function groupHint(g) {
+    if (g.min_select > 0 && g.max_select === g.min_select) return `Required · choose ${g.min_select}`;
+    if (g.min_select > 0) return `Required · choose at least ${g.min_select}`;
+    if (g.max_select) return `Optional · up to ${g.max_select}`;
+    return "Optional";
+  }
+
+  return (
+    <div style={s.overlay} onClick={onClose}>
+      <div style={{ ...s.modal, ...s.optionsModal }} onClick={e => e.stopPropagation()}>
+        <h2 style={s.optionsTitle}>{product.name}</h2>
+        {product.description && <p style={s.optionsDesc}>{product.description}</p>}
+
+        {product.modifier_groups.map(g => (
+          <div key={g.id} style={s.optionGroup}>
+            <div style={s.optionGroupHead}>
+              <span style={s.optionGroupName}>{g.name}</span>
+              <span style={s.optionGroupHint}>{groupHint(g)}</span>
+            </div>
+            {g.modifier_options.map(o => {
+              const on = (picked[g.id] || []).includes(o.id);
+              return (
+                <button
+                  key={o.id}
+                  onClick={() => toggle(g, o.id)}
+                  style={{ ...s.optionRow, ...(on ? { borderColor: accent, background: accent + "11" } : {}) }}
+                >
+                  <span style={{ ...s.optionCheck, ...(g.max_select === 1 ? { borderRadius: "50%" } : {}), ...(on ? { background: accent, borderColor: accent } : {}) }} />
+                  <span style={s.optionName}>{o.name}</span>
+                  {Number(o.price_delta) !== 0 && (
+                    <span style={s.optionPrice}>
+                      {Number(o.price_delta) > 0 ? "+" : "−"}${Math.abs(o.price_delta).toFixed(2)}
+                    </span>
+                  )}
+                </button>
+              );
+            })}
+          </div>
+        ))}
+
+        <div style={s.modalBtns}>
+          <button
+            onClick={() => onAdd(optionIds)}
+            disabled={missing.length > 0}
+            style={{ ...s.modalBtn, background: accent, color: "#fff", opacity: missing.length > 0 ? 0.5 : 1 }}
+          >
+            {missing.length > 0 ? `Choose ${missing[0].name.toLowerCase()}` : `Add to order · $${unitPrice.toFixed(2)}`}
+          </button>
+          <button onClick={onClose} style={s.modalBtnSecondary}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ── Confirmation Modal ─────────────────────────────────────────
-function ConfirmationModal({ businessName, customerName, orderId, accent, onOrderAgain }) {
+function ConfirmationModal({ businessName, customerName, orderId, trackingToken, receipt, pickupLabel, accent, onOrderAgain }) {
   const navigate = useNavigate();
+  const [pushState, setPushState] = useState(null); // null | "asking" | "on"
+
+  async function enablePush() {
+    setPushState("asking");
+    setPushState(await subscribeToOrderPush(trackingToken) ? "on" : null);
+  }
 
   return (
     <div style={s.overlay}>
@@ -304,7 +698,9 @@ function ConfirmationModal({ businessName, customerName, orderId, accent, onOrde
         <h2 style={s.modalTitle}>You're all set, {customerName.split(" ")[0]}!</h2>
         <p style={s.modalDesc}>
           Your order has been sent to <strong>{businessName}</strong>.
-          They're on it — head over and it'll be ready for you!
+          {pickupLabel
+            ? <> It'll be ready for pickup at <strong>{pickupLabel}</strong>.</>
+            : " They're on it — head over and it'll be ready for you!"}
         </p>
 
         <div style={s.orderIdBox}>
@@ -312,16 +708,38 @@ function ConfirmationModal({ businessName, customerName, orderId, accent, onOrde
           <span style={s.orderIdVal}>#{orderId?.slice(-8).toUpperCase()}</span>
         </div>
 
-        <div style={s.modalSteps}>
-          {["Order received ✓", "Being prepared 🔥", "Ready for pickup 🏃"].map((step, i) => (
-            <div key={i} style={{ ...s.modalStep, ...(i === 0 ? { color: accent, fontWeight: 700 } : {}) }}>
-              {step}
+        {receipt && (
+          <div style={s.receipt}>
+            {breakdownRows(receipt).map(row => (
+              <div key={row.label} style={{ ...s.cartLine, ...(row.muted ? { color: "#a8a29e" } : {}) }}>
+                <span>{row.label}</span>
+                <span>{formatMoney(row.amount)}</span>
+              </div>
+            ))}
+            <div style={{ ...s.cartLine, fontWeight: 800, color: "#1c1917" }}>
+              <span>Total</span>
+              <span>${amountDue(receipt).toFixed(2)}</span>
             </div>
+          </div>
+        )}
+
+        <p style={s.modalHint}>
+          Follow along live — we'll show you the moment it's being prepared and ready for pickup.
+        </p>
+
+        {pushSupported() && (pushState === "on"
+          ? <div style={s.pushOn}>🔔 We'll notify this device when it's ready</div>
+          : (
+            <button onClick={enablePush} disabled={pushState === "asking"} style={{ ...s.pushBtn, color: accent, borderColor: accent }}>
+              {pushState === "asking" ? "Turning on…" : "🔔 Notify me on this device when it's ready"}
+            </button>
           ))}
-        </div>
 
         <div style={s.modalBtns}>
-          <button onClick={onOrderAgain} style={{ ...s.modalBtn, background: accent, color: "#fff" }}>
+          <button onClick={() => navigate(`/track/${trackingToken}`)} style={{ ...s.modalBtn, background: accent, color: "#fff" }}>
+            Track my order →
+          </button>
+          <button onClick={onOrderAgain} style={s.modalBtnSecondary}>
             Order something else
           </button>
           <button onClick={() => navigate("/")} style={s.modalBtnSecondary}>
@@ -360,6 +778,12 @@ const s = {
   bizName: { fontFamily: "'Fraunces', serif", fontSize: 26, fontWeight: 700, color: "#1c1917" },
   bizDesc: { color: "#78716c", fontSize: 14, fontWeight: 500, marginTop: 2 },
 
+  closedBanner: {
+    maxWidth: 1100, width: "calc(100% - 48px)", margin: "16px auto 0", padding: "12px 18px",
+    background: "#fffbeb", border: "1.5px solid #fde68a", borderRadius: 12,
+    color: "#92400e", fontSize: 14, fontWeight: 700,
+  },
+
   body: {
     maxWidth: 1100, margin: "0 auto", padding: "24px",
     display: "flex", gap: 24, alignItems: "flex-start",
@@ -372,6 +796,7 @@ const s = {
     background: "#fff", color: "#78716c", fontSize: 14, fontWeight: 600,
     transition: "all 0.15s",
   },
+  catDescription: { color: "#78716c", fontSize: 14, fontWeight: 500, marginTop: -8, marginBottom: 16 },
 
   productGrid: { display: "flex", flexDirection: "column", gap: 12 },
   productCard: {
@@ -398,6 +823,9 @@ const s = {
   },
   addBtn: { width: "auto", padding: "0 14px", color: "#fff", border: "none", fontSize: 14, fontWeight: 700 },
   qtyNum: { fontWeight: 700, fontSize: 15, minWidth: 20, textAlign: "center" },
+  soldOutCard: { opacity: 0.6 },
+  soldOut: { fontSize: 13, fontWeight: 800, color: "#a8a29e", textTransform: "uppercase", letterSpacing: "0.05em" },
+  lowStock: { fontSize: 12, fontWeight: 800, color: "#dc2626" },
 
   cartCol: { width: 320, flexShrink: 0, position: "sticky", top: 24 },
   cartBox: {
@@ -410,6 +838,7 @@ const s = {
   cartItems: { display: "flex", flexDirection: "column", gap: 10, marginBottom: 16 },
   cartItem: { display: "flex", justifyContent: "space-between", alignItems: "center", paddingBottom: 10, borderBottom: "1px solid #f0e8dc" },
   cartItemName: { fontSize: 14, fontWeight: 600, color: "#1c1917", flex: 1 },
+  cartItemOptions: { fontSize: 12, fontWeight: 500, color: "#a8a29e", marginTop: 2 },
   cartItemRight: { display: "flex", alignItems: "center", gap: 12 },
   cartQtyRow: { display: "flex", alignItems: "center", gap: 6 },
   smallQtyBtn: {
@@ -419,6 +848,7 @@ const s = {
   },
   cartQty: { fontSize: 14, fontWeight: 700, minWidth: 16, textAlign: "center" },
   cartItemPrice: { fontSize: 14, fontWeight: 700, color: "#1c1917", minWidth: 50, textAlign: "right" },
+  cartLine: { display: "flex", justifyContent: "space-between", fontSize: 14, fontWeight: 600, color: "#57534e" },
   cartTotal: {
     display: "flex", justifyContent: "space-between",
     fontFamily: "'Fraunces', serif", fontSize: 20, fontWeight: 700,
@@ -433,6 +863,31 @@ const s = {
     background: "#fafaf9", marginBottom: 14, outline: "none",
   },
 
+  payChoices: { display: "flex", gap: 8, marginBottom: 14 },
+  payChoice: {
+    flex: 1, padding: "10px 8px", borderRadius: 10, border: "1.5px solid #e7ddd0",
+    background: "#fafaf9", fontSize: 14, fontWeight: 700, color: "#57534e",
+  },
+  payNote: { fontSize: 13, color: "#57534e", fontWeight: 600, marginBottom: 14 },
+  notifyRow: { display: "flex", alignItems: "center", gap: 8, fontSize: 14, fontWeight: 600, color: "#57534e", marginBottom: 12, cursor: "pointer" },
+  notifyConsent: { fontSize: 12, color: "#a8a29e", fontWeight: 500, margin: "-6px 0 14px", lineHeight: 1.4 },
+  tipAmount: { display: "block", fontSize: 11, fontWeight: 600, color: "#a8a29e", marginTop: 1 },
+  promoRow: { display: "flex", gap: 8, marginBottom: 14 },
+  promoBtn: {
+    padding: "0 16px", borderRadius: 10, border: "1.5px solid",
+    background: "#fff", fontSize: 14, fontWeight: 700, cursor: "pointer",
+  },
+  promoError: { fontSize: 13, color: "#b91c1c", fontWeight: 600, margin: "-8px 0 14px" },
+  promoApplied: {
+    display: "flex", alignItems: "center", gap: 8, marginBottom: 14,
+    fontSize: 13, fontWeight: 600,
+  },
+  promoChip: {
+    background: "#f5f5f4", border: "1.5px dashed #d6d3d1", borderRadius: 8,
+    padding: "4px 10px", fontWeight: 800, color: "#1c1917", letterSpacing: 0.5,
+  },
+  promoRemove: { background: "none", border: "none", fontSize: 14, color: "#a8a29e", cursor: "pointer" },
+
   submitBtn: {
     width: "100%", border: "none", borderRadius: 12,
     padding: "14px", fontSize: 16, fontWeight: 800, color: "#fff",
@@ -461,12 +916,30 @@ const s = {
   },
   orderIdLabel: { fontSize: 12, fontWeight: 700, color: "#a8a29e", textTransform: "uppercase", letterSpacing: "0.05em" },
   orderIdVal: { fontFamily: "'Fraunces', serif", fontSize: 18, fontWeight: 700, color: "#1c1917" },
-  modalSteps: { display: "flex", flexDirection: "column", gap: 8, marginBottom: 24, textAlign: "left" },
-  modalStep: { fontSize: 14, fontWeight: 500, color: "#a8a29e", padding: "4px 0" },
+  receipt: { display: "flex", flexDirection: "column", gap: 4, textAlign: "left", marginBottom: 20 },
+  modalHint: { color: "#a8a29e", fontSize: 14, fontWeight: 500, lineHeight: 1.5, marginBottom: 24 },
+  pushBtn: { width: "100%", background: "#fff", border: "1.5px solid", borderRadius: 12, padding: "11px", fontSize: 14, fontWeight: 700, marginBottom: 16 },
+  pushOn: { fontSize: 14, fontWeight: 700, color: "#16a34a", marginBottom: 16 },
   modalBtns: { display: "flex", flexDirection: "column", gap: 10 },
   modalBtn: { border: "none", borderRadius: 12, padding: "13px", fontSize: 15, fontWeight: 800 },
   modalBtnSecondary: {
     background: "transparent", border: "1.5px solid #e7ddd0",
     borderRadius: 12, padding: "12px", fontSize: 15, fontWeight: 600, color: "#78716c",
   },
+
+  optionsModal: { textAlign: "left", padding: "28px 28px", maxHeight: "90vh", overflowY: "auto" },
+  optionsTitle: { fontFamily: "'Fraunces', serif", fontSize: 24, fontWeight: 700, color: "#1c1917", marginBottom: 4 },
+  optionsDesc: { color: "#78716c", fontSize: 14, fontWeight: 500, lineHeight: 1.5, marginBottom: 8 },
+  optionGroup: { marginTop: 18 },
+  optionGroupHead: { display: "flex", justifyContent: "space-between", alignItems: "baseline", marginBottom: 8 },
+  optionGroupName: { fontSize: 15, fontWeight: 800, color: "#1c1917" },
+  optionGroupHint: { fontSize: 12, fontWeight: 600, color: "#a8a29e" },
+  optionRow: {
+    width: "100%", display: "flex", alignItems: "center", gap: 10,
+    border: "1.5px solid #f0e8dc", borderRadius: 10, background: "#fff",
+    padding: "10px 12px", marginBottom: 6, textAlign: "left",
+  },
+  optionCheck: { width: 16, height: 16, borderRadius: 4, border: "2px solid #e7ddd0", flexShrink: 0 },
+  optionName: { flex: 1, fontSize: 14, fontWeight: 600, color: "#1c1917" },
+  optionPrice: { fontSize: 13, fontWeight: 700, color: "#78716c" },
 };
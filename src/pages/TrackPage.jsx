@@ -0,0 +1,305 @@
+// src/pages/TrackPage.jsx
+// Customer order tracking — loaded via /track/:token
+// Looks the order up by its secret tracking token and follows status
+// changes live over Supabase Realtime. The link can be bookmarked or
+// shared, and reloading the page simply fetches the latest state.
+// Orders placed with "Pay now" wait here until the payment is confirmed;
+// the provider's checkout sends customers back with ?paid=1.
+// Customers can also ask for a push on this device when it's ready.
+import { useState, useEffect, useCallback } from "react";
+import { useParams, useNavigate, useSearchParams } from "react-router-dom";
+import { supabase } from "../lib/supabase";
+import { formatClock } from "../lib/hours";
+import { startCheckout } from "../lib/payments";
+import { breakdownRows, formatMoney, amountDue } from "../lib/pricing";
+import { pushSupported, subscribeToOrderPush, isSubscribedToOrder } from "../lib/push";
+
+const STEPS = [
+  { status: "pending",   label: "Order received",   emoji: "✓",  hint: "The shop has your order." },
+  { status: "preparing", label: "Being prepared",   emoji: "🔥", hint: "They're making it right now." },
+  { status: "ready",     label: "Ready for pickup", emoji: "🏃", hint: "Head over — it's waiting for you!" },
+  { status: "fulfilled", label: "Picked up",        emoji: "🎉", hint: "Enjoy! Thanks for ordering ahead." },
+];
+
+export default function TrackPage() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const justPaid = searchParams.get("paid") === "1";
+
+  const [order, setOrder]     = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError]     = useState(null);
+  const [copied, setCopied]   = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [paying, setPaying]   = useState(false);
+  const [pushState, setPushState] = useState(null); // null | "asking" | "on"
+
+  // ── Load order ─────────────────────────────────────────────
+  const loadOrder = useCallback(async () => {
+    const { data, error: rpcErr } = await supabase.rpc("get_order_tracking", { p_token: token });
+    if (rpcErr || !data) {
+      setError("We couldn't find that order. Check the link and try again.");
+    } else {
+      setOrder(data);
+    }
+    setLoading(false);
+  }, [token]);
+
+  useEffect(() => { loadOrder(); }, [loadOrder]);
+
+  useEffect(() => {
+    isSubscribedToOrder(token).then(on => on && setPushState("on"));
+  }, [token]);
+
+  // ── Live status updates ────────────────────────────────────
+  useEffect(() => {
+    const channel = supabase
+      .channel(`order:${token}`)
+      .on("broadcast", { event: "status" }, ({ payload }) => {
+        setOrder(o => o ? { ...o, ...payload } : o);
+      })
+      .subscribe((status) => {
+        // Catch up on anything that changed while we were disconnected
+        if (status === "SUBSCRIBED") loadOrder();
+      });
+
+    return () => supabase.removeChannel(channel);
+  }, [token, loadOrder]);
+
+  function copyLink() {
+    navigator.clipboard.writeText(window.location.href);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  }
+
+  async function cancelOrder() {
+    if (!window.confirm("Cancel this order? The shop will be told straight away.")) return;
+    setCancelling(true);
+    const { error: rpcErr } = await supabase.rpc("cancel_order_by_token", { p_token: token });
+    setCancelling(false);
+    if (rpcErr) { alert(rpcErr.message); return; }
+    loadOrder();
+  }
+
+  async function enablePush() {
+    setPushState("asking");
+    setPushState(await subscribeToOrderPush(token) ? "on" : null);
+  }
+
+  async function payNow() {
+    setPaying(true);
+    try {
+      await startCheckout(token);
+    } catch (err) {
+      alert(err.message);
+      setPaying(false);
+      loadOrder();
+    }
+  }
+
+  const accent = order?.business?.accent_color || "#f97316";
+
+  if (loading) return (
+    <div style={s.center}>
+      <div style={{ ...s.spinner, borderTopColor: accent }} />
+      <p style={s.loadingText}>Finding your order…</p>
+    </div>
+  );
+
+  if (error) return (
+    <div style={s.center}>
+      <div style={{ fontSize: 56, marginBottom: 16 }}>🔍</div>
+      <h2 style={s.errorTitle}>Order not found</h2>
+      <p style={s.errorText}>{error}</p>
+      <button onClick={() => navigate("/")} style={{ ...s.backBtn, background: accent }}>
+        ← Back to home
+      </button>
+    </div>
+  );
+
+  const isCancelled = order.status === "cancelled";
+  const awaitingPayment = order.payment_status === "awaiting" && !isCancelled;
+  const currentIdx = STEPS.findIndex(step => step.status === order.status);
+  const current = isCancelled
+    ? { label: "Order cancelled", emoji: "😕", hint: order.cancel_reason || "This order was cancelled." }
+    : awaitingPayment
+      ? justPaid
+        ? { label: "Confirming payment…", emoji: "💳", hint: "This only takes a moment." }
+        : { label: "Waiting for payment", emoji: "💳", hint: "The shop gets your order as soon as it's paid." }
+      : STEPS[currentIdx] || STEPS[0];
+
+  return (
+    <div style={s.root}>
+      <div style={s.card}>
+        <div style={s.bizRow}>
+          {order.business.logo_url
+            ? <img src={order.business.logo_url} alt={order.business.name} style={s.logo} />
+            : <div style={{ ...s.logoPlaceholder, background: accent }}>
+                {order.business.name.charAt(0).toUpperCase()}
+              </div>
+          }
+          <div>
+            <div style={s.bizName}>{order.business.name}</div>
+            <div style={s.orderRef}>Order #{order.id.slice(-8).toUpperCase()}</div>
+          </div>
+        </div>
+
+        <div style={s.statusHero}>
+          <div style={s.statusEmoji}>{current.emoji}</div>
+          <h1 style={s.statusTitle}>{current.label}</h1>
+          <p style={s.statusHint}>{current.hint}</p>
+          {order.pickup_at && order.status !== "fulfilled" && !isCancelled && (
+            <div style={{ ...s.pickupPill, color: accent, borderColor: accent + "55" }}>
+              🕒 Pickup at {formatClock(order.pickup_at, order.business.timezone)}
+            </div>
+          )}
+        </div>
+
+        {/* Progress steps */}
+        {!isCancelled && !awaitingPayment && (
+          <div style={s.steps}>
+            {STEPS.map((step, i) => {
+              const done = i <= currentIdx;
+              return (
+                <div key={step.status} style={s.step}>
+                  <div style={{ ...s.stepDot, ...(done ? { background: accent, borderColor: accent } : {}) }} />
+                  <span style={{ ...s.stepLabel, ...(i === currentIdx ? { color: accent, fontWeight: 700 } : done ? { color: "#57534e" } : {}) }}>
+                    {step.label}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {/* Items */}
+        <div style={s.items}>
+          {order.items.map((item, i) => (
+            <div key={i} style={s.itemRow}>
+              <span style={{ ...s.itemQty, color: accent }}>{item.quantity}×</span>
+              <span style={s.itemName}>
+                {item.name}
+                {item.options?.length > 0 && (
+                  <span style={s.itemOptions}>{item.options.map(o => o.name).join(", ")}</span>
+                )}
+              </span>
+              <span style={s.itemPrice}>${(item.price * item.quantity).toFixed(2)}</span>
+            </div>
+          ))}
+          {breakdownRows(order).map((row, i) => (
+            <div key={row.label} style={{ ...s.chargeRow, ...(i === 0 ? s.chargeFirst : {}), ...(row.muted ? { color: "#a8a29e" } : {}) }}>
+              <span>{row.label}</span>
+              <span>{formatMoney(row.amount)}</span>
+            </div>
+          ))}
+          <div style={s.totalRow}>
+            <span>Total</span>
+            <strong>${amountDue(order).toFixed(2)}</strong>
+          </div>
+          {order.payment_status === "paid" && <div style={s.paidNote}>✓ Paid online</div>}
+          {order.payment_status === "refunded" && <div style={{ ...s.paidNote, color: "#78716c" }}>↩ Refunded</div>}
+        </div>
+
+        {order.customer_note && (
+          <div style={s.noteBox}>📝 {order.customer_note}</div>
+        )}
+
+        <div style={s.btns}>
+          {awaitingPayment && !justPaid && (
+            <button onClick={payNow} disabled={paying} style={{ ...s.primaryBtn, background: accent }}>
+              {paying ? "Opening checkout…" : `💳 Pay now · $${amountDue(order).toFixed(2)}`}
+            </button>
+          )}
+          {pushSupported() && !awaitingPayment && ["pending", "preparing"].includes(order.status) && (pushState === "on"
+            ? <div style={s.pushOn}>🔔 We'll notify this device when it's ready</div>
+            : (
+              <button onClick={enablePush} disabled={pushState === "asking"} style={{ ...s.secondaryBtn, color: accent, borderColor: accent, fontWeight: 700 }}>
+                {pushState === "asking" ? "Turning on…" : "🔔 Notify me when it's ready"}
+              </button>
+            ))}
+          <button onClick={copyLink} style={{ ...s.primaryBtn, background: accent }}>
+            {copied ? "Link copied! 📋" : "Copy tracking link"}
+          </button>
+          <button onClick={() => navigate(`/order/${order.business.slug}`)} style={s.secondaryBtn}>
+            ← Back to the menu
+          </button>
+          {order.status === "pending" && order.payment_status !== "paid" && (
+            <button onClick={cancelOrder} disabled={cancelling} style={s.cancelBtn}>
+              {cancelling ? "Cancelling…" : "Cancel my order"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const s = {
+  root: { minHeight: "100vh", background: "#fdf8f3", display: "flex", justifyContent: "center", padding: "40px 24px" },
+  center: {
+    minHeight: "100vh", display: "flex", flexDirection: "column",
+    alignItems: "center", justifyContent: "center",
+    textAlign: "center", padding: 24,
+  },
+  spinner: {
+    width: 40, height: 40, border: "4px solid #f0e8dc",
+    borderRadius: "50%", animation: "spin 0.8s linear infinite", marginBottom: 16,
+  },
+  loadingText: { color: "#a8a29e", fontWeight: 600 },
+  errorTitle: { fontFamily: "'Fraunces', serif", fontSize: 26, fontWeight: 700, marginBottom: 8 },
+  errorText: { color: "#78716c", fontSize: 15, marginBottom: 24 },
+  backBtn: { color: "#fff", border: "none", borderRadius: 12, padding: "12px 24px", fontSize: 15, fontWeight: 700 },
+
+  card: {
+    background: "#fff", borderRadius: 24, border: "1.5px solid #f0e8dc",
+    boxShadow: "0 4px 20px rgba(0,0,0,0.07)", padding: "32px 32px",
+    maxWidth: 460, width: "100%", alignSelf: "flex-start",
+    animation: "fadeUp 0.3s ease",
+  },
+  bizRow: { display: "flex", alignItems: "center", gap: 14, marginBottom: 24 },
+  logo: { width: 48, height: 48, borderRadius: 12, objectFit: "cover", border: "2px solid #f0e8dc" },
+  logoPlaceholder: {
+    width: 48, height: 48, borderRadius: 12,
+    display: "flex", alignItems: "center", justifyContent: "center",
+    color: "#fff", fontSize: 22, fontWeight: 800,
+  },
+  bizName: { fontFamily: "'Fraunces', serif", fontSize: 20, fontWeight: 700, color: "#1c1917" },
+  orderRef: { fontSize: 13, fontWeight: 600, color: "#a8a29e" },
+
+  statusHero: { textAlign: "center", marginBottom: 24 },
+  statusEmoji: { fontSize: 56, marginBottom: 8 },
+  statusTitle: { fontFamily: "'Fraunces', serif", fontSize: 28, fontWeight: 700, color: "#1c1917", marginBottom: 6 },
+  statusHint: { color: "#78716c", fontSize: 15, fontWeight: 500 },
+  pickupPill: { display: "inline-block", marginTop: 12, border: "1.5px solid", borderRadius: 20, padding: "5px 14px", fontSize: 14, fontWeight: 700 },
+
+  steps: { display: "flex", flexDirection: "column", gap: 10, marginBottom: 24 },
+  step: { display: "flex", alignItems: "center", gap: 12 },
+  stepDot: { width: 14, height: 14, borderRadius: "50%", border: "2px solid #e7ddd0", background: "#fff", flexShrink: 0 },
+  stepLabel: { fontSize: 14, fontWeight: 500, color: "#a8a29e" },
+
+  items: { display: "flex", flexDirection: "column", gap: 8, borderTop: "1px solid #f0e8dc", paddingTop: 16, marginBottom: 16 },
+  itemRow: { display: "flex", alignItems: "flex-start", gap: 10 },
+  itemQty: { fontWeight: 800, fontSize: 14, minWidth: 24 },
+  itemName: { flex: 1, fontSize: 14, fontWeight: 600, color: "#1c1917" },
+  itemOptions: { display: "block", fontSize: 12, fontWeight: 500, color: "#a8a29e" },
+  itemPrice: { fontSize: 14, fontWeight: 700, color: "#78716c" },
+  chargeRow: { display: "flex", justifyContent: "space-between", fontSize: 14, fontWeight: 600, color: "#78716c" },
+  chargeFirst: { borderTop: "1px dashed #f0e8dc", paddingTop: 8 },
+  totalRow: {
+    display: "flex", justifyContent: "space-between",
+    fontFamily: "'Fraunces', serif", fontSize: 20, fontWeight: 700,
+    paddingTop: 8, color: "#1c1917",
+  },
+  paidNote: { textAlign: "right", fontSize: 13, fontWeight: 700, color: "#16a34a" },
+  noteBox: { background: "#fafaf9", border: "1.5px solid #f0e8dc", borderRadius: 10, padding: "10px 14px", fontSize: 14, color: "#57534e", fontWeight: 500, marginBottom: 16 },
+
+  btns: { display: "flex", flexDirection: "column", gap: 10 },
+  primaryBtn: { border: "none", borderRadius: 12, padding: "13px", fontSize: 15, fontWeight: 800, color: "#fff" },
+  secondaryBtn: {
+    background: "transparent", border: "1.5px solid #e7ddd0",
+    borderRadius: 12, padding: "12px", fontSize: 15, fontWeight: 600, color: "#78716c",
+  },
+  pushOn: { textAlign: "center", fontSize: 14, fontWeight: 700, color: "#16a34a", padding: "6px" },
+  cancelBtn: { background: "transparent", border: "none", padding: "6px", fontSize: 14, fontWeight: 600, color: "#dc2626", textDecoration: "underline" },
+};
@@ -0,0 +1,34 @@
+// supabase/functions/_shared/http.ts
+// Bits every edge function needs: CORS for calls from the site, JSON
+// responses, and a Supabase client.
+import { createClient } from "npm:@supabase/supabase-js@2"
+
+export const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+}
+
+export function json(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, "Content-Type": "application/json" },
+  })
+}
+
+// Only the database (through invoke_edge_function()) calls with the
+// service role key
+export function isServiceRole(req: Request) {
+  return req.headers.get("Authorization") === `Bearer ${Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")}`
+}
+
+// Service-role client: skips RLS, so only use it after checking who's asking
+export function adminClient() {
+  return createClient(Deno.env.get("SUPABASE_URL")!, Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!)
+}
+
+// Client acting as the signed-in caller, so RLS applies as usual
+export function userClient(req: Request) {
+  return createClient(Deno.env.get("SUPABASE_URL")!, Deno.env.get("SUPABASE_ANON_KEY")!, {
+    global: { headers: { Authorization: req.headers.get("Authorization") ?? "" } },
+  })
+}
@@ -0,0 +1,37 @@
+// supabase/functions/_shared/messaging/index.ts
+// The customer messaging adapter: one provider for texts and one for
+// emails, each picked by a secret. Adding a provider means writing one
+// more module like twilio.ts and listing it below.
+//
+// Secrets:
+//   SMS_PROVIDER    twilio | local (default local)
+//   EMAIL_PROVIDER  resend | local (default local)
+import { local } from "./local.ts"
+import { resend } from "./resend.ts"
+import { twilio } from "./twilio.ts"
+
+export type Channel = "sms" | "email"
+
+export interface OutgoingMessage {
+  channel: Channel
+  to:      string          // E.164-ish phone number or email address
+  subject: string | null   // email only
+  body:    string
+}
+
+export interface MessageProvider {
+  name: string
+  channels: Channel[]
+  // Resolves with the provider's message id; throws if it wasn't accepted
+  send(message: OutgoingMessage): Promise<string>
+}
+
+const PROVIDERS: Record<string, MessageProvider> = { local, resend, twilio }
+
+export function getMessageProvider(channel: Channel): MessageProvider {
+  const name = Deno.env.get(channel === "sms" ? "SMS_PROVIDER" : "EMAIL_PROVIDER") ?? "local"
+  const provider = PROVIDERS[name]
+  if (!provider) throw new Error(`Unknown ${channel} provider "${name}"`)
+  if (!provider.channels.includes(channel)) throw new Error(`${name} can't send ${channel}`)
+  return provider
+}
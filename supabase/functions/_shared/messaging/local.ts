@@ -0,0 +1,22 @@
+// supabase/functions/_shared/messaging/local.ts
+// Pretend delivery for trying things out: messages land in the
+// local_inbox table (and the function log) instead of a real phone or
+// mailbox. Handles both channels.
+import { adminClient } from "../http.ts"
+import type { MessageProvider } from "./index.ts"
+
+export const local: MessageProvider = {
+  name: "local",
+  channels: ["sms", "email"],
+
+  async send(message) {
+    const { data, error } = await adminClient()
+      .from("local_inbox")
+      .insert({ channel: message.channel, recipient: message.to, subject: message.subject, body: message.body })
+      .select("id")
+      .single()
+    if (error) throw new Error(`local_inbox: ${error.message}`)
+    console.log(`[local ${message.channel}] to ${message.to}: ${message.subject ? `${message.subject} — ` : ""}${message.body}`)
+    return data.id
+  },
+}
@@ -0,0 +1,32 @@
+// supabase/functions/_shared/messaging/resend.ts
+// Emails through Resend's REST API (plain fetch, no SDK). Sent as
+// plain text — the templates are plain text too.
+//
+// Secrets:
+//   RESEND_API_KEY  re_…
+//   EMAIL_FROM      e.g. "The Corner Café <orders@cornercafe.com>" — a domain verified with Resend
+import type { MessageProvider } from "./index.ts"
+
+export const resend: MessageProvider = {
+  name: "resend",
+  channels: ["email"],
+
+  async send(message) {
+    const res = await fetch("https://api.resend.com/emails", {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${Deno.env.get("RESEND_API_KEY")}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        from:    Deno.env.get("EMAIL_FROM"),
+        to:      [message.to],
+        subject: message.subject ?? "",
+        text:    message.body,
+      }),
+    })
+    const data = await res.json()
+    if (!res.ok) throw new Error(`Resend: ${data.message ?? res.status}`)
+    return data.id
+  },
+}
@@ -0,0 +1,32 @@
+// supabase/functions/_shared/messaging/twilio.ts
+// Text messages through Twilio's REST API (plain fetch, no SDK).
+//
+// Secrets:
+//   TWILIO_ACCOUNT_SID  AC…
+//   TWILIO_AUTH_TOKEN
+//   TWILIO_FROM         your Twilio number (+15551234567) or a messaging service id (MG…)
+import type { MessageProvider } from "./index.ts"
+
+export const twilio: MessageProvider = {
+  name: "twilio",
+  channels: ["sms"],
+
+  async send(message) {
+    const sid = Deno.env.get("TWILIO_ACCOUNT_SID")
+    const from = Deno.env.get("TWILIO_FROM") ?? ""
+    const form = new URLSearchParams({ To: message.to, Body: message.body })
+    form.append(from.startsWith("MG") ? "MessagingServiceSid" : "From", from)
+
+    const res = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${btoa(`${sid}:${Deno.env.get("TWILIO_AUTH_TOKEN")}`)}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+      body: form,
+    })
+    const data = await res.json()
+    if (!res.ok) throw new Error(`Twilio: ${data.message ?? res.status}`)
+    return data.sid
+  },
+}
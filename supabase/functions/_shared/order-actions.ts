@@ -0,0 +1,74 @@
+// supabase/functions/_shared/order-actions.ts
+// Signed one-step tokens for the buttons on a new-order push ("Start
+// preparing", "Mark ready"). The service worker can't see anyone's
+// sign-in, so notify-owner puts a token for each button in the
+// (encrypted) push, and order-action checks it. A token moves one order
+// from one status to the next and nothing else, only for 12 hours, and
+// only while the team member it was sent to is still on the team.
+// Signed with the service role key, which never leaves the server.
+
+const TTL_SECONDS = 12 * 60 * 60
+
+export interface OrderAction {
+  orderId: string
+  from:    string   // the status the order has to be in
+  to:      string
+  userId:  string   // the team member whose device got the push
+}
+
+const encoder = new TextEncoder()
+
+function base64url(bytes: Uint8Array) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")
+}
+
+function fromBase64url(text: string) {
+  return Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), c => c.charCodeAt(0))
+}
+
+function signingKey() {
+  return crypto.subtle.importKey(
+    "raw",
+    encoder.encode(Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign", "verify"],
+  )
+}
+
+export async function signOrderAction(action: OrderAction): Promise<string> {
+  const claims = { o: action.orderId, f: action.from, t: action.to, u: action.userId, e: Math.floor(Date.now() / 1000) + TTL_SECONDS }
+  const body = base64url(encoder.encode(JSON.stringify(claims)))
+  const signature = new Uint8Array(await crypto.subtle.sign("HMAC", await signingKey(), encoder.encode(body)))
+  return `${body}.${base64url(signature)}`
+}
+
+// The action a token allows, or null if it's forged, mangled or expired
+export async function verifyOrderAction(token: string): Promise<OrderAction | null> {
+  try {
+    const [body, signature] = token.split(".")
+    const valid = await crypto.subtle.verify("HMAC", await signingKey(), fromBase64url(signature), encoder.encode(body))
+    if (!valid) return null
+
+    const claims = JSON.parse(new TextDecoder().decode(fromBase64url(body)))
+    if (claims.e < Date.now() / 1000) return null
+    return { orderId: claims.o, from: claims.f, to: claims.t, userId: claims.u }
+  } catch {
+    return null
+  }
+}
+
+// The buttons (and their tokens) for an order in this status, for one
+// team member
+export async function orderActions(orderId: string, status: string, userId: string) {
+  const buttons =
+    status === "pending"   ? [{ action: "preparing", title: "🔥 Start preparing" }, { action: "ready", title: "✅ Mark ready" }] :
+    status === "preparing" ? [{ action: "ready", title: "✅ Mark ready" }] :
+    []
+
+  const tokens: Record<string, string> = {}
+  for (const { action } of buttons) {
+    tokens[action] = await signOrderAction({ orderId, from: status, to: action, userId })
+  }
+  return { actions: buttons, tokens }
+}
@@ -0,0 +1,45 @@
+// supabase/functions/_shared/payments/index.ts
+// The payment provider adapter. Edge functions only talk to this
+// interface, so adding a provider means writing one more module like
+// stripe.ts and listing it below — nothing else changes.
+import { stripe } from "./stripe.ts"
+
+export interface CheckoutRequest {
+  orderId:     string
+  amount:      number   // in the currency's minor unit, e.g. cents
+  currency:    string   // ISO code, lower case
+  description: string   // shown on the provider's checkout page
+  successUrl:  string
+  cancelUrl:   string
+}
+
+export interface Checkout {
+  id:     string
+  url:    string | null                     // where to send the customer; null once it's closed
+  status: "open" | "complete" | "expired"
+}
+
+// What a webhook means for us. Providers send many more events;
+// anything we don't act on comes back as "ignored".
+export type PaymentEvent =
+  | { type: "paid"; orderId: string; sessionId: string; paymentRef: string }
+  | { type: "expired"; orderId: string; sessionId: string }
+  | { type: "ignored" }
+
+export interface PaymentProvider {
+  name: string
+  createCheckout(request: CheckoutRequest): Promise<Checkout>
+  getCheckout(sessionId: string): Promise<Checkout>
+  // Throws if the request isn't genuinely from the provider
+  parseWebhook(req: Request): Promise<PaymentEvent>
+  // Refunds the whole payment
+  refund(paymentRef: string): Promise<void>
+}
+
+const PROVIDERS: Record<string, PaymentProvider> = { stripe }
+
+export function getPaymentProvider(name = Deno.env.get("PAYMENT_PROVIDER") ?? "stripe"): PaymentProvider {
+  const provider = PROVIDERS[name]
+  if (!provider) throw new Error(`Unknown payment provider "${name}"`)
+  return provider
+}
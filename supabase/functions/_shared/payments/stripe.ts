@@ -0,0 +1,113 @@
+// supabase/functions/_shared/payments/stripe.ts
+// Stripe Checkout over its REST API (plain fetch, no SDK).
+//
+// Secrets:
+//   STRIPE_SECRET_KEY      sk_live_… or sk_test_…
+//   STRIPE_WEBHOOK_SECRET  whsec_… from the webhook endpoint's settings
+//   STRIPE_API_URL         optional — point at payment-mock/server.js to
+//                          try payments locally without a Stripe account
+import type { Checkout, PaymentProvider } from "./index.ts"
+
+const API_URL   = () => (Deno.env.get("STRIPE_API_URL") ?? "https://api.stripe.com").replace(/\/+$/, "")
+const TOLERANCE = 300   // seconds a webhook signature stays valid
+
+// Stripe takes form-encoded bodies with nested keys, e.g. line_items[0][quantity]
+function formEncode(data: Record<string, unknown>, prefix = "", form = new URLSearchParams()) {
+  for (const [key, value] of Object.entries(data)) {
+    const name = prefix ? `${prefix}[${key}]` : key
+    if (value === undefined || value === null) continue
+    if (typeof value === "object") formEncode(value as Record<string, unknown>, name, form)
+    else form.append(name, String(value))
+  }
+  return form
+}
+
+async function api(path: string, body?: Record<string, unknown>) {
+  const res = await fetch(`${API_URL()}${path}`, {
+    method: body ? "POST" : "GET",
+    headers: {
+      Authorization: `Bearer ${Deno.env.get("STRIPE_SECRET_KEY")}`,
+      ...(body ? { "Content-Type": "application/x-www-form-urlencoded" } : {}),
+    },
+    body: body ? formEncode(body) : undefined,
+  })
+  const data = await res.json()
+  if (!res.ok) throw new Error(`Stripe ${path}: ${data.error?.message ?? res.status}`)
+  return data
+}
+
+const toCheckout = (session: any): Checkout => ({ id: session.id, url: session.url ?? null, status: session.status })
+
+async function hmacHex(secret: string, message: string) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"])
+  const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(message))
+  return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, "0")).join("")
+}
+
+function safeEqual(a: string, b: string) {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  return diff === 0
+}
+
+// Check the Stripe-Signature header: "t=<unix time>,v1=<hex hmac of `t.body`>"
+async function verifySignature(header: string | null, body: string) {
+  const parts = (header ?? "").split(",").map(p => p.split("="))
+  const timestamp = parts.find(([k]) => k === "t")?.[1]
+  const signatures = parts.filter(([k]) => k === "v1").map(([, v]) => v)
+  if (!timestamp || !signatures.length) throw new Error("Missing Stripe signature")
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > TOLERANCE) throw new Error("Stripe signature too old")
+
+  const expected = await hmacHex(Deno.env.get("STRIPE_WEBHOOK_SECRET")!, `${timestamp}.${body}`)
+  if (!signatures.some(s => safeEqual(s, expected))) throw new Error("Bad Stripe signature")
+}
+
+export const stripe: PaymentProvider = {
+  name: "stripe",
+
+  async createCheckout({ orderId, amount, currency, description, successUrl, cancelUrl }) {
+    const session = await api("/v1/checkout/sessions", {
+      mode: "payment",
+      // Cards (and wallets) only: bank debits and transfers settle days
+      // later, long after expire_unpaid_orders() has given up on the order
+      payment_method_types: ["card"],
+      client_reference_id: orderId,
+      metadata: { order_id: orderId },
+      line_items: [{ quantity: 1, price_data: { currency, unit_amount: amount, product_data: { name: description } } }],
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      // Stripe's shortest allowed lifetime; expire_unpaid_orders() gives up a little later
+      expires_at: Math.floor(Date.now() / 1000) + 31 * 60,
+    })
+    return toCheckout(session)
+  },
+
+  async getCheckout(sessionId) {
+    return toCheckout(await api(`/v1/checkout/sessions/${encodeURIComponent(sessionId)}`))
+  },
+
+  async parseWebhook(req) {
+    const body = await req.text()
+    await verifySignature(req.headers.get("Stripe-Signature"), body)
+
+    const event = JSON.parse(body)
+    const session = event.data?.object ?? {}
+    const orderId = session.client_reference_id ?? session.metadata?.order_id
+    if (!orderId) return { type: "ignored" }
+
+    switch (event.type) {
+      case "checkout.session.completed":
+        if (session.payment_status !== "paid") return { type: "ignored" }
+        return { type: "paid", orderId, sessionId: session.id, paymentRef: session.payment_intent }
+      case "checkout.session.expired":
+        return { type: "expired", orderId, sessionId: session.id }
+      default:
+        return { type: "ignored" }
+    }
+  },
+
+  async refund(paymentRef) {
+    await api("/v1/refunds", { payment_intent: paymentRef })
+  },
+}
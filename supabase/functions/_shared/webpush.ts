@@ -0,0 +1,66 @@
+// supabase/functions/_shared/webpush.ts
+// Sending Web Push to a saved subscription (an owner's device or a
+// customer's), signed with the VAPID keys from Step 2 of SETUP.md.
+//
+// Secrets:
+//   VAPID_PUBLIC_KEY   same key as REACT_APP_VAPID_PUBLIC_KEY
+//   VAPID_PRIVATE_KEY
+//   VAPID_SUBJECT      how push services can reach you, e.g. mailto:you@yourshop.com
+import webPush from "npm:web-push@3"
+
+webPush.setVapidDetails(
+  Deno.env.get("VAPID_SUBJECT") ?? "mailto:you@youremail.com",
+  Deno.env.get("VAPID_PUBLIC_KEY")!,
+  Deno.env.get("VAPID_PRIVATE_KEY")!,
+)
+
+// The browsers' push services (Chrome, Firefox, Safari, Edge). Anything
+// else is never sent to, so a stored endpoint can't point this function
+// at another server. Keep in step with subscribe_order_push().
+const PUSH_HOSTS = [/^fcm\.googleapis\.com$/, /^updates\.push\.services\.mozilla\.com$/, /\.push\.apple\.com$/, /\.notify\.windows\.com$/]
+
+function isPushService(endpoint: string) {
+  try {
+    const url = new URL(endpoint)
+    return url.protocol === "https:" && !url.port && !url.username && PUSH_HOSTS.some(host => host.test(url.hostname))
+  } catch {
+    return false
+  }
+}
+
+export interface PushSubscriptionRow {
+  endpoint: string
+  p256dh:   string
+  auth:     string
+}
+
+// What service-worker.js shows
+export interface PushMessage {
+  title: string
+  body:  string
+  url:   string   // opened when the notification is tapped
+  tag?:  string   // a later push with the same tag replaces this one
+  // Buttons, and a signed token for each (see order-actions.ts)
+  actions?: { action: string; title: string }[]
+  tokens?:  Record<string, string>
+}
+
+/**
+ * Send one push. Resolves "sent", or "gone" when the browser has dropped
+ * the subscription (404/410) or it isn't a push service's, and the row
+ * should be deleted; any other failure throws.
+ */
+export async function sendPush(sub: PushSubscriptionRow, message: PushMessage): Promise<"sent" | "gone"> {
+  if (!isPushService(sub.endpoint)) return "gone"
+  try {
+    await webPush.sendNotification(
+      { endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } },
+      JSON.stringify(message),
+      { TTL: 60 * 60 },
+    )
+    return "sent"
+  } catch (err) {
+    if (err.statusCode === 404 || err.statusCode === 410) return "gone"
+    throw err
+  }
+}
@@ -0,0 +1,68 @@
+// supabase/functions/create-checkout/index.ts
+// Sends a customer to the payment provider for an order placed with
+// "Pay now". Called from the menu right after place_order(), and from
+// the tracking page's "Pay now" button if they came back without paying.
+//
+// Body: { token } — the order's tracking token, the customer's only key
+// Returns: { url } to redirect to, or { error }
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts"
+import { adminClient, corsHeaders, json } from "../_shared/http.ts"
+import { getPaymentProvider } from "../_shared/payments/index.ts"
+
+const CURRENCY = (Deno.env.get("PAYMENT_CURRENCY") ?? "usd").toLowerCase()
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders })
+
+  try {
+    const { token } = await req.json()
+    const db = adminClient()
+
+    const { data: order } = await db
+      .from("orders")
+      .select("id, status, total, tip, payment_status, payment_session_id, tracking_token, businesses(name)")
+      .eq("tracking_token", token)
+      .maybeSingle()
+
+    if (!order) return json({ error: "We couldn't find that order." }, 404)
+    if (order.payment_status === "paid") return json({ error: "This order is already paid." }, 409)
+    if (order.payment_status !== "awaiting" || order.status !== "pending") {
+      return json({ error: "This order can't be paid online any more." }, 409)
+    }
+
+    const provider = getPaymentProvider()
+
+    // Came back to the tracking page: reuse the checkout if it's still open
+    if (order.payment_session_id) {
+      const existing = await provider.getCheckout(order.payment_session_id)
+      if (existing.status === "open") return json({ url: existing.url })
+      if (existing.status === "complete") {
+        return json({ error: "Your payment went through — we're just confirming it." }, 409)
+      }
+    }
+
+    const site = (Deno.env.get("SITE_URL") ?? req.headers.get("Origin") ?? "").replace(/\/+$/, "")
+    const trackUrl = `${site}/track/${order.tracking_token}`
+
+    const checkout = await provider.createCheckout({
+      orderId:     order.id,
+      // The tip is paid along with the order. Two-decimal currencies
+      // only; zero-decimal ones (e.g. JPY) would need no ×100
+      amount:      Math.round((Number(order.total) + Number(order.tip)) * 100),
+      currency:    CURRENCY,
+      description: `${order.businesses.name} — order #${order.id.slice(-6).toUpperCase()}`,
+      successUrl:  `${trackUrl}?paid=1`,
+      cancelUrl:   `${trackUrl}?payment=cancelled`,
+    })
+
+    await db
+      .from("orders")
+      .update({ payment_provider: provider.name, payment_session_id: checkout.id })
+      .eq("id", order.id)
+
+    return json({ url: checkout.url })
+  } catch (err) {
+    console.error(err)
+    return json({ error: "Couldn't start the payment — please try again." }, 500)
+  }
+})
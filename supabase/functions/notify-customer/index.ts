@@ -0,0 +1,47 @@
+// supabase/functions/notify-customer/index.ts
+// Pushes "your order is ready!" to the devices a customer opted in on.
+// The database calls this when an order turns ready (see CUSTOMER PUSH
+// in the schema); nobody else may, so it checks for the service role key.
+//
+// Body: { orderId }
+// Returns: { sent, gone }
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts"
+import { adminClient, isServiceRole, json } from "../_shared/http.ts"
+import { sendPush } from "../_shared/webpush.ts"
+
+serve(async (req) => {
+  if (!isServiceRole(req)) return new Response("Forbidden", { status: 403 })
+
+  const { orderId } = await req.json()
+  const db = adminClient()
+
+  const { data: order } = await db
+    .from("orders")
+    .select("id, status, tracking_token, businesses(name), order_push_subscriptions(id, endpoint, p256dh, auth)")
+    .eq("id", orderId)
+    .maybeSingle()
+  // Moved on (or gone) before we got here — nothing worth saying
+  if (order?.status !== "ready") return json({ sent: 0, gone: 0 })
+
+  const reference = `#${order.id.slice(-8).toUpperCase()}`
+  const message = {
+    title: "Your order is ready! 🎉",
+    body:  `${reference} is waiting for you at ${order.businesses?.name ?? "the counter"}.`,
+    url:   `/track/${order.tracking_token}`,
+    tag:   `order-${order.id}`,
+  }
+
+  let sent = 0
+  const gone: string[] = []
+  for (const sub of order.order_push_subscriptions ?? []) {
+    try {
+      if (await sendPush(sub, message) === "gone") gone.push(sub.id)
+      else sent++
+    } catch (err) {
+      console.error(`Push to ${sub.endpoint} failed: ${err.message}`)
+    }
+  }
+
+  if (gone.length) await db.from("order_push_subscriptions").delete().in("id", gone)
+  return json({ sent, gone: gone.length })
+})
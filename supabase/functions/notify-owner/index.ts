@@ -0,0 +1,75 @@
+// supabase/functions/notify-owner/index.ts
+// Pushes each new order to the devices of the business's team
+// (push_subscriptions). The database calls this when an order comes in
+// (see OWNER PUSH in the schema); nobody else may, so it checks for the
+// service role key. Devices the push service no longer knows (404/410)
+// are forgotten.
+//
+// Each order gets its own notification, with its reference and items
+// and buttons to start preparing it or mark it ready without opening
+// the app (see order-action), signed for the team member each device
+// belongs to. Each order is only announced once: it's marked
+// (owner_notified_at) before the pushes go out.
+//
+// Body: { orderId }
+// Returns: { sent, gone }
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts"
+import { adminClient, isServiceRole, json } from "../_shared/http.ts"
+import { orderActions } from "../_shared/order-actions.ts"
+import { sendPush } from "../_shared/webpush.ts"
+
+serve(async (req) => {
+  if (!isServiceRole(req)) return new Response("Forbidden", { status: 403 })
+
+  const { orderId } = await req.json()
+  const db = adminClient()
+
+  const { data: found } = await db
+    .from("orders")
+    .select("id")
+    .eq("id", orderId)
+    .maybeSingle()
+  if (!found) return json({ error: "Order not found." }, 404)
+
+  // Claim the order before pushing it, so a repeated request can't
+  // announce it twice
+  const { data: order } = await db
+    .from("orders")
+    .update({ owner_notified_at: new Date().toISOString() })
+    .eq("id", orderId)
+    .is("owner_notified_at", null)
+    .select("id, business_id, status, customer_name, total, tip, order_items(name, quantity)")
+    .maybeSingle()
+  if (!order) return json({ error: "Order already announced." }, 409)
+
+  const { data: subs } = await db
+    .from("push_subscriptions")
+    .select("id, user_id, endpoint, p256dh, auth")
+    .eq("business_id", order.business_id)
+
+  const items = (order.order_items ?? [])
+    .map((i: { name: string; quantity: number }) => `${i.quantity}× ${i.name}`)
+    .join(", ")
+  const amount = (Number(order.total) + Number(order.tip)).toFixed(2)
+  const message = {
+    title: `🛒 #${order.id.slice(-6).toUpperCase()} — ${order.customer_name}`,
+    body:  `${items} · $${amount}`,
+    url:   "/dashboard",
+    tag:   `new-order-${order.id}`,
+  }
+
+  let sent = 0
+  const gone: string[] = []
+  for (const sub of subs ?? []) {
+    try {
+      const buttons = await orderActions(order.id, order.status, sub.user_id)
+      if (await sendPush(sub, { ...message, ...buttons }) === "gone") gone.push(sub.id)
+      else sent++
+    } catch (err) {
+      console.error(`Push to ${sub.endpoint} failed: ${err.message}`)
+    }
+  }
+
+  if (gone.length) await db.from("push_subscriptions").delete().in("id", gone)
+  return json({ sent, gone: gone.length })
+})
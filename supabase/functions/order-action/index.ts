@@ -0,0 +1,60 @@
+// supabase/functions/order-action/index.ts
+// The buttons on a new-order push land here, from the service worker.
+// Nobody is signed in, so deploy it with --no-verify-jwt; the signed
+// token notify-owner put in the push is checked instead (see
+// _shared/order-actions.ts).
+//
+// Body: { token }
+// Returns: { status, actions, tokens } — the order's new status and the
+// buttons to show next — or { error, status } if the order has already
+// moved on.
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts"
+import { adminClient, corsHeaders, json } from "../_shared/http.ts"
+import { orderActions, verifyOrderAction } from "../_shared/order-actions.ts"
+
+const LABELS: Record<string, string> = {
+  pending: "still pending", preparing: "being prepared", ready: "ready", fulfilled: "picked up", cancelled: "cancelled",
+}
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders })
+
+  try {
+    const { token } = await req.json()
+    const action = await verifyOrderAction(String(token ?? ""))
+    if (!action) return json({ error: "This button has expired — open the dashboard instead." }, 403)
+
+    const db = adminClient()
+    // The token outlives a team member's access, so check they still
+    // have it — whoever was removed from the team loses the buttons too
+    const { data: order } = await db.from("orders").select("business_id").eq("id", action.orderId).maybeSingle()
+    if (!order) return json({ error: "This order no longer exists." }, 404)
+    const { data: member } = await db
+      .from("business_members")
+      .select("id")
+      .eq("business_id", order.business_id)
+      .eq("user_id", action.userId)
+      .maybeSingle()
+    if (!member) return json({ error: "You're no longer on this shop's team." }, 403)
+
+    // Only from the status the button was made for, so a second tap (or
+    // a change on the dashboard meanwhile) can't push it further along
+    const { data: updated } = await db
+      .from("orders")
+      .update({ status: action.to })
+      .eq("id", action.orderId)
+      .eq("status", action.from)
+      .select("id")
+
+    if (!updated?.length) {
+      const { data: current } = await db.from("orders").select("status").eq("id", action.orderId).maybeSingle()
+      const status = current?.status ?? "cancelled"
+      return json({ error: `This order is already ${LABELS[status] ?? status}.`, status }, 409)
+    }
+
+    return json({ status: action.to, ...(await orderActions(action.orderId, action.to, action.userId)) })
+  } catch (err) {
+    console.error(err)
+    return json({ error: "Couldn't update the order — open the dashboard instead." }, 500)
+  }
+})
@@ -0,0 +1,88 @@
+// supabase/functions/payment-webhook/index.ts
+// The payment provider calls this when a checkout is paid or expires.
+// It isn't signed in, so deploy it with --no-verify-jwt; the provider's
+// own signature is checked instead.
+//
+// Paid      → the order becomes 'paid' and shows up on the dashboard.
+//             If it was cancelled meanwhile (or already paid through
+//             another checkout), the money goes straight back.
+// Expired   → an order still waiting on that checkout is cancelled,
+//             which puts its stock back.
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts"
+import { adminClient } from "../_shared/http.ts"
+import { getPaymentProvider } from "../_shared/payments/index.ts"
+
+serve(async (req) => {
+  const provider = getPaymentProvider()
+
+  let event
+  try {
+    event = await provider.parseWebhook(req)
+  } catch (err) {
+    console.warn(`Rejected webhook: ${err.message}`)
+    return new Response("Bad signature", { status: 400 })
+  }
+
+  const db = adminClient()
+
+  try {
+    if (event.type === "paid") {
+      const { data: order } = await db
+        .from("orders")
+        .select("id, status, payment_status, payment_ref")
+        .eq("id", event.orderId)
+        .maybeSingle()
+
+      // Providers retry webhooks, so the same payment can arrive twice
+      if (order?.payment_ref === event.paymentRef) return new Response("ok")
+
+      const { data: updated } = await db
+        .from("orders")
+        .update({
+          payment_status:     "paid",
+          payment_provider:   provider.name,
+          payment_session_id: event.sessionId,
+          payment_ref:        event.paymentRef,
+          paid_at:            new Date().toISOString(),
+        })
+        .eq("id", event.orderId)
+        .eq("payment_status", "awaiting")
+        .neq("status", "cancelled")
+        .select("id")
+
+      if (!updated?.length) {
+        await provider.refund(event.paymentRef)
+        console.log(`Refunded payment ${event.paymentRef} for order ${event.orderId} — no longer payable`)
+
+        // Keep a record on the order, unless it's paid through another checkout
+        if (order && order.payment_status !== "paid") {
+          await db
+            .from("orders")
+            .update({
+              payment_status:   "refunded",
+              payment_provider: provider.name,
+              payment_ref:      event.paymentRef,
+              refunded_at:      new Date().toISOString(),
+            })
+            .eq("id", order.id)
+        }
+      }
+    }
+
+    if (event.type === "expired") {
+      await db
+        .from("orders")
+        .update({ status: "cancelled", cancelled_at: new Date().toISOString(), cancel_reason: "Payment not completed" })
+        .eq("id", event.orderId)
+        .eq("payment_session_id", event.sessionId)
+        .eq("payment_status", "awaiting")
+        .eq("status", "pending")
+    }
+
+    return new Response("ok")
+  } catch (err) {
+    // A 500 makes the provider retry later
+    console.error(err)
+    return new Response("Webhook failed", { status: 500 })
+  }
+})
@@ -0,0 +1,50 @@
+// supabase/functions/refund-order/index.ts
+// Refund an order that was paid online, from the dashboard. Owners and
+// managers only — the caller's own session decides, checked the same
+// way RLS does.
+//
+// Body: { orderId }
+// Returns: { ok: true } or { error }
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts"
+import { adminClient, corsHeaders, json, userClient } from "../_shared/http.ts"
+import { getPaymentProvider } from "../_shared/payments/index.ts"
+
+serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders })
+
+  try {
+    const { orderId } = await req.json()
+    const caller = userClient(req)
+
+    // Read through RLS: only the business's team can see the order at all
+    const { data: order } = await caller
+      .from("orders")
+      .select("id, business_id, payment_status, payment_provider, payment_ref")
+      .eq("id", orderId)
+      .maybeSingle()
+    if (!order) return json({ error: "Order not found." }, 404)
+
+    const { data: allowed } = await caller.rpc("has_business_role", {
+      p_business_id: order.business_id,
+      p_roles: ["owner", "manager"],
+    })
+    if (!allowed) return json({ error: "Only owners and managers can give refunds." }, 403)
+
+    if (order.payment_status === "refunded") return json({ error: "This order has already been refunded." }, 409)
+    if (order.payment_status !== "paid" || !order.payment_ref) {
+      return json({ error: "This order wasn't paid online." }, 409)
+    }
+
+    await getPaymentProvider(order.payment_provider ?? undefined).refund(order.payment_ref)
+
+    await adminClient()
+      .from("orders")
+      .update({ payment_status: "refunded", refunded_at: new Date().toISOString() })
+      .eq("id", order.id)
+
+    return json({ ok: true })
+  } catch (err) {
+    console.error(err)
+    return json({ error: "The refund didn't go through — please try again or refund from your payment provider's dashboard." }, 500)
+  }
+})
@@ -0,0 +1,74 @@
+// supabase/functions/send-customer-messages/index.ts
+// Delivers queued customer texts and emails ("your order is ready")
+// and records how each went in customer_messages, the delivery log the
+// admin shows. The database calls this whenever it queues messages and
+// every few minutes to retry (see CUSTOMER MESSAGES — SENDING in the
+// schema); nobody else may, so it checks for the service role key.
+//
+// Secrets: SITE_URL (for the {{link}} to the tracking page), plus the
+// provider ones listed in _shared/messaging/.
+//
+// Returns: { sent, failed }
+import { serve } from "https://deno.land/std@0.177.0/http/server.ts"
+import { adminClient, isServiceRole, json } from "../_shared/http.ts"
+import { getMessageProvider } from "../_shared/messaging/index.ts"
+
+const MAX_ATTEMPTS = 3
+const BATCH_SIZE   = 50
+
+serve(async (req) => {
+  if (!isServiceRole(req)) {
+    return new Response("Forbidden", { status: 403 })
+  }
+
+  const db = adminClient()
+  const site = (Deno.env.get("SITE_URL") ?? "").replace(/\/+$/, "")
+  let sent = 0
+  let failed = 0
+
+  const { data: queued, error } = await db
+    .from("customer_messages")
+    .select("id")
+    .eq("status", "queued")
+    .order("created_at")
+    .limit(BATCH_SIZE)
+  if (error) {
+    console.error(error)
+    return json({ error: error.message }, 500)
+  }
+
+  for (const { id } of queued ?? []) {
+    // Claim it first, so a second run at the same time skips it
+    const { data: message } = await db
+      .from("customer_messages")
+      .update({ status: "sending", attempted_at: new Date().toISOString() })
+      .eq("id", id)
+      .eq("status", "queued")
+      .select("*, orders(tracking_token)")
+      .maybeSingle()
+    if (!message) continue
+
+    const link = site && message.orders ? `${site}/track/${message.orders.tracking_token}` : ""
+    const body = message.body.replaceAll("{{link}}", link).trim()
+    const attempts = message.attempts + 1
+
+    try {
+      const provider = getMessageProvider(message.channel)
+      const ref = await provider.send({ channel: message.channel, to: message.recipient, subject: message.subject, body })
+      await db
+        .from("customer_messages")
+        .update({ status: "sent", body, attempts, provider: provider.name, provider_ref: ref, error: null, sent_at: new Date().toISOString() })
+        .eq("id", id)
+      sent++
+    } catch (err) {
+      console.error(`Message ${id} (attempt ${attempts}): ${err.message}`)
+      await db
+        .from("customer_messages")
+        .update({ status: attempts >= MAX_ATTEMPTS ? "failed" : "queued", attempts, error: err.message })
+        .eq("id", id)
+      failed++
+    }
+  }
+
+  return json({ sent, failed })
+})
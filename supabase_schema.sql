@@ -18,9 +18,68 @@ create table businesses (
   logo_url      text,
   slug          text unique not null,   -- used in the public URL  e.g. /order/my-cafe
   accent_color  text default '#f97316', -- owner can brand their page
+  timezone      text not null default 'UTC', -- opening hours are in this zone
+  ordering_paused boolean not null default false, -- "pause new orders" switch for rush periods
+  slot_minutes    int not null default 15 check (slot_minutes between 5 and 120), -- pickup slot length
+  slot_max_orders int check (slot_max_orders > 0),  -- null = no limit
+  slot_max_items  int check (slot_max_items > 0),   -- null = no limit
+  restocked_on    date,                  -- last daily stock reset (business-local date)
+  payment_mode    text not null default 'off' check (payment_mode in ('off', 'optional', 'required')), -- online prepayment at checkout
+  -- Tax and fees, applied by place_order()
+  tax_rate        numeric(6,3) not null default 0 check (tax_rate between 0 and 100), -- % on items; categories can override
+  prices_include_tax  boolean not null default false, -- menu prices already include tax (VAT) vs. added at checkout (sales tax)
+  service_fee_percent numeric(5,2) not null default 0 check (service_fee_percent between 0 and 100), -- % of the subtotal
+  packaging_fee   numeric(10,2) not null default 0 check (packaging_fee >= 0), -- flat, per order
+  -- Tips at checkout: the preset percentages offered (customers can
+  -- also enter their own amount or skip it)
+  tipping_enabled boolean not null default false,
+  tip_presets     int[] not null default '{10,15,20}'
+                  check (cardinality(tip_presets) <= 4 and 0 < all(tip_presets) and 100 >= all(tip_presets)),
   created_at    timestamptz default now()
 );
 
+-- ────────────────────────────────────────────────────────────
+-- OPENING HOURS
+-- Weekly hours (a day can have several ranges, e.g. a lunch break)
+-- plus whole-day closures for holidays. A business with no hours
+-- set at all is treated as always open.
+-- ────────────────────────────────────────────────────────────
+create table business_hours (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid references businesses(id) on delete cascade,
+  weekday      int not null check (weekday between 0 and 6),  -- 0 = Sunday
+  opens_at     time not null,
+  closes_at    time not null,
+  check (closes_at > opens_at)
+);
+
+create table business_closures (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid references businesses(id) on delete cascade,
+  closed_on    date not null,
+  note         text,            -- e.g. "Christmas Day"
+  unique (business_id, closed_on)
+);
+
+-- ────────────────────────────────────────────────────────────
+-- CATEGORIES
+-- Menu sections, e.g. "Drinks". Hidden categories (and everything
+-- in them) are left off the customer menu.
+-- ────────────────────────────────────────────────────────────
+create table categories (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid references businesses(id) on delete cascade,
+  name         text not null,
+  description  text,
+  sort_order   int default 0,
+  visible      boolean not null default true,
+  tax_rate     numeric(6,3) check (tax_rate between 0 and 100), -- null = the business's rate
+  created_at   timestamptz default now()
+);
+
+-- "Drinks" and "drinks " are the same category
+create unique index categories_business_name on categories (business_id, lower(trim(name)));
+
 -- ────────────────────────────────────────────────────────────
 -- PRODUCTS
 -- Items the business sells. Images stored in Supabase Storage.
@@ -32,12 +91,69 @@ create table products (
   description   text,
   price         numeric(10,2) not null,
   image_url     text,
-  category      text default 'General',
+  category_id   uuid references categories(id) on delete set null,  -- null = uncategorised
   available     boolean default true,
   sort_order    int default 0,
+  stock         int check (stock >= 0),        -- null = not tracked; 0 = sold out
+  restock_to    int check (restock_to >= 0),   -- daily reset level; null = no auto restock
   created_at    timestamptz default now()
 );
 
+-- ────────────────────────────────────────────────────────────
+-- MODIFIERS
+-- Choices a customer makes on a product, e.g. "Size" (pick exactly
+-- one of Small/Medium/Large) or "Extras" (pick any). Options can
+-- add to or take away from the product's base price.
+-- ────────────────────────────────────────────────────────────
+create table modifier_groups (
+  id          uuid primary key default uuid_generate_v4(),
+  product_id  uuid references products(id) on delete cascade,
+  name        text not null,
+  min_select  int not null default 0,   -- 1 or more makes the group required
+  max_select  int,                      -- null = no limit
+  sort_order  int default 0,
+  check (min_select >= 0 and (max_select is null or max_select >= greatest(min_select, 1)))
+);
+
+create table modifier_options (
+  id           uuid primary key default uuid_generate_v4(),
+  group_id     uuid references modifier_groups(id) on delete cascade,
+  name         text not null,
+  price_delta  numeric(10,2) not null default 0,  -- e.g. 0.60 for oat milk
+  sort_order   int default 0
+);
+
+-- ────────────────────────────────────────────────────────────
+-- PROMO CODES
+-- Discounts customers enter at checkout. Owners set them up in the
+-- admin; place_order() checks and applies them (see PROMO CODES —
+-- CHECKS below). Codes are matched case-insensitively.
+-- ────────────────────────────────────────────────────────────
+create table promo_codes (
+  id            uuid primary key default uuid_generate_v4(),
+  business_id   uuid references businesses(id) on delete cascade,
+  code          text not null,          -- what customers type, e.g. "EARLYBIRD"
+  description   text,                   -- owner's note, e.g. "10% off before 9am"
+  kind          text not null check (kind in ('percent', 'fixed')),
+  amount        numeric(10,2) not null check (amount > 0), -- % off, or $ off
+  -- Only these products/categories count towards the discount; both
+  -- empty = the whole order
+  product_ids   uuid[] not null default '{}',
+  category_ids  uuid[] not null default '{}',
+  min_spend     numeric(10,2) check (min_spend > 0),  -- order subtotal needed; null = none
+  starts_on     date,                   -- business-local dates, inclusive; null = open-ended
+  ends_on       date,
+  daily_from    time,                   -- business-local time of day, e.g. only before 09:00
+  daily_until   time,
+  max_uses      int check (max_uses > 0), -- null = unlimited
+  used_count    int not null default 0,   -- orders using it; cancelled orders give theirs back
+  active        boolean not null default true,
+  created_at    timestamptz default now(),
+  check (kind = 'fixed' or amount <= 100)
+);
+
+create unique index promo_codes_business_code on promo_codes (business_id, lower(code));
+
 -- ────────────────────────────────────────────────────────────
 -- ORDERS
 -- One row per customer order.
@@ -48,11 +164,42 @@ create table orders (
   customer_name   text not null,
   customer_note   text,
   status          text default 'pending' check (status in ('pending','preparing','ready','fulfilled','cancelled')),
+  -- What the customer pays, itemised. With tax-inclusive prices the
+  -- tax is already part of the subtotal and isn't added again.
+  subtotal        numeric(10,2) not null default 0, -- items at menu prices
+  tax             numeric(10,2) not null default 0,
+  tax_included    boolean not null default false,
+  service_fee     numeric(10,2) not null default 0,
+  packaging_fee   numeric(10,2) not null default 0,
+  promo_code_id   uuid references promo_codes(id) on delete set null,
+  promo_code      text,                 -- snapshot of the code used
+  discount        numeric(10,2) not null default 0, -- off the subtotal, before tax
   total           numeric(10,2) not null,
+  tip             numeric(10,2) not null default 0 check (tip >= 0), -- paid on top of the total; for the staff, not revenue
+  pickup_at       timestamptz,          -- requested pickup slot; null = ASAP
+  tracking_token  uuid unique not null default uuid_generate_v4(), -- secret for the customer's /track link
   created_at      timestamptz default now(),
-  fulfilled_at    timestamptz
+  fulfilled_at    timestamptz,
+  cancelled_at    timestamptz,
+  cancel_reason   text,                 -- shown to the customer, e.g. "Out of oat milk"
+  -- Where to tell the customer their order is ready (or cancelled).
+  -- Only kept when they ticked the consent box at checkout.
+  notify_phone    text,                 -- digits with an optional leading +
+  notify_email    text,
+  notify_consent_at timestamptz,
+  -- Online payment. 'awaiting' orders are still at the provider's
+  -- checkout and stay off the dashboard until the webhook marks them paid.
+  payment_status  text not null default 'unpaid' check (payment_status in ('unpaid', 'awaiting', 'paid', 'refunded')),
+  payment_provider   text,             -- e.g. 'stripe'
+  payment_session_id text,             -- the provider's checkout session
+  payment_ref     text,                 -- the provider's payment id, used for refunds
+  paid_at         timestamptz,
+  refunded_at     timestamptz,
+  owner_notified_at timestamptz         -- when notify-owner pushed it to the team; it only does so once
 );
 
+create index orders_payment_session on orders (payment_session_id) where payment_session_id is not null;
+
 -- ────────────────────────────────────────────────────────────
 -- ORDER ITEMS
 -- Line items belonging to an order.
@@ -62,81 +209,1864 @@ create table order_items (
   order_id    uuid references orders(id) on delete cascade,
   product_id  uuid references products(id) on delete set null,
   name        text not null,   -- snapshot of product name at time of order
-  price       numeric(10,2) not null,
-  quantity    int not null default 1
+  price       numeric(10,2) not null,  -- unit price, including chosen options
+  quantity    int not null default 1,
+  options     jsonb not null default '[]', -- snapshot: [{ "group": "Milk", "name": "Oat", "price_delta": 0.60 }]
+  tax_rate    numeric(6,3) not null default 0  -- % applied to this line
+);
+
+-- ────────────────────────────────────────────────────────────
+-- CUSTOMER MESSAGES
+-- Texts and emails to customers who asked to hear when their order is
+-- ready or cancelled. The database queues them (see CUSTOMER MESSAGES
+-- — SENDING below) and the send-customer-messages edge function
+-- delivers them, so this table doubles as the delivery log.
+-- ────────────────────────────────────────────────────────────
+-- The owner's wording. A missing row means the built-in default
+-- (default_message_template()). Placeholders: {{name}}, {{shop}},
+-- {{order}}, {{reason}} (cancellations) and {{link}} (tracking page).
+create table message_templates (
+  business_id  uuid references businesses(id) on delete cascade,
+  event        text not null check (event in ('ready', 'cancelled')),
+  channel      text not null check (channel in ('sms', 'email')),
+  subject      text,                    -- email only
+  body         text not null,
+  enabled      boolean not null default true,
+  updated_at   timestamptz default now(),
+  primary key (business_id, event, channel)
+);
+
+create table customer_messages (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid references businesses(id) on delete cascade,
+  order_id     uuid references orders(id) on delete cascade,
+  event        text not null,           -- 'ready' | 'cancelled'
+  channel      text not null,           -- 'sms' | 'email'
+  recipient    text not null,
+  subject      text,
+  body         text not null,           -- final text once sent
+  status       text not null default 'queued' check (status in ('queued', 'sending', 'sent', 'failed')),
+  attempts     int not null default 0,
+  attempted_at timestamptz,             -- start of the latest attempt
+  provider     text,                    -- e.g. 'twilio', 'local'
+  provider_ref text,                    -- the provider's message id
+  error        text,                    -- why the last attempt failed
+  created_at   timestamptz default now(),
+  sent_at      timestamptz
+);
+
+create index customer_messages_business on customer_messages (business_id, created_at desc);
+create index customer_messages_queued on customer_messages (created_at) where status = 'queued';
+
+-- What the "local" provider sends: a pretend inbox for trying messages
+-- without an SMS or email account. Browse it in the Table Editor.
+create table local_inbox (
+  id          uuid primary key default uuid_generate_v4(),
+  channel     text not null,
+  recipient   text not null,
+  subject     text,
+  body        text not null,
+  created_at  timestamptz default now()
 );
 
 -- ────────────────────────────────────────────────────────────
 -- PUSH SUBSCRIPTIONS
--- Web Push endpoint stored per owner device.
+-- Web Push endpoint stored per team member's device and location — a
+-- phone following two locations has a row for each. The rows go when
+-- the member leaves the team.
 -- ────────────────────────────────────────────────────────────
 create table push_subscriptions (
   id           uuid primary key default uuid_generate_v4(),
   business_id  uuid references businesses(id) on delete cascade,
-  endpoint     text not null unique,
+  user_id      uuid not null default auth.uid() references auth.users(id) on delete cascade, -- who turned alerts on
+  endpoint     text not null,
   p256dh       text not null,
   auth         text not null,
-  created_at   timestamptz default now()
+  created_at   timestamptz default now(),
+  unique (business_id, endpoint)
 );
 
+-- ────────────────────────────────────────────────────────────
+-- ORDER PUSH SUBSCRIPTIONS
+-- A customer's device, following one order ("your order is ready!").
+-- Kept apart from the owners' devices and deleted once the order is
+-- fulfilled or cancelled. Customers only reach these through
+-- subscribe_order_push() with their tracking token.
+-- ────────────────────────────────────────────────────────────
+create table order_push_subscriptions (
+  id           uuid primary key default uuid_generate_v4(),
+  order_id     uuid not null references orders(id) on delete cascade,
+  endpoint     text not null,
+  p256dh       text not null,
+  auth         text not null,
+  created_at   timestamptz default now(),
+  unique (order_id, endpoint)
+);
+
+-- ────────────────────────────────────────────────────────────
+-- TEAM MEMBERS
+-- Who can work on a business, and as what:
+--   owner   — everything, including settings and the team
+--   manager — orders plus the menu (products, categories, stock)
+--   staff   — orders only
+-- An invite is a row with an email and no user_id yet; it's claimed
+-- by claim_invitations() when that person signs in. Deleting the row
+-- revokes access immediately.
+-- ────────────────────────────────────────────────────────────
+create table business_members (
+  id           uuid primary key default uuid_generate_v4(),
+  business_id  uuid not null references businesses(id) on delete cascade,
+  user_id      uuid references auth.users(id) on delete cascade,  -- null until the invite is accepted
+  email        text not null,
+  role         text not null default 'staff' check (role in ('owner', 'manager', 'staff')),
+  invited_by   uuid references auth.users(id) on delete set null,
+  created_at   timestamptz default now(),
+  joined_at    timestamptz
+);
+
+create unique index business_members_email on business_members (business_id, lower(email));
+
+-- Does the signed-in user hold one of these roles in the business?
+-- Security definer so policies can call it without tripping over the
+-- business_members policies themselves.
+create or replace function has_business_role(
+  p_business_id uuid,
+  p_roles       text[] default array['owner', 'manager', 'staff']
+)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from business_members
+    where business_id = p_business_id and user_id = auth.uid() and role = any(p_roles)
+  );
+$$;
+
+grant execute on function has_business_role(uuid, text[]) to authenticated;
+
 -- ────────────────────────────────────────────────────────────
 -- ROW LEVEL SECURITY
 -- ────────────────────────────────────────────────────────────
 
 alter table businesses         enable row level security;
+alter table business_hours     enable row level security;
+alter table business_closures  enable row level security;
+alter table categories         enable row level security;
 alter table products           enable row level security;
+alter table modifier_groups    enable row level security;
+alter table modifier_options   enable row level security;
 alter table orders             enable row level security;
 alter table order_items        enable row level security;
 alter table push_subscriptions enable row level security;
+alter table business_members   enable row level security;
+alter table promo_codes        enable row level security;
+alter table message_templates  enable row level security;
+alter table customer_messages  enable row level security;
+alter table local_inbox        enable row level security;
+alter table order_push_subscriptions enable row level security;
+
+-- Businesses: anyone signed in can start one; owners change or delete
+-- it; public can read by slug
+create policy "owner creates business" on businesses
+  for insert with check (auth.uid() = owner_id);
+
+create policy "owners update business" on businesses
+  for update using (has_business_role(id, array['owner']));
 
--- Businesses: owner can do everything; public can read by slug
-create policy "owner full access" on businesses
-  for all using (auth.uid() = owner_id);
+create policy "owners delete business" on businesses
+  for delete using (has_business_role(id, array['owner']));
 
 create policy "public read by slug" on businesses
   for select using (true);
 
--- Products: owner manages; customers can read available items
-create policy "owner manages products" on products
+-- Hours & closures: owners manage; public reads (the menu shows them)
+create policy "owners manage hours" on business_hours
+  for all using (has_business_role(business_id, array['owner']));
+
+create policy "public reads hours" on business_hours
+  for select using (true);
+
+create policy "owners manage closures" on business_closures
+  for all using (has_business_role(business_id, array['owner']));
+
+create policy "public reads closures" on business_closures
+  for select using (true);
+
+-- Categories: owners and managers manage; customers can read visible ones
+create policy "menu editors manage categories" on categories
+  for all using (has_business_role(business_id, array['owner', 'manager']));
+
+create policy "public reads visible categories" on categories
+  for select using (visible = true);
+
+-- Products: owners and managers manage; customers can read available
+-- items outside hidden categories
+create policy "menu editors manage products" on products
+  for all using (has_business_role(business_id, array['owner', 'manager']));
+
+create policy "public reads available products" on products
+  for select using (
+    available = true
+    and (category_id is null or exists (select 1 from categories c where c.id = category_id and c.visible))
+  );
+
+-- Modifiers: owners and managers manage; public reads
+create policy "menu editors manage modifier groups" on modifier_groups
   for all using (
-    auth.uid() = (select owner_id from businesses where id = business_id)
+    has_business_role((select business_id from products where id = product_id), array['owner', 'manager'])
   );
 
-create policy "public reads available products" on products
-  for select using (available = true);
+create policy "public reads modifier groups" on modifier_groups
+  for select using (true);
 
--- Orders: anyone can insert (customers ordering); owner reads all for their biz
-create policy "customers can place orders" on orders
-  for insert with check (true);
+create policy "menu editors manage modifier options" on modifier_options
+  for all using (
+    has_business_role((
+      select p.business_id from modifier_groups g
+      join products p on p.id = g.product_id
+      where g.id = group_id
+    ), array['owner', 'manager'])
+  );
 
-create policy "owner reads own orders" on orders
+create policy "public reads modifier options" on modifier_options
+  for select using (true);
+
+-- Orders: placed only through place_order() below; every team member
+-- reads and works them
+create policy "team reads orders" on orders
+  for select using (has_business_role(business_id));
+
+create policy "team updates orders" on orders
+  for update using (has_business_role(business_id))
+  with check (has_business_role(business_id));
+
+-- Working an order only moves its status along or cancels it. Totals,
+-- tips, promo codes and payment state are set by place_order() and the
+-- payment edge functions, never by the team's browsers.
+revoke update on orders from anon, authenticated;
+grant update (status, fulfilled_at, cancelled_at, cancel_reason) on orders to authenticated;
+
+-- Order items: written by place_order(); team reads
+create policy "team reads items" on order_items
   for select using (
-    auth.uid() = (select owner_id from businesses where id = business_id)
+    has_business_role((select business_id from orders where id = order_id))
   );
 
-create policy "owner updates own orders" on orders
-  for update using (
-    auth.uid() = (select owner_id from businesses where id = business_id)
+-- Push subscriptions: any team member's device can get order alerts,
+-- saved under whoever turned them on
+create policy "team manages push" on push_subscriptions
+  for all using (has_business_role(business_id))
+  with check (user_id = auth.uid() and has_business_role(business_id));
+
+-- Team: owners manage the whole team; everyone can see their own rows
+create policy "owners manage team" on business_members
+  for all using (has_business_role(business_id, array['owner']));
+
+create policy "members read own membership" on business_members
+  for select using (user_id = auth.uid());
+
+-- Promo codes: owners only. Customers never read them directly — they
+-- go through check_promo_code(), so codes can't be listed.
+create policy "owners manage promo codes" on promo_codes
+  for all using (has_business_role(business_id, array['owner']));
+
+-- Customer messages: owners word them; owners and managers see the
+-- delivery log. Only the database and the sender write the log, and
+-- local_inbox has no policies at all (service role only).
+create policy "owners manage message templates" on message_templates
+  for all using (has_business_role(business_id, array['owner']));
+
+create policy "managers read message log" on customer_messages
+  for select using (has_business_role(business_id, array['owner', 'manager']));
+
+-- ────────────────────────────────────────────────────────────
+-- TEAM — INVITES & OWNERSHIP
+-- ────────────────────────────────────────────────────────────
+-- Whoever creates a business becomes its first owner.
+create or replace function add_business_owner()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into business_members (business_id, user_id, email, role, joined_at)
+  select new.id, new.owner_id, u.email, 'owner', now()
+  from auth.users u
+  where u.id = new.owner_id;
+  return new;
+end;
+$$;
+
+create trigger businesses_add_owner
+  after insert on businesses
+  for each row execute function add_business_owner();
+
+-- Never let a business lose its last owner (unless the business itself
+-- is being deleted).
+create or replace function keep_business_owner()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if old.role = 'owner' and old.user_id is not null
+     and (tg_op = 'DELETE' or new.role <> 'owner')
+     and exists (select 1 from businesses where id = old.business_id)
+     and not exists (
+       select 1 from business_members
+       where business_id = old.business_id and role = 'owner' and user_id is not null and id <> old.id
+     ) then
+    raise exception 'A business needs at least one owner.';
+  end if;
+  return coalesce(new, old);
+end;
+$$;
+
+create trigger business_members_keep_owner
+  before update or delete on business_members
+  for each row execute function keep_business_owner();
+
+-- Someone who leaves the team stops getting its order alerts (and
+-- their buttons stop working, see order-action).
+create or replace function remove_member_push()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from push_subscriptions where business_id = old.business_id and user_id = old.user_id;
+  return old;
+end;
+$$;
+
+create trigger business_members_remove_push
+  after delete on business_members
+  for each row execute function remove_member_push();
+
+-- Called after sign-in: link any invites sent to this user's email.
+-- Only once the address is confirmed, or anyone could sign up with it.
+create or replace function claim_invitations()
+returns int
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_claimed int;
+begin
+  update business_members
+  set user_id = auth.uid(), joined_at = now()
+  where user_id is null
+    and lower(email) = (
+      select lower(email) from auth.users
+      where id = auth.uid() and email_confirmed_at is not null
+    );
+  get diagnostics v_claimed = row_count;
+  return v_claimed;
+end;
+$$;
+
+grant execute on function claim_invitations() to authenticated;
+
+-- ────────────────────────────────────────────────────────────
+-- OPENING HOURS — CHECKS
+-- ────────────────────────────────────────────────────────────
+-- Is the business open at the given moment? Paused counts as closed.
+create or replace function is_open_for_orders(p_business_id uuid, p_at timestamptz default now())
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select not b.ordering_paused
+     and not exists (
+       select 1 from business_closures c
+       where c.business_id = b.id
+         and c.closed_on = (p_at at time zone b.timezone)::date
+     )
+     and (
+       not exists (select 1 from business_hours h where h.business_id = b.id)
+       or exists (
+         select 1 from business_hours h
+         where h.business_id = b.id
+           and h.weekday = extract(dow from p_at at time zone b.timezone)
+           and (p_at at time zone b.timezone)::time >= h.opens_at
+           and (p_at at time zone b.timezone)::time <  h.closes_at
+       )
+     )
+  from businesses b
+  where b.id = p_business_id;
+$$;
+
+grant execute on function is_open_for_orders(uuid, timestamptz) to anon, authenticated;
+
+-- Replace a business's weekly hours and closures in one go (used by
+-- the admin settings). Runs with the caller's rights, so RLS applies.
+create or replace function set_business_hours(
+  p_business_id uuid,
+  p_timezone    text,
+  p_hours       jsonb,   -- [{ "weekday": 1, "opens_at": "07:00", "closes_at": "15:00" }]
+  p_closures    jsonb    -- [{ "closed_on": "2025-12-25", "note": "Christmas Day" }]
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from pg_timezone_names where name = p_timezone) then
+    raise exception 'Unknown time zone: %', p_timezone;
+  end if;
+
+  update businesses set timezone = p_timezone where id = p_business_id;
+
+  delete from business_hours where business_id = p_business_id;
+  insert into business_hours (business_id, weekday, opens_at, closes_at)
+  select p_business_id, x.weekday, x.opens_at, x.closes_at
+  from jsonb_to_recordset(coalesce(p_hours, '[]')) as x(weekday int, opens_at time, closes_at time);
+
+  delete from business_closures where business_id = p_business_id;
+  insert into business_closures (business_id, closed_on, note)
+  select p_business_id, x.closed_on, nullif(trim(x.note), '')
+  from jsonb_to_recordset(coalesce(p_closures, '[]')) as x(closed_on date, note text);
+end;
+$$;
+
+grant execute on function set_business_hours(uuid, text, jsonb, jsonb) to authenticated;
+
+-- The dashboard's pause switch. Any team member may flip it, even
+-- though only owners can edit the rest of the business row.
+create or replace function set_ordering_paused(p_business_id uuid, p_paused boolean)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not has_business_role(p_business_id) then
+    raise exception 'You don''t have access to this business.';
+  end if;
+  update businesses set ordering_paused = p_paused where id = p_business_id;
+end;
+$$;
+
+grant execute on function set_ordering_paused(uuid, boolean) to authenticated;
+
+-- ────────────────────────────────────────────────────────────
+-- PICKUP SLOTS
+-- Today's pickup slots, cut from the opening hours into slot_minutes
+-- chunks. Slots start at least one slot length from now so the shop
+-- has time to prepare. A business with no hours gets slots for the
+-- rest of the day.
+-- ────────────────────────────────────────────────────────────
+create or replace function get_pickup_slots(p_business_id uuid)
+returns table (slot_start timestamptz, order_count int, item_count int, is_full boolean)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with b as (
+    select *, (now() at time zone timezone)::date as today
+    from businesses
+    where id = p_business_id
+  ),
+  ranges as (
+    select (b.today + h.opens_at) at time zone b.timezone as opens,
+           (b.today + h.closes_at) at time zone b.timezone as closes
+    from b
+    join business_hours h on h.business_id = b.id
+    where h.weekday = extract(dow from b.today)
+    union all
+    select b.today::timestamp at time zone b.timezone,
+           (b.today + 1)::timestamp at time zone b.timezone
+    from b
+    where not exists (select 1 from business_hours h where h.business_id = b.id)
+  ),
+  slots as (
+    select distinct gs as slot_start
+    from b
+    cross join ranges r
+    cross join generate_series(
+      r.opens,
+      r.closes - make_interval(mins => b.slot_minutes),
+      make_interval(mins => b.slot_minutes)
+    ) as gs
+    where gs >= now() + make_interval(mins => b.slot_minutes)
+      and not exists (
+        select 1 from business_closures c
+        where c.business_id = b.id and c.closed_on = b.today
+      )
+  ),
+  usage as (
+    select s.slot_start,
+           count(distinct o.id)::int             as order_count,
+           coalesce(sum(i.quantity), 0)::int     as item_count
+    from slots s
+    left join orders o
+      on o.business_id = p_business_id
+     and o.pickup_at = s.slot_start
+     and o.status <> 'cancelled'
+    left join order_items i on i.order_id = o.id
+    group by s.slot_start
+  )
+  select u.slot_start, u.order_count, u.item_count,
+         (b.slot_max_orders is not null and u.order_count >= b.slot_max_orders)
+      or (b.slot_max_items  is not null and u.item_count  >= b.slot_max_items)
+  from usage u
+  cross join b
+  order by u.slot_start;
+$$;
+
+grant execute on function get_pickup_slots(uuid) to anon, authenticated;
+
+-- ────────────────────────────────────────────────────────────
+-- PROMO CODES — CHECKS
+-- ────────────────────────────────────────────────────────────
+-- Look up a code and make sure it can be used right now (dates, time
+-- of day, usage limit). Raises a message for the customer otherwise.
+-- Locks the code, so two orders can't both take its last use.
+create or replace function valid_promo_code(p_business_id uuid, p_code text)
+returns promo_codes
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_promo promo_codes%rowtype;
+  v_now   timestamp;
+  v_code  text := upper(trim(p_code));
+  v_in_hours boolean;
+begin
+  select now() at time zone timezone into v_now from businesses where id = p_business_id;
+
+  select * into v_promo
+  from promo_codes
+  where business_id = p_business_id and lower(code) = lower(trim(p_code))
+  for update;
+
+  if not found or not v_promo.active then
+    raise exception 'Sorry, % isn''t a valid code.', v_code;
+  end if;
+  if v_promo.starts_on is not null and v_now::date < v_promo.starts_on then
+    raise exception '% starts on %.', v_code, to_char(v_promo.starts_on, 'FMDD Mon');
+  end if;
+  if v_promo.ends_on is not null and v_now::date > v_promo.ends_on then
+    raise exception 'Sorry, % has expired.', v_code;
+  end if;
+  -- A window like 22:00–02:00 runs past midnight
+  v_in_hours := case
+    when v_promo.daily_from is null and v_promo.daily_until is null then true
+    when v_promo.daily_from is null then v_now::time < v_promo.daily_until
+    when v_promo.daily_until is null then v_now::time >= v_promo.daily_from
+    when v_promo.daily_from <= v_promo.daily_until then v_now::time >= v_promo.daily_from and v_now::time < v_promo.daily_until
+    else v_now::time >= v_promo.daily_from or v_now::time < v_promo.daily_until
+  end;
+  if not v_in_hours then
+    raise exception 'Sorry, % is only valid %.', v_code,
+      case
+        when v_promo.daily_from is null then 'before ' || to_char(v_promo.daily_until, 'HH24:MI')
+        when v_promo.daily_until is null then 'from ' || to_char(v_promo.daily_from, 'HH24:MI')
+        else 'from ' || to_char(v_promo.daily_from, 'HH24:MI') || ' to ' || to_char(v_promo.daily_until, 'HH24:MI')
+      end;
+  end if;
+  if v_promo.max_uses is not null and v_promo.used_count >= v_promo.max_uses then
+    raise exception 'Sorry, % has been used up.', v_code;
+  end if;
+
+  return v_promo;
+end;
+$$;
+
+-- Internal to place_order() and check_promo_code()
+revoke execute on function valid_promo_code(uuid, text) from public, anon, authenticated;
+
+-- Does the code count this product? No restrictions = everything.
+create or replace function promo_covers(p_promo promo_codes, p_product_id uuid, p_category_id uuid)
+returns boolean
+language sql
+immutable
+as $$
+  select (cardinality(p_promo.product_ids) = 0 and cardinality(p_promo.category_ids) = 0)
+      or p_product_id = any(p_promo.product_ids)
+      or coalesce(p_category_id = any(p_promo.category_ids), false);
+$$;
+
+-- The checkout's "Apply" button: the code's terms if it can be used
+-- now, so the cart can show the discount. place_order() checks again.
+create or replace function check_promo_code(p_business_id uuid, p_code text)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_promo promo_codes%rowtype;
+begin
+  v_promo := valid_promo_code(p_business_id, p_code);
+  return json_build_object(
+    'code',         upper(v_promo.code),
+    'kind',         v_promo.kind,
+    'amount',       v_promo.amount,
+    'product_ids',  v_promo.product_ids,
+    'category_ids', v_promo.category_ids,
+    'min_spend',    v_promo.min_spend
   );
+end;
+$$;
 
--- Order items: insert open; owner reads
-create policy "customers insert items" on order_items
-  for insert with check (true);
+grant execute on function check_promo_code(uuid, text) to anon, authenticated;
 
-create policy "owner reads items" on order_items
-  for select using (
-    auth.uid() = (
-      select b.owner_id from orders o
-      join businesses b on b.id = o.business_id
-      where o.id = order_id
+-- A cancelled order gives its use of the code back
+create or replace function release_promo_code()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update promo_codes set used_count = greatest(used_count - 1, 0) where id = new.promo_code_id;
+  return new;
+end;
+$$;
+
+create trigger orders_release_promo
+  after update of status on orders
+  for each row
+  when (new.status = 'cancelled' and old.status is distinct from 'cancelled' and new.promo_code_id is not null)
+  execute function release_promo_code();
+
+-- ────────────────────────────────────────────────────────────
+-- PLACING ORDERS
+-- The only way customers create orders. Prices are looked up from
+-- `products` (never trusted from the browser) and the order and its
+-- items are written in a single transaction.
+-- A promo code comes off the lines it covers before tax; tax is then
+-- worked out per line at its category's rate and rounded once for the
+-- whole order. src/lib/pricing.js mirrors this for the cart.
+-- A tip is an amount the customer chose; it's kept apart from the
+-- total and charged on top of it.
+-- ────────────────────────────────────────────────────────────
+create or replace function place_order(
+  p_business_id   uuid,
+  p_customer_name text,
+  p_customer_note text,
+  p_items         jsonb,  -- [{ "product_id": "…", "quantity": 2, "option_ids": ["…"] }, …]
+  p_pickup_at     timestamptz default null,  -- a slot from get_pickup_slots(); null = ASAP
+  p_pay_online    boolean default false,     -- pay at the provider's checkout before the shop sees it
+  p_promo_code    text default null,
+  p_tip           numeric default 0,
+  -- Only sent when the customer ticked "tell me when it's ready"
+  p_notify_consent boolean default false,
+  p_notify_phone  text default null,
+  p_notify_email  text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line    record;
+  v_product products%rowtype;
+  v_group   record;
+  v_options jsonb;
+  v_price   numeric(10,2);
+  v_lines   jsonb := '[]';
+  v_rate    numeric;
+  v_subtotal numeric(10,2) := 0;
+  v_tax     numeric(10,2);
+  v_promo   promo_codes%rowtype;
+  v_eligible numeric(10,2) := 0;      -- what the promo code covers
+  v_discount numeric(10,2) := 0;
+  v_service numeric(10,2);
+  v_total   numeric(10,2);
+  v_order   orders%rowtype;
+  v_biz     businesses%rowtype;
+  v_slot    record;
+  v_items   int := 0;
+  v_need    record;
+  v_left    int;
+  v_phone   text;
+  v_email   text;
+begin
+  select * into v_biz from businesses where id = p_business_id;
+  if not found then
+    raise exception 'This shop no longer exists.';
+  end if;
+  if v_biz.ordering_paused then
+    raise exception '% isn''t taking new orders right now — please try again in a few minutes.', v_biz.name;
+  end if;
+  if not is_open_for_orders(p_business_id) then
+    raise exception '% is closed right now.', v_biz.name;
+  end if;
+  if coalesce(trim(p_customer_name), '') = '' then
+    raise exception 'Please enter your name so we know whose order it is!';
+  end if;
+  if p_pay_online and v_biz.payment_mode = 'off' then
+    raise exception '% doesn''t take online payments.', v_biz.name;
+  end if;
+  if not p_pay_online and v_biz.payment_mode = 'required' then
+    raise exception '% asks you to pay online when you order.', v_biz.name;
+  end if;
+  if p_items is null or jsonb_typeof(p_items) <> 'array' or jsonb_array_length(p_items) = 0 then
+    raise exception 'Your cart is empty — add something first!';
+  end if;
+
+  -- Validate every line and add up the real prices
+  for v_line in
+    select x.product_id, x.quantity, coalesce(x.option_ids, '{}') as option_ids
+    from jsonb_to_recordset(p_items) as x(product_id uuid, quantity int, option_ids uuid[])
+  loop
+    if v_line.quantity is null or v_line.quantity < 1 then
+      raise exception 'Invalid quantity in your cart.';
+    end if;
+
+    select * into v_product
+    from products
+    where id = v_line.product_id and business_id = p_business_id;
+
+    if not found then
+      raise exception 'Something in your cart is no longer on the menu.';
+    end if;
+    if not v_product.available
+       or exists (select 1 from categories c where c.id = v_product.category_id and not c.visible) then
+      raise exception '% is no longer available.', v_product.name;
+    end if;
+    if v_product.stock = 0 then
+      raise exception '% just sold out.', v_product.name;
+    end if;
+
+    -- Every chosen option must belong to this product
+    if exists (
+      select 1 from unnest(v_line.option_ids) as chosen(id)
+      where not exists (
+        select 1 from modifier_options o
+        join modifier_groups g on g.id = o.group_id
+        where o.id = chosen.id and g.product_id = v_product.id
+      )
+    ) then
+      raise exception 'Some options for % are no longer available.', v_product.name;
+    end if;
+
+    -- …and each group's min/max rules must hold
+    for v_group in
+      select g.name, g.min_select, g.max_select,
+             (select count(*) from modifier_options o
+              where o.group_id = g.id and o.id = any(v_line.option_ids)) as picked
+      from modifier_groups g
+      where g.product_id = v_product.id
+    loop
+      if v_group.picked < v_group.min_select then
+        raise exception 'Please choose % for %.', lower(v_group.name), v_product.name;
+      end if;
+      if v_group.max_select is not null and v_group.picked > v_group.max_select then
+        raise exception 'Too many % choices for %.', lower(v_group.name), v_product.name;
+      end if;
+    end loop;
+
+    select coalesce(jsonb_agg(jsonb_build_object('group', g.name, 'name', o.name, 'price_delta', o.price_delta)
+                              order by g.sort_order, o.sort_order), '[]'),
+           coalesce(sum(o.price_delta), 0)
+    into v_options, v_price
+    from modifier_options o
+    join modifier_groups g on g.id = o.group_id
+    where o.id = any(v_line.option_ids);
+
+    v_price := v_product.price + v_price;
+    if v_price < 0 then v_price := 0; end if;
+
+    select coalesce((select c.tax_rate from categories c where c.id = v_product.category_id), v_biz.tax_rate)
+    into v_rate;
+
+    v_lines := v_lines || jsonb_build_object(
+      'product_id', v_product.id,
+      'name',       v_product.name,
+      'price',      v_price,
+      'quantity',   v_line.quantity,
+      'options',    v_options,
+      'tax_rate',   v_rate,
+      'category_id', v_product.category_id
+    );
+    v_subtotal := v_subtotal + v_price * v_line.quantity;
+    v_items := v_items + v_line.quantity;
+  end loop;
+
+  -- Scheduled pickup: the slot must still be offered and have room.
+  -- The lock stops two customers squeezing into the last place at once.
+  if p_pickup_at is not null then
+    perform pg_advisory_xact_lock(hashtext('pickup:' || p_business_id::text));
+
+    select * into v_slot from get_pickup_slots(p_business_id) where slot_start = p_pickup_at;
+    if not found then
+      raise exception 'That pickup time is no longer available — please pick another.';
+    end if;
+    if v_slot.is_full
+       or (v_biz.slot_max_items is not null and v_slot.item_count + v_items > v_biz.slot_max_items) then
+      raise exception 'That pickup time just filled up — please pick another.';
+    end if;
+  end if;
+
+  -- Take tracked stock. The conditional update locks each row, so two
+  -- customers can't both buy the last one.
+  for v_need in
+    select x.product_id, sum(x.quantity)::int as quantity
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, quantity int)
+    group by x.product_id
+  loop
+    update products
+    set stock = stock - v_need.quantity
+    where id = v_need.product_id and stock is not null and stock >= v_need.quantity;
+
+    if not found then
+      select stock, name into v_left, v_product.name from products where id = v_need.product_id;
+      if v_left is not null then
+        if v_left = 0 then
+          raise exception '% just sold out.', v_product.name;
+        end if;
+        raise exception 'Sorry, there are only % % left.', v_left, v_product.name;
+      end if;
+    end if;
+  end loop;
+
+  if nullif(trim(p_promo_code), '') is not null then
+    v_promo := valid_promo_code(p_business_id, p_promo_code);
+    if v_promo.min_spend is not null and v_subtotal < v_promo.min_spend then
+      raise exception 'Spend $% to use %.', v_promo.min_spend, upper(v_promo.code);
+    end if;
+
+    select coalesce(sum(x.price * x.quantity), 0) into v_eligible
+    from jsonb_to_recordset(v_lines) as x(product_id uuid, category_id uuid, price numeric, quantity int)
+    where promo_covers(v_promo, x.product_id, x.category_id);
+    if v_eligible = 0 then
+      raise exception '% doesn''t apply to anything in your cart.', upper(v_promo.code);
+    end if;
+
+    v_discount := case
+      when v_promo.kind = 'percent' then round(v_eligible * v_promo.amount / 100, 2)
+      else least(v_promo.amount, v_eligible)
+    end;
+    update promo_codes set used_count = used_count + 1 where id = v_promo.id;
+  end if;
+
+  -- Tax on what's actually paid: each covered line carries its share
+  -- of the discount
+  select round(coalesce(sum(
+           (x.price * x.quantity
+            - case when v_discount > 0 and promo_covers(v_promo, x.product_id, x.category_id)
+                   then v_discount * x.price * x.quantity / v_eligible else 0 end)
+           * x.tax_rate / (case when v_biz.prices_include_tax then 100 + x.tax_rate else 100 end)
+         ), 0), 2)
+  into v_tax
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, category_id uuid, price numeric, quantity int, tax_rate numeric);
+
+  v_service := round((v_subtotal - v_discount) * v_biz.service_fee_percent / 100, 2);
+  v_total   := v_subtotal - v_discount + v_service + v_biz.packaging_fee
+               + case when v_biz.prices_include_tax then 0 else v_tax end;
+
+  if coalesce(p_tip, 0) < 0 then
+    raise exception 'A tip can''t be negative.';
+  end if;
+  if coalesce(p_tip, 0) > 0 and not v_biz.tipping_enabled then
+    raise exception '% isn''t taking tips right now — please place your order without one.', v_biz.name;
+  end if;
+  if round(coalesce(p_tip, 0), 2) > v_total then
+    raise exception 'That tip is more than the order itself — please check the amount.';
+  end if;
+
+  if p_notify_consent then
+    v_phone := nullif(regexp_replace(coalesce(p_notify_phone, ''), '[\s().-]', '', 'g'), '');
+    v_email := nullif(lower(trim(coalesce(p_notify_email, ''))), '');
+    if v_phone is null and v_email is null then
+      raise exception 'Add a phone number or email so we can tell you when your order is ready.';
+    end if;
+    if v_phone !~ '^\+?[0-9]{7,15}$' then
+      raise exception 'That phone number doesn''t look right — please check it.';
+    end if;
+    if v_email !~ '^[^\s@]+@[^\s@]+\.[^\s@]+$' then
+      raise exception 'That email address doesn''t look right — please check it.';
+    end if;
+  end if;
+
+  insert into orders (
+    business_id, customer_name, customer_note, status, pickup_at, payment_status,
+    subtotal, tax, tax_included, service_fee, packaging_fee, promo_code_id, promo_code, discount, total, tip,
+    notify_phone, notify_email, notify_consent_at
+  )
+  values (
+    p_business_id, trim(p_customer_name), nullif(trim(p_customer_note), ''), 'pending', p_pickup_at,
+    case when p_pay_online then 'awaiting' else 'unpaid' end,
+    v_subtotal, v_tax, v_biz.prices_include_tax, v_service, v_biz.packaging_fee,
+    v_promo.id, upper(v_promo.code), v_discount, v_total, round(coalesce(p_tip, 0), 2),
+    v_phone, v_email, case when v_phone is not null or v_email is not null then now() end
+  )
+  returning * into v_order;
+
+  insert into order_items (order_id, product_id, name, price, quantity, options, tax_rate)
+  select v_order.id, x.product_id, x.name, x.price, x.quantity, x.options, x.tax_rate
+  from jsonb_to_recordset(v_lines) as x(product_id uuid, name text, price numeric, quantity int, options jsonb, tax_rate numeric);
+
+  return json_build_object(
+    'id',             v_order.id,
+    'tracking_token', v_order.tracking_token,
+    'subtotal',       v_order.subtotal,
+    'tax',            v_order.tax,
+    'tax_included',   v_order.tax_included,
+    'service_fee',    v_order.service_fee,
+    'packaging_fee',  v_order.packaging_fee,
+    'promo_code',     v_order.promo_code,
+    'discount',       v_order.discount,
+    'total',          v_order.total,
+    'tip',            v_order.tip
+  );
+end;
+$$;
+
+grant execute on function place_order(uuid, text, text, jsonb, timestamptz, boolean, text, numeric, boolean, text, text) to anon, authenticated;
+
+-- Replace a product's modifier groups and options in one go (used by
+-- the admin product editor). Groups and options sent with an id are
+-- updated in place, so carts holding their ids keep working; the rest
+-- are added, and anything left out is deleted. Runs with the caller's
+-- rights, so RLS still decides who may edit.
+create or replace function set_product_modifiers(
+  p_product_id uuid,
+  p_groups     jsonb    -- [{ "id"?, "name", "min_select", "max_select", "options": [{ "id"?, "name", "price_delta" }] }]
+)
+returns void
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_group     record;
+  v_option    record;
+  v_group_id  uuid;
+  v_option_id uuid;
+  v_groups    uuid[] := '{}';
+  v_options   uuid[] := '{}';
+begin
+  for v_group in
+    select g.value, g.ordinality - 1 as sort_order
+    from jsonb_array_elements(coalesce(p_groups, '[]')) with ordinality as g(value, ordinality)
+  loop
+    update modifier_groups set
+      name       = trim(v_group.value->>'name'),
+      min_select = coalesce((v_group.value->>'min_select')::int, 0),
+      max_select = (v_group.value->>'max_select')::int,
+      sort_order = v_group.sort_order
+    where id = (v_group.value->>'id')::uuid and product_id = p_product_id
+    returning id into v_group_id;
+
+    if v_group_id is null then
+      insert into modifier_groups (product_id, name, min_select, max_select, sort_order)
+      values (
+        p_product_id,
+        trim(v_group.value->>'name'),
+        coalesce((v_group.value->>'min_select')::int, 0),
+        (v_group.value->>'max_select')::int,
+        v_group.sort_order
+      )
+      returning id into v_group_id;
+    end if;
+    v_groups := v_groups || v_group_id;
+
+    for v_option in
+      select o.value, o.ordinality - 1 as sort_order
+      from jsonb_array_elements(coalesce(v_group.value->'options', '[]')) with ordinality as o(value, ordinality)
+    loop
+      update modifier_options set
+        name        = trim(v_option.value->>'name'),
+        price_delta = coalesce((v_option.value->>'price_delta')::numeric, 0),
+        sort_order  = v_option.sort_order
+      where id = (v_option.value->>'id')::uuid and group_id = v_group_id
+      returning id into v_option_id;
+
+      if v_option_id is null then
+        insert into modifier_options (group_id, name, price_delta, sort_order)
+        values (
+          v_group_id,
+          trim(v_option.value->>'name'),
+          coalesce((v_option.value->>'price_delta')::numeric, 0),
+          v_option.sort_order
+        )
+        returning id into v_option_id;
+      end if;
+      v_options := v_options || v_option_id;
+    end loop;
+  end loop;
+
+  delete from modifier_groups where product_id = p_product_id and id <> all(v_groups);
+  delete from modifier_options where group_id = any(v_groups) and id <> all(v_options);
+end;
+$$;
+
+grant execute on function set_product_modifiers(uuid, jsonb) to authenticated;
+
+-- Save the admin's drag-and-drop menu order in one call: categories
+-- and products are each numbered 0..n in the order given. Runs with
+-- the caller's rights.
+create or replace function reorder_menu(p_business_id uuid, p_category_ids uuid[], p_product_ids uuid[])
+returns void
+language sql
+set search_path = public
+as $$
+  update categories c
+  set sort_order = x.position - 1
+  from unnest(p_category_ids) with ordinality as x(id, position)
+  where c.id = x.id and c.business_id = p_business_id;
+
+  update products p
+  set sort_order = x.position - 1
+  from unnest(p_product_ids) with ordinality as x(id, position)
+  where p.id = x.id and p.business_id = p_business_id;
+$$;
+
+grant execute on function reorder_menu(uuid, uuid[], uuid[]) to authenticated;
+
+-- ────────────────────────────────────────────────────────────
+-- MENU IMPORT
+-- Bulk load a menu from the admin's CSV/JSON import in a single
+-- transaction. Products are matched by name (case-insensitive);
+-- matches are updated, the rest inserted. Categories are matched by
+-- name too and created when missing. With p_replace, products (and
+-- categories) missing from the file are deleted so the menu ends up
+-- exactly as imported. Runs with the caller's rights, so RLS applies.
+-- ────────────────────────────────────────────────────────────
+create or replace function import_menu(
+  p_business_id uuid,
+  p_products    jsonb,   -- [{ "name", "description", "price", "category", "available", "sort_order", "image_url" }]
+  p_replace     boolean default false
+)
+returns json
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_item     jsonb;
+  v_category uuid;
+  v_next     int;
+  v_next_cat int;
+  v_added    int := 0;
+  v_updated  int := 0;
+  v_removed  int := 0;
+begin
+  if exists (
+    select 1 from jsonb_array_elements(coalesce(p_products, '[]')) x
+    where coalesce(trim(x->>'name'), '') = '' or coalesce((x->>'price')::numeric, -1) < 0
+  ) then
+    raise exception 'Every product needs a name and a price of 0 or more';
+  end if;
+
+  if (select count(*) <> count(distinct lower(trim(x->>'name')))
+      from jsonb_array_elements(coalesce(p_products, '[]')) x) then
+    raise exception 'Each product name can only appear once in the file';
+  end if;
+
+  if p_replace then
+    delete from products
+    where business_id = p_business_id
+      and lower(trim(name)) not in (
+        select lower(trim(x->>'name')) from jsonb_array_elements(coalesce(p_products, '[]')) x
+      );
+    get diagnostics v_removed = row_count;
+  end if;
+
+  select coalesce(max(sort_order) + 1, 0) into v_next
+  from products where business_id = p_business_id;
+  select coalesce(max(sort_order) + 1, 0) into v_next_cat
+  from categories where business_id = p_business_id;
+
+  for v_item in select * from jsonb_array_elements(coalesce(p_products, '[]')) loop
+    -- Blank category = uncategorised
+    v_category := null;
+    if coalesce(trim(v_item->>'category'), '') <> '' then
+      select id into v_category
+      from categories
+      where business_id = p_business_id and lower(trim(name)) = lower(trim(v_item->>'category'));
+
+      if v_category is null then
+        insert into categories (business_id, name, sort_order)
+        values (p_business_id, trim(v_item->>'category'), v_next_cat)
+        returning id into v_category;
+        v_next_cat := v_next_cat + 1;
+      end if;
+    end if;
+
+    update products set
+      name        = trim(v_item->>'name'),
+      description = nullif(trim(v_item->>'description'), ''),
+      price       = (v_item->>'price')::numeric,
+      category_id = v_category,
+      available   = coalesce((v_item->>'available')::boolean, true),
+      sort_order  = coalesce((v_item->>'sort_order')::int, sort_order),
+      image_url   = nullif(trim(v_item->>'image_url'), '')
+    where business_id = p_business_id
+      and lower(trim(name)) = lower(trim(v_item->>'name'));
+
+    if found then
+      v_updated := v_updated + 1;
+    else
+      insert into products (business_id, name, description, price, category_id, available, sort_order, image_url)
+      values (
+        p_business_id,
+        trim(v_item->>'name'),
+        nullif(trim(v_item->>'description'), ''),
+        (v_item->>'price')::numeric,
+        v_category,
+        coalesce((v_item->>'available')::boolean, true),
+        coalesce((v_item->>'sort_order')::int, v_next),
+        nullif(trim(v_item->>'image_url'), '')
+      );
+      v_next := v_next + 1;
+      v_added := v_added + 1;
+    end if;
+  end loop;
+
+  if p_replace then
+    delete from categories c
+    where c.business_id = p_business_id
+      and not exists (select 1 from products p where p.category_id = c.id);
+  end if;
+
+  return json_build_object('added', v_added, 'updated', v_updated, 'removed', v_removed);
+end;
+$$;
+
+grant execute on function import_menu(uuid, jsonb, boolean) to authenticated;
+
+-- ────────────────────────────────────────────────────────────
+-- COPY MENU
+-- "Copy menu from another location" in the admin. Categories are
+-- matched by name and created when missing; products (with their
+-- modifiers) are added after the existing menu. Products whose name
+-- is already on the target menu are left alone. Stock isn't shared:
+-- tracked products stay tracked, starting at their restock level (or
+-- sold out when they have none). Runs with the caller's rights, so
+-- RLS applies to the target — the source is checked by hand because
+-- customers can read any menu.
+-- ────────────────────────────────────────────────────────────
+create or replace function copy_menu(p_from_business_id uuid, p_to_business_id uuid)
+returns json
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_cat      record;
+  v_product  record;
+  v_group    record;
+  v_cat_ids  jsonb := '{}';
+  v_target   uuid;
+  v_group_id uuid;
+  v_next     int;
+  v_next_cat int;
+  v_copied   int := 0;
+  v_skipped  int := 0;
+begin
+  if p_from_business_id = p_to_business_id then
+    raise exception 'Pick a different location to copy from.';
+  end if;
+  if not has_business_role(p_from_business_id, array['owner','manager'])
+     or not has_business_role(p_to_business_id, array['owner','manager']) then
+    raise exception 'You can only copy between locations whose menu you manage.';
+  end if;
+
+  select coalesce(max(sort_order) + 1, 0) into v_next
+  from products where business_id = p_to_business_id;
+  select coalesce(max(sort_order) + 1, 0) into v_next_cat
+  from categories where business_id = p_to_business_id;
+
+  for v_cat in
+    select * from categories where business_id = p_from_business_id order by sort_order, created_at
+  loop
+    select id into v_target
+    from categories
+    where business_id = p_to_business_id and lower(trim(name)) = lower(trim(v_cat.name));
+
+    if v_target is null then
+      insert into categories (business_id, name, description, visible, sort_order, tax_rate)
+      values (p_to_business_id, v_cat.name, v_cat.description, v_cat.visible, v_next_cat, v_cat.tax_rate)
+      returning id into v_target;
+      v_next_cat := v_next_cat + 1;
+    end if;
+    v_cat_ids := v_cat_ids || jsonb_build_object(v_cat.id::text, v_target);
+  end loop;
+
+  for v_product in
+    select * from products where business_id = p_from_business_id order by sort_order, created_at
+  loop
+    if exists (
+      select 1 from products
+      where business_id = p_to_business_id and lower(trim(name)) = lower(trim(v_product.name))
+    ) then
+      v_skipped := v_skipped + 1;
+      continue;
+    end if;
+
+    insert into products (business_id, name, description, price, image_url, category_id, available, sort_order, stock, restock_to)
+    values (
+      p_to_business_id, v_product.name, v_product.description, v_product.price, v_product.image_url,
+      (v_cat_ids->>(v_product.category_id::text))::uuid, v_product.available, v_next,
+      case when v_product.stock is null then null else coalesce(v_product.restock_to, 0) end,
+      v_product.restock_to
     )
+    returning id into v_target;
+    v_next := v_next + 1;
+    v_copied := v_copied + 1;
+
+    for v_group in
+      select * from modifier_groups where product_id = v_product.id order by sort_order
+    loop
+      insert into modifier_groups (product_id, name, min_select, max_select, sort_order)
+      values (v_target, v_group.name, v_group.min_select, v_group.max_select, v_group.sort_order)
+      returning id into v_group_id;
+
+      insert into modifier_options (group_id, name, price_delta, sort_order)
+      select v_group_id, name, price_delta, sort_order
+      from modifier_options where group_id = v_group.id;
+    end loop;
+  end loop;
+
+  return json_build_object('copied', v_copied, 'skipped', v_skipped);
+end;
+$$;
+
+grant execute on function copy_menu(uuid, uuid) to authenticated;
+
+-- ────────────────────────────────────────────────────────────
+-- INVENTORY
+-- Stock is taken in place_order(). Cancelled orders put it back, and
+-- products with a restock_to level are reset once a day.
+-- ────────────────────────────────────────────────────────────
+create or replace function restore_cancelled_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  -- Never above the daily level: an order from before this morning's
+  -- restock already had its stock put back by it. Stock the owner set
+  -- higher than that by hand isn't lowered.
+  update products p
+  set stock = case
+                when p.restock_to is null then p.stock + x.quantity
+                else greatest(p.stock, least(p.stock + x.quantity, p.restock_to))
+              end
+  from (
+    select product_id, sum(quantity)::int as quantity
+    from order_items
+    where order_id = new.id
+    group by product_id
+  ) x
+  where p.id = x.product_id and p.stock is not null;
+  return new;
+end;
+$$;
+
+create trigger orders_restore_stock
+  after update of status on orders
+  for each row
+  when (new.status = 'cancelled' and old.status is distinct from 'cancelled')
+  execute function restore_cancelled_stock();
+
+-- "Restock now" button in the admin. Runs with the caller's rights.
+create or replace function restock_products(p_business_id uuid)
+returns void
+language sql
+set search_path = public
+as $$
+  update products
+  set stock = restock_to
+  where business_id = p_business_id and restock_to is not null;
+$$;
+
+grant execute on function restock_products(uuid) to authenticated;
+
+-- Daily reset: restock every business whose local date has rolled
+-- over since its last reset. Scheduled below with pg_cron. A business
+-- seen for the first time (new, or just upgraded) only starts the
+-- count — restocking mid-day would undo what it has sold so far.
+create or replace function restock_due_products()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_biz record;
+begin
+  for v_biz in
+    select id, restocked_on, (now() at time zone timezone)::date as today
+    from businesses
+    where restocked_on is distinct from (now() at time zone timezone)::date
+  loop
+    if v_biz.restocked_on is not null then
+      perform restock_products(v_biz.id);
+    end if;
+    update businesses set restocked_on = v_biz.today where id = v_biz.id;
+  end loop;
+end;
+$$;
+
+-- Run by pg_cron only, not over the API
+revoke execute on function restock_due_products() from public, anon, authenticated;
+
+create extension if not exists pg_cron;
+select cron.schedule('restock-products', '*/10 * * * *', 'select restock_due_products()');
+
+-- ────────────────────────────────────────────────────────────
+-- ORDER TRACKING
+-- Customers can't read `orders` directly (RLS), so the /track page
+-- looks its order up by the secret tracking token instead.
+-- ────────────────────────────────────────────────────────────
+create or replace function get_order_tracking(p_token uuid)
+returns json
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select json_build_object(
+    'id',            o.id,
+    'status',        o.status,
+    'customer_name', o.customer_name,
+    'customer_note', o.customer_note,
+    'subtotal',      o.subtotal,
+    'tax',           o.tax,
+    'tax_included',  o.tax_included,
+    'service_fee',   o.service_fee,
+    'packaging_fee', o.packaging_fee,
+    'promo_code',    o.promo_code,
+    'discount',      o.discount,
+    'total',         o.total,
+    'tip',           o.tip,
+    'pickup_at',     o.pickup_at,
+    'created_at',    o.created_at,
+    'fulfilled_at',  o.fulfilled_at,
+    'cancel_reason', o.cancel_reason,
+    'payment_status', o.payment_status,
+    'business', json_build_object(
+      'name',         b.name,
+      'slug',         b.slug,
+      'logo_url',     b.logo_url,
+      'accent_color', b.accent_color,
+      'timezone',     b.timezone
+    ),
+    'items', coalesce((
+      select json_agg(json_build_object('name', i.name, 'price', i.price, 'quantity', i.quantity, 'options', i.options))
+      from order_items i where i.order_id = o.id
+    ), '[]'::json)
+  )
+  from orders o
+  join businesses b on b.id = o.business_id
+  where o.tracking_token = p_token;
+$$;
+
+grant execute on function get_order_tracking(uuid) to anon, authenticated;
+
+-- Push status changes to the tracking page over Realtime Broadcast.
+-- The topic is named after the token, so only someone holding the
+-- link can listen in.
+create or replace function broadcast_order_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform realtime.send(
+    json_build_object(
+      'status', new.status, 'fulfilled_at', new.fulfilled_at, 'cancel_reason', new.cancel_reason,
+      'payment_status', new.payment_status
+    )::jsonb,
+    'status',
+    'order:' || new.tracking_token::text,
+    false
   );
+  return new;
+end;
+$$;
 
--- Push subscriptions: owner only
-create policy "owner manages push" on push_subscriptions
-  for all using (
-    auth.uid() = (select owner_id from businesses where id = business_id)
+create trigger orders_broadcast_status
+  after update of status, payment_status on orders
+  for each row
+  when (old.status is distinct from new.status or old.payment_status is distinct from new.payment_status)
+  execute function broadcast_order_status();
+
+-- Customers may cancel their own order, but only before the shop
+-- has started preparing it. Paid orders need the shop to refund them.
+create or replace function cancel_order_by_token(p_token uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from orders where tracking_token = p_token and payment_status = 'paid') then
+    raise exception 'You''ve already paid for this order — please contact the shop to cancel it and get a refund.';
+  end if;
+
+  update orders
+  set status = 'cancelled', cancelled_at = now(), cancel_reason = 'Cancelled by customer'
+  where tracking_token = p_token and status = 'pending';
+
+  if not found then
+    raise exception 'This order can no longer be cancelled — it''s already being prepared. Please contact the shop.';
+  end if;
+end;
+$$;
+
+grant execute on function cancel_order_by_token(uuid) to anon, authenticated;
+
+-- ────────────────────────────────────────────────────────────
+-- ONLINE PAYMENTS
+-- With payment_mode 'optional' or 'required', customers can pay at the
+-- provider's checkout when they order. place_order() creates the order
+-- as 'awaiting'; the payment-webhook edge function marks it 'paid'
+-- (supabase/functions/). Until then it holds stock but stays off the
+-- dashboard. Checkouts that are never finished are let go here.
+-- ────────────────────────────────────────────────────────────
+create or replace function expire_unpaid_orders()
+returns int
+language sql
+security definer
+set search_path = public
+as $$
+  with expired as (
+    update orders
+    set status = 'cancelled', cancelled_at = now(), cancel_reason = 'Payment not completed'
+    where payment_status = 'awaiting'
+      and status = 'pending'
+      and created_at < now() - interval '35 minutes'   -- provider checkouts last 30
+    returning 1
+  )
+  select count(*)::int from expired;
+$$;
+
+-- Run by pg_cron only, not over the API
+revoke execute on function expire_unpaid_orders() from public, anon, authenticated;
+
+select cron.schedule('expire-unpaid-orders', '*/5 * * * *', 'select expire_unpaid_orders()');
+
+-- ────────────────────────────────────────────────────────────
+-- CUSTOMER MESSAGES — SENDING
+-- When an order turns ready or is cancelled by the shop, a message is
+-- queued for each contact the customer gave, and the database asks the
+-- send-customer-messages edge function to deliver them (pg_net). The
+-- function needs the project URL and service role key from Vault:
+--   select vault.create_secret('https://<project-ref>.supabase.co', 'project_url');
+--   select vault.create_secret('<service role key>', 'service_role_key');
+-- Until they're set, messages just wait in the queue.
+-- ────────────────────────────────────────────────────────────
+create extension if not exists pg_net;
+
+-- Call one of our edge functions in the background, as the service role
+create or replace function invoke_edge_function(p_name text, p_body jsonb default '{}')
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_url text;
+  v_key text;
+begin
+  select decrypted_secret into v_url from vault.decrypted_secrets where name = 'project_url';
+  select decrypted_secret into v_key from vault.decrypted_secrets where name = 'service_role_key';
+  if v_url is null or v_key is null then
+    return;
+  end if;
+
+  perform net.http_post(
+    url     := rtrim(v_url, '/') || '/functions/v1/' || p_name,
+    body    := p_body,
+    headers := jsonb_build_object('Content-Type', 'application/json', 'Authorization', 'Bearer ' || v_key)
   );
+end;
+$$;
+
+-- Only for the database itself: Supabase grants anon and authenticated
+-- their own EXECUTE on new functions, so revoking from public isn't enough
+revoke execute on function invoke_edge_function(text, jsonb) from public, anon, authenticated;
+
+-- The wording used when the owner hasn't written their own
+create or replace function default_message_template(p_event text, p_channel text, out subject text, out body text)
+language sql
+immutable
+as $$
+  select t.subject, t.body from (values
+    ('ready', 'sms', null,
+     'Hi {{name}}, your order {{order}} at {{shop}} is ready to pick up! {{link}}'),
+    ('ready', 'email', 'Your order at {{shop}} is ready',
+     E'Hi {{name}},\n\nGood news — your order {{order}} is ready to pick up.\n\nSee your order: {{link}}\n\n{{shop}}'),
+    ('cancelled', 'sms', null,
+     'Sorry {{name}}, {{shop}} had to cancel your order {{order}}: {{reason}}. {{link}}'),
+    ('cancelled', 'email', 'Your order at {{shop}} was cancelled',
+     E'Hi {{name}},\n\nSorry — we had to cancel your order {{order}}.\nReason: {{reason}}\n\nSee your order: {{link}}\n\n{{shop}}')
+  ) as t(event, channel, subject, body)
+  where t.event = p_event and t.channel = p_channel;
+$$;
+
+-- All four templates for the admin editor, defaults filled in.
+-- Runs with the caller's rights, so only owners see their own.
+create or replace function get_message_templates(p_business_id uuid)
+returns json
+language sql
+stable
+set search_path = public
+as $$
+  select json_agg(json_build_object(
+           'event',      e.event,
+           'channel',    c.channel,
+           'subject',    coalesce(m.subject, d.subject),
+           'body',       coalesce(m.body, d.body),
+           'enabled',    coalesce(m.enabled, true),
+           'customised', m.business_id is not null
+         ) order by e.n, c.n)
+  from (values ('ready', 1), ('cancelled', 2)) as e(event, n)
+  cross join (values ('sms', 1), ('email', 2)) as c(channel, n)
+  cross join lateral default_message_template(e.event, c.channel) d
+  left join message_templates m
+    on m.business_id = p_business_id and m.event = e.event and m.channel = c.channel
+  where has_business_role(p_business_id, array['owner']);
+$$;
+
+grant execute on function get_message_templates(uuid) to authenticated;
+
+-- Fill in a template for one order. {{link}} is left for the sender,
+-- which knows the site's address.
+create or replace function render_message(p_text text, p_order orders, p_shop text)
+returns text
+language sql
+immutable
+as $$
+  select replace(replace(replace(replace(p_text,
+    '{{name}}',   p_order.customer_name),
+    '{{shop}}',   p_shop),
+    '{{order}}',  '#' || upper(right(p_order.id::text, 8))),
+    '{{reason}}', coalesce(p_order.cancel_reason, 'no reason given'));
+$$;
+
+create or replace function queue_customer_messages()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shop    text;
+  v_channel record;
+  v_tpl     record;
+begin
+  -- Customers who cancelled themselves, or never finished paying,
+  -- don't need telling
+  if new.status = 'cancelled'
+     and (new.cancel_reason = 'Cancelled by customer' or new.payment_status = 'awaiting') then
+    return new;
+  end if;
+
+  select name into v_shop from businesses where id = new.business_id;
+
+  for v_channel in
+    select 'sms' as channel, new.notify_phone as recipient
+    union all
+    select 'email', new.notify_email
+  loop
+    continue when v_channel.recipient is null;
+
+    select coalesce(m.subject, d.subject) as subject, coalesce(m.body, d.body) as body, coalesce(m.enabled, true) as enabled
+    into v_tpl
+    from default_message_template(new.status, v_channel.channel) d
+    left join message_templates m
+      on m.business_id = new.business_id and m.event = new.status and m.channel = v_channel.channel;
+    continue when not v_tpl.enabled;
+
+    insert into customer_messages (business_id, order_id, event, channel, recipient, subject, body)
+    values (
+      new.business_id, new.id, new.status, v_channel.channel, v_channel.recipient,
+      render_message(v_tpl.subject, new, v_shop), render_message(v_tpl.body, new, v_shop)
+    );
+  end loop;
+  return new;
+end;
+$$;
+
+create trigger orders_queue_customer_messages
+  after update of status on orders
+  for each row
+  when (new.status in ('ready', 'cancelled') and old.status is distinct from new.status
+        and new.notify_consent_at is not null)
+  execute function queue_customer_messages();
+
+-- Wake the sender whenever something is queued
+create or replace function send_queued_messages()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform invoke_edge_function('send-customer-messages');
+  return null;
+end;
+$$;
+
+create trigger customer_messages_send
+  after insert on customer_messages
+  for each statement
+  execute function send_queued_messages();
+
+revoke execute on function send_queued_messages() from public, anon, authenticated;
+
+-- Retries: failed attempts go back in the queue (the sender gives up
+-- after three), and a sender that died mid-way lets go after 10 minutes
+create or replace function retry_customer_messages()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update customer_messages set status = 'queued'
+  where status = 'sending' and attempted_at < now() - interval '10 minutes';
+
+  if exists (select 1 from customer_messages where status = 'queued') then
+    perform invoke_edge_function('send-customer-messages');
+  end if;
+end;
+$$;
+
+revoke execute on function retry_customer_messages() from public, anon, authenticated;
+
+select cron.schedule('retry-customer-messages', '*/5 * * * *', 'select retry_customer_messages()');
+
+-- ────────────────────────────────────────────────────────────
+-- CUSTOMER PUSH
+-- Customers can ask for a push on their own device when their order is
+-- ready. The tracking token proves it's their order. The notify-customer
+-- edge function sends it (same Vault secrets as above), and the
+-- subscriptions go once the order is fulfilled or cancelled.
+-- ────────────────────────────────────────────────────────────
+create or replace function subscribe_order_push(
+  p_token    uuid,
+  p_endpoint text,
+  p_p256dh   text,
+  p_auth     text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order orders;
+begin
+  select * into v_order from orders where tracking_token = p_token;
+  if v_order.id is null then
+    raise exception 'Order not found.' using errcode = 'P0001';
+  end if;
+  if v_order.status in ('fulfilled', 'cancelled') then
+    raise exception 'This order is already %.', v_order.status using errcode = 'P0001';
+  end if;
+  -- Only the browsers' own push services (Chrome, Firefox, Safari,
+  -- Edge) — the edge function would otherwise POST wherever it's told.
+  -- Same list as PUSH_HOSTS in supabase/functions/_shared/webpush.ts.
+  if coalesce(p_endpoint, '') !~ '^https://(fcm\.googleapis\.com|updates\.push\.services\.mozilla\.com|[a-z0-9-]+(\.[a-z0-9-]+)*\.push\.apple\.com|[a-z0-9-]+(\.[a-z0-9-]+)*\.notify\.windows\.com)/'
+     or coalesce(p_p256dh, '') = '' or coalesce(p_auth, '') = '' then
+    raise exception 'That isn''t a valid push subscription.' using errcode = 'P0001';
+  end if;
+
+  insert into order_push_subscriptions (order_id, endpoint, p256dh, auth)
+  values (v_order.id, p_endpoint, p_p256dh, p_auth)
+  on conflict (order_id, endpoint) do update set p256dh = excluded.p256dh, auth = excluded.auth;
+end;
+$$;
+
+grant execute on function subscribe_order_push(uuid, text, text, text) to anon, authenticated;
+
+-- Is this device already following the order?
+create or replace function order_push_subscribed(p_token uuid, p_endpoint text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from order_push_subscriptions s
+    join orders o on o.id = s.order_id
+    where o.tracking_token = p_token and s.endpoint = p_endpoint
+  );
+$$;
+
+grant execute on function order_push_subscribed(uuid, text) to anon, authenticated;
+
+create or replace function push_customer()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'ready' then
+    if exists (select 1 from order_push_subscriptions where order_id = new.id) then
+      perform invoke_edge_function('notify-customer', jsonb_build_object('orderId', new.id));
+    end if;
+  else
+    delete from order_push_subscriptions where order_id = new.id;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger orders_push_customer
+  after update of status on orders
+  for each row
+  when (new.status in ('ready', 'fulfilled', 'cancelled') and old.status is distinct from new.status)
+  execute function push_customer();
+
+-- ────────────────────────────────────────────────────────────
+-- OWNER PUSH
+-- The team's devices (push_subscriptions) get a push for each new order
+-- from the notify-owner edge function — asked for here rather than by
+-- the customer's browser, so nobody else can set off pushes. An order
+-- paid online counts as new once the payment goes through, when it
+-- reaches the dashboard.
+-- ────────────────────────────────────────────────────────────
+create or replace function push_new_order()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (select 1 from push_subscriptions where business_id = new.business_id) then
+    perform invoke_edge_function('notify-owner', jsonb_build_object('orderId', new.id));
+  end if;
+  return new;
+end;
+$$;
+
+-- Only for the triggers below
+revoke execute on function push_new_order() from public, anon, authenticated;
+
+create trigger orders_push_new
+  after insert on orders
+  for each row
+  when (new.payment_status <> 'awaiting')
+  execute function push_new_order();
+
+create trigger orders_push_paid
+  after update of payment_status on orders
+  for each row
+  when (old.payment_status = 'awaiting' and new.payment_status = 'paid' and new.status <> 'cancelled')
+  execute function push_new_order();
+
+-- ────────────────────────────────────────────────────────────
+-- ANALYTICS
+-- Sales figures for the analytics page, computed over the full order
+-- history. Owners and managers only; runs with the caller's rights so
+-- RLS still limits it to their own orders. Cancelled orders and ones
+-- still waiting at the payment checkout don't count. Revenue is the
+-- order totals; tips are reported next to it, not in it.
+-- p_from / p_to are inclusive dates in the business's time zone.
+-- ────────────────────────────────────────────────────────────
+create or replace function get_sales_analytics(
+  p_business_id uuid,
+  p_from        date,
+  p_to          date,
+  p_bucket      text default 'day'   -- 'day' | 'week' | 'month'
+)
+returns json
+language plpgsql
+stable
+set search_path = public
+as $$
+declare
+  v_tz     text;
+  v_result json;
+begin
+  if p_bucket not in ('day', 'week', 'month') then
+    raise exception 'Unknown bucket: %', p_bucket;
+  end if;
+
+  if not has_business_role(p_business_id, array['owner', 'manager']) then
+    raise exception 'Only owners and managers can see analytics.';
+  end if;
+
+  select timezone into v_tz from businesses where id = p_business_id;
+  if v_tz is null then
+    raise exception 'Business not found.';
+  end if;
+
+  with counted as (
+    select o.*, o.created_at at time zone v_tz as local_at
+    from orders o
+    where o.business_id = p_business_id
+      and o.status <> 'cancelled'
+      and o.payment_status <> 'awaiting'
+      and o.created_at >= p_from::timestamp at time zone v_tz
+      and o.created_at <  (p_to + 1)::timestamp at time zone v_tz
+  )
+  select json_build_object(
+    'summary', (
+      select json_build_object(
+        'revenue',            coalesce(sum(total), 0),
+        'tips',               coalesce(sum(tip), 0),
+        'order_count',        count(*),
+        'avg_order_value',    coalesce(round(avg(total), 2), 0),
+        'avg_fulfil_minutes', round((extract(epoch from avg(fulfilled_at - created_at)) / 60)::numeric, 1)
+      )
+      from counted
+    ),
+    'series', coalesce((
+      -- One row per period, including empty ones, so charts have no gaps
+      select json_agg(json_build_object(
+               'period', p.period, 'revenue', coalesce(x.revenue, 0), 'tips', coalesce(x.tips, 0),
+               'order_count', coalesce(x.order_count, 0)
+             ) order by p.period)
+      from (
+        select gs::date as period
+        from generate_series(date_trunc(p_bucket, p_from::timestamp), p_to::timestamp, ('1 ' || p_bucket)::interval) as gs
+      ) p
+      left join (
+        select date_trunc(p_bucket, local_at)::date as period, sum(total) as revenue, sum(tip) as tips, count(*) as order_count
+        from counted
+        group by 1
+      ) x on x.period = p.period
+    ), '[]'),
+    'top_products', coalesce((
+      select json_agg(json_build_object('name', name, 'quantity', quantity, 'revenue', revenue) order by quantity desc, revenue desc)
+      from (
+        select i.name, sum(i.quantity) as quantity, sum(i.price * i.quantity) as revenue
+        from counted c
+        join order_items i on i.order_id = c.id
+        group by i.name
+        order by quantity desc, revenue desc
+        limit 10
+      ) x
+    ), '[]'),
+    'hours', coalesce((
+      select json_agg(json_build_object('hour', hour, 'order_count', order_count, 'revenue', revenue) order by hour)
+      from (
+        select extract(hour from local_at)::int as hour, count(*) as order_count, sum(total) as revenue
+        from counted
+        group by 1
+      ) x
+    ), '[]')
+  ) into v_result;
+
+  return v_result;
+end;
+$$;
+
+grant execute on function get_sales_analytics(uuid, date, date, text) to authenticated;
 
 -- ────────────────────────────────────────────────────────────
 -- REALTIME
@@ -161,15 +2091,17 @@ on conflict do nothing;
 create policy "public image read" on storage.objects
   for select using (bucket_id = 'product-images');
 
--- Only authenticated owners can upload
-create policy "owner image upload" on storage.objects
+-- Only owners and managers can upload, into their business's folder
+create policy "menu editors upload images" on storage.objects
   for insert with check (
-    bucket_id = 'product-images' and auth.role() = 'authenticated'
+    bucket_id = 'product-images'
+    and has_business_role(((storage.foldername(name))[1])::uuid, array['owner', 'manager'])
   );
 
-create policy "owner image delete" on storage.objects
+create policy "menu editors delete images" on storage.objects
   for delete using (
-    bucket_id = 'product-images' and auth.role() = 'authenticated'
+    bucket_id = 'product-images'
+    and has_business_role(((storage.foldername(name))[1])::uuid, array['owner', 'manager'])
   );
 
 -- ────────────────────────────────────────────────────────────